@@ -6,12 +6,13 @@ import * as utils from '@pixi/utils';
 import { Application } from '@pixi/app';
 import { Renderer, BatchRenderer } from '@pixi/core';
 import { Extract } from '@pixi/extract';
+import { SVGLoader } from '@pixi/graphics';
 import { Loader, AppLoaderPlugin } from '@pixi/loaders';
 import { ParticleRenderer } from '@pixi/particles';
 import { Prepare } from '@pixi/prepare';
 import { SpritesheetLoader } from '@pixi/spritesheet';
 import { TilingSpriteRenderer } from '@pixi/sprite-tiling';
-import { BitmapFontLoader } from '@pixi/text-bitmap';
+import { BitmapFontLoader, DistanceFieldRenderer } from '@pixi/text-bitmap';
 import { TickerPlugin } from '@pixi/ticker';
 import { AlphaFilter } from '@pixi/filter-alpha';
 import { BlurFilter, BlurFilterPass } from '@pixi/filter-blur';
@@ -35,10 +36,12 @@ Renderer.registerPlugin('interaction', interaction.InteractionManager);
 Renderer.registerPlugin('particle', ParticleRenderer);
 Renderer.registerPlugin('prepare', Prepare);
 Renderer.registerPlugin('batch', BatchRenderer);
+Renderer.registerPlugin('distanceField', DistanceFieldRenderer);
 Renderer.registerPlugin('tilingSprite', TilingSpriteRenderer);
 
 Loader.registerPlugin(BitmapFontLoader);
 Loader.registerPlugin(SpritesheetLoader);
+Loader.registerPlugin(SVGLoader);
 
 Application.registerPlugin(TickerPlugin);
 Application.registerPlugin(AppLoaderPlugin);
@@ -116,6 +119,7 @@ export * from '@pixi/sprite-tiling';
 export * from '@pixi/text';
 export * from '@pixi/text-bitmap';
 export * from '@pixi/ticker';
+export * from '@pixi/viewport';
 export * from '@pixi/settings';
 export {
     accessibility,
@@ -26,6 +26,12 @@ Container.prototype.renderCanvas = function renderCanvas(renderer)
         return;
     }
 
+    // skip off-screen subtrees
+    if (this.cullable && renderer.culling.cull(this))
+    {
+        return;
+    }
+
     if (this._mask)
     {
         renderer.maskManager.pushMask(this._mask);
@@ -34,7 +40,13 @@ Container.prototype.renderCanvas = function renderCanvas(renderer)
     this._renderCanvas(renderer);
     for (let i = 0, j = this.children.length; i < j; ++i)
     {
-        this.children[i].renderCanvas(renderer);
+        const child = this.children[i];
+
+        // members of layers are rendered by their layer
+        if (!child.parentLayer)
+        {
+            child.renderCanvas(renderer);
+        }
     }
 
     if (this._mask)
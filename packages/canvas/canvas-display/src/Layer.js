@@ -0,0 +1,18 @@
+import { Layer } from '@pixi/display';
+
+/**
+ * 使用Canvas渲染器渲染图层的成员，忽略渲染纹理。
+ * @method _renderCanvas
+ * @memberof PIXI.Layer#
+ * @protected
+ * @param {PIXI.CanvasRenderer} renderer - 渲染器
+ */
+Layer.prototype._renderCanvas = function _renderCanvas(renderer)
+{
+    const active = this.updateActiveMembers();
+
+    for (let i = 0; i < active.length; i++)
+    {
+        active[i].renderCanvas(renderer);
+    }
+};
@@ -1,4 +1,4 @@
-const { Container } = require('@pixi/display');
+const { Container, Layer } = require('@pixi/display');
 
 require('../');
 
@@ -50,5 +50,43 @@ describe('PIXI.Container', function ()
             container.renderCanvas();
             expect(canvasSpy).to.have.been.called;
         });
+
+        it('should not render culled objects', function ()
+        {
+            const container = new Container();
+            const child = new Container();
+            const canvasSpy = sinon.spy(child, '_renderCanvas');
+            const renderer = { culling: { cull: sinon.stub().returns(true) } };
+
+            container.addChild(child);
+            container.renderCanvas(renderer);
+
+            expect(renderer.culling.cull).to.not.have.been.called;
+            expect(canvasSpy).to.have.been.calledOnce;
+
+            container.cullable = true;
+            container.renderCanvas(renderer);
+
+            expect(renderer.culling.cull).to.have.been.calledWith(container);
+            expect(canvasSpy).to.have.been.calledOnce;
+        });
+
+        it('should render members of layers in their layer', function ()
+        {
+            const container = new Container();
+            const layer = new Layer();
+            const child = new Container();
+            const canvasSpy = sinon.spy(child, '_renderCanvas');
+
+            container.addChild(child, layer);
+            child.parentLayer = layer;
+
+            container.renderCanvas();
+            expect(canvasSpy).to.have.been.calledOnce;
+
+            layer.visible = false;
+            container.renderCanvas();
+            expect(canvasSpy).to.have.been.calledOnce;
+        });
     });
 });
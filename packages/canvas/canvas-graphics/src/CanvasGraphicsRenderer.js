@@ -72,6 +72,15 @@ export class CanvasGraphicsRenderer
             const lineColor = data._lineTint;
 
             context.lineWidth = lineStyle.width;
+            context.lineCap = lineStyle.cap;
+            context.lineJoin = lineStyle.join;
+            context.miterLimit = lineStyle.miterLimit;
+
+            if (context.setLineDash)
+            {
+                context.setLineDash(lineStyle.dash || []);
+                context.lineDashOffset = lineStyle.dashOffset || 0;
+            }
 
             if (data.type === SHAPES.POLY)
             {
@@ -155,14 +164,14 @@ export class CanvasGraphicsRenderer
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
 
-                    context.fillStyle = `#${(`00000${(fillColor | 0).toString(16)}`).substr(-6)}`;
+                    context.fillStyle = this._calcCanvasStyle(fillStyle, fillColor, graphics.tint);
                     context.fill();
                 }
 
                 if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
-                    context.strokeStyle = `#${(`00000${(lineColor | 0).toString(16)}`).substr(-6)}`;
+                    context.strokeStyle = this._calcCanvasStyle(lineStyle, lineColor, graphics.tint);
                     context.stroke();
                 }
             }
@@ -171,13 +180,13 @@ export class CanvasGraphicsRenderer
                 if (fillStyle.visible)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
-                    context.fillStyle = `#${(`00000${(fillColor | 0).toString(16)}`).substr(-6)}`;
+                    context.fillStyle = this._calcCanvasStyle(fillStyle, fillColor, graphics.tint);
                     context.fillRect(shape.x, shape.y, shape.width, shape.height);
                 }
                 if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
-                    context.strokeStyle = `#${(`00000${(lineColor | 0).toString(16)}`).substr(-6)}`;
+                    context.strokeStyle = this._calcCanvasStyle(lineStyle, lineColor, graphics.tint);
                     context.strokeRect(shape.x, shape.y, shape.width, shape.height);
                 }
             }
@@ -191,14 +200,14 @@ export class CanvasGraphicsRenderer
                 if (fillStyle.visible)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
-                    context.fillStyle = `#${(`00000${(fillColor | 0).toString(16)}`).substr(-6)}`;
+                    context.fillStyle = this._calcCanvasStyle(fillStyle, fillColor, graphics.tint);
                     context.fill();
                 }
 
                 if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
-                    context.strokeStyle = `#${(`00000${(lineColor | 0).toString(16)}`).substr(-6)}`;
+                    context.strokeStyle = this._calcCanvasStyle(lineStyle, lineColor, graphics.tint);
                     context.stroke();
                 }
             }
@@ -233,13 +242,13 @@ export class CanvasGraphicsRenderer
                 if (fillStyle.visible)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
-                    context.fillStyle = `#${(`00000${(fillColor | 0).toString(16)}`).substr(-6)}`;
+                    context.fillStyle = this._calcCanvasStyle(fillStyle, fillColor, graphics.tint);
                     context.fill();
                 }
                 if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
-                    context.strokeStyle = `#${(`00000${(lineColor | 0).toString(16)}`).substr(-6)}`;
+                    context.strokeStyle = this._calcCanvasStyle(lineStyle, lineColor, graphics.tint);
                     context.stroke();
                 }
             }
@@ -270,19 +279,38 @@ export class CanvasGraphicsRenderer
                 if (fillStyle.visible)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
-                    context.fillStyle = `#${(`00000${(fillColor | 0).toString(16)}`).substr(-6)}`;
+                    context.fillStyle = this._calcCanvasStyle(fillStyle, fillColor, graphics.tint);
                     context.fill();
                 }
                 if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
-                    context.strokeStyle = `#${(`00000${(lineColor | 0).toString(16)}`).substr(-6)}`;
+                    context.strokeStyle = this._calcCanvasStyle(lineStyle, lineColor, graphics.tint);
                     context.stroke();
                 }
             }
         }
     }
 
+    /**
+     * Creates the canvas fill or stroke style of a Graphics style.
+     *
+     * @private
+     * @param {PIXI.FillStyle} style - The fill or line style.
+     * @param {number} color - The tinted color of the style.
+     * @param {number} tint - The tint of the graphics, applied to gradients.
+     * @return {string|CanvasGradient} The canvas style.
+     */
+    _calcCanvasStyle(style, color, tint)
+    {
+        if (style.gradient)
+        {
+            return style.gradient.toCanvasGradient(this.renderer.context, tint);
+        }
+
+        return `#${(`00000${(color | 0).toString(16)}`).substr(-6)}`;
+    }
+
     /**
      * 更新图形对象的色彩
      *
@@ -1,6 +1,7 @@
 import { AbstractRenderer, resources } from '@pixi/core';
 import { CanvasRenderTarget, sayHello } from '@pixi/utils';
 import { CanvasMaskManager } from './utils/CanvasMaskManager';
+import { CanvasCullingManager } from './utils/CanvasCullingManager';
 import { mapCanvasBlendModesToPixi } from './utils/mapCanvasBlendModesToPixi';
 import { RENDERER_TYPE, SCALE_MODES, BLEND_MODES } from '@pixi/constants';
 import { settings } from '@pixi/settings';
@@ -64,6 +65,13 @@ export class CanvasRenderer extends AbstractRenderer
          */
         this.maskManager = new CanvasMaskManager(this);
 
+        /**
+         * CanvasCullingManager的实例，在使用画布渲染器时跳过渲染屏幕外的显示对象。
+         *
+         * @member {PIXI.CanvasCullingManager}
+         */
+        this.culling = new CanvasCullingManager(this);
+
         /**
          * canvas属性用于设置画布平滑属性。
          *
@@ -142,6 +150,7 @@ export class CanvasRenderer extends AbstractRenderer
         this.renderingToScreen = !renderTexture;
 
         this.emit('prerender');
+        this.culling.prerender();
 
         const rootResolution = this.resolution;
 
@@ -316,6 +325,9 @@ export class CanvasRenderer extends AbstractRenderer
         this.maskManager.destroy();
         this.maskManager = null;
 
+        this.culling.destroy();
+        this.culling = null;
+
         this.smoothProperty = null;
     }
 
@@ -0,0 +1,63 @@
+import { systems } from '@pixi/core';
+import { Rectangle } from '@pixi/math';
+
+/**
+ * 使用画布渲染器时跳过渲染屏幕外的显示对象，参阅 {@link PIXI.systems.CullingSystem}。
+ *
+ * 可见区域是 {@link PIXI.CanvasRenderer#screen}，渲染到渲染纹理时是它的大小。
+ *
+ * @class
+ * @extends PIXI.systems.CullingSystem
+ * @memberof PIXI
+ */
+export class CanvasCullingManager extends systems.CullingSystem
+{
+    /**
+     * @param {PIXI.CanvasRenderer} renderer - 画布渲染器。
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * 渲染纹理的可见区域。
+         *
+         * @member {PIXI.Rectangle}
+         * @private
+         */
+        this._targetArea = new Rectangle();
+    }
+
+    /**
+     * 世界坐标中的可见区域，画布渲染器已将变换应用于世界变换。
+     *
+     * @member {PIXI.Rectangle}
+     * @readonly
+     */
+    get area()
+    {
+        const { renderer } = this;
+
+        if (renderer.renderingToScreen)
+        {
+            return renderer.screen;
+        }
+
+        const { canvas } = renderer.context;
+
+        this._targetArea.width = canvas.width / renderer.resolution;
+        this._targetArea.height = canvas.height / renderer.resolution;
+
+        return this._targetArea;
+    }
+
+    /**
+     * 销毁管理器
+     */
+    destroy()
+    {
+        super.destroy();
+
+        this._targetArea = null;
+    }
+}
@@ -161,6 +161,102 @@ export enum FORMATS {
     DEPTH_STENCIL = 34041,
 }
 
+/**
+ * Compressed GL texture formats, as defined by the WebGL extensions
+ * `WEBGL_compressed_texture_s3tc`, `WEBGL_compressed_texture_s3tc_srgb`, `WEBGL_compressed_texture_etc`,
+ * `WEBGL_compressed_texture_etc1`, `WEBGL_compressed_texture_pvrtc`, `WEBGL_compressed_texture_astc`
+ * and `EXT_texture_compression_bptc`.
+ *
+ * @memberof PIXI
+ * @static
+ * @name INTERNAL_FORMATS
+ * @enum {number}
+ * @property {number} COMPRESSED_RGB_S3TC_DXT1_EXT=33776
+ * @property {number} COMPRESSED_RGBA_S3TC_DXT1_EXT=33777
+ * @property {number} COMPRESSED_RGBA_S3TC_DXT3_EXT=33778
+ * @property {number} COMPRESSED_RGBA_S3TC_DXT5_EXT=33779
+ * @property {number} COMPRESSED_SRGB_S3TC_DXT1_EXT=35916
+ * @property {number} COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT=35917
+ * @property {number} COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT=35918
+ * @property {number} COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT=35919
+ * @property {number} COMPRESSED_R11_EAC=37488
+ * @property {number} COMPRESSED_SIGNED_R11_EAC=37489
+ * @property {number} COMPRESSED_RG11_EAC=37490
+ * @property {number} COMPRESSED_SIGNED_RG11_EAC=37491
+ * @property {number} COMPRESSED_RGB8_ETC2=37492
+ * @property {number} COMPRESSED_SRGB8_ETC2=37493
+ * @property {number} COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2=37494
+ * @property {number} COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2=37495
+ * @property {number} COMPRESSED_RGBA8_ETC2_EAC=37496
+ * @property {number} COMPRESSED_SRGB8_ALPHA8_ETC2_EAC=37497
+ * @property {number} COMPRESSED_RGB_ETC1_WEBGL=36196
+ * @property {number} COMPRESSED_RGB_PVRTC_4BPPV1_IMG=35840
+ * @property {number} COMPRESSED_RGB_PVRTC_2BPPV1_IMG=35841
+ * @property {number} COMPRESSED_RGBA_PVRTC_4BPPV1_IMG=35842
+ * @property {number} COMPRESSED_RGBA_PVRTC_2BPPV1_IMG=35843
+ * @property {number} COMPRESSED_RGBA_ASTC_4X4_KHR=37808
+ * @property {number} COMPRESSED_RGBA_ASTC_5X4_KHR=37809
+ * @property {number} COMPRESSED_RGBA_ASTC_5X5_KHR=37810
+ * @property {number} COMPRESSED_RGBA_ASTC_6X5_KHR=37811
+ * @property {number} COMPRESSED_RGBA_ASTC_6X6_KHR=37812
+ * @property {number} COMPRESSED_RGBA_ASTC_8X5_KHR=37813
+ * @property {number} COMPRESSED_RGBA_ASTC_8X6_KHR=37814
+ * @property {number} COMPRESSED_RGBA_ASTC_8X8_KHR=37815
+ * @property {number} COMPRESSED_RGBA_ASTC_10X5_KHR=37816
+ * @property {number} COMPRESSED_RGBA_ASTC_10X6_KHR=37817
+ * @property {number} COMPRESSED_RGBA_ASTC_10X8_KHR=37818
+ * @property {number} COMPRESSED_RGBA_ASTC_10X10_KHR=37819
+ * @property {number} COMPRESSED_RGBA_ASTC_12X10_KHR=37820
+ * @property {number} COMPRESSED_RGBA_ASTC_12X12_KHR=37821
+ * @property {number} COMPRESSED_RGBA_BPTC_UNORM_EXT=36492
+ * @property {number} COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT=36493
+ * @property {number} COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT=36494
+ * @property {number} COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT=36495
+ */
+export enum INTERNAL_FORMATS {
+    COMPRESSED_RGB_S3TC_DXT1_EXT = 33776,
+    COMPRESSED_RGBA_S3TC_DXT1_EXT = 33777,
+    COMPRESSED_RGBA_S3TC_DXT3_EXT = 33778,
+    COMPRESSED_RGBA_S3TC_DXT5_EXT = 33779,
+    COMPRESSED_SRGB_S3TC_DXT1_EXT = 35916,
+    COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT = 35917,
+    COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT = 35918,
+    COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT = 35919,
+    COMPRESSED_R11_EAC = 37488,
+    COMPRESSED_SIGNED_R11_EAC = 37489,
+    COMPRESSED_RG11_EAC = 37490,
+    COMPRESSED_SIGNED_RG11_EAC = 37491,
+    COMPRESSED_RGB8_ETC2 = 37492,
+    COMPRESSED_SRGB8_ETC2 = 37493,
+    COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2 = 37494,
+    COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2 = 37495,
+    COMPRESSED_RGBA8_ETC2_EAC = 37496,
+    COMPRESSED_SRGB8_ALPHA8_ETC2_EAC = 37497,
+    COMPRESSED_RGB_ETC1_WEBGL = 36196,
+    COMPRESSED_RGB_PVRTC_4BPPV1_IMG = 35840,
+    COMPRESSED_RGB_PVRTC_2BPPV1_IMG = 35841,
+    COMPRESSED_RGBA_PVRTC_4BPPV1_IMG = 35842,
+    COMPRESSED_RGBA_PVRTC_2BPPV1_IMG = 35843,
+    COMPRESSED_RGBA_ASTC_4X4_KHR = 37808,
+    COMPRESSED_RGBA_ASTC_5X4_KHR = 37809,
+    COMPRESSED_RGBA_ASTC_5X5_KHR = 37810,
+    COMPRESSED_RGBA_ASTC_6X5_KHR = 37811,
+    COMPRESSED_RGBA_ASTC_6X6_KHR = 37812,
+    COMPRESSED_RGBA_ASTC_8X5_KHR = 37813,
+    COMPRESSED_RGBA_ASTC_8X6_KHR = 37814,
+    COMPRESSED_RGBA_ASTC_8X8_KHR = 37815,
+    COMPRESSED_RGBA_ASTC_10X5_KHR = 37816,
+    COMPRESSED_RGBA_ASTC_10X6_KHR = 37817,
+    COMPRESSED_RGBA_ASTC_10X8_KHR = 37818,
+    COMPRESSED_RGBA_ASTC_10X10_KHR = 37819,
+    COMPRESSED_RGBA_ASTC_12X10_KHR = 37820,
+    COMPRESSED_RGBA_ASTC_12X12_KHR = 37821,
+    COMPRESSED_RGBA_BPTC_UNORM_EXT = 36492,
+    COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT = 36493,
+    COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT = 36494,
+    COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT = 36495,
+}
+
 /**
  * 各种GL目标类型
  *
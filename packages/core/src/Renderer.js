@@ -14,6 +14,7 @@ import { ShaderSystem } from './shader/ShaderSystem';
 import { ContextSystem } from './context/ContextSystem';
 import { BatchSystem } from './batch/BatchSystem';
 import { TextureGCSystem } from './textures/TextureGCSystem';
+import { CullingSystem } from './culling/CullingSystem';
 import { RENDERER_TYPE } from '@pixi/constants';
 import { UniformGroup } from './shader/UniformGroup';
 import { Matrix } from '@pixi/math';
@@ -133,6 +134,8 @@ export class Renderer extends AbstractRenderer
         this.mask = null;
         this.batch = null;
         this.filter = null;
+        this.culling = null;
+        this.renderTexture = null;
 
         /**
          * 遮罩系统实例
@@ -225,6 +228,13 @@ export class Renderer extends AbstractRenderer
              * @readonly
              */
             .addSystem(RenderTextureSystem, 'renderTexture')
+            /**
+             * 裁剪系统实例
+             * @member {PIXI.systems.CullingSystem} culling
+             * @memberof PIXI.Renderer#
+             * @readonly
+             */
+            .addSystem(CullingSystem, 'culling')
 
             /**
              * 批处理系统实例
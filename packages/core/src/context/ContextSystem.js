@@ -1,6 +1,7 @@
 import { System } from '../System';
 import { settings } from '../settings';
 import { ENV } from '@pixi/constants';
+import { CompressedTextureResource } from '../textures/resources/CompressedTextureResource';
 
 let CONTEXT_UID = 0;
 
@@ -37,6 +38,8 @@ export class ContextSystem extends System
          * @property {WEBGL_lose_context} loseContext - WebGL v1 extension
          * @property {OES_vertex_array_object} vertexArrayObject - WebGL v1 extension
          * @property {EXT_texture_filter_anisotropic} anisotropicFiltering - WebGL v1 and v2 extension
+         * @property {WEBGL_compressed_texture_s3tc} s3tc - WebGL v1 and v2 extension, and the other
+         *  compressed texture extensions, see {@link PIXI.resources.CompressedTextureResource.getExtensions}
          */
         this.extensions = {};
 
@@ -183,6 +186,9 @@ export class ContextSystem extends System
                 floatTextureLinear: gl.getExtension('OES_texture_float_linear'),
             });
         }
+
+        // compressed textures, for both versions
+        Object.assign(this.extensions, CompressedTextureResource.getExtensions(gl));
     }
 
     /**
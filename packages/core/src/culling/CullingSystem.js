@@ -0,0 +1,179 @@
+import { System } from '../System';
+import { Matrix, Rectangle } from '@pixi/math';
+
+const tempRect = new Rectangle();
+const tempCorners = [0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * 计算矩形变换后的轴对齐边界。
+ *
+ * @ignore
+ * @private
+ * @param {PIXI.Rectangle} rect - 矩形
+ * @param {PIXI.Matrix} matrix - 变换矩阵
+ * @param {PIXI.Rectangle} out - 存储结果的矩形
+ * @return {PIXI.Rectangle} 结果
+ */
+function transformRect(rect, matrix, out)
+{
+    const { a, b, c, d, tx, ty } = matrix;
+    const corners = tempCorners;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    corners[0] = corners[6] = rect.left;
+    corners[1] = corners[3] = rect.top;
+    corners[2] = corners[4] = rect.right;
+    corners[5] = corners[7] = rect.bottom;
+
+    for (let i = 0; i < 8; i += 2)
+    {
+        const x = (a * corners[i]) + (c * corners[i + 1]) + tx;
+        const y = (b * corners[i]) + (d * corners[i + 1]) + ty;
+
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+
+    out.x = minX;
+    out.y = minY;
+    out.width = maxX - minX;
+    out.height = maxY - minY;
+
+    return out;
+}
+
+/**
+ * 渲染器的系统插件，跳过渲染屏幕外的显示对象。
+ *
+ * 裁剪是可选的：只有 {@link PIXI.DisplayObject#cullable} 为 `true` 的显示对象会被测试，
+ * 其边界（或 {@link PIXI.DisplayObject#cullArea}）不与可见区域相交时，不渲染它及其子级。
+ * 可见区域是 {@link PIXI.Renderer#screen}，渲染到渲染纹理或滤镜时是它们的帧。
+ *
+ * ```js
+ * for (const tile of tiles)
+ * {
+ *     tile.cullable = true;
+ * }
+ *
+ * app.renderer.render(app.stage);
+ * console.log(`${app.renderer.culling.culled} tiles are off-screen`);
+ * ```
+ *
+ * @class
+ * @extends PIXI.System
+ * @memberof PIXI.systems
+ */
+export class CullingSystem extends System
+{
+    /**
+     * @param {PIXI.Renderer} renderer - 此系统适用的渲染器。
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * 上次渲染中测试的显示对象数量。
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.tested = 0;
+
+        /**
+         * 上次渲染中被裁剪的显示对象数量，不包括它们的子级。
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.culled = 0;
+
+        /**
+         * 世界坐标中的可见区域，在投影变换时使用。
+         *
+         * @member {PIXI.Rectangle}
+         * @private
+         */
+        this._area = new Rectangle();
+
+        /**
+         * 投影变换的逆矩阵。
+         *
+         * @member {PIXI.Matrix}
+         * @private
+         */
+        this._inverseTransform = new Matrix();
+    }
+
+    /**
+     * 每次渲染前重置统计数据。
+     */
+    prerender()
+    {
+        this.tested = 0;
+        this.culled = 0;
+    }
+
+    /**
+     * 世界坐标中的可见区域。
+     *
+     * @member {PIXI.Rectangle}
+     * @readonly
+     */
+    get area()
+    {
+        const { sourceFrame } = this.renderer.renderTexture;
+        const { transform } = this.renderer.projection;
+
+        if (!transform)
+        {
+            return sourceFrame;
+        }
+
+        // the projection transform is applied after the world transforms
+        return transformRect(sourceFrame, this._inverseTransform.copyFrom(transform).invert(), this._area);
+    }
+
+    /**
+     * 测试显示对象是否在可见区域之外，并更新统计数据。
+     *
+     * @param {PIXI.DisplayObject} displayObject - 要测试的显示对象，其变换必须是最新的
+     * @return {boolean} 是否应跳过渲染该对象
+     */
+    cull(displayObject)
+    {
+        const bounds = displayObject.cullArea
+            ? transformRect(displayObject.cullArea, displayObject.worldTransform, tempRect)
+            : displayObject.getBounds(true, tempRect);
+        const area = this.area;
+        const culled = bounds.right <= area.left
+            || bounds.bottom <= area.top
+            || bounds.left >= area.right
+            || bounds.top >= area.bottom;
+
+        this.tested++;
+
+        if (culled)
+        {
+            this.culled++;
+        }
+
+        return culled;
+    }
+
+    /**
+     * 销毁系统
+     */
+    destroy()
+    {
+        super.destroy();
+
+        this._area = null;
+        this._inverseTransform = null;
+    }
+}
@@ -5,6 +5,7 @@
 export * from './filters/FilterSystem';
 export * from './batch/BatchSystem';
 export * from './context/ContextSystem';
+export * from './culling/CullingSystem';
 export * from './framebuffer/FramebufferSystem';
 export * from './geometry/GeometrySystem';
 export * from './mask/MaskSystem';
@@ -0,0 +1,472 @@
+import { Resource } from './Resource';
+import { BufferResource } from './BufferResource';
+import { INTERNAL_FORMATS as F } from '@pixi/constants';
+
+/**
+ * Size of the blocks of each compressed format: width and height in pixels, then bytes.
+ *
+ * @ignore
+ * @private
+ */
+const BLOCKS = {
+    [F.COMPRESSED_RGB_S3TC_DXT1_EXT]: [4, 4, 8],
+    [F.COMPRESSED_RGBA_S3TC_DXT1_EXT]: [4, 4, 8],
+    [F.COMPRESSED_RGBA_S3TC_DXT3_EXT]: [4, 4, 16],
+    [F.COMPRESSED_RGBA_S3TC_DXT5_EXT]: [4, 4, 16],
+    [F.COMPRESSED_SRGB_S3TC_DXT1_EXT]: [4, 4, 8],
+    [F.COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT]: [4, 4, 8],
+    [F.COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT]: [4, 4, 16],
+    [F.COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT]: [4, 4, 16],
+    [F.COMPRESSED_R11_EAC]: [4, 4, 8],
+    [F.COMPRESSED_SIGNED_R11_EAC]: [4, 4, 8],
+    [F.COMPRESSED_RG11_EAC]: [4, 4, 16],
+    [F.COMPRESSED_SIGNED_RG11_EAC]: [4, 4, 16],
+    [F.COMPRESSED_RGB8_ETC2]: [4, 4, 8],
+    [F.COMPRESSED_SRGB8_ETC2]: [4, 4, 8],
+    [F.COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2]: [4, 4, 8],
+    [F.COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2]: [4, 4, 8],
+    [F.COMPRESSED_RGBA8_ETC2_EAC]: [4, 4, 16],
+    [F.COMPRESSED_SRGB8_ALPHA8_ETC2_EAC]: [4, 4, 16],
+    [F.COMPRESSED_RGB_ETC1_WEBGL]: [4, 4, 8],
+    [F.COMPRESSED_RGBA_ASTC_4X4_KHR]: [4, 4, 16],
+    [F.COMPRESSED_RGBA_ASTC_5X4_KHR]: [5, 4, 16],
+    [F.COMPRESSED_RGBA_ASTC_5X5_KHR]: [5, 5, 16],
+    [F.COMPRESSED_RGBA_ASTC_6X5_KHR]: [6, 5, 16],
+    [F.COMPRESSED_RGBA_ASTC_6X6_KHR]: [6, 6, 16],
+    [F.COMPRESSED_RGBA_ASTC_8X5_KHR]: [8, 5, 16],
+    [F.COMPRESSED_RGBA_ASTC_8X6_KHR]: [8, 6, 16],
+    [F.COMPRESSED_RGBA_ASTC_8X8_KHR]: [8, 8, 16],
+    [F.COMPRESSED_RGBA_ASTC_10X5_KHR]: [10, 5, 16],
+    [F.COMPRESSED_RGBA_ASTC_10X6_KHR]: [10, 6, 16],
+    [F.COMPRESSED_RGBA_ASTC_10X8_KHR]: [10, 8, 16],
+    [F.COMPRESSED_RGBA_ASTC_10X10_KHR]: [10, 10, 16],
+    [F.COMPRESSED_RGBA_ASTC_12X10_KHR]: [12, 10, 16],
+    [F.COMPRESSED_RGBA_ASTC_12X12_KHR]: [12, 12, 16],
+    [F.COMPRESSED_RGBA_BPTC_UNORM_EXT]: [4, 4, 16],
+    [F.COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT]: [4, 4, 16],
+    [F.COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT]: [4, 4, 16],
+    [F.COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT]: [4, 4, 16],
+};
+
+/**
+ * Bits per pixel of the PVRTC formats, which have a minimum size rather than blocks.
+ *
+ * @ignore
+ * @private
+ */
+const PVRTC_BITS = {
+    [F.COMPRESSED_RGB_PVRTC_4BPPV1_IMG]: 4,
+    [F.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG]: 4,
+    [F.COMPRESSED_RGB_PVRTC_2BPPV1_IMG]: 2,
+    [F.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG]: 2,
+};
+
+/**
+ * Formats of the `DXT1`, `DXT3` and `DXT5` DDS four character codes, by code.
+ *
+ * @ignore
+ * @private
+ */
+const DDS_FOURCC = {
+    0x31545844: F.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    0x33545844: F.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    0x35545844: F.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+};
+
+/**
+ * Formats of the DXGI formats of DDS files with the `DX10` header.
+ *
+ * @ignore
+ * @private
+ */
+const DDS_DXGI = {
+    71: F.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    72: F.COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT,
+    74: F.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    75: F.COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT,
+    77: F.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    78: F.COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT,
+    95: F.COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT,
+    96: F.COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT,
+    98: F.COMPRESSED_RGBA_BPTC_UNORM_EXT,
+    99: F.COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT,
+};
+
+/**
+ * Identifier at the start of KTX files.
+ *
+ * @ignore
+ * @private
+ */
+const KTX_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Targets of the Basis Universal transcoder, by order of preference: the extension
+ * needed, the transcoder format and the GL format, for opaque and for transparent images.
+ *
+ * @ignore
+ * @private
+ */
+const BASIS_TARGETS = [
+    ['astc', 10, F.COMPRESSED_RGBA_ASTC_4X4_KHR, 10, F.COMPRESSED_RGBA_ASTC_4X4_KHR],
+    ['bptc', 6, F.COMPRESSED_RGBA_BPTC_UNORM_EXT, 7, F.COMPRESSED_RGBA_BPTC_UNORM_EXT],
+    ['s3tc', 2, F.COMPRESSED_RGB_S3TC_DXT1_EXT, 3, F.COMPRESSED_RGBA_S3TC_DXT5_EXT],
+    ['etc', 0, F.COMPRESSED_RGB8_ETC2, 1, F.COMPRESSED_RGBA8_ETC2_EAC],
+    ['pvrtc', 8, F.COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 9, F.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG],
+    ['etc1', 0, F.COMPRESSED_RGB_ETC1_WEBGL, -1, 0],
+];
+
+/**
+ * Resource for GPU compressed textures, uploaded as they are with `compressedTexImage2D`.
+ * Use {@link PIXI.resources.CompressedTextureResource.fromKTX},
+ * {@link PIXI.resources.CompressedTextureResource.fromDDS} and
+ * {@link PIXI.resources.CompressedTextureResource.fromBasis} to read texture files,
+ * or {@link PIXI.CompressedTextureLoader} to load them.
+ *
+ * The renderer must support the format, see {@link PIXI.resources.CompressedTextureResource.getExtensions}.
+ * Compressed data can't be premultiplied when uploaded, so base textures of non premultiplied data
+ * should use `PIXI.ALPHA_MODES.NO_PREMULTIPLIED_ALPHA`. Mipmaps can't be generated either,
+ * they are used when the data has all the levels.
+ *
+ * @class
+ * @extends PIXI.resources.Resource
+ * @memberof PIXI.resources
+ */
+export class CompressedTextureResource extends Resource
+{
+    /**
+     * @param {ArrayBufferView|ArrayBufferView[]} source - The compressed data, or the data of each mipmap level,
+     *  from the largest.
+     * @param {object} options - Options
+     * @param {number} options.format - The compressed format, see {@link PIXI.INTERNAL_FORMATS}
+     * @param {number} options.width - Width of the texture
+     * @param {number} options.height - Height of the texture
+     */
+    constructor(source, options)
+    {
+        const { format, width, height } = options || {};
+
+        if (!width || !height)
+        {
+            throw new Error('CompressedTextureResource width or height invalid');
+        }
+
+        super(width, height);
+
+        /**
+         * The compressed format, see {@link PIXI.INTERNAL_FORMATS}.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.format = format;
+
+        /**
+         * The mipmap levels, from the largest.
+         *
+         * @member {Array<{width: number, height: number, data: ArrayBufferView}>}
+         * @readonly
+         */
+        this.levels = (Array.isArray(source) ? source : [source]).map((data, level) => ({
+            width: Math.max(1, width >> level),
+            height: Math.max(1, height >> level),
+            data,
+        }));
+    }
+
+    /**
+     * Upload the texture to the GPU.
+     * @param {PIXI.Renderer} renderer Upload to the renderer
+     * @param {PIXI.BaseTexture} baseTexture Reference to parent texture
+     * @param {PIXI.GLTexture} glTexture glTexture
+     * @returns {boolean} true is success
+     */
+    upload(renderer, baseTexture, glTexture)
+    {
+        const gl = renderer.gl;
+
+        for (let i = 0; i < this.levels.length; i++)
+        {
+            const { width, height, data } = this.levels[i];
+
+            gl.compressedTexImage2D(baseTexture.target, i, this.format, width, height, 0, data);
+        }
+
+        glTexture.width = this.levels[0].width;
+        glTexture.height = this.levels[0].height;
+
+        return true;
+    }
+
+    /**
+     * Sets the style of the texture, using the mipmap levels of the data instead of generating them.
+     * @param {PIXI.Renderer} renderer - The renderer
+     * @param {PIXI.BaseTexture} baseTexture - The texture
+     * @param {PIXI.GLTexture} glTexture - Texture instance for this webgl context
+     * @returns {boolean} `true` is success
+     */
+    style(renderer, baseTexture, glTexture)
+    {
+        const gl = renderer.gl;
+        const target = baseTexture.target;
+        const linear = !!baseTexture.scaleMode;
+        const { width, height } = this.levels[0];
+
+        // incomplete mipmaps would make the texture incomplete,
+        // the texture system already turned mipmaps off where they are not supported
+        const complete = this.levels.length > Math.log2(Math.max(width, height));
+
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, glTexture.wrapMode);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, glTexture.wrapMode);
+
+        if (complete && glTexture.mipmap)
+        {
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, linear ? gl.LINEAR_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST);
+        }
+        else
+        {
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, linear ? gl.LINEAR : gl.NEAREST);
+        }
+
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, linear ? gl.LINEAR : gl.NEAREST);
+
+        return true;
+    }
+
+    /**
+     * Destroy and don't use after this
+     * @override
+     */
+    dispose()
+    {
+        this.levels = null;
+    }
+
+    /**
+     * The number of bytes of a mipmap level of compressed data.
+     *
+     * @static
+     * @param {number} format - The compressed format, see {@link PIXI.INTERNAL_FORMATS}
+     * @param {number} width - Width of the level
+     * @param {number} height - Height of the level
+     * @return {number} The size, 0 for unknown formats.
+     */
+    static levelSize(format, width, height)
+    {
+        const bits = PVRTC_BITS[format];
+
+        if (bits)
+        {
+            return Math.max(width, bits === 4 ? 8 : 16) * Math.max(height, 8) * bits / 8;
+        }
+
+        const block = BLOCKS[format];
+
+        if (!block)
+        {
+            return 0;
+        }
+
+        return Math.ceil(width / block[0]) * Math.ceil(height / block[1]) * block[2];
+    }
+
+    /**
+     * Reads a KTX file with compressed data, including its mipmap levels.
+     * Cube maps, arrays and uncompressed data are not supported.
+     *
+     * @static
+     * @param {ArrayBuffer} buffer - The content of the file.
+     * @return {PIXI.resources.CompressedTextureResource} The resource.
+     */
+    static fromKTX(buffer)
+    {
+        const bytes = new Uint8Array(buffer);
+
+        if (KTX_IDENTIFIER.some((value, i) => bytes[i] !== value))
+        {
+            throw new Error('Invalid KTX identifier');
+        }
+
+        const view = new DataView(buffer);
+        const littleEndian = view.getUint32(12, true) === 0x04030201;
+        const field = (index) => view.getUint32(16 + (index * 4), littleEndian);
+
+        const glType = field(0);
+        const format = field(3);
+        const width = field(5);
+        const height = field(6);
+        const depth = field(7);
+        const arrayElements = field(8);
+        const faces = field(9);
+        const levelCount = field(10) || 1;
+        const keyValueBytes = field(11);
+
+        if (glType !== 0)
+        {
+            throw new Error('Uncompressed KTX textures are not supported');
+        }
+
+        if (depth > 1 || arrayElements > 0 || faces !== 1)
+        {
+            throw new Error('Only 2D KTX textures are supported');
+        }
+
+        const levels = [];
+        let offset = 64 + keyValueBytes;
+
+        for (let i = 0; i < levelCount; i++)
+        {
+            const size = view.getUint32(offset, littleEndian);
+
+            levels.push(new Uint8Array(buffer, offset + 4, size));
+
+            // levels are aligned to 4 bytes
+            offset += 4 + (Math.ceil(size / 4) * 4);
+        }
+
+        return new CompressedTextureResource(levels, { format, width, height });
+    }
+
+    /**
+     * Reads a DDS file with S3TC (DXT1, DXT3, DXT5) or BPTC (BC6H, BC7) data, including its mipmap levels.
+     * Cube maps and uncompressed data are not supported.
+     *
+     * @static
+     * @param {ArrayBuffer} buffer - The content of the file.
+     * @return {PIXI.resources.CompressedTextureResource} The resource.
+     */
+    static fromDDS(buffer)
+    {
+        const view = new DataView(buffer);
+
+        // "DDS "
+        if (view.getUint32(0, true) !== 0x20534444)
+        {
+            throw new Error('Invalid DDS identifier');
+        }
+
+        const height = view.getUint32(12, true);
+        const width = view.getUint32(16, true);
+        const flags = view.getUint32(8, true);
+        const fourCC = view.getUint32(84, true);
+        const cubemap = view.getUint32(112, true) & 0x200;
+        const levelCount = (flags & 0x20000 ? view.getUint32(28, true) : 0) || 1;
+        let format = DDS_FOURCC[fourCC];
+        let offset = 128;
+
+        // "DX10", the format is in the extended header
+        if (fourCC === 0x30315844)
+        {
+            format = DDS_DXGI[view.getUint32(128, true)];
+            offset += 20;
+        }
+
+        if (!format)
+        {
+            throw new Error('Unsupported DDS format');
+        }
+
+        if (cubemap)
+        {
+            throw new Error('Only 2D DDS textures are supported');
+        }
+
+        const levels = [];
+
+        for (let i = 0; i < levelCount; i++)
+        {
+            const size = CompressedTextureResource.levelSize(format, Math.max(1, width >> i), Math.max(1, height >> i));
+
+            levels.push(new Uint8Array(buffer, offset, size));
+            offset += size;
+        }
+
+        return new CompressedTextureResource(levels, { format, width, height });
+    }
+
+    /**
+     * Transcodes a Basis Universal file to the best compressed format of the extensions,
+     * or to uncompressed RGBA data when none is supported.
+     *
+     * The transcoder is not included in PixiJS, it is the `BASIS` module of
+     * [basis_transcoder.js]{@link https://github.com/BinomialLLC/basis_universal/tree/master/webgl/transcoder},
+     * once initialized.
+     *
+     * @static
+     * @param {ArrayBuffer} buffer - The content of the file.
+     * @param {object} basis - The initialized Basis Universal transcoder module.
+     * @param {object} extensions - The supported extensions, see
+     *  {@link PIXI.resources.CompressedTextureResource.getExtensions}.
+     * @return {PIXI.resources.CompressedTextureResource|PIXI.resources.BufferResource} The resource.
+     */
+    static fromBasis(buffer, basis, extensions)
+    {
+        const file = new basis.BasisFile(new Uint8Array(buffer));
+
+        try
+        {
+            const width = file.getImageWidth(0, 0);
+            const height = file.getImageHeight(0, 0);
+            const alpha = file.getHasAlpha();
+            const target = BASIS_TARGETS.find((target) => extensions[target[0]] && (!alpha || target[3] >= 0));
+
+            if (!file.startTranscoding())
+            {
+                throw new Error('Failed to transcode Basis file');
+            }
+
+            // uncompressed RGBA data, without mipmaps
+            const transcoderFormat = target ? target[alpha ? 3 : 1] : 13;
+            const levelCount = target ? file.getNumLevels(0) : 1;
+            const levels = [];
+
+            for (let i = 0; i < levelCount; i++)
+            {
+                const data = new Uint8Array(file.getImageTranscodedSizeInBytes(0, i, transcoderFormat));
+
+                if (!file.transcodeImage(data, 0, i, transcoderFormat, 0, 0))
+                {
+                    throw new Error('Failed to transcode Basis file');
+                }
+
+                levels.push(data);
+            }
+
+            if (!target)
+            {
+                return new BufferResource(levels[0], { width, height });
+            }
+
+            return new CompressedTextureResource(levels, { format: target[alpha ? 4 : 2], width, height });
+        }
+        finally
+        {
+            file.close();
+            file.delete();
+        }
+    }
+
+    /**
+     * Enables the compressed texture extensions of a context.
+     * The renderer enables them in {@link PIXI.systems.ContextSystem#extensions}.
+     *
+     * @static
+     * @param {WebGLRenderingContext} gl - The context.
+     * @return {object} The extensions, by format: `s3tc`, `s3tcSRGB`, `etc`, `etc1`, `pvrtc`, `astc`
+     *  and `bptc`, `null` when not supported.
+     */
+    static getExtensions(gl)
+    {
+        return {
+            s3tc: gl.getExtension('WEBGL_compressed_texture_s3tc')
+                || gl.getExtension('WEBKIT_WEBGL_compressed_texture_s3tc'),
+            s3tcSRGB: gl.getExtension('WEBGL_compressed_texture_s3tc_srgb'),
+            etc: gl.getExtension('WEBGL_compressed_texture_etc'),
+            etc1: gl.getExtension('WEBGL_compressed_texture_etc1'),
+            pvrtc: gl.getExtension('WEBGL_compressed_texture_pvrtc')
+                || gl.getExtension('WEBKIT_WEBGL_compressed_texture_pvrtc'),
+            astc: gl.getExtension('WEBGL_compressed_texture_astc'),
+            bptc: gl.getExtension('EXT_texture_compression_bptc'),
+        };
+    }
+}
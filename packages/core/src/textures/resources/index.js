@@ -3,6 +3,7 @@ import { ArrayResource } from './ArrayResource';
 import { BufferResource } from './BufferResource';
 import { CanvasResource } from './CanvasResource';
 import { CubeResource } from './CubeResource';
+import { CompressedTextureResource } from './CompressedTextureResource';
 import { ImageResource } from './ImageResource';
 import { SVGResource } from './SVGResource';
 import { VideoResource } from './VideoResource';
@@ -39,6 +40,7 @@ export {
     ArrayResource,
     BufferResource,
     CanvasResource,
+    CompressedTextureResource,
     CubeResource,
     ImageResource,
     ImageBitmapResource,
@@ -0,0 +1,200 @@
+const { resources, BaseTexture } = require('../');
+const { INTERNAL_FORMATS } = require('@pixi/constants');
+const { CompressedTextureResource, BufferResource } = resources;
+
+function createKTX(format, width, height, levelSizes)
+{
+    const size = 64 + levelSizes.reduce((sum, size) => sum + 4 + (Math.ceil(size / 4) * 4), 0);
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const header = [0, 1, 0, format, 0, width, height, 0, 0, 1, levelSizes.length, 0];
+
+    [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A].forEach((value, i) =>
+    {
+        view.setUint8(i, value);
+    });
+    view.setUint32(12, 0x04030201, true);
+    header.forEach((value, i) => view.setUint32(16 + (i * 4), value, true));
+
+    let offset = 64;
+
+    levelSizes.forEach((levelSize) =>
+    {
+        view.setUint32(offset, levelSize, true);
+        offset += 4 + (Math.ceil(levelSize / 4) * 4);
+    });
+
+    return buffer;
+}
+
+function createDDS(fourCC, width, height, levelCount, dataSize)
+{
+    const buffer = new ArrayBuffer(128 + dataSize);
+    const view = new DataView(buffer);
+
+    view.setUint32(0, 0x20534444, true);
+    view.setUint32(8, 0x20000, true);
+    view.setUint32(12, height, true);
+    view.setUint32(16, width, true);
+    view.setUint32(28, levelCount, true);
+    view.setUint32(84, fourCC, true);
+
+    return buffer;
+}
+
+function createBasis(transcoded, hasAlpha)
+{
+    return {
+        BasisFile: class
+        {
+            getImageWidth() { return 8; }
+            getImageHeight() { return 8; }
+            getHasAlpha() { return hasAlpha; }
+            getNumLevels() { return 2; }
+            startTranscoding() { return true; }
+            getImageTranscodedSizeInBytes(image, level) { return level ? 16 : 64; }
+            transcodeImage(data, image, level, format)
+            {
+                transcoded.push(format);
+
+                return true;
+            }
+            close() { /* nothing to release */ }
+            delete() { /* nothing to release */ }
+        },
+    };
+}
+
+describe('PIXI.resources.CompressedTextureResource', function ()
+{
+    it('should compute the size of mipmap levels', function ()
+    {
+        const { levelSize } = CompressedTextureResource;
+
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGB_S3TC_DXT1_EXT, 16, 16)).to.equal(128);
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGBA_S3TC_DXT5_EXT, 16, 16)).to.equal(256);
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGBA_S3TC_DXT5_EXT, 1, 1)).to.equal(16);
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGBA_ASTC_8X8_KHR, 10, 10)).to.equal(64);
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG, 4, 4)).to.equal(32);
+        expect(levelSize(INTERNAL_FORMATS.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, 4, 4)).to.equal(32);
+        expect(levelSize(0, 4, 4)).to.equal(0);
+    });
+
+    it('should read KTX files', function ()
+    {
+        const format = INTERNAL_FORMATS.COMPRESSED_RGB_ETC1_WEBGL;
+        const resource = CompressedTextureResource.fromKTX(createKTX(format, 8, 8, [32, 8, 8, 8]));
+
+        expect(resource.format).to.equal(format);
+        expect(resource.width).to.equal(8);
+        expect(resource.height).to.equal(8);
+        expect(resource.levels.map((level) => level.width)).to.deep.equal([8, 4, 2, 1]);
+        expect(resource.levels.map((level) => level.data.byteLength)).to.deep.equal([32, 8, 8, 8]);
+        expect(resource.levels[1].data.byteOffset).to.equal(64 + 36 + 4);
+
+        resource.destroy();
+    });
+
+    it('should reject invalid KTX files', function ()
+    {
+        const buffer = createKTX(INTERNAL_FORMATS.COMPRESSED_RGB_ETC1_WEBGL, 8, 8, [32]);
+
+        // uncompressed
+        new DataView(buffer).setUint32(16, 5121, true);
+        expect(() => CompressedTextureResource.fromKTX(buffer)).to.throw(Error, /uncompressed/i);
+        expect(() => CompressedTextureResource.fromKTX(new ArrayBuffer(64))).to.throw(Error, /identifier/i);
+    });
+
+    it('should read DDS files', function ()
+    {
+        // DXT5
+        const resource = CompressedTextureResource.fromDDS(createDDS(0x35545844, 16, 8, 3, 128 + 32 + 16));
+
+        expect(resource.format).to.equal(INTERNAL_FORMATS.COMPRESSED_RGBA_S3TC_DXT5_EXT);
+        expect(resource.levels.map((level) => [level.width, level.height])).to.deep.equal([[16, 8], [8, 4], [4, 2]]);
+        expect(resource.levels.map((level) => level.data.byteLength)).to.deep.equal([128, 32, 16]);
+        expect(resource.levels[2].data.byteOffset).to.equal(128 + 128 + 32);
+
+        resource.destroy();
+
+        expect(() => CompressedTextureResource.fromDDS(createDDS(0x12345678, 4, 4, 1, 16)))
+            .to.throw(Error, /unsupported/i);
+    });
+
+    it('should transcode Basis files to the best supported format', function ()
+    {
+        const transcoded = [];
+        const basis = createBasis(transcoded, true);
+
+        let resource = CompressedTextureResource.fromBasis(new ArrayBuffer(0), basis, { etc1: {}, s3tc: {} });
+
+        // etc1 has no alpha
+        expect(resource.format).to.equal(INTERNAL_FORMATS.COMPRESSED_RGBA_S3TC_DXT5_EXT);
+        expect(resource.levels).to.have.lengthOf(2);
+        expect(transcoded).to.deep.equal([3, 3]);
+
+        resource = CompressedTextureResource.fromBasis(new ArrayBuffer(0), basis, {});
+
+        expect(resource).to.be.an.instanceof(BufferResource);
+        expect(transcoded.slice(2)).to.deep.equal([13]);
+    });
+
+    it('should transcode Basis files with alpha to BPTC with alpha', function ()
+    {
+        const transcoded = [];
+        const opaque = CompressedTextureResource.fromBasis(new ArrayBuffer(0), createBasis(transcoded, false), { bptc: {} });
+        const alpha = CompressedTextureResource.fromBasis(new ArrayBuffer(0), createBasis(transcoded, true), { bptc: {} });
+
+        expect(opaque.format).to.equal(INTERNAL_FORMATS.COMPRESSED_RGBA_BPTC_UNORM_EXT);
+        expect(alpha.format).to.equal(INTERNAL_FORMATS.COMPRESSED_RGBA_BPTC_UNORM_EXT);
+        expect(transcoded).to.deep.equal([6, 6, 7, 7]);
+
+        opaque.destroy();
+        alpha.destroy();
+    });
+
+    it('should only use the mipmap levels where the texture system allows mipmaps', function ()
+    {
+        const gl = {
+            TEXTURE_WRAP_S: 1,
+            TEXTURE_WRAP_T: 2,
+            TEXTURE_MIN_FILTER: 3,
+            TEXTURE_MAG_FILTER: 4,
+            LINEAR: 5,
+            LINEAR_MIPMAP_LINEAR: 6,
+            texParameteri: sinon.spy(),
+        };
+        // a complete chain of a texture that is not a power of two
+        const resource = new CompressedTextureResource([new Uint8Array(8), new Uint8Array(8)], {
+            format: INTERNAL_FORMATS.COMPRESSED_RGB_S3TC_DXT1_EXT,
+            width: 3,
+            height: 2,
+        });
+        const baseTexture = { target: 0, scaleMode: 1 };
+
+        resource.style({ gl }, baseTexture, { wrapMode: 0, mipmap: false });
+
+        expect(gl.texParameteri).to.have.been.calledWith(0, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+
+        resource.style({ gl }, baseTexture, { wrapMode: 0, mipmap: true });
+
+        expect(gl.texParameteri).to.have.been.calledWith(0, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+
+        resource.destroy();
+    });
+
+    it('should be used by base textures', function ()
+    {
+        const resource = new CompressedTextureResource(new Uint8Array(8), {
+            format: INTERNAL_FORMATS.COMPRESSED_RGB_S3TC_DXT1_EXT,
+            width: 4,
+            height: 4,
+        });
+        const baseTexture = new BaseTexture(resource);
+
+        expect(baseTexture.valid).to.be.true;
+        expect(baseTexture.width).to.equal(4);
+
+        baseTexture.destroy();
+    });
+});
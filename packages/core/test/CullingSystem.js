@@ -0,0 +1,88 @@
+const { Rectangle, Matrix } = require('@pixi/math');
+const { Renderer, RenderTexture } = require('../');
+
+describe('PIXI.systems.CullingSystem', function ()
+{
+    function displayObject(x, y, width, height)
+    {
+        return {
+            cullArea: null,
+            worldTransform: new Matrix(),
+            getBounds() { return new Rectangle(x, y, width, height); },
+        };
+    }
+
+    before(function ()
+    {
+        this.renderer = new Renderer({ width: 100, height: 100 });
+    });
+
+    after(function ()
+    {
+        this.renderer.destroy();
+        this.renderer = null;
+    });
+
+    beforeEach(function ()
+    {
+        this.renderer.culling.prerender();
+        this.renderer.renderTexture.bind(null);
+    });
+
+    it('should cull objects outside of the screen', function ()
+    {
+        const { culling } = this.renderer;
+
+        expect(culling.cull(displayObject(10, 10, 20, 20))).to.be.false;
+        expect(culling.cull(displayObject(-10, 90, 20, 20))).to.be.false;
+        expect(culling.cull(displayObject(100, 10, 20, 20))).to.be.true;
+        expect(culling.cull(displayObject(10, -20, 20, 20))).to.be.true;
+        expect(culling.tested).to.equal(4);
+        expect(culling.culled).to.equal(2);
+
+        culling.prerender();
+
+        expect(culling.tested).to.equal(0);
+        expect(culling.culled).to.equal(0);
+    });
+
+    it('should use the cull area instead of the bounds', function ()
+    {
+        const { culling } = this.renderer;
+        const object = displayObject(10, 10, 20, 20);
+
+        object.cullArea = new Rectangle(0, 0, 10, 10);
+        object.worldTransform.translate(120, 0);
+
+        expect(culling.cull(object)).to.be.true;
+
+        object.worldTransform.set(0, 1, -1, 0, 105, 0);
+
+        expect(culling.cull(object)).to.be.false;
+    });
+
+    it('should cull against the frame of render textures', function ()
+    {
+        const { culling } = this.renderer;
+        const renderTexture = RenderTexture.create({ width: 200, height: 200 });
+
+        this.renderer.renderTexture.bind(renderTexture);
+
+        expect(culling.cull(displayObject(150, 150, 20, 20))).to.be.false;
+        expect(culling.cull(displayObject(250, 150, 20, 20))).to.be.true;
+
+        renderTexture.destroy(true);
+    });
+
+    it('should respect the projection transform', function ()
+    {
+        const { culling } = this.renderer;
+
+        this.renderer.projection.transform = new Matrix().translate(-100, 0);
+
+        expect(culling.cull(displayObject(10, 10, 20, 20))).to.be.true;
+        expect(culling.cull(displayObject(110, 10, 20, 20))).to.be.false;
+
+        this.renderer.projection.transform = null;
+    });
+});
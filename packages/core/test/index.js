@@ -5,6 +5,7 @@ require('./MaskSystem');
 require('./TextureSystem');
 require('./ShaderSystem');
 require('./FilterSystem');
+require('./CullingSystem');
 require('./BatchRenderer');
 require('./Geometry');
 require('./CanvasResource');
@@ -15,3 +16,4 @@ require('./VideoResource');
 require('./ArrayResource');
 require('./autoDetectResource');
 require('./CubeResource');
+require('./CompressedTextureResource');
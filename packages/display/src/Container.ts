@@ -504,6 +504,12 @@ export class Container extends DisplayObject
             return;
         }
 
+        // skip off-screen subtrees
+        if (this.cullable && renderer.culling.cull(this))
+        {
+            return;
+        }
+
         // do a quick check to see if this element has a mask or a filter.
         if (this._mask || (this.filters && this.filters.length))
         {
@@ -516,7 +522,13 @@ export class Container extends DisplayObject
             // simple render children!
             for (let i = 0, j = this.children.length; i < j; ++i)
             {
-                this.children[i].render(renderer);
+                const child = this.children[i];
+
+                // members of layers are rendered by their layer
+                if (!child.parentLayer)
+                {
+                    child.render(renderer);
+                }
             }
         }
     }
@@ -569,7 +581,12 @@ export class Container extends DisplayObject
         // now loop through the children and make sure they get rendered
         for (let i = 0, j = this.children.length; i < j; i++)
         {
-            this.children[i].render(renderer);
+            const child = this.children[i];
+
+            if (!child.parentLayer)
+            {
+                child.render(renderer);
+            }
         }
 
         renderer.batch.flush();
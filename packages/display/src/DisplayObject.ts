@@ -3,6 +3,7 @@ import { DEG_TO_RAD, IPoint, Matrix, ObservablePoint, Point, RAD_TO_DEG, Rectang
 import { EventEmitter } from '@pixi/utils';
 import { Container } from './Container';
 import { Bounds } from './Bounds';
+import { Layer } from './Layer';
 
 export interface IDestroyOptions {
     children?: boolean;
@@ -31,6 +32,8 @@ export abstract class DisplayObject extends EventEmitter
     public alpha: number;
     public visible: boolean;
     public renderable: boolean;
+    public cullable: boolean;
+    public cullArea: Rectangle;
     public filterArea: Rectangle;
     public filters: Filter[];
     public isSprite: boolean;
@@ -40,6 +43,7 @@ export abstract class DisplayObject extends EventEmitter
     public _bounds: Bounds;
 
     protected _zIndex: number;
+    protected _parentLayer: Layer;
     protected _enabledFilters: Filter[];
     protected _boundsID: number;
     protected _boundsRect: Rectangle;
@@ -158,6 +162,33 @@ export abstract class DisplayObject extends EventEmitter
          */
         this.filterArea = null;
 
+        /**
+         * 是否在对象不可见时跳过渲染它及其子级（裁剪）。
+         *
+         * 渲染器将对象的边界与可见区域（屏幕，或渲染纹理的帧）进行比较，参阅 {@link PIXI.systems.CullingSystem}。
+         * 计算边界需要遍历子级，对于大型子树，设置 {@link PIXI.DisplayObject#cullArea} 会更快。
+         *
+         * @member {boolean}
+         * @default false
+         */
+        this.cullable = false;
+
+        /**
+         * 裁剪时使用的局部区域，代替对象的边界。
+         *
+         * @member {?PIXI.Rectangle}
+         * @default null
+         */
+        this.cullArea = null;
+
+        /**
+         * 渲染此对象的图层。
+         *
+         * @member {PIXI.Layer}
+         * @protected
+         */
+        this._parentLayer = null;
+
         /**
          * 设置displayObject的滤镜。
          * * 重要提示：这是一个WebGL独有的功能，将被画布渲染器忽略。
@@ -519,7 +550,9 @@ export abstract class DisplayObject extends EventEmitter
 
         this.filters = null;
         this.filterArea = null;
+        this.cullArea = null;
         this.hitArea = null;
+        this.parentLayer = null;
 
         this.interactive = false;
         this.interactiveChildren = false;
@@ -713,6 +746,47 @@ export abstract class DisplayObject extends EventEmitter
         }
     }
 
+    /**
+     * 渲染此对象的图层。设置后，父级不再渲染此对象，而是由图层在其所在的位置渲染，
+     * 对象仍然继承父级的变换。父级的遮罩和滤镜不再应用于此对象。
+     *
+     * ```js
+     * const nameplates = new PIXI.Layer();
+     *
+     * stage.addChild(terrain, nameplates);
+     * character.addChild(nameplate);
+     * nameplate.parentLayer = nameplates;
+     * ```
+     *
+     * @member {PIXI.Layer}
+     */
+    get parentLayer(): Layer
+    {
+        return this._parentLayer;
+    }
+
+    set parentLayer(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._parentLayer === value)
+        {
+            return;
+        }
+
+        if (this._parentLayer)
+        {
+            const members = this._parentLayer.members;
+
+            members.splice(members.indexOf(this), 1);
+        }
+
+        this._parentLayer = value;
+
+        if (value)
+        {
+            value.members.push(this);
+        }
+    }
+
     /**
      * 指示对象是否世界可见。
      *
@@ -0,0 +1,287 @@
+import { Renderer, RenderTexture } from '@pixi/core';
+import { Container } from './Container';
+import { DisplayObject, IDestroyOptions } from './DisplayObject';
+
+export type LayerSortFunction = (a: DisplayObject, b: DisplayObject) => number;
+
+function sortByZIndex(a: DisplayObject, b: DisplayObject): number
+{
+    if (a.zIndex === b.zIndex)
+    {
+        return a._lastSortedIndex - b._lastSortedIndex;
+    }
+
+    return a.zIndex - b.zIndex;
+}
+
+function sortByY(a: DisplayObject, b: DisplayObject): number
+{
+    const ay = a.transform.worldTransform.ty;
+    const by = b.transform.worldTransform.ty;
+
+    if (ay === by)
+    {
+        return a._lastSortedIndex - b._lastSortedIndex;
+    }
+
+    return ay - by;
+}
+
+/**
+ * 获取对象所在的树的根对象。
+ *
+ * @ignore
+ * @private
+ * @param {PIXI.DisplayObject} object - 对象
+ * @return {PIXI.DisplayObject} 根对象
+ */
+function rootOf(object: DisplayObject): DisplayObject
+{
+    while (object.parent)
+    {
+        object = object.parent;
+    }
+
+    return object;
+}
+
+/**
+ * 对象是否和根对象一起渲染: 它在根对象的树中，并且所有祖先都可见。
+ *
+ * @ignore
+ * @private
+ * @param {PIXI.DisplayObject} object - 对象
+ * @param {PIXI.DisplayObject} root - 根对象
+ * @return {boolean} 是否渲染
+ */
+function isRenderedWith(object: DisplayObject, root: DisplayObject): boolean
+{
+    let parent = object.parent;
+
+    while (parent)
+    {
+        // the transforms of hidden subtrees are not updated
+        if (!parent.visible || !parent.renderable)
+        {
+            return false;
+        }
+
+        object = parent;
+        parent = parent.parent;
+    }
+
+    return object === root;
+}
+
+/**
+ * 图层渲染场景中其他位置的对象，使渲染顺序与场景层级无关。
+ *
+ * 对象通过 {@link PIXI.DisplayObject#parentLayer} 加入图层，成为图层的成员: 父级不再渲染它，
+ * 而是由图层在其在场景中的位置渲染，对象仍然继承父级的变换。例如，角色的名牌可以渲染在所有地形之上:
+ *
+ * ```js
+ * const nameplates = new PIXI.Layer();
+ *
+ * stage.addChild(terrain, nameplates);
+ * character.addChild(nameplate);
+ * nameplate.parentLayer = nameplates;
+ * ```
+ *
+ * 成员在图层的子级之前渲染，只有在和图层同一棵树中，并且所有祖先都可见时才渲染。
+ * 父级的遮罩和滤镜不应用于成员，图层自己的遮罩和滤镜会应用于成员。
+ *
+ * 设置 {@link PIXI.Layer#renderTexture} 时，图层渲染到纹理而不是屏幕，以便进行后期处理，
+ * 例如用带有滤镜的精灵显示纹理。
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export class Layer extends Container
+{
+    public readonly members: DisplayObject[];
+    public sortMode: string|LayerSortFunction;
+    public renderTexture: RenderTexture;
+    public clearColor: number[];
+
+    protected _activeMembers: DisplayObject[];
+
+    constructor()
+    {
+        super();
+
+        /**
+         * 图层的成员，按加入的顺序排列。通过 {@link PIXI.DisplayObject#parentLayer} 添加和删除成员。
+         *
+         * @member {PIXI.DisplayObject[]}
+         * @readonly
+         */
+        this.members = [];
+
+        /**
+         * 成员的排序方式: `null` 按加入的顺序，`'zIndex'` 按 {@link PIXI.DisplayObject#zIndex}，
+         * `'y'` 按世界坐标中的y坐标，使下方的对象渲染在上方的对象之上，或者比较两个成员的函数。
+         *
+         * @member {string|Function}
+         * @default null
+         */
+        this.sortMode = null;
+
+        /**
+         * 渲染图层的纹理，`null` 时渲染到屏幕。纹理通常和屏幕一样大，每次渲染前清除。
+         * 显示纹理的对象应该在图层之后渲染，否则显示的是上一帧的内容。仅WebGL渲染器支持。
+         *
+         * @member {PIXI.RenderTexture}
+         * @default null
+         */
+        this.renderTexture = null;
+
+        /**
+         * 清除渲染纹理的颜色，rgba数组，`null` 时使用纹理的清除颜色。
+         *
+         * @member {number[]}
+         * @default null
+         */
+        this.clearColor = null;
+
+        /**
+         * 本次渲染的成员，按渲染顺序排列
+         *
+         * @member {PIXI.DisplayObject[]}
+         * @protected
+         */
+        this._activeMembers = [];
+    }
+
+    /**
+     * 把对象加入图层，即设置它的 {@link PIXI.DisplayObject#parentLayer}。
+     *
+     * @param {...PIXI.DisplayObject} objects - 加入图层的对象
+     * @return {PIXI.DisplayObject} 第一个对象
+     */
+    addMember<T extends DisplayObject[]>(...objects: T): T[0]
+    {
+        for (let i = 0; i < objects.length; i++)
+        {
+            objects[i].parentLayer = this;
+        }
+
+        return objects[0];
+    }
+
+    /**
+     * 从图层中删除对象，父级重新渲染它。
+     *
+     * @param {...PIXI.DisplayObject} objects - 删除的对象
+     * @return {PIXI.DisplayObject} 第一个对象
+     */
+    removeMember<T extends DisplayObject[]>(...objects: T): T[0]
+    {
+        for (let i = 0; i < objects.length; i++)
+        {
+            if (objects[i].parentLayer === this)
+            {
+                objects[i].parentLayer = null;
+            }
+        }
+
+        return objects[0];
+    }
+
+    /**
+     * 使用WebGL渲染器渲染图层，设置渲染纹理时渲染到纹理。
+     *
+     * @param {PIXI.Renderer} renderer - 渲染器
+     */
+    render(renderer: Renderer): void
+    {
+        const renderTexture = this.renderTexture;
+
+        if (!renderTexture)
+        {
+            super.render(renderer);
+
+            return;
+        }
+
+        const current = renderer.renderTexture.current;
+
+        renderer.batch.flush();
+        renderer.renderTexture.bind(renderTexture);
+        renderer.renderTexture.clear(this.clearColor);
+
+        super.render(renderer);
+
+        renderer.batch.flush();
+        renderer.renderTexture.bind(current, current ? current.filterFrame : null);
+    }
+
+    /**
+     * 更新本次渲染的成员并排序。
+     *
+     * @protected
+     * @return {PIXI.DisplayObject[]} 本次渲染的成员，按渲染顺序排列
+     */
+    protected updateActiveMembers(): DisplayObject[]
+    {
+        const members = this.members;
+        const active = this._activeMembers;
+        const root = rootOf(this);
+
+        active.length = 0;
+
+        for (let i = 0; i < members.length; i++)
+        {
+            if (isRenderedWith(members[i], root))
+            {
+                members[i]._lastSortedIndex = active.length;
+                active.push(members[i]);
+            }
+        }
+
+        if (this.sortMode === 'zIndex')
+        {
+            active.sort(sortByZIndex);
+        }
+        else if (this.sortMode === 'y')
+        {
+            active.sort(sortByY);
+        }
+        else if (this.sortMode)
+        {
+            active.sort(this.sortMode as LayerSortFunction);
+        }
+
+        return active;
+    }
+
+    /**
+     * 渲染图层的成员。
+     *
+     * @protected
+     * @param {PIXI.Renderer} renderer - 渲染器
+     */
+    protected _render(renderer: Renderer): void
+    {
+        const active = this.updateActiveMembers();
+
+        for (let i = 0; i < active.length; i++)
+        {
+            active[i].render(renderer);
+        }
+    }
+
+    /**
+     * 销毁图层，成员重新由父级渲染。
+     *
+     * @param {object|boolean} [options] - 可选参数，参阅 {@link PIXI.Container#destroy}
+     */
+    destroy(options?: IDestroyOptions|boolean): void
+    {
+        this.removeMember(...this.members);
+        this._activeMembers = null;
+        this.renderTexture = null;
+
+        super.destroy(options);
+    }
+}
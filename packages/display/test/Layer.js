@@ -0,0 +1,224 @@
+const { Container, Layer } = require('../');
+
+describe('PIXI.Layer', function ()
+{
+    describe('members', function ()
+    {
+        it('should add and remove members with parentLayer', function ()
+        {
+            const layer = new Layer();
+            const other = new Layer();
+            const object = new Container();
+
+            object.parentLayer = layer;
+
+            expect(layer.members).to.deep.equal([object]);
+
+            object.parentLayer = other;
+
+            expect(layer.members).to.be.empty;
+            expect(other.members).to.deep.equal([object]);
+
+            object.parentLayer = null;
+
+            expect(other.members).to.be.empty;
+        });
+
+        it('should add and remove members with addMember and removeMember', function ()
+        {
+            const layer = new Layer();
+            const a = new Container();
+            const b = new Container();
+
+            expect(layer.addMember(a, b)).to.equal(a);
+            expect(a.parentLayer).to.equal(layer);
+            expect(layer.members).to.deep.equal([a, b]);
+
+            layer.removeMember(a);
+
+            expect(a.parentLayer).to.be.null;
+            expect(layer.members).to.deep.equal([b]);
+        });
+
+        it('should remove destroyed members', function ()
+        {
+            const layer = new Layer();
+            const object = new Container();
+
+            layer.addMember(object);
+            object.destroy();
+
+            expect(layer.members).to.be.empty;
+        });
+
+        it('should release the members when destroyed', function ()
+        {
+            const layer = new Layer();
+            const a = new Container();
+            const b = new Container();
+
+            layer.addMember(a, b);
+            layer.destroy();
+
+            expect(a.parentLayer).to.be.null;
+            expect(b.parentLayer).to.be.null;
+        });
+    });
+
+    describe('render', function ()
+    {
+        beforeEach(function ()
+        {
+            this.order = [];
+            this.stage = new Container();
+            this.layer = new Layer();
+            this.parent = new Container();
+            this.stage.addChild(this.parent, this.layer);
+        });
+
+        function track(test, name)
+        {
+            const object = new Container();
+
+            object._render = () => test.order.push(name);
+
+            return object;
+        }
+
+        it('should render members in their layer instead of their parent', function ()
+        {
+            const member = track(this, 'member');
+            const child = track(this, 'child');
+
+            this.parent.addChild(member);
+            this.layer.addChild(child);
+            member.parentLayer = this.layer;
+
+            this.parent.render();
+
+            expect(this.order).to.be.empty;
+
+            this.layer.render();
+
+            expect(this.order).to.deep.equal(['member', 'child']);
+        });
+
+        it('should render the children of members', function ()
+        {
+            const member = new Container();
+
+            member.addChild(track(this, 'child'));
+            this.parent.addChild(member);
+            member.parentLayer = this.layer;
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['child']);
+        });
+
+        it('should not render members with hidden ancestors', function ()
+        {
+            this.parent.addChild(track(this, 'member'));
+            this.parent.children[0].parentLayer = this.layer;
+            this.parent.visible = false;
+            this.stage.render();
+
+            expect(this.order).to.be.empty;
+
+            this.parent.visible = true;
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['member']);
+        });
+
+        it('should not render members of another tree', function ()
+        {
+            const other = new Container();
+
+            other.addChild(track(this, 'member'));
+            other.children[0].parentLayer = this.layer;
+            this.stage.render();
+
+            expect(this.order).to.be.empty;
+        });
+
+        it('should render members in the order they were added', function ()
+        {
+            const a = track(this, 'a');
+            const b = track(this, 'b');
+
+            this.parent.addChild(a, b);
+            this.layer.addMember(b, a);
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['b', 'a']);
+        });
+
+        it('should sort members by zIndex', function ()
+        {
+            const a = track(this, 'a');
+            const b = track(this, 'b');
+            const c = track(this, 'c');
+
+            a.zIndex = 1;
+            this.parent.addChild(a, b, c);
+            this.layer.addMember(a, b, c);
+            this.layer.sortMode = 'zIndex';
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['b', 'c', 'a']);
+        });
+
+        it('should sort members by y', function ()
+        {
+            const a = track(this, 'a');
+            const b = track(this, 'b');
+
+            a.transform.worldTransform.ty = 100;
+            b.transform.worldTransform.ty = 50;
+            this.parent.addChild(a, b);
+            this.layer.addMember(a, b);
+            this.layer.sortMode = 'y';
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['b', 'a']);
+        });
+
+        it('should sort members with a function', function ()
+        {
+            const a = track(this, 'a');
+            const b = track(this, 'b');
+
+            a.name = 'z';
+            b.name = 'y';
+            this.parent.addChild(a, b);
+            this.layer.addMember(a, b);
+            this.layer.sortMode = (x, y) => (x.name < y.name ? -1 : 1);
+            this.stage.render();
+
+            expect(this.order).to.deep.equal(['b', 'a']);
+        });
+
+        it('should render to the render texture', function ()
+        {
+            const renderTexture = {};
+            const current = { filterFrame: {} };
+            const renderer = {
+                batch: { flush: sinon.spy() },
+                renderTexture: { current, bind: sinon.spy(), clear: sinon.spy() },
+            };
+
+            this.parent.addChild(track(this, 'member'));
+            this.layer.addMember(this.parent.children[0]);
+            this.layer.renderTexture = renderTexture;
+            this.layer.clearColor = [1, 0, 0, 1];
+            this.layer.render(renderer);
+
+            expect(this.order).to.deep.equal(['member']);
+            expect(renderer.renderTexture.bind).to.have.been.calledTwice;
+            expect(renderer.renderTexture.bind.firstCall).to.have.been.calledWith(renderTexture);
+            expect(renderer.renderTexture.bind.secondCall).to.have.been.calledWith(current, current.filterFrame);
+            expect(renderer.renderTexture.clear).to.have.been.calledWith([1, 0, 0, 1]);
+            expect(renderer.batch.flush).to.have.been.calledTwice;
+        });
+    });
+});
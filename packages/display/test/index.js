@@ -2,3 +2,4 @@ require('./Container');
 require('./DisplayObject');
 require('./toGlobal');
 require('./toLocal');
+require('./Layer');
@@ -21,12 +21,14 @@ import {
     QuadraticUtils,
     ArcUtils,
     Star,
+    parsePath,
 } from './utils';
 
 import { hex2rgb, deprecation } from '@pixi/utils';
 import { GraphicsGeometry } from './GraphicsGeometry';
 import { FillStyle } from './styles/FillStyle';
 import { LineStyle } from './styles/LineStyle';
+import { LINE_CAP, LINE_JOIN } from './const';
 import { BLEND_MODES } from '@pixi/constants';
 import { Container } from '@pixi/display';
 
@@ -260,6 +262,11 @@ export class Graphics extends Container
      * @param {number} [options.alpha=1] - 绘制线条的Alpha，将更新对象存储的样式
      * @param {number} [options.alignment=0.5] - 绘制线的对齐方式（0 = 内部，0.5 = 居中，1 = 外部）
      * @param {boolean} [options.native=false] - 如果为true，则将使用LINES来代替TRIANGLE_STRIP绘制线条
+     * @param {number[]} [options.dash=null] - Alternating lengths of dashes and gaps, e.g. `[10, 5]`
+     * @param {number} [options.dashOffset=0] - Distance into the dash pattern at which lines start
+     * @param {string} [options.cap=PIXI.LINE_CAP.BUTT] - Shape of the ends of open lines, see {@link PIXI.LINE_CAP}
+     * @param {string} [options.join=PIXI.LINE_JOIN.MITER] - Shape of the corners of lines, see {@link PIXI.LINE_JOIN}
+     * @param {number} [options.miterLimit=10] - Ratio of the miter length to the width over which miter joins are beveled
      * @return {PIXI.Graphics} 此Graphics对象。可以使用链式方法调用
      */
     lineStyle(options)
@@ -293,6 +300,11 @@ export class Graphics extends Container
      * @param {PIXI.Matrix} [options.matrix=null] 纹理矩阵转换纹理
      * @param {number} [options.alignment=0.5] - 绘制线的对齐方式（0 = 内部，0.5 = 居中，1 = 外部）
      * @param {boolean} [options.native=false] - 如果为true，则将使用LINES来代替TRIANGLE_STRIP绘制线条
+     * @param {number[]} [options.dash=null] - Alternating lengths of dashes and gaps, e.g. `[10, 5]`
+     * @param {number} [options.dashOffset=0] - Distance into the dash pattern at which lines start
+     * @param {string} [options.cap=PIXI.LINE_CAP.BUTT] - Shape of the ends of open lines, see {@link PIXI.LINE_CAP}
+     * @param {string} [options.join=PIXI.LINE_JOIN.MITER] - Shape of the corners of lines, see {@link PIXI.LINE_JOIN}
+     * @param {number} [options.miterLimit=10] - Ratio of the miter length to the width over which miter joins are beveled
      * @return {PIXI.Graphics} 此Graphics对象。可以使用链式方法调用
      */
     lineTextureStyle(options)
@@ -320,6 +332,12 @@ export class Graphics extends Container
             matrix: null,
             alignment: 0.5,
             native: false,
+            gradient: null,
+            dash: null,
+            dashOffset: 0,
+            cap: LINE_CAP.BUTT,
+            join: LINE_JOIN.MITER,
+            miterLimit: 10,
         }, options);
 
         if (this.currentPath)
@@ -341,12 +359,45 @@ export class Graphics extends Container
                 options.matrix.invert();
             }
 
+            if (options.dash)
+            {
+                options.dash = options.dash.slice();
+            }
+
             Object.assign(this._lineStyle, { visible }, options);
         }
 
         return this;
     }
 
+    /**
+     * Like {@link PIXI.Graphics#lineTextureStyle}, with a linear or radial gradient
+     * instead of a texture. Used by subsequent calls to methods like `lineTo()` and `drawRect()`.
+     *
+     * @param {object} options - Line style options.
+     * @param {PIXI.FillGradient} options.gradient - The gradient.
+     * @param {number} [options.width=0] - 画线的宽度，将更新对象存储的样式
+     * @param {number} [options.alpha=1] - 要绘制的线的alpha，将更新存储的对象样式
+     * @param {number} [options.alignment=0.5] - 绘制线的对齐方式（0 = 内部，0.5 = 居中，1 = 外部）
+     * @param {boolean} [options.native=false] - 如果为true，则将使用LINES来代替TRIANGLE_STRIP绘制线条
+     * @param {number[]} [options.dash=null] - Alternating lengths of dashes and gaps, e.g. `[10, 5]`
+     * @param {number} [options.dashOffset=0] - Distance into the dash pattern at which lines start
+     * @param {string} [options.cap=PIXI.LINE_CAP.BUTT] - Shape of the ends of open lines, see {@link PIXI.LINE_CAP}
+     * @param {string} [options.join=PIXI.LINE_JOIN.MITER] - Shape of the corners of lines, see {@link PIXI.LINE_JOIN}
+     * @param {number} [options.miterLimit=10] - Ratio of the miter length to the width over which miter joins are beveled
+     * @return {PIXI.Graphics} 此Graphics对象。可以使用链式方法调用
+     */
+    lineGradientStyle(options)
+    {
+        const { gradient } = options;
+
+        return this.lineTextureStyle(Object.assign({}, options, {
+            texture: gradient.texture,
+            color: 0xFFFFFF,
+            matrix: gradient.matrix,
+        }));
+    }
+
     /**
      * 在内部开启多边形对象
      * @protected
@@ -650,6 +701,7 @@ export class Graphics extends Container
             color: 0xFFFFFF,
             alpha: 1,
             matrix: null,
+            gradient: null,
         }, options);
 
         if (this.currentPath)
@@ -677,6 +729,33 @@ export class Graphics extends Container
         return this;
     }
 
+    /**
+     * Begins a linear or radial gradient fill, used by subsequent calls to methods like `lineTo()` and `drawRect()`.
+     *
+     * ```js
+     * const gradient = PIXI.FillGradient.radial(50, 50, 0, 50)
+     *     .addColorStop(0, 0xffffff)
+     *     .addColorStop(1, 0xffffff, 0);
+     *
+     * graphics.beginGradientFill({ gradient }).drawCircle(50, 50, 50);
+     * ```
+     *
+     * @param {object} options - Fill options.
+     * @param {PIXI.FillGradient} options.gradient - The gradient.
+     * @param {number} [options.alpha=1] - 填充Alpha
+     * @return {PIXI.Graphics} 此Graphics对象。可以使用链式方法调用
+     */
+    beginGradientFill(options)
+    {
+        const { gradient } = options;
+
+        return this.beginTextureFill(Object.assign({}, options, {
+            texture: gradient.texture,
+            color: 0xFFFFFF,
+            matrix: gradient.matrix,
+        }));
+    }
+
     /**
      * 对自上一次调用beginFill()方法以来添加的线条和形状应用填充。
      *
@@ -814,6 +893,91 @@ export class Graphics extends Container
         return this;
     }
 
+    /**
+     * Draws SVG path data, the `d` attribute of `<path>` elements, with the current fill and line styles.
+     *
+     * All the commands are supported, absolute and relative, including the smooth curves `S` and `T`
+     * and the elliptical arcs `A`. Every sub path is drawn as a separate polygon, except that when filling,
+     * a sub path starting inside the previous outer sub path is drawn as a hole of it.
+     *
+     * ```js
+     * graphics.beginFill(0xff0000)
+     *     .drawPath('M10 10 h80 v80 h-80 Z M30 30 v40 h40 v-40 Z');
+     * ```
+     *
+     * @param {string} path - The SVG path data
+     * @return {PIXI.Graphics} 此Graphics对象。可以使用链式方法调用
+     */
+    drawPath(path)
+    {
+        const commands = parsePath(path);
+        const subPaths = [];
+        let points = null;
+
+        for (let i = 0; i < commands.length; i++)
+        {
+            const command = commands[i];
+
+            switch (command.type)
+            {
+                case 'M':
+                {
+                    const polygon = new Polygon(command.x, command.y);
+
+                    polygon.closeStroke = false;
+                    points = polygon.points;
+                    subPaths.push(polygon);
+                    break;
+                }
+                case 'L':
+                    // remove duplicates..
+                    if (points[points.length - 2] !== command.x || points[points.length - 1] !== command.y)
+                    {
+                        points.push(command.x, command.y);
+                    }
+                    break;
+                case 'C':
+                    BezierUtils.curveTo(command.cpX, command.cpY, command.cpX2, command.cpY2, command.x, command.y, points);
+                    break;
+                case 'Q':
+                    QuadraticUtils.curveTo(command.cpX, command.cpY, command.x, command.y, points);
+                    break;
+                case 'Z':
+                    subPaths[subPaths.length - 1].closeStroke = true;
+                    break;
+            }
+        }
+
+        let outer = null;
+
+        for (let i = 0; i < subPaths.length; i++)
+        {
+            const polygon = subPaths[i];
+            const polygonPoints = polygon.points;
+
+            if (polygonPoints.length <= 2)
+            {
+                continue;
+            }
+
+            if (outer
+                && !this._holeMode
+                && this._fillStyle.visible
+                && polygonPoints.length >= 6
+                && outer.contains(polygonPoints[0], polygonPoints[1]))
+            {
+                this.geometry.drawHole(polygon, this._matrix);
+            }
+            else
+            {
+                this.drawShape(polygon);
+                outer = polygon;
+            }
+        }
+
+        return this;
+    }
+
     /**
      * 用任意数量的点画一个星形。
      *
@@ -458,7 +458,8 @@ export class GraphicsGeometry extends BatchGeometry
                 const index = this.indices.length;
                 const attribIndex = this.points.length / 2;
 
-                nextTexture.wrapMode = WRAP_MODES.REPEAT;
+                // gradients use the color of the closest stop outside of their range
+                nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
                 if (j === 0)
                 {
@@ -723,7 +724,7 @@ export class GraphicsGeometry extends BatchGeometry
                     nextTexture.touched = 1;// touch;
                     nextTexture._batchEnabled = TICK;
                     nextTexture._batchLocation = textureCount;
-                    nextTexture.wrapMode = 10497;
+                    nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
                     currentGroup.textures.elements[currentGroup.textures.count++] = nextTexture;
                     textureCount++;
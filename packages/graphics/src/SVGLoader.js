@@ -0,0 +1,66 @@
+import { LoaderResource } from '@pixi/loaders';
+import { SVGParser } from './SVGParser';
+
+/**
+ * {@link PIXI.Loader Loader} middleware turning SVG files into {@link PIXI.Graphics}, see {@link PIXI.SVGParser}.
+ *
+ * SVG files are loaded as textures by default, resources are parsed as vector graphics only when
+ * requested with the `graphics` metadata. The graphics is then available as `resource.graphics`.
+ *
+ * ```js
+ * loader.add('ui', 'ui.svg', { metadata: { graphics: true } })
+ *     .load((loader, resources) => stage.addChild(resources.ui.graphics));
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ * @implements PIXI.ILoaderPlugin
+ */
+export class SVGLoader
+{
+    /**
+     * Loads the SVG files requested as graphics as text rather than as images.
+     *
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static pre(resource, next)
+    {
+        if (SVGLoader.isGraphics(resource))
+        {
+            resource.loadType = LoaderResource.LOAD_TYPE.XHR;
+            resource.xhrType = LoaderResource.XHR_RESPONSE_TYPE.TEXT;
+        }
+
+        next();
+    }
+
+    /**
+     * Called after a resource is loaded.
+     *
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static use(resource, next)
+    {
+        if (resource.data && SVGLoader.isGraphics(resource))
+        {
+            resource.graphics = SVGParser.parse(resource.data);
+        }
+
+        next();
+    }
+
+    /**
+     * Whether a resource is requested as graphics.
+     *
+     * @private
+     * @param {PIXI.LoaderResource} resource
+     * @return {boolean} `true` for graphics.
+     */
+    static isGraphics(resource)
+    {
+        return !!(resource.metadata && resource.metadata.graphics);
+    }
+}
@@ -0,0 +1,397 @@
+import { Matrix } from '@pixi/math';
+import { Graphics } from './Graphics';
+
+/**
+ * Context used to normalize CSS colors.
+ *
+ * @ignore
+ * @private
+ */
+let colorContext = null;
+
+/**
+ * Converts SVG documents into {@link PIXI.Graphics}, turning the painting properties of the
+ * shapes into fill and line styles. Supported elements are `svg`, `g`, `path`, `rect`, `circle`,
+ * `ellipse`, `line`, `polyline` and `polygon`, with their `transform`, and the `fill`, `fill-opacity`,
+ * `stroke`, `stroke-width`, `stroke-opacity`, `stroke-linecap`, `stroke-linejoin`, `stroke-miterlimit`
+ * and `opacity` properties, as attributes or in the `style` attribute.
+ *
+ * Sub paths of a `path` starting inside the previous one are holes, see {@link PIXI.Graphics#drawPath}.
+ * Stroke widths are not affected by transforms.
+ *
+ * ```js
+ * const graphics = PIXI.SVGParser.parse('<svg><circle cx="50" cy="50" r="40" fill="red"/></svg>');
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class SVGParser
+{
+    /**
+     * Draws an SVG document into a Graphics.
+     *
+     * @param {string|Document|SVGElement} svg - The SVG markup, or the parsed document or element.
+     * @param {PIXI.Graphics} [graphics] - The graphics to draw into, a new one by default.
+     * @return {PIXI.Graphics} The graphics.
+     */
+    static parse(svg, graphics = new Graphics())
+    {
+        if (typeof svg === 'string')
+        {
+            svg = new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+        }
+
+        if (svg.documentElement)
+        {
+            svg = svg.documentElement;
+        }
+
+        SVGParser.parseNode(svg, graphics, Object.assign({}, SVGParser.defaultStyle), new Matrix());
+
+        graphics.setMatrix(null);
+
+        return graphics;
+    }
+
+    /**
+     * Draws an element and its children.
+     *
+     * @private
+     * @param {Element} node - The element.
+     * @param {PIXI.Graphics} graphics - The graphics to draw into.
+     * @param {object} parentStyle - The style inherited from the parent element.
+     * @param {PIXI.Matrix} parentMatrix - The transform of the parent element.
+     */
+    static parseNode(node, graphics, parentStyle, parentMatrix)
+    {
+        const tag = node.nodeName.toLowerCase();
+        const draw = SVGParser.shapes[tag];
+
+        if (!draw && tag !== 'svg' && tag !== 'g')
+        {
+            return;
+        }
+
+        const style = SVGParser.parseStyle(node, parentStyle);
+        const transform = node.getAttribute('transform');
+        const matrix = transform ? parentMatrix.clone().append(SVGParser.parseTransform(transform)) : parentMatrix;
+
+        if (style.display === 'none')
+        {
+            return;
+        }
+
+        if (draw)
+        {
+            // colors with an alpha channel, e.g. rgba(), are combined with the opacity properties
+            const fillAlpha = style.fill === null ? 0 : style.fillAlpha * style.fillOpacity * style.opacity;
+            const strokeAlpha = style.stroke === null ? 0 : style.strokeAlpha * style.strokeOpacity * style.opacity;
+
+            graphics.setMatrix(matrix);
+            graphics.beginFill(style.fill || 0, fillAlpha);
+            graphics.lineStyle({
+                width: strokeAlpha > 0 ? style.strokeWidth : 0,
+                color: style.stroke || 0,
+                alpha: strokeAlpha,
+                cap: style.strokeLinecap,
+                join: style.strokeLinejoin,
+                miterLimit: style.strokeMiterlimit,
+            });
+
+            draw(node, graphics);
+
+            graphics.endFill();
+            graphics.lineStyle(0);
+
+            return;
+        }
+
+        const children = node.childNodes;
+
+        for (let i = 0; i < children.length; i++)
+        {
+            if (children[i].nodeType === 1)
+            {
+                SVGParser.parseNode(children[i], graphics, style, matrix);
+            }
+        }
+    }
+
+    /**
+     * Reads the painting properties of an element, inheriting the ones not set.
+     *
+     * @private
+     * @param {Element} node - The element.
+     * @param {object} parentStyle - The inherited style.
+     * @return {object} The style of the element.
+     */
+    static parseStyle(node, parentStyle)
+    {
+        const style = Object.assign({}, parentStyle);
+        const properties = {};
+        const attributes = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+            'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'opacity', 'display',
+        ];
+
+        for (let i = 0; i < attributes.length; i++)
+        {
+            if (node.hasAttribute(attributes[i]))
+            {
+                properties[attributes[i]] = node.getAttribute(attributes[i]);
+            }
+        }
+
+        // the style attribute wins over presentation attributes
+        const declarations = (node.getAttribute('style') || '').split(';');
+
+        for (let i = 0; i < declarations.length; i++)
+        {
+            const colon = declarations[i].indexOf(':');
+
+            if (colon > 0)
+            {
+                properties[declarations[i].substr(0, colon).trim()] = declarations[i].substr(colon + 1).trim();
+            }
+        }
+
+        // opacity is not inherited, but applies to the whole group
+        style.opacity = parentStyle.opacity * ('opacity' in properties ? parseFloat(properties.opacity) : 1);
+
+        if ('display' in properties)
+        {
+            style.display = properties.display;
+        }
+
+        if ('fill' in properties)
+        {
+            const { color, alpha } = SVGParser.parseColor(properties.fill);
+
+            style.fill = color;
+            style.fillAlpha = alpha;
+        }
+
+        if ('stroke' in properties)
+        {
+            const { color, alpha } = SVGParser.parseColor(properties.stroke);
+
+            style.stroke = color;
+            style.strokeAlpha = alpha;
+        }
+
+        if ('fill-opacity' in properties)
+        {
+            style.fillOpacity = parseFloat(properties['fill-opacity']);
+        }
+
+        if ('stroke-opacity' in properties)
+        {
+            style.strokeOpacity = parseFloat(properties['stroke-opacity']);
+        }
+
+        if ('stroke-width' in properties)
+        {
+            style.strokeWidth = parseFloat(properties['stroke-width']);
+        }
+
+        if ('stroke-linecap' in properties)
+        {
+            style.strokeLinecap = properties['stroke-linecap'];
+        }
+
+        // the SVG 2 joins arcs and miter-clip are not supported
+        if (properties['stroke-linejoin'] === 'round' || properties['stroke-linejoin'] === 'bevel')
+        {
+            style.strokeLinejoin = properties['stroke-linejoin'];
+        }
+        else if ('stroke-linejoin' in properties)
+        {
+            style.strokeLinejoin = 'miter';
+        }
+
+        if ('stroke-miterlimit' in properties)
+        {
+            style.strokeMiterlimit = parseFloat(properties['stroke-miterlimit']);
+        }
+
+        return style;
+    }
+
+    /**
+     * Converts a CSS color to a number.
+     *
+     * @private
+     * @param {string} value - The CSS color, `none` or a paint server reference such as `url(#gradient)`.
+     * @return {{color: number, alpha: number}} The color, `null` for no color, and its alpha.
+     */
+    static parseColor(value)
+    {
+        value = value.trim();
+
+        if (value === 'none' || value.indexOf('url(') === 0)
+        {
+            return { color: null, alpha: 1 };
+        }
+
+        if (!colorContext)
+        {
+            colorContext = document.createElement('canvas').getContext('2d');
+        }
+
+        // let the browser normalize the color to #rrggbb or rgba(r, g, b, a)
+        colorContext.fillStyle = '#000000';
+        colorContext.fillStyle = value;
+
+        const normalized = colorContext.fillStyle;
+
+        if (normalized[0] === '#')
+        {
+            return { color: parseInt(normalized.substr(1), 16), alpha: 1 };
+        }
+
+        const [r, g, b, a] = normalized.replace(/[^\d.,]/g, '').split(',').map(parseFloat);
+
+        return { color: (r << 16) + (g << 8) + b, alpha: a === undefined ? 1 : a };
+    }
+
+    /**
+     * Converts the `transform` attribute of an element to a matrix.
+     *
+     * @private
+     * @param {string} transform - The transform list.
+     * @return {PIXI.Matrix} The matrix.
+     */
+    static parseTransform(transform)
+    {
+        const matrix = new Matrix();
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+
+        while ((match = pattern.exec(transform)) !== null)
+        {
+            const args = match[2].trim().split(/[\s,]+/).map(parseFloat);
+            const step = new Matrix();
+
+            switch (match[1])
+            {
+                case 'matrix':
+                    step.set(args[0], args[1], args[2], args[3], args[4], args[5]);
+                    break;
+                case 'translate':
+                    step.translate(args[0], args[1] || 0);
+                    break;
+                case 'scale':
+                    step.scale(args[0], args.length > 1 ? args[1] : args[0]);
+                    break;
+                case 'rotate':
+                {
+                    const cx = args[1] || 0;
+                    const cy = args[2] || 0;
+
+                    step.translate(-cx, -cy).rotate(args[0] * Math.PI / 180).translate(cx, cy);
+                    break;
+                }
+                case 'skewX':
+                    step.c = Math.tan(args[0] * Math.PI / 180);
+                    break;
+                case 'skewY':
+                    step.b = Math.tan(args[0] * Math.PI / 180);
+                    break;
+            }
+
+            // transforms of the list are applied from right to left
+            matrix.append(step);
+        }
+
+        return matrix;
+    }
+}
+
+/**
+ * The initial painting properties of SVG documents.
+ *
+ * @static
+ * @member {object}
+ * @memberof PIXI.SVGParser
+ */
+SVGParser.defaultStyle = {
+    fill: 0x000000,
+    fillAlpha: 1,
+    fillOpacity: 1,
+    stroke: null,
+    strokeAlpha: 1,
+    strokeOpacity: 1,
+    strokeWidth: 1,
+    strokeLinecap: 'butt',
+    strokeLinejoin: 'miter',
+    strokeMiterlimit: 4,
+    opacity: 1,
+    display: 'inline',
+};
+
+/**
+ * Functions drawing each kind of SVG shape element, by tag name.
+ * Add to it to support more elements.
+ *
+ * @static
+ * @member {Object.<string, function>}
+ * @memberof PIXI.SVGParser
+ */
+SVGParser.shapes = {
+    path(node, graphics)
+    {
+        graphics.drawPath(node.getAttribute('d') || '');
+    },
+    rect(node, graphics)
+    {
+        const x = parseFloat(node.getAttribute('x')) || 0;
+        const y = parseFloat(node.getAttribute('y')) || 0;
+        const width = parseFloat(node.getAttribute('width')) || 0;
+        const height = parseFloat(node.getAttribute('height')) || 0;
+        const radius = parseFloat(node.getAttribute('rx') || node.getAttribute('ry')) || 0;
+
+        if (radius > 0)
+        {
+            graphics.drawRoundedRect(x, y, width, height, radius);
+        }
+        else
+        {
+            graphics.drawRect(x, y, width, height);
+        }
+    },
+    circle(node, graphics)
+    {
+        graphics.drawCircle(
+            parseFloat(node.getAttribute('cx')) || 0,
+            parseFloat(node.getAttribute('cy')) || 0,
+            parseFloat(node.getAttribute('r')) || 0,
+        );
+    },
+    ellipse(node, graphics)
+    {
+        graphics.drawEllipse(
+            parseFloat(node.getAttribute('cx')) || 0,
+            parseFloat(node.getAttribute('cy')) || 0,
+            parseFloat(node.getAttribute('rx')) || 0,
+            parseFloat(node.getAttribute('ry')) || 0,
+        );
+    },
+    line(node, graphics)
+    {
+        const x1 = parseFloat(node.getAttribute('x1')) || 0;
+        const y1 = parseFloat(node.getAttribute('y1')) || 0;
+        const x2 = parseFloat(node.getAttribute('x2')) || 0;
+        const y2 = parseFloat(node.getAttribute('y2')) || 0;
+
+        graphics.drawPath(`M${x1},${y1}L${x2},${y2}`);
+    },
+    polyline(node, graphics)
+    {
+        graphics.drawPath(`M${node.getAttribute('points') || ''}`);
+    },
+    polygon(node, graphics)
+    {
+        graphics.drawPath(`M${node.getAttribute('points') || ''}Z`);
+    },
+};
@@ -39,3 +39,39 @@ export const GRAPHICS_CURVES = {
         return result;
     },
 };
+
+/**
+ * Shapes drawn at the ends of open lines, see {@link PIXI.LineStyle#cap}.
+ *
+ * @static
+ * @constant
+ * @memberof PIXI
+ * @name LINE_CAP
+ * @enum {string}
+ * @property {string} BUTT - The line ends exactly at its end points
+ * @property {string} ROUND - Half circles are added at the ends
+ * @property {string} SQUARE - The line is extended past its ends by half its width
+ */
+export const LINE_CAP = {
+    BUTT: 'butt',
+    ROUND: 'round',
+    SQUARE: 'square',
+};
+
+/**
+ * Shapes drawn where the segments of lines meet, see {@link PIXI.LineStyle#join}.
+ *
+ * @static
+ * @constant
+ * @memberof PIXI
+ * @name LINE_JOIN
+ * @enum {string}
+ * @property {string} MITER - The outer edges are extended until they meet, see {@link PIXI.LineStyle#miterLimit}
+ * @property {string} ROUND - The corners are rounded
+ * @property {string} BEVEL - The corners are cut off
+ */
+export const LINE_JOIN = {
+    MITER: 'miter',
+    ROUND: 'round',
+    BEVEL: 'bevel',
+};
@@ -1,9 +1,12 @@
 export * from './const';
 export * from './styles/FillStyle';
+export * from './styles/FillGradient';
 export * from './Graphics';
 export * from './GraphicsData';
 export * from './GraphicsGeometry';
 export * from './styles/LineStyle';
+export * from './SVGParser';
+export * from './SVGLoader';
 
 import * as graphicsUtils from './utils';
 export { graphicsUtils };
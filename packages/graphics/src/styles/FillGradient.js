@@ -0,0 +1,322 @@
+import { WRAP_MODES } from '@pixi/constants';
+import { BaseTexture, Texture } from '@pixi/core';
+import { Matrix } from '@pixi/math';
+import { hex2rgb } from '@pixi/utils';
+
+/**
+ * A linear or radial color gradient for filling and stroking {@link PIXI.Graphics},
+ * see {@link PIXI.Graphics#beginGradientFill} and {@link PIXI.Graphics#lineGradientStyle}.
+ *
+ * Coordinates are in the local space of the graphics. Outside of the gradient, the color
+ * of the closest stop is used. The WebGL renderer draws gradients with a texture generated
+ * from the color stops, the canvas renderer uses native canvas gradients.
+ *
+ * ```js
+ * const gradient = PIXI.FillGradient.linear(0, 0, 100, 0)
+ *     .addColorStop(0, 0xff0000)
+ *     .addColorStop(1, 0x0000ff, 0.5);
+ *
+ * graphics.beginGradientFill({ gradient }).drawRect(0, 0, 100, 100);
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class FillGradient
+{
+    /**
+     * @param {object} options - The geometry of the gradient.
+     * @param {string} [options.type='linear'] - The type of gradient, `'linear'` or `'radial'`.
+     * @param {number} [options.x0=0] - x of the start point, or of the center of radial gradients.
+     * @param {number} [options.y0=0] - y of the start point, or of the center of radial gradients.
+     * @param {number} [options.x1=0] - x of the end point of linear gradients.
+     * @param {number} [options.y1=0] - y of the end point of linear gradients.
+     * @param {number} [options.r0=0] - Radius where radial gradients start.
+     * @param {number} [options.r1=0] - Radius where radial gradients end.
+     */
+    constructor(options)
+    {
+        options = Object.assign({ type: 'linear', x0: 0, y0: 0, x1: 0, y1: 0, r0: 0, r1: 0 }, options);
+
+        /**
+         * The type of gradient, `'linear'` or `'radial'`.
+         *
+         * @member {string}
+         * @readonly
+         */
+        this.type = options.type;
+
+        /**
+         * x of the start point, or of the center of radial gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.x0 = options.x0;
+
+        /**
+         * y of the start point, or of the center of radial gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.y0 = options.y0;
+
+        /**
+         * x of the end point of linear gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.x1 = options.x1;
+
+        /**
+         * y of the end point of linear gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.y1 = options.y1;
+
+        /**
+         * Radius where radial gradients start.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.r0 = options.r0;
+
+        /**
+         * Radius where radial gradients end.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.r1 = options.r1;
+
+        /**
+         * The color stops, sorted by offset.
+         *
+         * @member {Array<{offset: number, color: number, alpha: number}>}
+         * @readonly
+         */
+        this.colorStops = [];
+
+        /**
+         * Texture generated from the color stops, for the WebGL renderer.
+         *
+         * @member {PIXI.Texture}
+         * @private
+         */
+        this._texture = null;
+
+        /**
+         * Whether the texture needs to be generated again.
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._textureDirty = true;
+    }
+
+    /**
+     * Adds a color stop.
+     *
+     * @param {number} offset - Position of the stop, from 0 (start) to 1 (end).
+     * @param {number} color - The color, e.g. `0xff0000`.
+     * @param {number} [alpha=1] - The alpha.
+     * @return {PIXI.FillGradient} This gradient, for chaining.
+     */
+    addColorStop(offset, color, alpha = 1)
+    {
+        this.colorStops.push({ offset: Math.min(Math.max(offset, 0), 1), color, alpha });
+        this.colorStops.sort((a, b) => a.offset - b.offset);
+        this._textureDirty = true;
+
+        // graphics already filled with the gradient keep using the same texture
+        if (this._texture)
+        {
+            this.updateTexture();
+        }
+
+        return this;
+    }
+
+    /**
+     * The texture of the gradient for the WebGL renderer, generated from the color
+     * stops and updated in place when stops are added.
+     *
+     * @member {PIXI.Texture}
+     * @readonly
+     */
+    get texture()
+    {
+        if (!this._texture)
+        {
+            const canvas = document.createElement('canvas');
+
+            canvas.width = FillGradient.TEXTURE_SIZE;
+            canvas.height = this.type === 'radial' ? FillGradient.TEXTURE_SIZE : 1;
+
+            this._texture = new Texture(new BaseTexture(canvas, { wrapMode: WRAP_MODES.CLAMP }));
+        }
+
+        this.updateTexture();
+
+        return this._texture;
+    }
+
+    /**
+     * Draws the color stops into the texture, if they changed since it was last drawn.
+     *
+     * @private
+     */
+    updateTexture()
+    {
+        if (!this._textureDirty)
+        {
+            return;
+        }
+
+        const canvas = this._texture.baseTexture.resource.source;
+        const context = canvas.getContext('2d');
+        const size = FillGradient.TEXTURE_SIZE;
+        const radius = size / 2;
+
+        // the same gradient in texture space
+        const gradient = this.type === 'radial'
+            ? context.createRadialGradient(radius, radius, radius * this.r0 / (this.r1 || 1), radius, radius, radius)
+            : context.createLinearGradient(0, 0, size, 0);
+
+        this.addCanvasColorStops(gradient, 0xFFFFFF);
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        this._texture.baseTexture.update();
+        this._textureDirty = false;
+    }
+
+    /**
+     * The transform from the space of {@link PIXI.FillGradient#texture} to the local space of the graphics.
+     *
+     * @member {PIXI.Matrix}
+     * @readonly
+     */
+    get matrix()
+    {
+        const size = FillGradient.TEXTURE_SIZE;
+
+        if (this.type === 'radial')
+        {
+            const radius = this.r1 || 1;
+            const scale = radius * 2 / size;
+
+            return new Matrix(scale, 0, 0, scale, this.x0 - radius, this.y0 - radius);
+        }
+
+        const dx = this.x1 - this.x0;
+        const dy = this.y1 - this.y0;
+        const length = Math.sqrt((dx * dx) + (dy * dy)) || 1;
+
+        // the texture is one pixel high, any perpendicular direction is fine
+        return new Matrix(dx / size, dy / size, -dy / length, dx / length, this.x0, this.y0);
+    }
+
+    /**
+     * Creates the native gradient for the canvas renderer.
+     *
+     * @param {CanvasRenderingContext2D} context - The context to create the gradient with.
+     * @param {number} [tint=0xFFFFFF] - Tint to multiply the colors by.
+     * @return {CanvasGradient} The gradient.
+     */
+    toCanvasGradient(context, tint = 0xFFFFFF)
+    {
+        const gradient = this.type === 'radial'
+            ? context.createRadialGradient(this.x0, this.y0, this.r0, this.x0, this.y0, this.r1)
+            : context.createLinearGradient(this.x0, this.y0, this.x1, this.y1);
+
+        this.addCanvasColorStops(gradient, tint);
+
+        return gradient;
+    }
+
+    /**
+     * Adds the color stops to a canvas gradient.
+     *
+     * @private
+     * @param {CanvasGradient} gradient - The canvas gradient.
+     * @param {number} tint - Tint to multiply the colors by.
+     */
+    addCanvasColorStops(gradient, tint)
+    {
+        const tintRgb = hex2rgb(tint);
+
+        for (let i = 0; i < this.colorStops.length; i++)
+        {
+            const { offset, color, alpha } = this.colorStops[i];
+            const rgb = hex2rgb(color);
+            const r = Math.round(rgb[0] * tintRgb[0] * 255);
+            const g = Math.round(rgb[1] * tintRgb[1] * 255);
+            const b = Math.round(rgb[2] * tintRgb[2] * 255);
+
+            gradient.addColorStop(offset, `rgba(${r},${g},${b},${alpha})`);
+        }
+    }
+
+    /**
+     * Destroys the gradient and its texture.
+     */
+    destroy()
+    {
+        if (this._texture)
+        {
+            this._texture.destroy(true);
+            this._texture = null;
+        }
+
+        this.colorStops = null;
+    }
+
+    /**
+     * Creates a linear gradient.
+     *
+     * @static
+     * @param {number} x0 - x of the start point.
+     * @param {number} y0 - y of the start point.
+     * @param {number} x1 - x of the end point.
+     * @param {number} y1 - y of the end point.
+     * @return {PIXI.FillGradient} The gradient.
+     */
+    static linear(x0, y0, x1, y1)
+    {
+        return new FillGradient({ type: 'linear', x0, y0, x1, y1 });
+    }
+
+    /**
+     * Creates a radial gradient, between two circles sharing the same center.
+     *
+     * @static
+     * @param {number} x - x of the center.
+     * @param {number} y - y of the center.
+     * @param {number} innerRadius - Radius of the circle where the gradient starts.
+     * @param {number} outerRadius - Radius of the circle where the gradient ends.
+     * @return {PIXI.FillGradient} The gradient.
+     */
+    static radial(x, y, innerRadius, outerRadius)
+    {
+        return new FillGradient({ type: 'radial', x0: x, y0: y, r0: innerRadius, r1: outerRadius });
+    }
+}
+
+/**
+ * The size of the textures generated for gradients, in pixels.
+ * Linear gradients are one pixel high, radial gradients are square.
+ *
+ * @static
+ * @member {number}
+ * @memberof PIXI.FillGradient
+ * @default 256
+ */
+FillGradient.TEXTURE_SIZE = 256;
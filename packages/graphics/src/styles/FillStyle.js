@@ -26,6 +26,7 @@ export class FillStyle
         obj.alpha = this.alpha;
         obj.texture = this.texture;
         obj.matrix = this.matrix;
+        obj.gradient = this.gradient;
         obj.visible = this.visible;
 
         return obj;
@@ -68,6 +69,14 @@ export class FillStyle
          */
         this.matrix = null;
 
+        /**
+         * The gradient of the fill, if any. Its texture is used as the fill texture with the WebGL renderer.
+         *
+         * @member {PIXI.FillGradient}
+         * @default null
+         */
+        this.gradient = null;
+
         /**
          * If the current fill is visible.
          *
@@ -84,5 +93,6 @@ export class FillStyle
     {
         this.texture = null;
         this.matrix = null;
+        this.gradient = null;
     }
 }
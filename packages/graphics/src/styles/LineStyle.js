@@ -1,4 +1,5 @@
 import { FillStyle } from './FillStyle';
+import { LINE_CAP, LINE_JOIN } from '../const';
 
 /**
  * Represents the line style for Graphics.
@@ -21,10 +22,16 @@ export class LineStyle extends FillStyle
         obj.alpha = this.alpha;
         obj.texture = this.texture;
         obj.matrix = this.matrix;
+        obj.gradient = this.gradient;
         obj.visible = this.visible;
         obj.width = this.width;
         obj.alignment = this.alignment;
         obj.native = this.native;
+        obj.dash = this.dash;
+        obj.dashOffset = this.dashOffset;
+        obj.cap = this.cap;
+        obj.join = this.join;
+        obj.miterLimit = this.miterLimit;
 
         return obj;
     }
@@ -61,5 +68,49 @@ export class LineStyle extends FillStyle
          * @default false
          */
         this.native = false;
+
+        /**
+         * Alternating lengths of dashes and gaps, e.g. `[10, 5]`, or `null` for continuous lines.
+         * Odd patterns are repeated to be even, as with the canvas `setLineDash`.
+         *
+         * @member {number[]}
+         * @default null
+         */
+        this.dash = null;
+
+        /**
+         * Distance into the dash pattern at which lines start.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.dashOffset = 0;
+
+        /**
+         * The shape of the ends of open lines, and of dashes. Ignored by native lines.
+         *
+         * @member {string}
+         * @default PIXI.LINE_CAP.BUTT
+         * @see PIXI.LINE_CAP
+         */
+        this.cap = LINE_CAP.BUTT;
+
+        /**
+         * The shape of the corners of lines. Ignored by native lines.
+         *
+         * @member {string}
+         * @default PIXI.LINE_JOIN.MITER
+         * @see PIXI.LINE_JOIN
+         */
+        this.join = LINE_JOIN.MITER;
+
+        /**
+         * The largest ratio of the miter length to the line width, miter joins
+         * going further are drawn as bevel joins.
+         *
+         * @member {number}
+         * @default 10
+         */
+        this.miterLimit = 10;
     }
 }
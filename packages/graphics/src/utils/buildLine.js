@@ -1,4 +1,13 @@
-import { Point, SHAPES } from '@pixi/math';
+import { SHAPES } from '@pixi/math';
+import { LINE_CAP, LINE_JOIN } from '../const';
+
+/**
+ * Sine of the smallest angle between segments making a join.
+ *
+ * @ignore
+ * @private
+ */
+const JOIN_EPS = 1e-4;
 
 /**
  * Builds a line to draw
@@ -12,229 +21,439 @@ import { Point, SHAPES } from '@pixi/math';
  */
 export function buildLine(graphicsData, graphicsGeometry)
 {
-    if (graphicsData.lineStyle.native)
+    const shape = graphicsData.shape;
+    const style = graphicsData.lineStyle;
+    const points = graphicsData.points || shape.points;
+    const closedShape = shape.type !== SHAPES.POLY || shape.closeStroke;
+    const build = style.native ? buildNativeLine : buildNonNativeLine;
+
+    if (points.length === 0)
+    {
+        return;
+    }
+
+    if (!style.dash || !style.dash.length)
     {
-        buildNativeLine(graphicsData, graphicsGeometry);
+        build(points, closedShape, style, graphicsGeometry);
+
+        return;
     }
-    else
+
+    const dashes = buildDashes(points, closedShape, style.dash, style.dashOffset,
+        style.cap !== LINE_CAP.BUTT, graphicsGeometry.closePointEps);
+
+    for (let i = 0; i < dashes.length; i++)
     {
-        buildNonNativeLine(graphicsData, graphicsGeometry);
+        build(dashes[i], false, style, graphicsGeometry);
     }
 }
 
 /**
- * Builds a line to draw using the polygon method.
+ * Splits a path into the dashes of a dash pattern, following the rules of
+ * the canvas `setLineDash`: odd patterns are repeated to be even, and the
+ * pattern is ignored when it has negative values or only zeros.
  *
  * Ignored from docs since it is not directly exposed.
  *
  * @ignore
  * @private
- * @param {PIXI.GraphicsData} graphicsData - The graphics object containing all the necessary properties
- * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ * @param {number[]} points - The points of the path
+ * @param {boolean} closedShape - Whether the path goes back to its first point
+ * @param {number[]} dash - Alternating lengths of dashes and gaps
+ * @param {number} dashOffset - Distance into the pattern at which the path starts
+ * @param {boolean} dots - Whether to keep zero length dashes, drawn as dots by round and square caps
+ * @param {number} eps - Distance under which points are the same
+ * @return {Array<number[]>} The points of each dash
  */
-function buildNonNativeLine(graphicsData, graphicsGeometry)
+function buildDashes(points, closedShape, dash, dashOffset, dots, eps)
 {
-    const shape = graphicsData.shape;
-    let points = graphicsData.points || shape.points.slice();
-    const eps = graphicsGeometry.closePointEps;
+    const pattern = dash.length % 2 ? dash.concat(dash) : dash;
+    const total = pattern.reduce((sum, length) => sum + length, 0);
 
-    if (points.length === 0)
+    if (total <= 0 || pattern.some((length) => length < 0 || !isFinite(length)))
     {
-        return;
+        return [points];
     }
-    // if the line width is an odd number add 0.5 to align to a whole pixel
-    // commenting this out fixes #711 and #1620
-    // if (graphicsData.lineWidth%2)
-    // {
-    //     for (i = 0; i < points.length; i++)
-    //     {
-    //         points[i] += 0.5;
-    //     }
-    // }
-
-    const style = graphicsData.lineStyle;
 
-    // get first and last point.. figure out the middle!
-    const firstPoint = new Point(points[0], points[1]);
-    const lastPoint = new Point(points[points.length - 2], points[points.length - 1]);
-    const closedShape = shape.type !== SHAPES.POLY || shape.closeStroke;
-    const closedPath = Math.abs(firstPoint.x - lastPoint.x) < eps
-        && Math.abs(firstPoint.y - lastPoint.y) < eps;
+    const path = points.slice();
 
-    // if the first point is the last point - gonna have issues :)
     if (closedShape)
     {
-        // need to clone as we are going to slightly modify the shape..
-        points = points.slice();
+        path.push(points[0], points[1]);
+    }
+
+    // find where the path starts in the pattern
+    let offset = (((dashOffset || 0) % total) + total) % total;
+    let index = 0;
+
+    // a zero length dash at the start is still a dot
+    while (offset > pattern[index] || (offset === pattern[index] && offset > 0))
+    {
+        offset -= pattern[index];
+        index = (index + 1) % pattern.length;
+    }
 
-        if (closedPath)
+    const dashes = [];
+    let remaining = pattern[index] - offset;
+    let current = index % 2 === 0 ? [path[0], path[1]] : null;
+    const startsDrawn = !!current;
+
+    for (let i = 2; i < path.length; i += 2)
+    {
+        const x0 = path[i - 2];
+        const y0 = path[i - 1];
+        const dx = path[i] - x0;
+        const dy = path[i + 1] - y0;
+        const length = Math.sqrt((dx * dx) + (dy * dy));
+        let travelled = 0;
+
+        while (length - travelled > remaining)
         {
-            points.pop();
-            points.pop();
-            lastPoint.set(points[points.length - 2], points[points.length - 1]);
+            travelled += remaining;
+
+            const x = x0 + (dx * travelled / length);
+            const y = y0 + (dy * travelled / length);
+
+            if (current)
+            {
+                // give dots the direction of the path, for the caps
+                if (dots && current.length === 2 && current[0] === x && current[1] === y)
+                {
+                    current.push(x + (dx / length * eps * 2), y + (dy / length * eps * 2));
+                }
+                else
+                {
+                    current.push(x, y);
+                }
+
+                dashes.push(current);
+                current = null;
+            }
+            else
+            {
+                current = [x, y];
+            }
+
+            index = (index + 1) % pattern.length;
+            remaining = pattern[index];
         }
 
-        const midPointX = lastPoint.x + ((firstPoint.x - lastPoint.x) * 0.5);
-        const midPointY = lastPoint.y + ((firstPoint.y - lastPoint.y) * 0.5);
+        remaining -= length - travelled;
 
-        points.unshift(midPointX, midPointY);
-        points.push(midPointX, midPointY);
+        if (current)
+        {
+            current.push(path[i], path[i + 1]);
+        }
     }
 
-    const verts = graphicsGeometry.points;
-    const length = points.length / 2;
-    let indexCount = points.length;
-    let indexStart = verts.length / 2;
-
-    // DRAW the Line
-    const width = style.width / 2;
-
-    // sort color
-    let p1x = points[0];
-    let p1y = points[1];
-    let p2x = points[2];
-    let p2y = points[3];
-    let p3x = 0;
-    let p3y = 0;
-
-    let perpx = -(p1y - p2y);
-    let perpy = p1x - p2x;
-    let perp2x = 0;
-    let perp2y = 0;
-    let perp3x = 0;
-    let perp3y = 0;
-
-    let dist = Math.sqrt((perpx * perpx) + (perpy * perpy));
-
-    perpx /= dist;
-    perpy /= dist;
-    perpx *= width;
-    perpy *= width;
-
-    const ratio = style.alignment;// 0.5;
-    const r1 = (1 - ratio) * 2;
-    const r2 = ratio * 2;
-
-    // start
-    verts.push(
-        p1x - (perpx * r1),
-        p1y - (perpy * r1));
-
-    verts.push(
-        p1x + (perpx * r2),
-        p1y + (perpy * r2));
-
-    for (let i = 1; i < length - 1; ++i)
+    if (current)
     {
-        p1x = points[(i - 1) * 2];
-        p1y = points[((i - 1) * 2) + 1];
+        // a dash running over the end of a closed path continues at its start
+        if (closedShape && startsDrawn && dashes.length > 0)
+        {
+            dashes[0] = current.concat(dashes[0].slice(2));
+        }
+        else
+        {
+            dashes.push(current);
+        }
+    }
 
-        p2x = points[i * 2];
-        p2y = points[(i * 2) + 1];
+    // zero length dashes can't be stroked
+    return dashes.filter((points) =>
+    {
+        for (let i = 2; i < points.length; i += 2)
+        {
+            if (Math.abs(points[i] - points[0]) >= eps || Math.abs(points[i + 1] - points[1]) >= eps)
+            {
+                return true;
+            }
+        }
 
-        p3x = points[(i + 1) * 2];
-        p3y = points[((i + 1) * 2) + 1];
+        return false;
+    });
+}
 
-        perpx = -(p1y - p2y);
-        perpy = p1x - p2x;
+/**
+ * Builds a line to draw using the polygon method. Each segment is a quad,
+ * the joins and caps of the line style are triangles added between them.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number[]} points - The points of the line
+ * @param {boolean} closedShape - Whether the line goes back to its first point
+ * @param {PIXI.LineStyle} style - The line style
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ */
+function buildNonNativeLine(points, closedShape, style, graphicsGeometry)
+{
+    const eps = graphicsGeometry.closePointEps;
+    const path = [];
 
-        dist = Math.sqrt((perpx * perpx) + (perpy * perpy));
-        perpx /= dist;
-        perpy /= dist;
-        perpx *= width;
-        perpy *= width;
+    // repeated points make segments without direction
+    for (let i = 0; i < points.length; i += 2)
+    {
+        const last = path.length - 2;
 
-        perp2x = -(p2y - p3y);
-        perp2y = p2x - p3x;
+        if (last < 0 || Math.abs(points[i] - path[last]) >= eps || Math.abs(points[i + 1] - path[last + 1]) >= eps)
+        {
+            path.push(points[i], points[i + 1]);
+        }
+    }
 
-        dist = Math.sqrt((perp2x * perp2x) + (perp2y * perp2y));
-        perp2x /= dist;
-        perp2y /= dist;
-        perp2x *= width;
-        perp2y *= width;
+    // the segment closing the shape is implicit
+    if (closedShape && path.length > 4
+        && Math.abs(path[0] - path[path.length - 2]) < eps
+        && Math.abs(path[1] - path[path.length - 1]) < eps)
+    {
+        path.length -= 2;
+    }
+
+    const count = path.length / 2;
+
+    if (count < 2)
+    {
+        return;
+    }
 
-        const a1 = (-perpy + p1y) - (-perpy + p2y);
-        const b1 = (-perpx + p2x) - (-perpx + p1x);
-        const c1 = ((-perpx + p1x) * (-perpy + p2y)) - ((-perpx + p2x) * (-perpy + p1y));
-        const a2 = (-perp2y + p3y) - (-perp2y + p2y);
-        const b2 = (-perp2x + p2x) - (-perp2x + p3x);
-        const c2 = ((-perp2x + p3x) * (-perp2y + p2y)) - ((-perp2x + p2x) * (-perp2y + p3y));
+    const segmentCount = closedShape ? count : count - 1;
+    const width = style.width;
+    const cap = style.cap;
+    const join = style.join;
 
-        let denom = (a1 * b2) - (a2 * b1);
+    // distances of the edges to the path, on the side of the normals and on the other side
+    const normalOffset = width * style.alignment;
+    const otherOffset = width * (1 - style.alignment);
 
-        if (Math.abs(denom) < 0.1)
-        {
-            denom += 10.1;
-            verts.push(
-                p2x - (perpx * r1),
-                p2y - (perpy * r1));
+    // direction and normal of each segment
+    const dirs = [];
+    const normals = [];
+    const lengths = [];
 
-            verts.push(
-                p2x + (perpx * r2),
-                p2y + (perpy * r2));
+    // corners of each segment: start on the other side, start on the normal side, then the same at the end
+    const corners = [];
 
+    for (let i = 0; i < segmentCount; i++)
+    {
+        const j = (i + 1) % count;
+        const dx = path[j * 2] - path[i * 2];
+        const dy = path[(j * 2) + 1] - path[(i * 2) + 1];
+        const length = Math.sqrt((dx * dx) + (dy * dy));
+        const nx = dy / length;
+        const ny = -dx / length;
+
+        dirs.push(dx / length, dy / length);
+        normals.push(nx, ny);
+        lengths.push(length);
+        corners.push(
+            path[i * 2] - (nx * otherOffset), path[(i * 2) + 1] - (ny * otherOffset),
+            path[i * 2] + (nx * normalOffset), path[(i * 2) + 1] + (ny * normalOffset),
+            path[j * 2] - (nx * otherOffset), path[(j * 2) + 1] - (ny * otherOffset),
+            path[j * 2] + (nx * normalOffset), path[(j * 2) + 1] + (ny * normalOffset),
+        );
+    }
+
+    for (let i = closedShape ? 0 : 1; i < (closedShape ? count : count - 1); i++)
+    {
+        const a = (i + segmentCount - 1) % segmentCount;
+        const b = i;
+        const px = path[i * 2];
+        const py = path[(i * 2) + 1];
+        const cross = (dirs[a * 2] * dirs[(b * 2) + 1]) - (dirs[(a * 2) + 1] * dirs[b * 2]);
+        const dot = (dirs[a * 2] * dirs[b * 2]) + (dirs[(a * 2) + 1] * dirs[(b * 2) + 1]);
+
+        // straight, the corners already match
+        if (Math.abs(cross) < JOIN_EPS && dot > 0)
+        {
             continue;
         }
 
-        const px = ((b1 * c2) - (b2 * c1)) / denom;
-        const py = ((a2 * c1) - (a1 * c2)) / denom;
-        const pdist = ((px - p2x) * (px - p2x)) + ((py - p2y) * (py - p2y));
-
-        if (pdist > (196 * width * width))
+        // the side of the path outside of the turn, turning back goes around the normals
+        const side = cross < 0 && Math.abs(cross) >= JOIN_EPS ? -1 : 1;
+        const outer = side > 0 ? normalOffset : otherOffset;
+        const inner = side > 0 ? otherOffset : normalOffset;
+        const nax = normals[a * 2] * side;
+        const nay = normals[(a * 2) + 1] * side;
+        const nbx = normals[b * 2] * side;
+        const nby = normals[(b * 2) + 1] * side;
+
+        let iax = px - (nax * inner);
+        let iay = py - (nay * inner);
+        let ibx = px - (nbx * inner);
+        let iby = py - (nby * inner);
+        let oax = px + (nax * outer);
+        let oay = py + (nay * outer);
+        let obx = px + (nbx * outer);
+        let oby = py + (nby * outer);
+        let mitered = false;
+
+        // bisector of the normals
+        let mx = nax + nbx;
+        let my = nay + nby;
+        const mlength = Math.sqrt((mx * mx) + (my * my));
+
+        if (mlength >= JOIN_EPS)
         {
-            perp3x = perpx - perp2x;
-            perp3y = perpy - perp2y;
+            mx /= mlength;
+            my /= mlength;
+
+            // cosine of half the turn
+            const cos = (mx * nax) + (my * nay);
+            const innerLength = inner / cos;
+            const minLength = Math.min(lengths[a], lengths[b]);
+
+            // the inner edges meet where they overlap, unless the segments are too short
+            if ((innerLength * innerLength) - (inner * inner) <= minLength * minLength)
+            {
+                iax = ibx = px - (mx * innerLength);
+                iay = iby = py - (my * innerLength);
+            }
+
+            if (join === LINE_JOIN.MITER && 1 / cos <= style.miterLimit)
+            {
+                oax = obx = px + (mx * outer / cos);
+                oay = oby = py + (my * outer / cos);
+                mitered = true;
+            }
+        }
 
-            dist = Math.sqrt((perp3x * perp3x) + (perp3y * perp3y));
-            perp3x /= dist;
-            perp3y /= dist;
-            perp3x *= width;
-            perp3y *= width;
+        setCorners(corners, a, 2, side, iax, iay, oax, oay);
+        setCorners(corners, b, 0, side, ibx, iby, obx, oby);
 
-            verts.push(p2x - (perp3x * r1), p2y - (perp3y * r1));
+        if (mitered || outer === 0)
+        {
+            continue;
+        }
 
-            verts.push(p2x + (perp3x * r2), p2y + (perp3y * r2));
+        // the join fills the gap from the inner corner, or from the point when the inner edges don't meet
+        const cx = iax === ibx && iay === iby ? iax : px;
+        const cy = iax === ibx && iay === iby ? iay : py;
 
-            verts.push(p2x - (perp3x * r2 * r1), p2y - (perp3y * r1));
+        if (join === LINE_JOIN.ROUND)
+        {
+            const sweep = Math.abs(cross) < JOIN_EPS ? Math.PI : Math.atan2(cross, dot);
 
-            indexCount++;
+            buildArc(cx, cy, px, py, outer, Math.atan2(nay, nax), sweep, graphicsGeometry);
         }
         else
         {
-            verts.push(p2x + ((px - p2x) * r1), p2y + ((py - p2y) * r1));
+            const start = graphicsGeometry.points.length / 2;
 
-            verts.push(p2x - ((px - p2x) * r2), p2y - ((py - p2y) * r2));
+            graphicsGeometry.points.push(cx, cy, oax, oay, obx, oby);
+            graphicsGeometry.indices.push(start, start + 1, start + 2);
         }
     }
 
-    p1x = points[(length - 2) * 2];
-    p1y = points[((length - 2) * 2) + 1];
+    if (!closedShape && cap === LINE_CAP.SQUARE)
+    {
+        const last = segmentCount - 1;
+        const half = width / 2;
 
-    p2x = points[(length - 1) * 2];
-    p2y = points[((length - 1) * 2) + 1];
+        for (let i = 0; i < 2; i++)
+        {
+            corners[i * 2] -= dirs[0] * half;
+            corners[(i * 2) + 1] -= dirs[1] * half;
+            corners[(last * 8) + 4 + (i * 2)] += dirs[last * 2] * half;
+            corners[(last * 8) + 5 + (i * 2)] += dirs[(last * 2) + 1] * half;
+        }
+    }
+    else if (!closedShape && cap === LINE_CAP.ROUND)
+    {
+        const last = segmentCount - 1;
+        const shift = (normalOffset - otherOffset) / 2;
+        const startX = path[0] + (normals[0] * shift);
+        const startY = path[1] + (normals[1] * shift);
+        const endX = path[path.length - 2] + (normals[last * 2] * shift);
+        const endY = path[path.length - 1] + (normals[(last * 2) + 1] * shift);
+
+        // half circles from the normal side, around the ends
+        buildArc(startX, startY, startX, startY, width / 2,
+            Math.atan2(normals[1], normals[0]), -Math.PI, graphicsGeometry);
+        buildArc(endX, endY, endX, endY, width / 2,
+            Math.atan2(normals[(last * 2) + 1], normals[last * 2]), Math.PI, graphicsGeometry);
+    }
 
-    perpx = -(p1y - p2y);
-    perpy = p1x - p2x;
+    const verts = graphicsGeometry.points;
+    const indices = graphicsGeometry.indices;
 
-    dist = Math.sqrt((perpx * perpx) + (perpy * perpy));
-    perpx /= dist;
-    perpy /= dist;
-    perpx *= width;
-    perpy *= width;
+    for (let i = 0; i < segmentCount; i++)
+    {
+        const start = verts.length / 2;
 
-    verts.push(p2x - (perpx * r1), p2y - (perpy * r1));
+        for (let j = 0; j < 8; j++)
+        {
+            verts.push(corners[(i * 8) + j]);
+        }
 
-    verts.push(p2x + (perpx * r2), p2y + (perpy * r2));
+        indices.push(start, start + 1, start + 3, start, start + 3, start + 2);
+    }
+}
 
+/**
+ * Moves the corners at one end of a segment, for a join.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number[]} corners - The corners of all segments
+ * @param {number} segment - Index of the segment
+ * @param {number} end - 0 for the start of the segment, 2 for its end
+ * @param {number} side - 1 when the outside of the join is on the side of the normal, -1 otherwise
+ * @param {number} ix - x of the corner inside of the join
+ * @param {number} iy - y of the corner inside of the join
+ * @param {number} ox - x of the corner outside of the join
+ * @param {number} oy - y of the corner outside of the join
+ */
+function setCorners(corners, segment, end, side, ix, iy, ox, oy)
+{
+    const index = (segment * 8) + (end * 2);
+
+    corners[index] = side > 0 ? ix : ox;
+    corners[index + 1] = side > 0 ? iy : oy;
+    corners[index + 2] = side > 0 ? ox : ix;
+    corners[index + 3] = side > 0 ? oy : iy;
+}
+
+/**
+ * Builds a fan of triangles from a vertex to an arc of circle, for round joins and caps.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number} cx - x of the vertex shared by the triangles
+ * @param {number} cy - y of the vertex shared by the triangles
+ * @param {number} x - x of the center of the circle
+ * @param {number} y - y of the center of the circle
+ * @param {number} radius - Radius of the circle
+ * @param {number} startAngle - Angle where the arc starts, in radians
+ * @param {number} sweep - Signed angle covered by the arc, in radians
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ */
+function buildArc(cx, cy, x, y, radius, startAngle, sweep, graphicsGeometry)
+{
+    const verts = graphicsGeometry.points;
     const indices = graphicsGeometry.indices;
+    const start = verts.length / 2;
+
+    // the same resolution as circles
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI * 2) * 30 * Math.sqrt(radius) / 2.3));
 
-    // indices.push(indexStart);
+    verts.push(cx, cy);
 
-    for (let i = 0; i < indexCount - 2; ++i)
+    for (let i = 0; i <= segments; i++)
     {
-        indices.push(indexStart, indexStart + 1, indexStart + 2);
+        const angle = startAngle + (sweep * i / segments);
 
-        indexStart++;
+        verts.push(x + (Math.cos(angle) * radius), y + (Math.sin(angle) * radius));
+
+        if (i > 0)
+        {
+            indices.push(start, start + i, start + i + 1);
+        }
     }
 }
 
@@ -245,19 +464,15 @@ function buildNonNativeLine(graphicsData, graphicsGeometry)
  *
  * @ignore
  * @private
- * @param {PIXI.GraphicsData} graphicsData - The graphics object containing all the necessary properties
+ * @param {number[]} points - The points of the line
+ * @param {boolean} closedShape - Whether the line goes back to its first point
+ * @param {PIXI.LineStyle} style - The line style
  * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
  */
-function buildNativeLine(graphicsData, graphicsGeometry)
+function buildNativeLine(points, closedShape, style, graphicsGeometry)
 {
     let i = 0;
 
-    const shape = graphicsData.shape;
-    const points = graphicsData.points || shape.points;
-    const closedShape = shape.type !== SHAPES.POLY || shape.closeStroke;
-
-    if (points.length === 0) return;
-
     const verts = graphicsGeometry.points;
     const indices = graphicsGeometry.indices;
     const length = points.length / 2;
@@ -23,6 +23,7 @@ export * from './Star';
 export * from './ArcUtils';
 export * from './BezierUtils';
 export * from './QuadraticUtils';
+export * from './parsePath';
 export * from './BatchPart';
 
 import { SHAPES } from '@pixi/math';
@@ -0,0 +1,379 @@
+/**
+ * Number of parameters of each SVG path command.
+ *
+ * @ignore
+ * @private
+ */
+const PARAMS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+/**
+ * Matches a number of the SVG path grammar.
+ *
+ * @ignore
+ * @private
+ */
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Angle between two vectors, in radians.
+ *
+ * @ignore
+ * @private
+ * @param {number} ux - First vector x
+ * @param {number} uy - First vector y
+ * @param {number} vx - Second vector x
+ * @param {number} vy - Second vector y
+ * @return {number} The signed angle
+ */
+function vectorAngle(ux, uy, vx, vy)
+{
+    return Math.atan2((ux * vy) - (uy * vx), (ux * vx) + (uy * vy));
+}
+
+/**
+ * Converts an SVG elliptical arc to cubic bezier curves, using the
+ * endpoint to center parameterization of the SVG specification.
+ *
+ * @memberof PIXI.graphicsUtils
+ * @param {number} x1 - Starting point x
+ * @param {number} y1 - Starting point y
+ * @param {number} rx - Radius x
+ * @param {number} ry - Radius y
+ * @param {number} rotation - Rotation of the ellipse, in degrees
+ * @param {boolean} largeArc - Whether the arc spans more than 180 degrees
+ * @param {boolean} sweep - Whether the arc is drawn in the positive angle direction
+ * @param {number} x2 - Destination point x
+ * @param {number} y2 - Destination point y
+ * @param {PIXI.graphicsUtils.PathCommand[]} commands - Array to push the `C` commands into
+ */
+export function arcToBezier(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, commands)
+{
+    if (x1 === x2 && y1 === y2)
+    {
+        return;
+    }
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    // out of range radii are a straight line
+    if (rx === 0 || ry === 0)
+    {
+        commands.push({ type: 'L', x: x2, y: y2 });
+
+        return;
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = (cos * dx) + (sin * dy);
+    const y1p = (-sin * dx) + (cos * dy);
+
+    // scale up radii too small to reach the destination
+    const lambda = ((x1p * x1p) / (rx * rx)) + ((y1p * y1p) / (ry * ry));
+
+    if (lambda > 1)
+    {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const rx2 = rx * rx;
+    const ry2 = ry * ry;
+    const num = (rx2 * ry2) - (rx2 * y1p * y1p) - (ry2 * x1p * x1p);
+    const den = (rx2 * y1p * y1p) + (ry2 * x1p * x1p);
+    const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = (cos * cxp) - (sin * cyp) + ((x1 + x2) / 2);
+    const cy = (sin * cxp) + (cos * cyp) + ((y1 + y2) / 2);
+
+    const startAngle = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let sweepAngle = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+    if (!sweep && sweepAngle > 0)
+    {
+        sweepAngle -= Math.PI * 2;
+    }
+    else if (sweep && sweepAngle < 0)
+    {
+        sweepAngle += Math.PI * 2;
+    }
+
+    // one curve per quarter of ellipse at most
+    const segments = Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2));
+    const delta = sweepAngle / segments;
+    const t = 4 / 3 * Math.tan(delta / 4);
+    const mapX = (ux, uy) => cx + (cos * rx * ux) - (sin * ry * uy);
+    const mapY = (ux, uy) => cy + (sin * rx * ux) + (cos * ry * uy);
+
+    let angle = startAngle;
+
+    for (let i = 0; i < segments; i++)
+    {
+        const cos1 = Math.cos(angle);
+        const sin1 = Math.sin(angle);
+        const cos2 = Math.cos(angle + delta);
+        const sin2 = Math.sin(angle + delta);
+        const last = i === segments - 1;
+
+        commands.push({
+            type: 'C',
+            cpX: mapX(cos1 - (t * sin1), sin1 + (t * cos1)),
+            cpY: mapY(cos1 - (t * sin1), sin1 + (t * cos1)),
+            cpX2: mapX(cos2 + (t * sin2), sin2 - (t * cos2)),
+            cpY2: mapY(cos2 + (t * sin2), sin2 - (t * cos2)),
+            // land exactly on the destination
+            x: last ? x2 : mapX(cos2, sin2),
+            y: last ? y2 : mapY(cos2, sin2),
+        });
+
+        angle += delta;
+    }
+}
+
+/**
+ * Parses the data of an SVG path, the `d` attribute of `<path>` elements, into
+ * absolute commands. Relative commands are made absolute, `H` and `V` become `L`,
+ * the smooth curves `S` and `T` become `C` and `Q`, and elliptical arcs `A` are
+ * converted to `C` curves. Each sub path starts with a `M` command, even when following a `Z`.
+ *
+ * As required by the SVG specification, the path is parsed up to the first error.
+ *
+ * @memberof PIXI.graphicsUtils
+ * @param {string} path - The SVG path data.
+ * @return {PIXI.graphicsUtils.PathCommand[]} The commands.
+ */
+export function parsePath(path)
+{
+    const commands = [];
+    const length = path.length;
+    let index = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let needsMove = false;
+
+    // reflected control points of the smooth curves
+    let lastCpX = 0;
+    let lastCpY = 0;
+    let lastType = null;
+
+    const skipSeparators = () =>
+    {
+        while (index < length && ' \t\n\r\f,'.indexOf(path[index]) !== -1)
+        {
+            index++;
+        }
+    };
+
+    const readNumber = () =>
+    {
+        skipSeparators();
+        NUMBER.lastIndex = index;
+
+        const match = NUMBER.exec(path);
+
+        if (!match || match.index !== index)
+        {
+            return NaN;
+        }
+
+        index += match[0].length;
+
+        return parseFloat(match[0]);
+    };
+
+    // flags may be written without separators, e.g. "a1 1 0 00 1 1"
+    const readFlag = () =>
+    {
+        skipSeparators();
+
+        const char = path[index];
+
+        if (char !== '0' && char !== '1')
+        {
+            return NaN;
+        }
+
+        index++;
+
+        return char === '1' ? 1 : 0;
+    };
+
+    const push = (data) =>
+    {
+        if (needsMove && data.type !== 'M')
+        {
+            commands.push({ type: 'M', x: startX, y: startY });
+        }
+
+        needsMove = false;
+        commands.push(data);
+    };
+
+    for (;;)
+    {
+        skipSeparators();
+
+        if (index >= length)
+        {
+            break;
+        }
+
+        const char = path[index];
+
+        if (PARAMS[char.toLowerCase()] !== undefined)
+        {
+            command = char;
+            index++;
+        }
+        else if (command === null || command === 'z' || command === 'Z')
+        {
+            // parameters without a command
+            break;
+        }
+        else if (command === 'm' || command === 'M')
+        {
+            // extra coordinates of a move are lines
+            command = command === 'm' ? 'l' : 'L';
+        }
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const params = [];
+
+        if (!commands.length && type !== 'M')
+        {
+            break;
+        }
+
+        for (let i = 0; i < PARAMS[command.toLowerCase()]; i++)
+        {
+            params.push(type === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber());
+        }
+
+        if (params.some(isNaN))
+        {
+            break;
+        }
+
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+        let cpX = x;
+        let cpY = y;
+
+        switch (type)
+        {
+            case 'M':
+                x = startX = params[0] + ox;
+                y = startY = params[1] + oy;
+                push({ type, x, y });
+                break;
+            case 'L':
+                x = params[0] + ox;
+                y = params[1] + oy;
+                push({ type, x, y });
+                break;
+            case 'H':
+                x = params[0] + ox;
+                push({ type: 'L', x, y });
+                break;
+            case 'V':
+                y = params[0] + oy;
+                push({ type: 'L', x, y });
+                break;
+            case 'S':
+            case 'C':
+                if (type === 'C')
+                {
+                    cpX = params.shift() + ox;
+                    cpY = params.shift() + oy;
+                }
+                else if (lastType === 'C')
+                {
+                    cpX = (2 * x) - lastCpX;
+                    cpY = (2 * y) - lastCpY;
+                }
+                lastCpX = params[0] + ox;
+                lastCpY = params[1] + oy;
+                x = params[2] + ox;
+                y = params[3] + oy;
+                push({ type: 'C', cpX, cpY, cpX2: lastCpX, cpY2: lastCpY, x, y });
+                break;
+            case 'T':
+            case 'Q':
+                if (type === 'Q')
+                {
+                    cpX = params.shift() + ox;
+                    cpY = params.shift() + oy;
+                }
+                else if (lastType === 'Q')
+                {
+                    cpX = (2 * x) - lastCpX;
+                    cpY = (2 * y) - lastCpY;
+                }
+                lastCpX = cpX;
+                lastCpY = cpY;
+                x = params[0] + ox;
+                y = params[1] + oy;
+                push({ type: 'Q', cpX, cpY, x, y });
+                break;
+            case 'A':
+            {
+                const fromX = x;
+                const fromY = y;
+
+                x = params[5] + ox;
+                y = params[6] + oy;
+
+                if (needsMove)
+                {
+                    push({ type: 'M', x: startX, y: startY });
+                }
+
+                arcToBezier(fromX, fromY, params[0], params[1], params[2], !!params[3], !!params[4], x, y, commands);
+                break;
+            }
+            case 'Z':
+                x = startX;
+                y = startY;
+                commands.push({ type });
+                needsMove = true;
+                break;
+        }
+
+        // smooth curves only reflect control points of curves of the same kind
+        lastType = null;
+
+        if (type === 'C' || type === 'S')
+        {
+            lastType = 'C';
+        }
+        else if (type === 'Q' || type === 'T')
+        {
+            lastType = 'Q';
+        }
+    }
+
+    return commands;
+}
+
+/**
+ * An absolute path command, from {@link PIXI.graphicsUtils.parsePath}.
+ *
+ * @memberof PIXI.graphicsUtils
+ * @typedef {object} PathCommand
+ * @property {string} type - The command, `M`, `L`, `C`, `Q` or `Z`
+ * @property {number} [x] - Destination point x
+ * @property {number} [y] - Destination point y
+ * @property {number} [cpX] - Control point x of `C` and `Q` commands
+ * @property {number} [cpY] - Control point y of `C` and `Q` commands
+ * @property {number} [cpX2] - Second control point x of `C` commands
+ * @property {number} [cpY2] - Second control point y of `C` commands
+ */
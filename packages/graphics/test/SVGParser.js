@@ -0,0 +1,73 @@
+const { SVGParser } = require('../');
+const { Point } = require('@pixi/math');
+
+describe('PIXI.SVGParser', function ()
+{
+    it('should map painting properties to fill and line styles', function ()
+    {
+        const graphics = SVGParser.parse(`<svg xmlns="http://www.w3.org/2000/svg">
+            <g fill="red" stroke="#0000ff" opacity="0.5">
+                <rect x="10" y="10" width="20" height="20" stroke-width="4"/>
+                <circle cx="50" cy="50" r="10" style="fill: rgba(0, 255, 0, 0.5); stroke: none"/>
+            </g>
+        </svg>`);
+        const data = graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(2);
+        expect(data[0].fillStyle.color).to.equal(0xff0000);
+        expect(data[0].fillStyle.alpha).to.equal(0.5);
+        expect(data[0].lineStyle.color).to.equal(0x0000ff);
+        expect(data[0].lineStyle.width).to.equal(4);
+        expect(data[1].fillStyle.color).to.equal(0x00ff00);
+        expect(data[1].fillStyle.alpha).to.be.closeTo(0.25, 0.01);
+        expect(data[1].lineStyle.visible).to.be.false;
+
+        graphics.destroy();
+    });
+
+    it('should map line caps and joins', function ()
+    {
+        const graphics = SVGParser.parse(`<svg xmlns="http://www.w3.org/2000/svg">
+            <g stroke="black" stroke-linecap="round" stroke-linejoin="arcs">
+                <polyline points="0,0 10,0 10,10" stroke-miterlimit="2"/>
+                <polyline points="0,0 10,0 10,10" style="stroke-linejoin: bevel"/>
+            </g>
+        </svg>`);
+        const data = graphics.geometry.graphicsData;
+
+        expect(data[0].lineStyle).to.include({ cap: 'round', join: 'miter', miterLimit: 2 });
+        expect(data[1].lineStyle).to.include({ cap: 'round', join: 'bevel', miterLimit: 4 });
+
+        graphics.destroy();
+    });
+
+    it('should apply transforms', function ()
+    {
+        const graphics = SVGParser.parse(`<svg xmlns="http://www.w3.org/2000/svg">
+            <g transform="translate(100, 0)">
+                <path d="M0 0 H10 V10 H0 Z" transform="scale(2)"/>
+            </g>
+        </svg>`);
+
+        expect(graphics.containsPoint(new Point(115, 15))).to.be.true;
+        expect(graphics.containsPoint(new Point(5, 5))).to.be.false;
+
+        graphics.destroy();
+    });
+
+    it('should skip hidden and unpainted shapes', function ()
+    {
+        const graphics = SVGParser.parse(`<svg xmlns="http://www.w3.org/2000/svg">
+            <defs><rect width="10" height="10"/></defs>
+            <rect width="10" height="10" display="none"/>
+            <polygon points="0,0 10,0 10,10" fill="none"/>
+        </svg>`);
+        const data = graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(1);
+        expect(data[0].fillStyle.visible).to.be.false;
+        expect(data[0].shape.closeStroke).to.be.true;
+
+        graphics.destroy();
+    });
+});
@@ -1,8 +1,18 @@
 // const MockPointer = require('../interaction/MockPointer');
+require('./SVGParser');
 const { Renderer, BatchRenderer, Texture } = require('@pixi/core');
-const { Graphics, GRAPHICS_CURVES, FillStyle, LineStyle, graphicsUtils } = require('../');
+const {
+    Graphics,
+    GRAPHICS_CURVES,
+    LINE_CAP,
+    LINE_JOIN,
+    FillStyle,
+    FillGradient,
+    LineStyle,
+    graphicsUtils,
+} = require('../');
 const { FILL_COMMANDS, buildLine } = graphicsUtils;
-const { BLEND_MODES } = require('@pixi/constants');
+const { BLEND_MODES, WRAP_MODES } = require('@pixi/constants');
 const { Point, Matrix, SHAPES } = require('@pixi/math');
 const { skipHello } = require('@pixi/utils');
 
@@ -44,6 +54,21 @@ describe('PIXI.Graphics', function ()
             graphics.destroy();
         });
 
+        it('should default to butt caps and miter joins', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle(1);
+            expect(graphics.line.cap).to.equal(LINE_CAP.BUTT);
+            expect(graphics.line.join).to.equal(LINE_JOIN.MITER);
+            expect(graphics.line.miterLimit).to.equal(10);
+
+            graphics.lineStyle({ width: 1, cap: LINE_CAP.ROUND, join: LINE_JOIN.BEVEL, miterLimit: 2 });
+            expect(graphics.line.clone()).to.include({ cap: 'round', join: 'bevel', miterLimit: 2 });
+
+            graphics.destroy();
+        });
+
         it('should default color to black if texture not present and white if present', function ()
         {
             const graphics = new Graphics();
@@ -191,6 +216,144 @@ describe('PIXI.Graphics', function ()
             // native = true
             expect(function () { buildLine(data, geometry); }).to.not.throw();
         });
+
+        it('buildLine should split lines into dashes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [10, 10] })
+                .moveTo(0, 0)
+                .lineTo(100, 0);
+
+            const geometry = graphics.geometry;
+
+            geometry.updateBatches();
+
+            expect(geometry.points).to.deep.equal([0, 0, 10, 0, 20, 0, 30, 0, 40, 0, 50, 0, 60, 0, 70, 0, 80, 0, 90, 0]);
+            expect(geometry.indices).to.have.lengthOf(10);
+
+            graphics.clear()
+                .lineStyle({ width: 1, native: true, dash: [10, 10], dashOffset: 5 })
+                .moveTo(0, 0)
+                .lineTo(100, 0);
+            geometry.updateBatches();
+
+            expect(geometry.points.slice(0, 6)).to.deep.equal([0, 0, 5, 0, 15, 0]);
+            expect(geometry.points.slice(-2)).to.deep.equal([100, 0]);
+            expect(geometry.points).to.have.lengthOf(24);
+
+            graphics.destroy();
+        });
+
+        it('buildLine should continue dashes over the end of closed shapes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [12, 4] }).drawRect(0, 0, 10, 10);
+
+            const geometry = graphics.geometry;
+
+            geometry.updateBatches();
+
+            expect(geometry.points).to.deep.equal([
+                0, 8, 0, 0, 10, 0, 10, 2,
+                10, 6, 10, 10, 2, 10,
+            ]);
+            expect(geometry.indices).to.have.lengthOf(10);
+
+            graphics.destroy();
+        });
+
+        it('buildLine should ignore invalid dash patterns', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [0, 0] }).moveTo(0, 0).lineTo(100, 0);
+            graphics.geometry.updateBatches();
+
+            expect(graphics.geometry.points).to.deep.equal([0, 0, 100, 0]);
+
+            graphics.destroy();
+        });
+
+        it('buildLine should draw line joins', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+            const corner = (join, miterLimit) =>
+            {
+                graphics.clear()
+                    .lineStyle({ width: 10, join, miterLimit })
+                    .moveTo(0, 0)
+                    .lineTo(100, 0)
+                    .lineTo(100, 100);
+                geometry.updateBatches();
+
+                return geometry.points;
+            };
+
+            let points = corner(LINE_JOIN.MITER);
+
+            // two quads sharing the corners of the miter
+            expect(points).to.have.lengthOf(16);
+            expect(points.slice(4, 8)).to.deep.equal([95, 5, 105, -5]);
+            expect(geometry.indices).to.have.lengthOf(12);
+
+            // the miter length is the width times the square root of 2
+            points = corner(LINE_JOIN.MITER, 1.4);
+
+            expect(points).to.have.lengthOf(22);
+            expect(Math.min(...points.filter((value, i) => i % 2 === 1))).to.be.closeTo(-5, 0.0001);
+            expect(Math.max(...points.filter((value, i) => i % 2 === 0))).to.be.closeTo(105, 0.0001);
+            expect(geometry.indices).to.have.lengthOf(15);
+
+            points = corner(LINE_JOIN.BEVEL);
+            expect(points).to.have.lengthOf(22);
+
+            points = corner(LINE_JOIN.ROUND);
+
+            // the arc is a fan from the inner corner
+            expect(points.slice(0, 2)).to.deep.equal([95, 5]);
+
+            for (let i = 2; i < points.length - 16; i += 2)
+            {
+                expect(Math.sqrt(Math.pow(points[i] - 100, 2) + Math.pow(points[i + 1], 2))).to.be.closeTo(5, 0.0001);
+            }
+
+            graphics.destroy();
+        });
+
+        it('buildLine should draw line caps', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+            const line = (cap, dash) =>
+            {
+                graphics.clear().lineStyle({ width: 10, cap, dash }).moveTo(0, 0).lineTo(100, 0);
+                geometry.updateBatches();
+
+                const xs = geometry.points.filter((value, i) => i % 2 === 0);
+
+                return [Math.min(...xs), Math.max(...xs)];
+            };
+
+            expect(line(LINE_CAP.BUTT)).to.deep.equal([0, 100]);
+            expect(line(LINE_CAP.SQUARE)).to.deep.equal([-5, 105]);
+
+            const [min, max] = line(LINE_CAP.ROUND);
+
+            expect(min).to.be.closeTo(-5, 0.1);
+            expect(max).to.be.closeTo(105, 0.1);
+
+            // zero length dashes are dots with round and square caps only
+            line(LINE_CAP.BUTT, [0, 20]);
+            expect(geometry.points).to.have.lengthOf(0);
+
+            expect(line(LINE_CAP.SQUARE, [0, 20])).to.deep.equal([-5, 85.0002]);
+            expect(geometry.points).to.have.lengthOf(5 * 8);
+
+            graphics.destroy();
+        });
     });
 
     describe('lineTo', function ()
@@ -712,6 +875,230 @@ describe('PIXI.Graphics', function ()
         GRAPHICS_CURVES.maxLength = defMaxLen;
     });
 
+    describe('beginGradientFill', function ()
+    {
+        it('should fill with the texture of the gradient', function ()
+        {
+            const graphics = new Graphics();
+            const gradient = FillGradient.linear(0, 0, 100, 0)
+                .addColorStop(0, 0xff0000)
+                .addColorStop(1, 0x0000ff);
+
+            graphics.beginGradientFill({ gradient, alpha: 0.5 });
+
+            expect(graphics.fill.gradient).to.equal(gradient);
+            expect(graphics.fill.texture).to.equal(gradient.texture);
+            expect(graphics.fill.color).to.equal(0xFFFFFF);
+            expect(graphics.fill.alpha).to.equal(0.5);
+
+            graphics.drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const uvs = graphics.geometry.uvs;
+
+            expect(uvs[0]).to.be.closeTo(0, 0.0001);
+            expect(uvs[2]).to.be.closeTo(1, 0.0001);
+
+            graphics.beginFill(0xff0000);
+
+            expect(graphics.fill.gradient).to.be.null;
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+
+        it('should stroke with the texture of the gradient', function ()
+        {
+            const graphics = new Graphics();
+            const gradient = FillGradient.radial(50, 50, 0, 50).addColorStop(0, 0xffffff);
+
+            graphics.lineGradientStyle({ gradient, width: 2 });
+
+            expect(graphics.line.visible).to.be.true;
+            expect(graphics.line.width).to.equal(2);
+            expect(graphics.line.gradient).to.equal(gradient);
+            expect(graphics.line.texture).to.equal(gradient.texture);
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+
+        it('should use the closest stop outside of the gradient', function ()
+        {
+            const renderer = new Renderer({ width: 100, height: 1 });
+            const graphics = new Graphics();
+            const gradient = FillGradient.linear(0, 0, 50, 0)
+                .addColorStop(0, 0xff0000)
+                .addColorStop(1, 0x0000ff);
+            const gl = renderer.gl;
+            const pixel = new Uint8Array(4);
+
+            graphics.beginGradientFill({ gradient }).drawRect(0, 0, 100, 1);
+            renderer.render(graphics);
+            gl.readPixels(60, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+            expect(gradient.texture.baseTexture.wrapMode).to.equal(WRAP_MODES.CLAMP);
+            expect(pixel[0]).to.be.below(5);
+            expect(pixel[2]).to.be.above(250);
+
+            graphics.destroy();
+            gradient.destroy();
+            renderer.destroy();
+        });
+    });
+
+    describe('FillGradient', function ()
+    {
+        it('should map its texture to the gradient', function ()
+        {
+            const size = FillGradient.TEXTURE_SIZE;
+            const linear = FillGradient.linear(10, 10, 10, 110);
+            const radial = FillGradient.radial(50, 50, 10, 40);
+
+            expect(linear.matrix.apply(new Point(0, 0))).to.deep.include({ x: 10, y: 10 });
+            expect(linear.matrix.apply(new Point(size, 0))).to.deep.include({ x: 10, y: 110 });
+            expect(radial.matrix.apply(new Point(size / 2, size / 2))).to.deep.include({ x: 50, y: 50 });
+            expect(radial.matrix.apply(new Point(size, size / 2))).to.deep.include({ x: 90, y: 50 });
+        });
+
+        it('should generate its texture from the color stops', function ()
+        {
+            const gradient = FillGradient.linear(0, 0, 100, 0)
+                .addColorStop(1, 0x0000ff, 0.5)
+                .addColorStop(0, 0xff0000);
+            const texture = gradient.texture;
+            const context = texture.baseTexture.resource.source.getContext('2d');
+            const start = context.getImageData(0, 0, 1, 1).data;
+            const end = context.getImageData(FillGradient.TEXTURE_SIZE - 1, 0, 1, 1).data;
+
+            expect(gradient.colorStops.map((stop) => stop.offset)).to.deep.equal([0, 1]);
+            expect(texture.width).to.equal(FillGradient.TEXTURE_SIZE);
+            expect(texture.height).to.equal(1);
+            expect(start[0]).to.be.above(250);
+            expect(start[3]).to.equal(255);
+            expect(end[2]).to.be.above(250);
+            expect(end[3]).to.be.closeTo(128, 2);
+
+            gradient.destroy();
+        });
+
+        it('should update its texture when stops are added after it is used', function ()
+        {
+            const graphics = new Graphics();
+            const gradient = FillGradient.linear(0, 0, 100, 0).addColorStop(0, 0xff0000);
+
+            graphics.beginGradientFill({ gradient }).drawRect(0, 0, 100, 100);
+
+            const baseTexture = graphics.fill.texture.baseTexture;
+            const dirtyId = baseTexture.dirtyId;
+
+            gradient.addColorStop(1, 0x0000ff);
+
+            const context = baseTexture.resource.source.getContext('2d');
+            const end = context.getImageData(FillGradient.TEXTURE_SIZE - 1, 0, 1, 1).data;
+
+            expect(baseTexture.dirtyId).to.be.above(dirtyId);
+            expect(end[0]).to.be.below(5);
+            expect(end[2]).to.be.above(250);
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+    });
+
+    describe('drawPath', function ()
+    {
+        it('should draw each sub path as a polygon', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle(1).drawPath('M0 0 h10 v10 Z m20 0 l10 0 l0 10');
+
+            const data = graphics.geometry.graphicsData;
+
+            expect(data).to.have.lengthOf(2);
+            expect(data[0].shape.points).to.deep.equal([0, 0, 10, 0, 10, 10]);
+            expect(data[0].shape.closeStroke).to.be.true;
+            expect(data[1].shape.points).to.deep.equal([20, 0, 30, 0, 30, 10]);
+            expect(data[1].shape.closeStroke).to.be.false;
+
+            graphics.destroy();
+        });
+
+        it('should draw inner sub paths as holes when filling', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xff0000).drawPath('M0 0 H100 V100 H0 Z M25 25 H75 V75 H25 Z');
+
+            const data = graphics.geometry.graphicsData;
+
+            expect(data).to.have.lengthOf(1);
+            expect(data[0].holes).to.have.lengthOf(1);
+            expect(data[0].holes[0].shape.points).to.deep.equal([25, 25, 75, 25, 75, 75, 25, 75]);
+            expect(graphics.containsPoint(new Point(10, 10))).to.be.true;
+            expect(graphics.containsPoint(new Point(50, 50))).to.be.false;
+
+            graphics.destroy();
+        });
+
+        it('should draw curves and arcs', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xff0000).drawPath('M0 50 A50 50 0 0 1 100 50 Q100 100 50 100 T0 50');
+
+            const points = graphics.geometry.graphicsData[0].shape.points;
+
+            expect(points.length).to.be.above(10);
+            expect(points[points.length - 2]).to.be.closeTo(0, 0.0001);
+            expect(points[points.length - 1]).to.be.closeTo(50, 0.0001);
+            expect(graphics.containsPoint(new Point(50, 10))).to.be.true;
+
+            graphics.destroy();
+        });
+    });
+
+    describe('parsePath', function ()
+    {
+        const { parsePath } = graphicsUtils;
+
+        it('should make relative commands absolute', function ()
+        {
+            expect(parsePath('m10 10 l5 5 h5 v-10 z l1 1')).to.deep.equal([
+                { type: 'M', x: 10, y: 10 },
+                { type: 'L', x: 15, y: 15 },
+                { type: 'L', x: 20, y: 15 },
+                { type: 'L', x: 20, y: 5 },
+                { type: 'Z' },
+                { type: 'M', x: 10, y: 10 },
+                { type: 'L', x: 11, y: 11 },
+            ]);
+        });
+
+        it('should reflect the control points of smooth curves', function ()
+        {
+            const commands = parsePath('M0 0 C10 0 20 10 20 20 S30 40 40 40');
+
+            expect(commands[2]).to.deep.equal({ type: 'C', cpX: 20, cpY: 30, cpX2: 30, cpY2: 40, x: 40, y: 40 });
+        });
+
+        it('should parse compact numbers and arc flags', function ()
+        {
+            const commands = parsePath('M.5-.5L1e1,2a5 5 0 0020 0');
+
+            expect(commands[0]).to.deep.equal({ type: 'M', x: 0.5, y: -0.5 });
+            expect(commands[1]).to.deep.equal({ type: 'L', x: 10, y: 2 });
+            expect(commands[commands.length - 1]).to.include({ type: 'C', x: 30, y: 2 });
+        });
+
+        it('should stop at the first error', function ()
+        {
+            expect(parsePath('M0 0 L10 10 X 5 L20 20')).to.have.lengthOf(2);
+            expect(parsePath('L10 10')).to.have.lengthOf(0);
+        });
+    });
+
     describe('geometry', function ()
     {
         it('validateBatching should return false if any of textures is invalid', function ()
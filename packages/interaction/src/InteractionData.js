@@ -1,5 +1,14 @@
 import { Point } from '@pixi/math';
 
+/**
+ * Number of pixels scrolled per unit of a wheel delta, indexed by `WheelEvent.deltaMode`:
+ * pixels, lines and pages.
+ *
+ * @ignore
+ * @private
+ */
+const WHEEL_DELTA_PIXELS = [1, 40, 800];
+
 /**
  * Holds all information related to an Interaction event
  *
@@ -127,6 +136,36 @@ export class InteractionData
          * @type {number}
          */
         this.tangentialPressure = 0;
+
+        /**
+         * Horizontal scroll amount of a wheel event, in pixels.
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/WheelEvent/deltaX
+         * @type {number}
+         */
+        this.deltaX = 0;
+
+        /**
+         * Vertical scroll amount of a wheel event, in pixels.
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/WheelEvent/deltaY
+         * @type {number}
+         */
+        this.deltaY = 0;
+
+        /**
+         * Z-axis scroll amount of a wheel event, in pixels.
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/WheelEvent/deltaZ
+         * @type {number}
+         */
+        this.deltaZ = 0;
+
+        /**
+         * Unit of the wheel deltas. Deltas in lines or pages are converted to pixels,
+         * so this is always `0` (`WheelEvent.DOM_DELTA_PIXEL`); the original unit is
+         * available on `originalEvent.deltaMode`.
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/WheelEvent/deltaMode
+         * @type {number}
+         */
+        this.deltaMode = 0;
     }
 
     /**
@@ -184,6 +223,14 @@ export class InteractionData
         this.rotationAngle = event.rotationAngle;
         this.twist = event.twist || 0;
         this.tangentialPressure = event.tangentialPressure || 0;
+
+        // only wheel events have deltas, normalized to pixels
+        const pixels = WHEEL_DELTA_PIXELS[event.deltaMode] || 1;
+
+        this.deltaX = (event.deltaX || 0) * pixels;
+        this.deltaY = (event.deltaY || 0) * pixels;
+        this.deltaZ = (event.deltaZ || 0) * pixels;
+        this.deltaMode = 0;
     }
 
     /**
@@ -41,6 +41,7 @@ export class InteractionManager extends EventEmitter
      * @param {object} [options] - The options for the manager.
      * @param {boolean} [options.autoPreventDefault=true] - Should the manager automatically prevent default browser actions.
      * @param {number} [options.interactionFrequency=10] - Maximum requency (ms) at pointer over/out states will be checked.
+     * @param {number} [options.dragThreshold=3] - Distance (px) a pointer must move before dragging display objects.
      * @param {number} [options.useSystemTicker=true] - Whether to add {@link tickerUpdate} to {@link PIXI.Ticker.system}.
      */
     constructor(renderer, options)
@@ -75,6 +76,15 @@ export class InteractionManager extends EventEmitter
          */
         this.interactionFrequency = options.interactionFrequency || 10;
 
+        /**
+         * Distance in pixels a pointer must move, with its primary button down on a display object,
+         * before the object receives [dragstart]{@link PIXI.DisplayObject#event:dragstart}.
+         *
+         * @member {number}
+         * @default 3
+         */
+        this.dragThreshold = options.dragThreshold !== undefined ? options.dragThreshold : 3;
+
         /**
          * The mouse data
          *
@@ -96,6 +106,15 @@ export class InteractionManager extends EventEmitter
         this.activeInteractionData = {};
         this.activeInteractionData[MOUSE_POINTER_ID] = this.mouse;
 
+        /**
+         * Display objects capturing pointers, by pointer identifier.
+         * See {@link PIXI.interaction.InteractionManager#setPointerCapture}.
+         *
+         * @private
+         * @member {Object.<number,PIXI.DisplayObject>}
+         */
+        this.pointerCaptures = {};
+
         /**
          * Pool of unused InteractionData
          *
@@ -217,6 +236,13 @@ export class InteractionManager extends EventEmitter
          */
         this.onPointerOver = this.onPointerOver.bind(this);
 
+        /**
+         * @private
+         * @member {Function}
+         */
+        this.onWheel = this.onWheel.bind(this);
+        this.processWheel = this.processWheel.bind(this);
+
         /**
          * Dictionary of how different cursor modes are handled. Strings are handled as CSS cursor
          * values, objects are handled as dictionaries of CSS values for interactionDOMElement,
@@ -459,6 +485,13 @@ export class InteractionManager extends EventEmitter
          * @param {PIXI.interaction.InteractionEvent} event - Interaction event
          */
 
+        /**
+         * Fired when a wheel is rolled while a pointer device is over the display object.
+         *
+         * @event PIXI.interaction.InteractionManager#wheel
+         * @param {PIXI.interaction.InteractionEvent} event - Interaction event
+         */
+
         /**
          * Fired when a pointer device button (usually a mouse left-button) is pressed on the display.
          * object. DisplayObject's `interactive` property must be set to `true` to fire event.
@@ -665,6 +698,45 @@ export class InteractionManager extends EventEmitter
          * @param {PIXI.interaction.InteractionEvent} event - Interaction event
          */
 
+        /**
+         * Fired when a pointer device moves further than {@link PIXI.interaction.InteractionManager#dragThreshold}
+         * after its primary button was pressed on the display object, followed by
+         * [dragmove]{@link PIXI.DisplayObject#event:dragmove}. The pointer can be captured with
+         * {@link PIXI.interaction.InteractionManager#setPointerCapture} to keep receiving its events
+         * wherever it goes.
+         * DisplayObject's `interactive` property must be set to `true` to fire event.
+         *
+         * @event PIXI.DisplayObject#dragstart
+         * @param {PIXI.interaction.InteractionEvent} event - Interaction event
+         */
+
+        /**
+         * Fired when a pointer device dragging the display object moves.
+         * DisplayObject's `interactive` property must be set to `true` to fire event.
+         *
+         * @event PIXI.DisplayObject#dragmove
+         * @param {PIXI.interaction.InteractionEvent} event - Interaction event
+         */
+
+        /**
+         * Fired when the primary button of a pointer device dragging the display object is released,
+         * or when the pointer is cancelled.
+         * DisplayObject's `interactive` property must be set to `true` to fire event.
+         *
+         * @event PIXI.DisplayObject#dragend
+         * @param {PIXI.interaction.InteractionEvent} event - Interaction event
+         */
+
+        /**
+         * Fired when a wheel is rolled while a pointer device is over the display object.
+         * The scroll amounts are in `event.data.deltaX`, `deltaY` and `deltaZ`, in pixels.
+         * Handlers can call `event.data.originalEvent.preventDefault()` to stop the page from scrolling.
+         * DisplayObject's `interactive` property must be set to `true` to fire event.
+         *
+         * @event PIXI.DisplayObject#wheel
+         * @param {PIXI.interaction.InteractionEvent} event - Interaction event
+         */
+
         this._useSystemTicker = options.useSystemTicker !== undefined ? options.useSystemTicker : true;
 
         this.setTargetElement(this.renderer.view, this.renderer.resolution);
@@ -720,6 +792,48 @@ export class InteractionManager extends EventEmitter
         return hitTestEvent.target;
     }
 
+    /**
+     * Makes a display object the target of all events of a pointer, like `Element.setPointerCapture`.
+     * The display object is hit wherever the pointer is, while other display objects are not,
+     * until the capture is released or the pointer goes up or is cancelled.
+     *
+     * ```js
+     * sprite.on('dragstart', (event) =>
+     * {
+     *     renderer.plugins.interaction.setPointerCapture(sprite, event.data.pointerId);
+     * });
+     * ```
+     *
+     * @param {PIXI.DisplayObject} displayObject - The display object capturing the pointer.
+     * @param {number} pointerId - Identifier of the pointer, see {@link PIXI.interaction.InteractionData#pointerId}.
+     */
+    setPointerCapture(displayObject, pointerId)
+    {
+        this.pointerCaptures[pointerId] = displayObject;
+    }
+
+    /**
+     * Stops a display object from capturing a pointer, like `Element.releasePointerCapture`.
+     *
+     * @param {number} pointerId - Identifier of the pointer.
+     */
+    releasePointerCapture(pointerId)
+    {
+        delete this.pointerCaptures[pointerId];
+    }
+
+    /**
+     * Checks whether a display object captures a pointer, like `Element.hasPointerCapture`.
+     *
+     * @param {PIXI.DisplayObject} displayObject - The display object.
+     * @param {number} pointerId - Identifier of the pointer.
+     * @return {boolean} Whether the display object captures the pointer.
+     */
+    hasPointerCapture(displayObject, pointerId)
+    {
+        return this.pointerCaptures[pointerId] === displayObject;
+    }
+
     /**
      * Sets the DOM element which will receive mouse/touch events. This is useful for when you have
      * other DOM elements on top of the renderers Canvas element. With this you'll be bale to delegate
@@ -824,6 +938,8 @@ export class InteractionManager extends EventEmitter
             window.addEventListener('mouseup', this.onPointerUp, true);
         }
 
+        this.interactionDOMElement.addEventListener('wheel', this.onWheel, true);
+
         // always look directly for touch events so that we can provide original data
         // In a future version we should change this to being just a fallback and rely solely on
         // PointerEvents whenever available
@@ -878,6 +994,8 @@ export class InteractionManager extends EventEmitter
             window.removeEventListener('mouseup', this.onPointerUp, true);
         }
 
+        this.interactionDOMElement.removeEventListener('wheel', this.onWheel, true);
+
         if (this.supportsTouchEvents)
         {
             this.interactionDOMElement.removeEventListener('touchstart', this.onPointerDown, true);
@@ -1094,7 +1212,16 @@ export class InteractionManager extends EventEmitter
      */
     processInteractive(interactionEvent, displayObject, func, hitTest)
     {
-        const hit = this.search.findHit(interactionEvent, displayObject, func, hitTest);
+        const capture = func && this.pointerCaptures[interactionEvent.data.identifier];
+
+        if (capture && capture._destroyed)
+        {
+            this.releasePointerCapture(interactionEvent.data.identifier);
+        }
+
+        const hit = capture && !capture._destroyed
+            ? this.processCaptured(interactionEvent, displayObject, func, hitTest, capture)
+            : this.search.findHit(interactionEvent, displayObject, func, hitTest);
 
         const delayedEvents = this.delayedEvents;
 
@@ -1126,6 +1253,51 @@ export class InteractionManager extends EventEmitter
         return hit;
     }
 
+    /**
+     * Processes the interactive objects for a captured pointer, which only hits the capturing object
+     * and its ancestors
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} interactionEvent - event containing the point that
+     *  is tested for collision
+     * @param {PIXI.Container|PIXI.Sprite|PIXI.TilingSprite} displayObject - the displayObject
+     *  that will be hit test (recursively crawls its children)
+     * @param {Function} func - the function that will be called on each interactive object
+     * @param {boolean} hitTest - indicates whether we want to calculate hits
+     * @param {PIXI.DisplayObject} capture - the display object capturing the pointer
+     * @return {boolean} Whether the capturing object was found in the tree
+     */
+    processCaptured(interactionEvent, displayObject, func, hitTest, capture)
+    {
+        let found = false;
+
+        // a target stops the search from hit testing other objects
+        interactionEvent.target = capture;
+
+        this.search.findHit(interactionEvent, displayObject, (interactionEvent, displayObject) =>
+        {
+            let hit = false;
+
+            // the events bubble from the capturing object to its ancestors, like in the DOM
+            for (let object = capture; object && !hit; object = object.parent)
+            {
+                hit = object === displayObject;
+            }
+
+            found = found || displayObject === capture;
+
+            func(interactionEvent, displayObject, hit);
+        }, hitTest);
+
+        // the capturing object gets the events even when it is hidden or out of the tree
+        if (!found)
+        {
+            func(interactionEvent, capture, true);
+        }
+
+        return found;
+    }
+
     /**
      * Is called when the pointer button is pressed down on the renderer element
      *
@@ -1205,6 +1377,13 @@ export class InteractionManager extends EventEmitter
             {
                 displayObject.trackedPointers[id] = new InteractionTrackingData(id);
             }
+
+            // touches have no buttons, mice and pens drag with the primary button
+            if (data.pointerType === 'touch' || data.button === 0)
+            {
+                displayObject.trackedPointers[id].dragStart = data.global.clone();
+            }
+
             this.dispatchEvent(displayObject, 'pointerdown', interactionEvent);
 
             if (data.pointerType === 'touch')
@@ -1260,6 +1439,9 @@ export class InteractionManager extends EventEmitter
             // perform hit testing for events targeting our canvas or cancel events
             this.processInteractive(interactionEvent, this.renderer._lastObjectRendered, func, cancelled || !eventAppend);
 
+            // like the DOM, pointers are released when they go up
+            this.releasePointerCapture(interactionData.identifier);
+
             this.emit(cancelled ? 'pointercancel' : `pointerup${eventAppend}`, interactionEvent);
 
             if (event.pointerType === 'mouse' || event.pointerType === 'pen')
@@ -1303,11 +1485,18 @@ export class InteractionManager extends EventEmitter
 
         const id = interactionEvent.data.identifier;
 
-        if (displayObject.trackedPointers[id] !== undefined)
+        const trackingData = displayObject.trackedPointers[id];
+
+        if (trackingData !== undefined)
         {
             delete displayObject.trackedPointers[id];
             this.dispatchEvent(displayObject, 'pointercancel', interactionEvent);
 
+            if (trackingData.dragging)
+            {
+                this.dispatchEvent(displayObject, 'dragend', interactionEvent);
+            }
+
             if (data.pointerType === 'touch')
             {
                 this.dispatchEvent(displayObject, 'touchcancel', interactionEvent);
@@ -1419,6 +1608,18 @@ export class InteractionManager extends EventEmitter
             this.dispatchEvent(displayObject, 'pointerupoutside', interactionEvent);
             if (isTouch) this.dispatchEvent(displayObject, 'touchendoutside', interactionEvent);
         }
+
+        if (trackingData && trackingData.dragStart && (isTouch || data.button === 0))
+        {
+            if (trackingData.dragging)
+            {
+                trackingData.dragging = false;
+                this.dispatchEvent(displayObject, 'dragend', interactionEvent);
+            }
+
+            trackingData.dragStart = null;
+        }
+
         // Only remove the tracking data if there is no over/down state still associated with it
         if (trackingData && trackingData.none)
         {
@@ -1500,6 +1701,42 @@ export class InteractionManager extends EventEmitter
             if (isTouch) this.dispatchEvent(displayObject, 'touchmove', interactionEvent);
             if (isMouse) this.dispatchEvent(displayObject, 'mousemove', interactionEvent);
         }
+
+        this.processDrag(interactionEvent, displayObject);
+    }
+
+    /**
+     * Dispatches the drag events of a moving pointer if its primary button is down on the display object
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} interactionEvent - The interaction event wrapping the DOM event
+     * @param {PIXI.Container|PIXI.Sprite|PIXI.TilingSprite} displayObject - The display object that was tested
+     */
+    processDrag(interactionEvent, displayObject)
+    {
+        const trackingData = displayObject.trackedPointers[interactionEvent.data.identifier];
+
+        if (!trackingData || !trackingData.dragStart)
+        {
+            return;
+        }
+
+        if (!trackingData.dragging)
+        {
+            const { global } = interactionEvent.data;
+            const dx = global.x - trackingData.dragStart.x;
+            const dy = global.y - trackingData.dragStart.y;
+
+            if ((dx * dx) + (dy * dy) <= this.dragThreshold * this.dragThreshold)
+            {
+                return;
+            }
+
+            trackingData.dragging = true;
+            this.dispatchEvent(displayObject, 'dragstart', interactionEvent);
+        }
+
+        this.dispatchEvent(displayObject, 'dragmove', interactionEvent);
     }
 
     /**
@@ -1637,6 +1874,46 @@ export class InteractionManager extends EventEmitter
         }
     }
 
+    /**
+     * Is called when a wheel is rolled over the renderer element
+     *
+     * @private
+     * @param {WheelEvent} originalEvent - The DOM event of a wheel being rolled
+     */
+    onWheel(originalEvent)
+    {
+        const events = this.normalizeToPointerData(originalEvent);
+
+        // Only mouse and pointer can call onWheel, so events will always be length 1
+        const event = events[0];
+
+        const interactionData = this.getInteractionDataForPointerId(event);
+
+        const interactionEvent = this.configureInteractionEventForDOMEvent(this.eventData, event, interactionData);
+
+        interactionEvent.data.originalEvent = originalEvent;
+
+        this.processInteractive(interactionEvent, this.renderer._lastObjectRendered, this.processWheel, true);
+
+        this.emit('wheel', interactionEvent);
+    }
+
+    /**
+     * Processes the result of the wheel check and dispatches the event if need be
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} interactionEvent - The interaction event wrapping the DOM event
+     * @param {PIXI.Container|PIXI.Sprite|PIXI.TilingSprite} displayObject - The display object that was tested
+     * @param {boolean} hit - the result of the hit test on the display object
+     */
+    processWheel(interactionEvent, displayObject, hit)
+    {
+        if (hit)
+        {
+            this.dispatchEvent(displayObject, 'wheel', interactionEvent);
+        }
+    }
+
     /**
      * Get InteractionData for a given pointerId. Store that data as well
      *
@@ -1809,6 +2086,8 @@ export class InteractionManager extends EventEmitter
 
         this.eventData = null;
 
+        this.pointerCaptures = null;
+
         this.interactionDOMElement = null;
 
         this.onPointerDown = null;
@@ -1828,6 +2107,9 @@ export class InteractionManager extends EventEmitter
 
         this.onPointerOver = null;
 
+        this.onWheel = null;
+        this.processWheel = null;
+
         this.search = null;
     }
 }
@@ -15,6 +15,15 @@ export class InteractionTrackingData
     {
         this._pointerId = pointerId;
         this._flags = InteractionTrackingData.FLAGS.NONE;
+
+        /**
+         * Global position where the primary button came down in the DisplayObject,
+         * `null` when it is not down
+         *
+         * @private
+         * @member {PIXI.Point}
+         */
+        this.dragStart = null;
     }
 
     /**
@@ -121,6 +130,23 @@ export class InteractionTrackingData
     {
         this._doSet(this.constructor.FLAGS.LEFT_DOWN, yn);
     }
+
+    /**
+     * Did the pointer move further than the drag threshold since the primary button came down
+     * in the DisplayObject?
+     *
+     * @private
+     * @member {boolean}
+     */
+    get dragging()
+    {
+        return (this._flags & this.constructor.FLAGS.DRAGGING) !== 0;
+    }
+
+    set dragging(yn) // eslint-disable-line require-jsdoc
+    {
+        this._doSet(this.constructor.FLAGS.DRAGGING, yn);
+    }
 }
 
 InteractionTrackingData.FLAGS = Object.freeze({
@@ -128,4 +154,5 @@ InteractionTrackingData.FLAGS = Object.freeze({
     OVER: 1 << 0,
     LEFT_DOWN: 1 << 1,
     RIGHT_DOWN: 1 << 2,
+    DRAGGING: 1 << 3,
 });
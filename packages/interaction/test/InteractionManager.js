@@ -443,7 +443,7 @@ describe('PIXI.interaction.InteractionManager', function ()
             removeSpy.restore();
         });
 
-        it('should add and remove pointer events to element seven times when touch events are supported', function ()
+        it('should add and remove pointer events to element eight times when touch events are supported', function ()
         {
             const manager = new InteractionManager(sinon.stub());
             const element = { style: {}, addEventListener: sinon.stub(), removeEventListener: sinon.stub() };
@@ -454,10 +454,11 @@ describe('PIXI.interaction.InteractionManager', function ()
 
             manager.addEvents();
 
-            expect(element.addEventListener).to.have.been.callCount(7);
+            expect(element.addEventListener).to.have.been.callCount(8);
             expect(element.addEventListener).to.have.been.calledWith('pointerdown');
             expect(element.addEventListener).to.have.been.calledWith('pointerleave');
             expect(element.addEventListener).to.have.been.calledWith('pointerover');
+            expect(element.addEventListener).to.have.been.calledWith('wheel');
 
             expect(element.addEventListener).to.have.been.calledWith('touchstart');
             expect(element.addEventListener).to.have.been.calledWith('touchcancel');
@@ -466,10 +467,11 @@ describe('PIXI.interaction.InteractionManager', function ()
 
             manager.removeEvents();
 
-            expect(element.removeEventListener).to.have.been.callCount(7);
+            expect(element.removeEventListener).to.have.been.callCount(8);
             expect(element.removeEventListener).to.have.been.calledWith('pointerdown');
             expect(element.removeEventListener).to.have.been.calledWith('pointerleave');
             expect(element.removeEventListener).to.have.been.calledWith('pointerover');
+            expect(element.removeEventListener).to.have.been.calledWith('wheel');
 
             expect(element.removeEventListener).to.have.been.calledWith('touchstart');
             expect(element.removeEventListener).to.have.been.calledWith('touchcancel');
@@ -477,7 +479,7 @@ describe('PIXI.interaction.InteractionManager', function ()
             expect(element.removeEventListener).to.have.been.calledWith('touchmove');
         });
 
-        it('should add and remove pointer events to element three times when touch events are not supported', function ()
+        it('should add and remove pointer events to element four times when touch events are not supported', function ()
         {
             const manager = new InteractionManager(sinon.stub());
             const element = { style: {}, addEventListener: sinon.stub(), removeEventListener: sinon.stub() };
@@ -488,17 +490,19 @@ describe('PIXI.interaction.InteractionManager', function ()
 
             manager.addEvents();
 
-            expect(element.addEventListener).to.have.been.calledThrice;
+            expect(element.addEventListener).to.have.been.callCount(4);
             expect(element.addEventListener).to.have.been.calledWith('pointerdown');
             expect(element.addEventListener).to.have.been.calledWith('pointerleave');
             expect(element.addEventListener).to.have.been.calledWith('pointerover');
+            expect(element.addEventListener).to.have.been.calledWith('wheel');
 
             manager.removeEvents();
 
-            expect(element.removeEventListener).to.have.been.calledThrice;
+            expect(element.removeEventListener).to.have.been.callCount(4);
             expect(element.removeEventListener).to.have.been.calledWith('pointerdown');
             expect(element.removeEventListener).to.have.been.calledWith('pointerleave');
             expect(element.removeEventListener).to.have.been.calledWith('pointerover');
+            expect(element.removeEventListener).to.have.been.calledWith('wheel');
         });
 
         it('should add and remove mouse events to document', function ()
@@ -558,17 +562,19 @@ describe('PIXI.interaction.InteractionManager', function ()
 
             manager.addEvents();
 
-            expect(element.addEventListener).to.have.been.calledThrice;
+            expect(element.addEventListener).to.have.been.callCount(4);
             expect(element.addEventListener).to.have.been.calledWith('mousedown');
             expect(element.addEventListener).to.have.been.calledWith('mouseout');
             expect(element.addEventListener).to.have.been.calledWith('mouseover');
+            expect(element.addEventListener).to.have.been.calledWith('wheel');
 
             manager.removeEvents();
 
-            expect(element.removeEventListener).to.have.been.calledThrice;
+            expect(element.removeEventListener).to.have.been.callCount(4);
             expect(element.removeEventListener).to.have.been.calledWith('mousedown');
             expect(element.removeEventListener).to.have.been.calledWith('mouseout');
             expect(element.removeEventListener).to.have.been.calledWith('mouseover');
+            expect(element.removeEventListener).to.have.been.calledWith('wheel');
         });
 
         it('should add and remove touch events to element without pointer events', function ()
@@ -2083,6 +2089,303 @@ describe('PIXI.interaction.InteractionManager', function ()
         });
     });
 
+    describe('pointer capture', function ()
+    {
+        it('should send all events of a captured pointer to the capturing object', function ()
+        {
+            const stage = new Container();
+            const left = new Graphics();
+            const right = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const leftMove = sinon.spy();
+            const leftUp = sinon.spy();
+            const rightMove = sinon.spy();
+            const rightUp = sinon.spy();
+
+            stage.addChild(left, right);
+            left.beginFill(0xFFFFFF);
+            left.drawRect(0, 0, 50, 50);
+            left.interactive = true;
+            right.beginFill(0xFFFFFF);
+            right.drawRect(50, 0, 50, 50);
+            right.interactive = true;
+            pointer.interaction.moveWhenInside = true;
+
+            left.on('pointerdown', (event) => pointer.interaction.setPointerCapture(left, event.data.pointerId));
+            left.on('pointermove', leftMove);
+            left.on('pointerup', leftUp);
+            right.on('pointermove', rightMove);
+            right.on('pointerup', rightUp);
+
+            pointer.mousemove(10, 10);
+            pointer.mousedown(10, 10);
+
+            expect(pointer.interaction.hasPointerCapture(left, 1)).to.be.true;
+
+            pointer.mousemove(70, 10);
+
+            expect(leftMove).to.have.been.calledTwice;
+            expect(leftMove.args[1][0].target).to.equal(left);
+            expect(rightMove).to.not.have.been.called;
+
+            pointer.mouseup(70, 10);
+
+            expect(leftUp).to.have.been.calledOnce;
+            expect(rightUp).to.not.have.been.called;
+            expect(pointer.interaction.hasPointerCapture(left, 1)).to.be.false;
+
+            pointer.mousemove(70, 10);
+
+            expect(leftMove).to.have.been.calledTwice;
+            expect(rightMove).to.have.been.calledOnce;
+        });
+
+        it('should bubble the events of a captured pointer to the ancestors', function ()
+        {
+            const stage = new Container();
+            const parent = new Container();
+            const child = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const events = [];
+
+            stage.addChild(parent);
+            parent.addChild(child);
+            parent.interactive = true;
+            child.beginFill(0xFFFFFF);
+            child.drawRect(0, 0, 50, 50);
+            child.interactive = true;
+            pointer.interaction.moveWhenInside = true;
+
+            child.on('pointerdown', (event) => pointer.interaction.setPointerCapture(child, event.data.pointerId));
+            ['pointermove', 'pointerout', 'pointerup', 'pointerupoutside', 'pointertap'].forEach((event) =>
+            {
+                parent.on(event, () => events.push(event));
+            });
+
+            pointer.mousemove(10, 10);
+            pointer.mousedown(10, 10);
+            events.length = 0;
+
+            pointer.mousemove(70, 10);
+            pointer.mouseup(70, 10);
+
+            expect(events).to.deep.equal(['pointermove', 'pointerup', 'pointertap']);
+        });
+
+        it('should send events to capturing objects outside of the tree', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const eventSpy = sinon.spy();
+
+            graphics.interactive = true;
+            graphics.on('pointerup', eventSpy);
+
+            pointer.interaction.setPointerCapture(graphics, 1);
+            pointer.mouseup(10, 10);
+
+            expect(eventSpy).to.have.been.calledOnce;
+        });
+    });
+
+    describe('drag', function ()
+    {
+        it('should dispatch drag events once the pointer moves further than the threshold', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const events = [];
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+
+            graphics.on('dragstart', () => events.push('dragstart'));
+            graphics.on('dragmove', () => events.push('dragmove'));
+            graphics.on('dragend', () => events.push('dragend'));
+
+            pointer.mousemove(10, 10);
+            pointer.mousedown(10, 10);
+            pointer.mousemove(12, 12);
+
+            expect(events).to.be.empty;
+
+            pointer.mousemove(20, 20);
+            pointer.mousemove(70, 70);
+            pointer.mouseup(70, 70);
+
+            expect(events).to.deep.equal(['dragstart', 'dragmove', 'dragmove', 'dragend']);
+
+            pointer.mousemove(10, 10);
+
+            expect(events).to.have.length(4);
+        });
+
+        it('should not drag without a press', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const eventSpy = sinon.spy();
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.on('dragstart', eventSpy);
+
+            pointer.mousemove(10, 10);
+            pointer.mousemove(40, 40);
+            pointer.mouseup(40, 40);
+
+            expect(eventSpy).to.not.have.been.called;
+        });
+
+        it('should drag touches', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const events = [];
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+
+            graphics.on('dragstart', () => events.push('dragstart'));
+            graphics.on('dragend', () => events.push('dragend'));
+
+            pointer.touchstart(10, 10, 1);
+            pointer.touchmove(30, 30, 1);
+            pointer.touchend(30, 30, 1);
+
+            expect(events).to.deep.equal(['dragstart', 'dragend']);
+        });
+
+        it('should respect the drag threshold', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+            const eventSpy = sinon.spy();
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.on('dragstart', eventSpy);
+            pointer.interaction.dragThreshold = 20;
+
+            pointer.mousemove(10, 10);
+            pointer.mousedown(10, 10);
+            pointer.mousemove(20, 20);
+
+            expect(eventSpy).to.not.have.been.called;
+
+            pointer.mousemove(30, 30);
+
+            expect(eventSpy).to.have.been.calledOnce;
+        });
+    });
+
+    describe('wheel', function ()
+    {
+        it('should call handler when inside', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const eventSpy = sinon.spy();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.on('wheel', eventSpy);
+
+            pointer.wheel(10, 10, 100);
+
+            expect(eventSpy).to.have.been.calledOnce;
+            expect(eventSpy.args[0][0].target).to.equal(graphics);
+            expect(eventSpy.args[0][0].data.deltaY).to.equal(100);
+        });
+
+        it('should not call handler when outside', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const eventSpy = sinon.spy();
+            const managerSpy = sinon.spy();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.on('wheel', eventSpy);
+            pointer.interaction.on('wheel', managerSpy);
+
+            pointer.wheel(60, 60, 100);
+
+            expect(eventSpy).to.not.have.been.called;
+            expect(managerSpy).to.have.been.calledOnce;
+        });
+
+        it('should bubble to parents unless propagation is stopped', function ()
+        {
+            const stage = new Container();
+            const parent = new Container();
+            const graphics = new Graphics();
+            const childSpy = sinon.spy();
+            const parentSpy = sinon.spy();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(parent);
+            parent.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            parent.interactive = true;
+            graphics.on('wheel', childSpy);
+            parent.on('wheel', parentSpy);
+
+            pointer.wheel(10, 10, 100);
+
+            expect(childSpy).to.have.been.calledOnce;
+            expect(parentSpy).to.have.been.calledOnce;
+            expect(parentSpy.args[0][0].target).to.equal(graphics);
+
+            childSpy.callsFake((event) => event.stopPropagation());
+            pointer.wheel(10, 10, 100);
+
+            expect(childSpy).to.have.been.calledTwice;
+            expect(parentSpy).to.have.been.calledOnce;
+        });
+
+        it('should normalize deltas to pixels', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const eventSpy = sinon.spy();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(graphics);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.on('wheel', (event) => eventSpy(event.data.deltaY, event.data.deltaMode));
+
+            pointer.wheel(10, 10, 3, 1);
+            pointer.wheel(10, 10, -1, 2);
+
+            expect(eventSpy.args).to.deep.equal([[120, 0], [-800, 0]]);
+        });
+    });
+
     describe('InteractionData properties', function ()
     {
         it('isPrimary should be set for first touch only', function ()
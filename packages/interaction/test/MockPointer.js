@@ -230,6 +230,29 @@ class MockPointer
         this.interaction.onPointerUp(this.createEvent('mouseup', x, y, null, asPointer, onCanvas));
     }
 
+    /**
+     * @param {number} x - pointer x position
+     * @param {number} y - pointer y position
+     * @param {number} deltaY - vertical scroll amount
+     * @param {number} [deltaMode=0] - unit of the scroll amount
+     */
+    wheel(x, y, deltaY, deltaMode = 0)
+    {
+        const event = new WheelEvent('wheel', {
+            clientX: x,
+            clientY: y,
+            deltaY,
+            deltaMode,
+        });
+
+        Object.defineProperty(event, 'target', { value: this.renderer.view });
+
+        this.setPosition(x, y);
+        this.render();
+
+        this.interaction.onWheel(event);
+    }
+
     /**
      * @param {number} x - pointer x position
      * @param {number} y - pointer y position
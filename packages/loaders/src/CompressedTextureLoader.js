@@ -0,0 +1,203 @@
+import { Resource } from 'resource-loader';
+import { BaseTexture, Texture, resources } from '@pixi/core';
+import { ALPHA_MODES } from '@pixi/constants';
+import { getResolutionOfUrl, url } from '@pixi/utils';
+
+/**
+ * Loader plugin for GPU compressed textures: KTX and DDS files, and Basis Universal
+ * files when {@link PIXI.CompressedTextureLoader.basis} is set, see {@link PIXI.resources.CompressedTextureResource}.
+ *
+ * A resource can list variants of a texture in the `compressed` metadata, by format
+ * (see {@link PIXI.resources.CompressedTextureResource.getExtensions}) or `basis`. The first variant supported
+ * by the device is loaded instead of the resource, which is loaded as usual when no variant is supported.
+ * The URLs of the variants are relative to the URL of the resource.
+ *
+ * ```js
+ * loader.add('hero', 'hero.png', {
+ *     metadata: {
+ *         compressed: {
+ *             astc: 'hero.astc.ktx',
+ *             s3tc: 'hero.dds',
+ *             etc1: 'hero.etc1.ktx',
+ *         },
+ *     },
+ * });
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ * @implements PIXI.ILoaderPlugin
+ */
+export class CompressedTextureLoader
+{
+    /**
+     * Picks the variant of compressed textures to load, and loads compressed textures as binary data.
+     *
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static pre(resource, next)
+    {
+        const variants = resource.metadata && resource.metadata.compressed;
+
+        if (variants)
+        {
+            const extensions = CompressedTextureLoader.getExtensions();
+
+            for (const format in variants)
+            {
+                if (format === 'basis' ? CompressedTextureLoader.basis : extensions[format])
+                {
+                    resource.url = url.resolve(resource.url, variants[format]);
+                    break;
+                }
+            }
+        }
+
+        if (CompressedTextureLoader.getFileType(resource.url))
+        {
+            resource.loadType = Resource.LOAD_TYPE.XHR;
+            resource.xhrType = Resource.XHR_RESPONSE_TYPE.BUFFER;
+        }
+
+        next();
+    }
+
+    /**
+     * Called after a resource is loaded.
+     *
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static use(resource, next)
+    {
+        const type = CompressedTextureLoader.getFileType(resource.url);
+
+        if (!resource.data || !type)
+        {
+            next();
+
+            return;
+        }
+
+        const { CompressedTextureResource } = resources;
+        let textureResource;
+
+        try
+        {
+            if (type === 'ktx')
+            {
+                textureResource = CompressedTextureResource.fromKTX(resource.data);
+            }
+            else if (type === 'dds')
+            {
+                textureResource = CompressedTextureResource.fromDDS(resource.data);
+            }
+            else if (!CompressedTextureLoader.basis)
+            {
+                throw new Error('CompressedTextureLoader.basis is required to load Basis files');
+            }
+            else
+            {
+                textureResource = CompressedTextureResource.fromBasis(
+                    resource.data,
+                    CompressedTextureLoader.basis,
+                    CompressedTextureLoader.getExtensions(),
+                );
+            }
+        }
+        catch (error)
+        {
+            next(error);
+
+            return;
+        }
+
+        const baseTexture = new BaseTexture(textureResource, {
+            alphaMode: ALPHA_MODES.NO_PREMULTIPLIED_ALPHA,
+            resolution: getResolutionOfUrl(resource.url),
+        });
+        const texture = new Texture(baseTexture);
+        const name = resource.name || resource.url;
+
+        BaseTexture.addToCache(baseTexture, name);
+        Texture.addToCache(texture, name);
+
+        // also add references by url if they are different.
+        if (name !== resource.url)
+        {
+            BaseTexture.addToCache(baseTexture, resource.url);
+            Texture.addToCache(texture, resource.url);
+        }
+
+        resource.texture = texture;
+
+        next();
+    }
+
+    /**
+     * The compressed texture extensions supported by the device, detected with
+     * a temporary WebGL context unless set by {@link PIXI.CompressedTextureLoader.extensions}.
+     *
+     * @static
+     * @return {object} The extensions, by format.
+     */
+    static getExtensions()
+    {
+        if (!CompressedTextureLoader.extensions)
+        {
+            const canvas = document.createElement('canvas');
+            const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+
+            CompressedTextureLoader.extensions = gl ? resources.CompressedTextureResource.getExtensions(gl) : {};
+
+            // don't keep the context alive
+            const loseContext = gl && gl.getExtension('WEBGL_lose_context');
+
+            if (loseContext)
+            {
+                loseContext.loseContext();
+            }
+        }
+
+        return CompressedTextureLoader.extensions;
+    }
+
+    /**
+     * The type of compressed texture file of a URL.
+     *
+     * @private
+     * @param {string} path - The URL.
+     * @return {string} `ktx`, `dds` or `basis`, `null` for other files.
+     */
+    static getFileType(path)
+    {
+        const result = (/\.(ktx|dds|basis)(?:$|\?|#)/i).exec(path || '');
+
+        return result ? result[1].toLowerCase() : null;
+    }
+}
+
+/**
+ * The initialized `BASIS` module of the Basis Universal transcoder,
+ * see {@link PIXI.resources.CompressedTextureResource.fromBasis}.
+ * Required to load Basis files, `basis` variants are skipped until it is set.
+ *
+ * @static
+ * @member {object}
+ * @memberof PIXI.CompressedTextureLoader
+ * @default null
+ */
+CompressedTextureLoader.basis = null;
+
+/**
+ * The supported compressed texture extensions, by format, e.g. `renderer.context.extensions`.
+ * Detected on first use when `null`.
+ *
+ * @static
+ * @member {object}
+ * @memberof PIXI.CompressedTextureLoader
+ * @default null
+ */
+CompressedTextureLoader.extensions = null;
@@ -1,6 +1,7 @@
 import { Loader as ResourceLoader, middleware } from 'resource-loader';
 import { EventEmitter } from '@pixi/utils';
 import { TextureLoader } from './TextureLoader';
+import { CompressedTextureLoader } from './CompressedTextureLoader';
 
 /**
  * 全新的加载器，扩展了Chad Engler的Resource Loader: https://github.com/englercj/resource-loader
@@ -167,6 +168,9 @@ Loader.registerPlugin({ use: middleware.parsing });
 // parse any Image objects into textures
 Loader.registerPlugin(TextureLoader);
 
+// parse compressed texture files into textures
+Loader.registerPlugin(CompressedTextureLoader);
+
 /**
  * 要安装用于处理特定加载器资源的插件。
  *
@@ -9,4 +9,5 @@ import { Resource } from 'resource-loader';
 export const LoaderResource = Resource;
 export * from './Loader';
 export * from './TextureLoader';
+export * from './CompressedTextureLoader';
 export * from './AppLoaderPlugin';
@@ -0,0 +1,83 @@
+const { CompressedTextureLoader, LoaderResource } = require('../');
+const { Texture } = require('@pixi/core');
+const { INTERNAL_FORMATS } = require('@pixi/constants');
+const { TextureCache } = require('@pixi/utils');
+
+describe('PIXI.CompressedTextureLoader', function ()
+{
+    afterEach(function ()
+    {
+        CompressedTextureLoader.extensions = null;
+        CompressedTextureLoader.basis = null;
+    });
+
+    it('should load the first supported variant', function ()
+    {
+        const spy = sinon.spy();
+        const res = {
+            url: 'http://localhost/assets/hero.png',
+            metadata: { compressed: { astc: 'hero.astc.ktx', s3tc: 'hero.dds', etc1: 'etc1/hero.ktx' } },
+        };
+
+        CompressedTextureLoader.extensions = { etc1: {}, s3tc: {} };
+        CompressedTextureLoader.pre(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.url).to.equal('http://localhost/assets/hero.dds');
+        expect(res.loadType).to.equal(LoaderResource.LOAD_TYPE.XHR);
+        expect(res.xhrType).to.equal(LoaderResource.XHR_RESPONSE_TYPE.BUFFER);
+    });
+
+    it('should keep the resource when no variant is supported', function ()
+    {
+        const res = { url: 'hero.png', metadata: { compressed: { astc: 'hero.ktx', basis: 'hero.basis' } } };
+
+        CompressedTextureLoader.extensions = {};
+        CompressedTextureLoader.pre(res, sinon.spy());
+
+        expect(res.url).to.equal('hero.png');
+        expect(res.xhrType).to.be.undefined;
+    });
+
+    it('should create a texture from a KTX file', function ()
+    {
+        const spy = sinon.spy();
+        const buffer = new ArrayBuffer(64 + 4 + 8);
+        const view = new DataView(buffer);
+        const name = `${Math.floor(Date.now() * Math.random())}`;
+        const res = { url: `http://localhost/doesnt_exist/${name}.ktx`, name, data: buffer };
+
+        [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A].forEach((value, i) =>
+        {
+            view.setUint8(i, value);
+        });
+        view.setUint32(12, 0x04030201, true);
+        view.setUint32(28, INTERNAL_FORMATS.COMPRESSED_RGB_ETC1_WEBGL, true);
+        view.setUint32(36, 4, true);
+        view.setUint32(40, 4, true);
+        view.setUint32(52, 1, true);
+        view.setUint32(56, 1, true);
+        view.setUint32(64, 8, true);
+
+        CompressedTextureLoader.use(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.texture).to.be.an.instanceof(Texture);
+        expect(res.texture.width).to.equal(4);
+        expect(TextureCache).to.have.property(res.name, res.texture);
+        expect(TextureCache).to.have.property(res.url, res.texture);
+
+        res.texture.destroy(true);
+    });
+
+    it('should fail to load Basis files without transcoder', function ()
+    {
+        const spy = sinon.spy();
+        const res = { url: 'hero.basis', data: new ArrayBuffer(8) };
+
+        CompressedTextureLoader.use(res, spy);
+
+        expect(spy).to.have.been.calledWithMatch(sinon.match.instanceOf(Error));
+        expect(res.texture).to.be.undefined;
+    });
+});
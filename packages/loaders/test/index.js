@@ -1,3 +1,4 @@
 require('./Loader');
 require('./TextureLoader');
+require('./CompressedTextureLoader');
 require('./AppLoaderPlugin');
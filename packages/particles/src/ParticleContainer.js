@@ -24,6 +24,32 @@ import { Container } from '@pixi/display';
  *
  * 在这里，您将有一百个精灵以光速渲染。
  *
+ * 除了内置的属性，还可以上传自定义的粒子属性，并使用自定义着色器，参阅 {@link PIXI.ParticleContainer#addProperty}:
+ *
+ * ```js
+ * container.addProperty({
+ *     name: 'age',
+ *     attributeName: 'aAge',
+ *     size: 1,
+ *     dynamic: true,
+ *     uploadFunction(children, startIndex, amount, array, stride, offset)
+ *     {
+ *         for (let i = 0; i < amount; ++i)
+ *         {
+ *             const age = children[startIndex + i].age;
+ *
+ *             for (let j = 0; j < 4; ++j)
+ *             {
+ *                 array[offset + (stride * j)] = age;
+ *             }
+ *
+ *             offset += stride * 4;
+ *         }
+ *     },
+ * });
+ * container.shader = PIXI.Shader.from(vertex, fragment);
+ * ```
+ *
  * @class
  * @extends PIXI.Container
  * @memberof PIXI
@@ -40,6 +66,7 @@ export class ParticleContainer extends Container
      * @param {boolean} [properties.rotation=false] - 如果为true，则上传并应用旋转。
      * @param {boolean} [properties.uvs=false] - 如果为true，则将上载并应用uvs。
      * @param {boolean} [properties.tint=false] - 如果为true，则将上载和应用alpha和色调。
+     *  也可以包含自定义属性的名称，参阅 {@link PIXI.ParticleContainer#setProperties}。
      * @param {number} [batchSize=16384] - 每批次的粒子数。 如果小于maxSize，则改用maxSize。
      * @param {boolean} [autoResize=false] 如果为true，则容器分配更多批次，以防存在超过 `maxSize` 个粒子的情况。
      */
@@ -65,6 +92,14 @@ export class ParticleContainer extends Container
          */
         this._properties = [false, true, false, false, false];
 
+        /**
+         * 自定义属性，它们的动态/静态标志在 `_properties` 中内置属性的后面
+         *
+         * @member {object[]}
+         * @private
+         */
+        this._customProperties = [];
+
         /**
          * @member {number}
          * @private
@@ -139,6 +174,15 @@ export class ParticleContainer extends Container
          */
         this.baseTexture = null;
 
+        /**
+         * 渲染粒子的着色器，`null` 时使用 {@link PIXI.ParticleRenderer} 的着色器。
+         * 渲染器设置着色器的 `translationMatrix`，`uColor` 和 `uSampler` 统一变量。
+         *
+         * @member {PIXI.Shader}
+         * @default null
+         */
+        this.shader = null;
+
         this.setProperties(properties);
 
         /**
@@ -155,14 +199,22 @@ export class ParticleContainer extends Container
     }
 
     /**
-     * 根据传递的属性对象将私有属性数组设置为动态/静态
+     * 根据传递的属性对象将私有属性数组设置为动态/静态。
+     * 可以随时调用，已经生成的缓冲区会在下次渲染时重新生成，不需要重新创建容器。
+     *
+     * ```js
+     * container.setProperties({ rotation: true, age: false });
+     * ```
      *
-     * @param {object} properties - 要上载的属性
+     * @param {object} properties - 要上载的属性，按名称设置为动态(true)/静态(false)，包括自定义属性
      */
     setProperties(properties)
     {
         if (properties)
         {
+            const previous = this._properties.slice();
+            const customOffset = this._properties.length - this._customProperties.length;
+
             this._properties[0] = 'vertices' in properties || 'scale' in properties
                 ? !!properties.vertices || !!properties.scale : this._properties[0];
             this._properties[1] = 'position' in properties ? !!properties.position : this._properties[1];
@@ -170,6 +222,107 @@ export class ParticleContainer extends Container
             this._properties[3] = 'uvs' in properties ? !!properties.uvs : this._properties[3];
             this._properties[4] = 'tint' in properties || 'alpha' in properties
                 ? !!properties.tint || !!properties.alpha : this._properties[4];
+
+            for (let i = 0; i < this._customProperties.length; ++i)
+            {
+                const name = this._customProperties[i].name;
+
+                if (name in properties)
+                {
+                    this._properties[customOffset + i] = !!properties[name];
+                }
+            }
+
+            for (let i = 0; i < previous.length; ++i)
+            {
+                if (previous[i] !== this._properties[i])
+                {
+                    this._resetBuffers();
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * 添加自定义的粒子属性，每个粒子的值由上传函数写入顶点缓冲区，
+     * 着色器中可以用属性的attribute名称读取。已有同名的属性时替换它。
+     *
+     * @param {object} property - 属性
+     * @param {string} property.name - 名称，用于 {@link PIXI.ParticleContainer#setProperties}
+     * @param {string} property.attributeName - 着色器中的attribute名称
+     * @param {number} property.size - 每个顶点的分量数
+     * @param {Function} property.uploadFunction - 上传函数，参数与 {@link PIXI.ParticleRenderer#uploadPosition} 相同:
+     *  `(children, startIndex, amount, array, stride, offset)`，需要为每个粒子的4个顶点写入值
+     * @param {number} [property.type=PIXI.TYPES.FLOAT] - 分量的类型，`PIXI.TYPES.UNSIGNED_BYTE` 时
+     *  4个归一化的字节打包在一个分量中，`array` 是 `Uint32Array`
+     * @param {boolean} [property.dynamic=false] - 是否每次渲染时上传
+     * @return {PIXI.ParticleContainer} 容器，用于链式调用
+     */
+    addProperty(property)
+    {
+        this.removeProperty(property.name);
+        this._customProperties.push(property);
+        this._properties.push(!!property.dynamic);
+        this._resetBuffers();
+
+        return this;
+    }
+
+    /**
+     * 删除自定义的粒子属性。
+     *
+     * @param {string} name - 属性的名称
+     * @return {PIXI.ParticleContainer} 容器，用于链式调用
+     */
+    removeProperty(name)
+    {
+        for (let i = 0; i < this._customProperties.length; ++i)
+        {
+            if (this._customProperties[i].name === name)
+            {
+                const customOffset = this._properties.length - this._customProperties.length;
+
+                this._customProperties.splice(i, 1);
+                this._properties.splice(customOffset + i, 1);
+                this._resetBuffers();
+                break;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * 获取自定义的粒子属性。
+     *
+     * @param {string} name - 属性的名称
+     * @return {object} 属性，没有时为 `null`
+     */
+    getProperty(name)
+    {
+        for (let i = 0; i < this._customProperties.length; ++i)
+        {
+            if (this._customProperties[i].name === name)
+            {
+                return this._customProperties[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 释放缓冲区，在下次渲染时按当前的属性重新生成，并上传静态数据。
+     *
+     * @private
+     */
+    _resetBuffers()
+    {
+        if (this._buffers)
+        {
+            this.dispose();
+            this.onChildrenChange(0);
         }
     }
 
@@ -278,6 +431,8 @@ export class ParticleContainer extends Container
         this.dispose();
 
         this._properties = null;
+        this._customProperties = null;
+        this.shader = null;
         this._buffers = null;
         this._bufferUpdateIDs = null;
     }
@@ -0,0 +1,861 @@
+import { Texture } from '@pixi/core';
+import { DEG_TO_RAD, Point } from '@pixi/math';
+import { Sprite } from '@pixi/sprite';
+import { Easing, Ticker } from '@pixi/ticker';
+import { string2hex } from '@pixi/utils';
+
+/**
+ * 从范围中取随机值。
+ *
+ * @ignore
+ * @private
+ * @param {object} range - 范围，包含 `min` 和 `max`
+ * @return {number} 随机值
+ */
+function random(range)
+{
+    return range.min + (Math.random() * (range.max - range.min));
+}
+
+/**
+ * 从数组中随机取一项。
+ *
+ * @ignore
+ * @private
+ * @param {Array} array - 数组
+ * @return {*} 随机项
+ */
+function pick(array)
+{
+    return array[Math.floor(Math.random() * array.length) % array.length];
+}
+
+/**
+ * 把配置中的数字或 `{ min, max }` 转换为范围。
+ *
+ * @ignore
+ * @private
+ * @param {number|object} value - 配置的值
+ * @return {object} 范围，包含 `min` 和 `max`
+ */
+function toRange(value)
+{
+    if (typeof value === 'number')
+    {
+        return { min: value, max: value };
+    }
+
+    return { min: value.min, max: value.max !== undefined ? value.max : value.min };
+}
+
+/**
+ * 把配置中的数字或 `{ start, end }` 转换为随生命周期变化的值。
+ *
+ * @ignore
+ * @private
+ * @param {number|string|object} value - 配置的值
+ * @param {Function} [convert] - 转换开始和结束值的函数
+ * @return {object} 开始和结束值，包含 `start` 和 `end`
+ */
+function toLifeValue(value, convert = (v) => v)
+{
+    if (value === null || typeof value !== 'object')
+    {
+        return { start: convert(value), end: convert(value) };
+    }
+
+    return { start: convert(value.start), end: convert(value.end !== undefined ? value.end : value.start) };
+}
+
+/**
+ * 把颜色字符串，例如 `'#ff0000'`，转换为数字。
+ *
+ * @ignore
+ * @private
+ * @param {number|string} color - 颜色
+ * @return {number} 颜色
+ */
+function toColor(color)
+{
+    return typeof color === 'string' ? string2hex(color) : color;
+}
+
+/**
+ * 把纹理的名称转换为纹理，参阅 {@link PIXI.Texture.from}。
+ *
+ * @ignore
+ * @private
+ * @param {string|PIXI.Texture} texture - 纹理或名称
+ * @return {PIXI.Texture} 纹理
+ */
+function toTexture(texture)
+{
+    return typeof texture === 'string' ? Texture.from(texture) : texture;
+}
+
+/**
+ * 在两种颜色之间逐通道插值。
+ *
+ * @ignore
+ * @private
+ * @param {number} start - 开始颜色
+ * @param {number} end - 结束颜色
+ * @param {number} t - 进度，从0到1
+ * @return {number} 颜色
+ */
+function lerpColor(start, end, t)
+{
+    let color = 0;
+
+    for (let shift = 16; shift >= 0; shift -= 8)
+    {
+        const from = (start >> shift) & 0xFF;
+        const to = (end >> shift) & 0xFF;
+
+        color += Math.round(from + ((to - from) * t)) << shift;
+    }
+
+    return color;
+}
+
+/**
+ * 由 {@link PIXI.ParticleEmitter} 创建和复用的粒子。
+ *
+ * @class
+ * @extends PIXI.Sprite
+ * @memberof PIXI
+ */
+export class Particle extends Sprite
+{
+    /**
+     * @param {PIXI.Texture} [texture] - 粒子的纹理
+     */
+    constructor(texture)
+    {
+        super(texture);
+
+        /**
+         * 粒子已存在的时间，毫秒
+         *
+         * @member {number}
+         */
+        this.age = 0;
+
+        /**
+         * 粒子的寿命，毫秒
+         *
+         * @member {number}
+         */
+        this.lifetime = 0;
+
+        /**
+         * 运动方向，单位向量
+         *
+         * @member {PIXI.Point}
+         */
+        this.direction = new Point();
+
+        /**
+         * 速度，像素每秒
+         *
+         * @member {PIXI.Point}
+         */
+        this.velocity = new Point();
+
+        /**
+         * 旋转速度，弧度每秒
+         *
+         * @member {number}
+         */
+        this.rotationSpeed = 0;
+
+        /**
+         * 播放的动画，`null` 时纹理不变
+         *
+         * @member {object}
+         */
+        this.animation = null;
+    }
+}
+
+/**
+ * 粒子发射器在 {@link PIXI.ParticleContainer} 中生成、更新和回收粒子。
+ *
+ * 发射器由可以用JSON描述的配置驱动: 发射频率和每次发射的数量，粒子的寿命、速度、加速度和旋转，
+ * 随生命周期变化的透明度、缩放和颜色，生成粒子的形状，以及随机的纹理或动画。
+ * 死亡的粒子回到对象池中复用。
+ *
+ * ```js
+ * const container = new PIXI.ParticleContainer(1000);
+ * const emitter = new PIXI.ParticleEmitter(container, {
+ *     textures: ['spark.png', 'smoke.png'],
+ *     lifetime: { min: 500, max: 1000 },
+ *     frequency: 10,
+ *     speed: { start: 200, end: 50 },
+ *     angle: { min: 250, max: 290 },
+ *     acceleration: { x: 0, y: 300 },
+ *     alpha: { start: 1, end: 0 },
+ *     scale: { start: 0.5, end: 1.5 },
+ *     color: { start: '#ffff00', end: '#ff0000' },
+ *     spawnShape: { type: 'circle', x: 0, y: 0, radius: 20 },
+ * });
+ *
+ * emitter.position.set(400, 300);
+ * ```
+ *
+ * ParticleContainer使用第一个子级的基础纹理渲染所有粒子，因此所有纹理应来自同一个精灵表。
+ * 发射器会把容器中它改变的属性设置为动态，参阅 {@link PIXI.ParticleContainer#setProperties}。
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class ParticleEmitter
+{
+    /**
+     * @param {PIXI.ParticleContainer} container - 添加粒子的容器
+     * @param {object} [config] - 配置，参阅 {@link PIXI.ParticleEmitter#init}
+     * @param {PIXI.Ticker} [ticker=PIXI.Ticker.shared] - 更新发射器的ticker，`null` 时需要手动调用
+     *  {@link PIXI.ParticleEmitter#update}
+     */
+    constructor(container, config, ticker = Ticker.shared)
+    {
+        /**
+         * 添加粒子的容器
+         *
+         * @member {PIXI.ParticleContainer}
+         * @readonly
+         */
+        this.container = container;
+
+        /**
+         * 发射器在容器中的位置，生成形状相对于它
+         *
+         * @member {PIXI.Point}
+         */
+        this.position = new Point();
+
+        /**
+         * 发射器停止发射并且所有粒子都死亡时调用
+         *
+         * @member {Function}
+         */
+        this.onComplete = null;
+
+        /**
+         * 存活的粒子
+         *
+         * @member {PIXI.Particle[]}
+         * @private
+         */
+        this._particles = [];
+
+        /**
+         * 回收的粒子
+         *
+         * @member {PIXI.Particle[]}
+         * @private
+         */
+        this._pool = [];
+
+        /**
+         * 是否正在发射
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._emitting = false;
+
+        /**
+         * 开始发射以来的时间，毫秒
+         *
+         * @member {number}
+         * @private
+         */
+        this._emitterAge = 0;
+
+        /**
+         * 到下一次发射的时间，毫秒
+         *
+         * @member {number}
+         * @private
+         */
+        this._spawnTimer = 0;
+
+        /**
+         * 是否已经完成，避免重复调用 `onComplete`
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._completed = true;
+
+        /**
+         * 在生成形状中取点的函数
+         *
+         * @member {Function}
+         * @private
+         */
+        this._spawnPoint = null;
+
+        /**
+         * 更新发射器的ticker
+         *
+         * @member {PIXI.Ticker}
+         * @private
+         */
+        this._ticker = null;
+
+        this.init(config);
+        this.ticker = ticker;
+    }
+
+    /**
+     * 应用配置。所有的值都可以用JSON描述，时间的单位是毫秒，角度的单位是度，
+     * 范围可以是数字或 `{ min, max }`，随生命周期变化的值可以是数字或 `{ start, end }`。
+     *
+     * @param {object} [config] - 配置
+     * @param {Array<string|PIXI.Texture>} [config.textures] - 随机选择的纹理或纹理名称，默认为 {@link PIXI.Texture.WHITE}
+     * @param {object[]} [config.animations] - 随机选择的动画，代替纹理，每个动画包含 `textures`，
+     *  `framerate`（帧每秒，`-1` 时在粒子的寿命内播放完，默认为 `-1`）和 `loop`（默认为 `false`）
+     * @param {number|object} [config.lifetime=1000] - 粒子的寿命范围
+     * @param {number} [config.frequency=100] - 两次发射之间的时间，`0` 时只通过 {@link PIXI.ParticleEmitter#burst} 发射
+     * @param {number} [config.particlesPerWave=1] - 每次发射的粒子数
+     * @param {number} [config.maxParticles=1000] - 最多同时存活的粒子数
+     * @param {number} [config.emitterLifetime=-1] - 发射的时长，`-1` 时一直发射
+     * @param {boolean} [config.emit=true] - 是否立即开始发射
+     * @param {number|object} [config.speed=0] - 速度，像素每秒，随生命周期变化
+     * @param {object} [config.acceleration] - 加速度 `{ x, y }`，像素每二次方秒，设置时速度不再随生命周期变化
+     * @param {number|object} [config.angle=0] - 运动方向的范围
+     * @param {number|object} [config.rotation=0] - 初始旋转的范围
+     * @param {number|object} [config.rotationSpeed=0] - 旋转速度的范围，度每秒
+     * @param {number|object} [config.alpha=1] - 透明度，随生命周期变化
+     * @param {number|object} [config.scale=1] - 缩放，随生命周期变化
+     * @param {number|string|object} [config.color=0xFFFFFF] - 色调，随生命周期变化，可以是数字或 `'#ff0000'` 这样的字符串
+     * @param {string} [config.ease='linear'] - 随生命周期变化的缓动函数，{@link PIXI.Easing} 中的名称
+     * @param {number} [config.anchor=0.5] - 粒子的锚点
+     * @param {object} [config.spawnShape] - 生成粒子的形状，`type` 是 {@link PIXI.ParticleEmitter.shapes} 中的名称，
+     *  默认为发射器的位置
+     * @return {PIXI.ParticleEmitter} 发射器，用于链式调用
+     */
+    init(config)
+    {
+        config = Object.assign({
+            textures: [Texture.WHITE],
+            animations: null,
+            lifetime: 1000,
+            frequency: 100,
+            particlesPerWave: 1,
+            maxParticles: 1000,
+            emitterLifetime: -1,
+            emit: true,
+            speed: 0,
+            acceleration: null,
+            angle: 0,
+            rotation: 0,
+            rotationSpeed: 0,
+            alpha: 1,
+            scale: 1,
+            color: 0xFFFFFF,
+            ease: 'linear',
+            anchor: 0.5,
+            spawnShape: { type: 'point' },
+        }, config);
+
+        /**
+         * 随机选择的纹理
+         *
+         * @member {PIXI.Texture[]}
+         */
+        this.textures = config.textures.map(toTexture);
+
+        /**
+         * 随机选择的动画，代替纹理
+         *
+         * @member {object[]}
+         */
+        this.animations = config.animations ? config.animations.map((animation) => ({
+            textures: animation.textures.map(toTexture),
+            framerate: animation.framerate !== undefined ? animation.framerate : -1,
+            loop: !!animation.loop,
+        })) : null;
+
+        /**
+         * 粒子的寿命范围，毫秒
+         *
+         * @member {object}
+         */
+        this.lifetime = toRange(config.lifetime);
+
+        /**
+         * 两次发射之间的时间，毫秒
+         *
+         * @member {number}
+         */
+        this.frequency = config.frequency;
+
+        /**
+         * 每次发射的粒子数
+         *
+         * @member {number}
+         */
+        this.particlesPerWave = config.particlesPerWave;
+
+        /**
+         * 最多同时存活的粒子数
+         *
+         * @member {number}
+         */
+        this.maxParticles = config.maxParticles;
+
+        /**
+         * 发射的时长，毫秒，`-1` 时一直发射
+         *
+         * @member {number}
+         */
+        this.emitterLifetime = config.emitterLifetime;
+
+        /**
+         * 开始和结束速度，像素每秒
+         *
+         * @member {object}
+         */
+        this.speed = toLifeValue(config.speed);
+
+        /**
+         * 加速度，像素每二次方秒，`null` 时速度随生命周期变化
+         *
+         * @member {PIXI.Point}
+         */
+        this.acceleration = config.acceleration ? new Point(config.acceleration.x, config.acceleration.y) : null;
+
+        /**
+         * 运动方向的范围，度
+         *
+         * @member {object}
+         */
+        this.angle = toRange(config.angle);
+
+        /**
+         * 初始旋转的范围，度
+         *
+         * @member {object}
+         */
+        this.rotation = toRange(config.rotation);
+
+        /**
+         * 旋转速度的范围，度每秒
+         *
+         * @member {object}
+         */
+        this.rotationSpeed = toRange(config.rotationSpeed);
+
+        /**
+         * 开始和结束透明度
+         *
+         * @member {object}
+         */
+        this.alpha = toLifeValue(config.alpha);
+
+        /**
+         * 开始和结束缩放
+         *
+         * @member {object}
+         */
+        this.scale = toLifeValue(config.scale);
+
+        /**
+         * 开始和结束色调
+         *
+         * @member {object}
+         */
+        this.color = toLifeValue(config.color, toColor);
+
+        /**
+         * 随生命周期变化的缓动函数
+         *
+         * @member {Function}
+         */
+        this.ease = typeof config.ease === 'string' ? Easing[config.ease] : config.ease;
+
+        /**
+         * 粒子的锚点
+         *
+         * @member {number}
+         */
+        this.anchor = config.anchor;
+
+        this._spawnPoint = ParticleEmitter.shapes[config.spawnShape.type](config.spawnShape);
+
+        // the values animated by the emitter must be uploaded every frame
+        const properties = { vertices: true, position: true, rotation: true, tint: true };
+
+        if (this.animations)
+        {
+            properties.uvs = true;
+        }
+
+        this.container.setProperties(properties);
+
+        this.emitting = config.emit;
+
+        return this;
+    }
+
+    /**
+     * 更新发射器的ticker。
+     *
+     * @member {PIXI.Ticker}
+     */
+    get ticker()
+    {
+        return this._ticker;
+    }
+
+    set ticker(ticker) // eslint-disable-line require-jsdoc
+    {
+        if (this._ticker)
+        {
+            this._ticker.remove(this._tick, this);
+        }
+
+        this._ticker = ticker;
+
+        if (ticker)
+        {
+            ticker.add(this._tick, this);
+        }
+    }
+
+    /**
+     * 是否正在发射。重新开始发射时，发射的时长重新计算。
+     *
+     * @member {boolean}
+     */
+    get emitting()
+    {
+        return this._emitting;
+    }
+
+    set emitting(value) // eslint-disable-line require-jsdoc
+    {
+        value = !!value;
+
+        if (value && !this._emitting)
+        {
+            this._emitterAge = 0;
+            this._spawnTimer = 0;
+            this._completed = false;
+        }
+
+        this._emitting = value;
+    }
+
+    /**
+     * 存活的粒子数
+     *
+     * @member {number}
+     * @readonly
+     */
+    get particleCount()
+    {
+        return this._particles.length;
+    }
+
+    /**
+     * 更新粒子，并按频率发射新的粒子。由ticker调用，没有ticker时可以手动调用。
+     *
+     * @param {number} deltaMS - 经过的时间，毫秒
+     */
+    update(deltaMS)
+    {
+        for (let i = this._particles.length - 1; i >= 0; i--)
+        {
+            if (!this._updateParticle(this._particles[i], deltaMS))
+            {
+                this._recycle(i);
+            }
+        }
+
+        if (this._emitting)
+        {
+            this._emitterAge += deltaMS;
+            this._spawnTimer -= deltaMS;
+
+            while (this.frequency > 0 && this._spawnTimer <= 0)
+            {
+                // waves due earlier in the frame have already aged
+                const age = -this._spawnTimer;
+
+                if (this.emitterLifetime >= 0 && this._emitterAge - age >= this.emitterLifetime)
+                {
+                    break;
+                }
+
+                this._spawn(this.particlesPerWave, age);
+                this._spawnTimer += this.frequency;
+            }
+
+            if (this.emitterLifetime >= 0 && this._emitterAge >= this.emitterLifetime)
+            {
+                this._emitting = false;
+            }
+        }
+
+        if (!this._emitting && !this._completed && this._particles.length === 0)
+        {
+            this._completed = true;
+
+            if (this.onComplete)
+            {
+                this.onComplete();
+            }
+        }
+    }
+
+    /**
+     * 立即发射粒子，不受频率和发射时长的限制。
+     *
+     * @param {number} count - 粒子数
+     * @return {PIXI.ParticleEmitter} 发射器，用于链式调用
+     */
+    burst(count)
+    {
+        this._completed = false;
+        this._spawn(count, 0);
+
+        return this;
+    }
+
+    /**
+     * 回收所有存活的粒子。
+     *
+     * @return {PIXI.ParticleEmitter} 发射器，用于链式调用
+     */
+    clear()
+    {
+        for (let i = this._particles.length - 1; i >= 0; i--)
+        {
+            this._recycle(i);
+        }
+
+        return this;
+    }
+
+    /**
+     * 停止监听ticker，从容器中移除粒子并销毁它们。
+     */
+    destroy()
+    {
+        this.ticker = null;
+        this.clear();
+
+        for (let i = 0; i < this._pool.length; i++)
+        {
+            this._pool[i].destroy();
+        }
+
+        this.container = null;
+        this.onComplete = null;
+        this._particles = null;
+        this._pool = null;
+        this._spawnPoint = null;
+    }
+
+    /**
+     * 用ticker经过的时间更新。
+     *
+     * @private
+     */
+    _tick()
+    {
+        this.update(this._ticker.deltaMS);
+    }
+
+    /**
+     * 生成粒子，并更新到它们已存在的时间。
+     *
+     * @private
+     * @param {number} count - 粒子数
+     * @param {number} age - 粒子已存在的时间，毫秒
+     */
+    _spawn(count, age)
+    {
+        for (let i = 0; i < count && this._particles.length < this.maxParticles; i++)
+        {
+            const particle = this._pool.pop() || new Particle();
+            const direction = random(this.angle) * DEG_TO_RAD;
+            const speed = this.speed.start;
+
+            particle.animation = this.animations ? pick(this.animations) : null;
+            particle.texture = particle.animation ? particle.animation.textures[0] : pick(this.textures);
+            particle.anchor.set(this.anchor);
+            particle.age = 0;
+            particle.lifetime = random(this.lifetime);
+            particle.direction.set(Math.cos(direction), Math.sin(direction));
+            particle.velocity.set(particle.direction.x * speed, particle.direction.y * speed);
+            particle.rotation = random(this.rotation) * DEG_TO_RAD;
+            particle.rotationSpeed = random(this.rotationSpeed) * DEG_TO_RAD;
+
+            this._spawnPoint(particle.position);
+            particle.position.set(particle.position.x + this.position.x, particle.position.y + this.position.y);
+
+            this.container.addChild(particle);
+            this._particles.push(particle);
+
+            if (!this._updateParticle(particle, age))
+            {
+                this._recycle(this._particles.length - 1);
+            }
+        }
+    }
+
+    /**
+     * 更新粒子。
+     *
+     * @private
+     * @param {PIXI.Particle} particle - 粒子
+     * @param {number} deltaMS - 经过的时间，毫秒
+     * @return {boolean} 粒子是否存活
+     */
+    _updateParticle(particle, deltaMS)
+    {
+        particle.age += deltaMS;
+
+        if (particle.age >= particle.lifetime)
+        {
+            return false;
+        }
+
+        const t = this.ease(particle.age / particle.lifetime);
+        const dt = deltaMS / 1000;
+        const { acceleration, speed, alpha, scale, color } = this;
+
+        if (acceleration)
+        {
+            particle.velocity.x += acceleration.x * dt;
+            particle.velocity.y += acceleration.y * dt;
+        }
+        else if (speed.start !== speed.end)
+        {
+            const current = speed.start + ((speed.end - speed.start) * t);
+
+            particle.velocity.set(particle.direction.x * current, particle.direction.y * current);
+        }
+
+        particle.position.x += particle.velocity.x * dt;
+        particle.position.y += particle.velocity.y * dt;
+        particle.rotation += particle.rotationSpeed * dt;
+        particle.alpha = alpha.start + ((alpha.end - alpha.start) * t);
+        particle.scale.set(scale.start + ((scale.end - scale.start) * t));
+        particle.tint = color.start === color.end ? color.start : lerpColor(color.start, color.end, t);
+
+        if (particle.animation)
+        {
+            const { textures, framerate, loop } = particle.animation;
+            let frame = framerate < 0
+                ? Math.floor(particle.age / particle.lifetime * textures.length)
+                : Math.floor(particle.age * framerate / 1000);
+
+            frame = loop ? frame % textures.length : Math.min(frame, textures.length - 1);
+            particle.texture = textures[frame];
+        }
+
+        return true;
+    }
+
+    /**
+     * 把粒子从容器中移除并放回对象池。
+     *
+     * @private
+     * @param {number} index - 粒子在存活的粒子中的索引
+     */
+    _recycle(index)
+    {
+        const particles = this._particles;
+        const particle = particles[index];
+
+        // order doesn't matter, swap with the last one
+        particles[index] = particles[particles.length - 1];
+        particles.pop();
+
+        this.container.removeChild(particle);
+        this._pool.push(particle);
+    }
+}
+
+/**
+ * 生成粒子的形状，按 `spawnShape.type` 索引。每个函数接收形状的配置，返回在形状中随机取点的函数，
+ * 点的坐标相对于发射器的位置。可以添加自定义的形状:
+ *
+ * ```js
+ * PIXI.ParticleEmitter.shapes.line = (shape) => (out) => out.set(Math.random() * shape.length, 0);
+ * ```
+ *
+ * 内置的形状:
+ * - `point`: `{ x, y }`，默认为原点
+ * - `rect`: `{ x, y, width, height }`
+ * - `circle`: `{ x, y, radius }`，均匀分布在圆内
+ * - `ring`: `{ x, y, radius, minRadius }`，均匀分布在圆环内
+ * - `path`: `{ points }`，均匀分布在 `{ x, y }` 点连成的折线上
+ *
+ * @static
+ * @member {object}
+ * @memberof PIXI.ParticleEmitter
+ */
+ParticleEmitter.shapes = {
+    point: ({ x = 0, y = 0 }) => (out) => out.set(x, y),
+
+    rect: ({ x = 0, y = 0, width, height }) => (out) => out.set(
+        x + (Math.random() * width),
+        y + (Math.random() * height),
+    ),
+
+    circle: ({ x = 0, y = 0, radius }) => ParticleEmitter.shapes.ring({ x, y, radius, minRadius: 0 }),
+
+    ring: ({ x = 0, y = 0, radius, minRadius = 0 }) => (out) =>
+    {
+        const angle = Math.random() * Math.PI * 2;
+        // uniform over the area, not the radius
+        const r = Math.sqrt((Math.random() * ((radius * radius) - (minRadius * minRadius))) + (minRadius * minRadius));
+
+        out.set(x + (Math.cos(angle) * r), y + (Math.sin(angle) * r));
+    },
+
+    path: ({ points }) =>
+    {
+        const lengths = [];
+        let total = 0;
+
+        for (let i = 1; i < points.length; i++)
+        {
+            total += Math.sqrt(Math.pow(points[i].x - points[i - 1].x, 2) + Math.pow(points[i].y - points[i - 1].y, 2));
+            lengths.push(total);
+        }
+
+        return (out) =>
+        {
+            const distance = Math.random() * total;
+            let i = 0;
+
+            while (i < lengths.length - 1 && lengths[i] < distance)
+            {
+                i++;
+            }
+
+            if (lengths.length === 0)
+            {
+                out.set(points[0].x, points[0].y);
+
+                return;
+            }
+
+            const start = i > 0 ? lengths[i - 1] : 0;
+            const t = lengths[i] > start ? (distance - start) / (lengths[i] - start) : 0;
+
+            out.set(
+                points[i].x + ((points[i + 1].x - points[i].x) * t),
+                points[i].y + ((points[i + 1].y - points[i].y) * t),
+            );
+        };
+    },
+};
@@ -138,17 +138,18 @@ export class ParticleRenderer extends ObjectRenderer
         const gl = renderer.gl;
 
         const m = container.worldTransform.copyTo(this.tempMatrix);
+        const shader = container.shader || this.shader;
 
         m.prepend(renderer.globalUniforms.uniforms.projectionMatrix);
 
-        this.shader.uniforms.translationMatrix = m.toArray(true);
+        shader.uniforms.translationMatrix = m.toArray(true);
 
-        this.shader.uniforms.uColor = premultiplyRgba(container.tintRgb,
-            container.worldAlpha, this.shader.uniforms.uColor, baseTexture.alphaMode);
+        shader.uniforms.uColor = premultiplyRgba(container.tintRgb,
+            container.worldAlpha, shader.uniforms.uColor, baseTexture.alphaMode);
 
-        this.shader.uniforms.uSampler = baseTexture;
+        shader.uniforms.uSampler = baseTexture;
 
-        this.renderer.shader.bind(this.shader);
+        this.renderer.shader.bind(shader);
 
         let updateStatic = false;
 
@@ -200,11 +201,12 @@ export class ParticleRenderer extends ObjectRenderer
         const buffers = [];
         const size = container._maxSize;
         const batchSize = container._batchSize;
+        const properties = this.getProperties(container);
         const dynamicPropertyFlags = container._properties;
 
         for (let i = 0; i < size; i += batchSize)
         {
-            buffers.push(new ParticleBuffer(this.properties, dynamicPropertyFlags, batchSize));
+            buffers.push(new ParticleBuffer(properties, dynamicPropertyFlags, batchSize));
         }
 
         return buffers;
@@ -222,7 +224,20 @@ export class ParticleRenderer extends ObjectRenderer
         const batchSize = container._batchSize;
         const dynamicPropertyFlags = container._properties;
 
-        return new ParticleBuffer(this.properties, dynamicPropertyFlags, batchSize);
+        return new ParticleBuffer(this.getProperties(container), dynamicPropertyFlags, batchSize);
+    }
+
+    /**
+     * Gets the properties uploaded for a container: the built-in properties followed by the custom
+     * properties of the container, in the order of its dynamic property flags.
+     *
+     * @param {PIXI.ParticleContainer} container - The container to render using this ParticleRenderer
+     * @return {object[]} The properties
+     * @private
+     */
+    getProperties(container)
+    {
+        return this.properties.concat(container._customProperties);
     }
 
     /**
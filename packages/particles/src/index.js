@@ -1,2 +1,3 @@
 export * from './ParticleContainer';
 export * from './ParticleRenderer';
+export * from './ParticleEmitter';
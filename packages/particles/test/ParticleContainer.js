@@ -0,0 +1,101 @@
+const { ParticleContainer } = require('../');
+
+function customProperty(name, dynamic)
+{
+    return {
+        name,
+        attributeName: `a${name}`,
+        size: 1,
+        dynamic,
+        uploadFunction: () => { /* empty */ },
+    };
+}
+
+describe('PIXI.ParticleContainer', function ()
+{
+    describe('properties', function ()
+    {
+        it('should set built-in properties as dynamic or static', function ()
+        {
+            const container = new ParticleContainer(100, { rotation: true, position: false });
+
+            expect(container._properties).to.deep.equal([false, false, true, false, false]);
+
+            container.setProperties({ scale: true, alpha: true });
+
+            expect(container._properties).to.deep.equal([true, false, true, false, true]);
+
+            container.destroy();
+        });
+
+        it('should add, get and remove custom properties', function ()
+        {
+            const container = new ParticleContainer();
+            const age = customProperty('age', true);
+            const size = customProperty('size', false);
+
+            container.addProperty(age).addProperty(size);
+
+            expect(container.getProperty('age')).to.equal(age);
+            expect(container.getProperty('size')).to.equal(size);
+            expect(container.getProperty('speed')).to.be.null;
+            expect(container._properties).to.deep.equal([false, true, false, false, false, true, false]);
+
+            container.removeProperty('age');
+
+            expect(container.getProperty('age')).to.be.null;
+            expect(container._properties).to.deep.equal([false, true, false, false, false, false]);
+
+            container.destroy();
+        });
+
+        it('should replace custom properties with the same name', function ()
+        {
+            const container = new ParticleContainer();
+            const age = customProperty('age', true);
+
+            container.addProperty(customProperty('age', false)).addProperty(age);
+
+            expect(container.getProperty('age')).to.equal(age);
+            expect(container._properties).to.deep.equal([false, true, false, false, false, true]);
+
+            container.destroy();
+        });
+
+        it('should toggle custom properties by name', function ()
+        {
+            const container = new ParticleContainer();
+
+            container.addProperty(customProperty('age', false));
+            container.setProperties({ age: true, rotation: true });
+
+            expect(container._properties).to.deep.equal([false, true, true, false, false, true]);
+
+            container.destroy();
+        });
+
+        it('should regenerate the buffers when the properties change', function ()
+        {
+            const container = new ParticleContainer();
+            const buffer = { destroy: sinon.spy() };
+
+            container._buffers = [buffer];
+            container.setProperties({ position: true });
+
+            expect(container._buffers).to.deep.equal([buffer]);
+
+            container.setProperties({ rotation: true });
+
+            expect(container._buffers).to.be.null;
+            expect(buffer.destroy).to.have.been.calledOnce;
+            expect(container._bufferUpdateIDs[0]).to.equal(container._updateID);
+
+            container._buffers = [buffer];
+            container.addProperty(customProperty('age', true));
+
+            expect(container._buffers).to.be.null;
+
+            container.destroy();
+        });
+    });
+});
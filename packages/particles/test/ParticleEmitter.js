@@ -0,0 +1,260 @@
+const { ParticleContainer, ParticleEmitter } = require('../');
+const { Texture } = require('@pixi/core');
+const { Point } = require('@pixi/math');
+const { Ticker } = require('@pixi/ticker');
+
+describe('PIXI.ParticleEmitter', function ()
+{
+    beforeEach(function ()
+    {
+        this.container = new ParticleContainer();
+        this.random = sinon.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(function ()
+    {
+        this.random.restore();
+        this.container.destroy();
+    });
+
+    it('should emit with the frequency', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, { frequency: 100 }, null);
+
+        emitter.update(16);
+
+        expect(emitter.particleCount).to.equal(1);
+        expect(this.container.children.length).to.equal(1);
+
+        emitter.update(83);
+
+        expect(emitter.particleCount).to.equal(1);
+
+        emitter.update(1);
+
+        expect(emitter.particleCount).to.equal(2);
+
+        emitter.destroy();
+    });
+
+    it('should emit several particles per wave', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, { frequency: 100, particlesPerWave: 3 }, null);
+
+        emitter.update(16);
+
+        expect(emitter.particleCount).to.equal(3);
+
+        emitter.destroy();
+    });
+
+    it('should recycle dead particles', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, { frequency: 0, lifetime: 100 }, null);
+
+        emitter.burst(3);
+        emitter.update(50);
+
+        const particle = this.container.children[0];
+
+        expect(emitter.particleCount).to.equal(3);
+
+        emitter.update(50);
+
+        expect(emitter.particleCount).to.equal(0);
+        expect(this.container.children.length).to.equal(0);
+
+        emitter.burst(3);
+
+        expect(this.container.children).to.include(particle);
+
+        emitter.destroy();
+    });
+
+    it('should limit the number of particles', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, { frequency: 0, maxParticles: 5 }, null);
+
+        emitter.burst(10);
+
+        expect(emitter.particleCount).to.equal(5);
+
+        emitter.destroy();
+    });
+
+    it('should stop emitting and complete after the emitter lifetime', function ()
+    {
+        const onComplete = sinon.spy();
+        const emitter = new ParticleEmitter(this.container, {
+            frequency: 100,
+            lifetime: 150,
+            emitterLifetime: 250,
+        }, null);
+
+        emitter.onComplete = onComplete;
+        emitter.update(260);
+
+        expect(emitter.emitting).to.be.false;
+        expect(emitter.particleCount).to.equal(1);
+        expect(onComplete).to.not.have.been.called;
+
+        emitter.update(100);
+
+        expect(emitter.particleCount).to.equal(0);
+        expect(onComplete).to.have.been.calledOnce;
+
+        emitter.update(100);
+
+        expect(onComplete).to.have.been.calledOnce;
+
+        emitter.emitting = true;
+        emitter.update(16);
+
+        expect(emitter.particleCount).to.equal(1);
+
+        emitter.destroy();
+    });
+
+    it('should move particles with their speed', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, { frequency: 0, speed: 100, angle: 90 }, null);
+
+        emitter.position.set(10, 20);
+        emitter.burst(1);
+        emitter.update(500);
+
+        const particle = this.container.children[0];
+
+        expect(particle.x).to.be.closeTo(10, 1e-6);
+        expect(particle.y).to.be.closeTo(70, 1e-6);
+
+        emitter.destroy();
+    });
+
+    it('should accelerate particles', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, {
+            frequency: 0,
+            lifetime: 2000,
+            acceleration: { x: 0, y: 100 },
+        }, null);
+
+        emitter.burst(1);
+        emitter.update(500);
+        emitter.update(500);
+
+        const particle = this.container.children[0];
+
+        expect(particle.velocity.y).to.be.closeTo(100, 1e-6);
+        expect(particle.y).to.be.closeTo(75, 1e-6);
+
+        emitter.destroy();
+    });
+
+    it('should interpolate values over the life of particles', function ()
+    {
+        const emitter = new ParticleEmitter(this.container, {
+            frequency: 0,
+            lifetime: 1000,
+            alpha: { start: 1, end: 0 },
+            scale: { start: 1, end: 3 },
+            color: { start: '#ff0000', end: '#0000ff' },
+            rotationSpeed: 90,
+        }, null);
+
+        emitter.burst(1);
+        emitter.update(500);
+
+        const particle = this.container.children[0];
+
+        expect(particle.alpha).to.be.closeTo(0.5, 1e-6);
+        expect(particle.scale.x).to.be.closeTo(2, 1e-6);
+        expect(particle.tint).to.equal(0x800080);
+        expect(particle.rotation).to.be.closeTo(Math.PI / 4, 1e-6);
+
+        emitter.destroy();
+    });
+
+    it('should pick random textures', function ()
+    {
+        const textures = [new Texture(Texture.WHITE.baseTexture), new Texture(Texture.WHITE.baseTexture)];
+        const emitter = new ParticleEmitter(this.container, { frequency: 0, textures }, null);
+
+        emitter.burst(1);
+
+        expect(this.container.children[0].texture).to.equal(textures[1]);
+
+        emitter.destroy();
+    });
+
+    it('should animate particles', function ()
+    {
+        const textures = [0, 1, 2, 3].map(() => new Texture(Texture.WHITE.baseTexture));
+        const emitter = new ParticleEmitter(this.container, {
+            frequency: 0,
+            lifetime: 1000,
+            animations: [{ textures }],
+        }, null);
+
+        emitter.burst(1);
+
+        const particle = this.container.children[0];
+
+        expect(this.container._properties[3]).to.be.true;
+        expect(particle.texture).to.equal(textures[0]);
+
+        emitter.update(600);
+
+        expect(particle.texture).to.equal(textures[2]);
+
+        emitter.init({ frequency: 0, lifetime: 1000, animations: [{ textures, framerate: 10, loop: true }] });
+        emitter.clear().burst(1);
+        emitter.update(450);
+
+        expect(particle.texture).to.equal(textures[0]);
+
+        emitter.destroy();
+    });
+
+    it('should spawn particles in shapes', function ()
+    {
+        const { shapes } = ParticleEmitter;
+        const out = new Point();
+
+        shapes.rect({ x: 10, y: 20, width: 100, height: 50 })(out);
+
+        expect(out.x).to.equal(60);
+        expect(out.y).to.equal(45);
+
+        shapes.ring({ radius: 10, minRadius: 6 })(out);
+
+        expect(out.x).to.be.closeTo(-Math.sqrt(68), 1e-6);
+        expect(out.y).to.be.closeTo(0, 1e-6);
+
+        shapes.circle({ x: 5, radius: 10 })(out);
+
+        expect(out.x).to.be.closeTo(5 - Math.sqrt(50), 1e-6);
+
+        this.random.returns(0.75);
+        shapes.path({ points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }] })(out);
+
+        expect(out.x).to.equal(10);
+        expect(out.y).to.equal(5);
+    });
+
+    it('should listen to the ticker until destroyed', function ()
+    {
+        const ticker = new Ticker();
+        const emitter = new ParticleEmitter(this.container, {}, ticker);
+
+        expect(ticker.count).to.equal(1);
+
+        emitter.update(16);
+        emitter.destroy();
+
+        expect(ticker.count).to.equal(0);
+        expect(this.container.children.length).to.equal(0);
+
+        ticker.destroy();
+    });
+});
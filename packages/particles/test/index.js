@@ -0,0 +1,2 @@
+require('./ParticleContainer');
+require('./ParticleEmitter');
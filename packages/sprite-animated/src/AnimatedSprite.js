@@ -30,6 +30,21 @@ import { Ticker, UPDATE_PRIORITY } from '@pixi/ticker';
  * }
  * ```
  *
+ * 一个动画精灵可以包含多个命名的片段（clip），例如角色的跑步和跳跃动画。片段可以循环、倒放或往返播放，
+ * 可以排队播放，也可以在指定帧上触发事件:
+ *
+ * ```js
+ * animatedSprite.addClip('idle', sheet.animations["idle"]);
+ * animatedSprite.addClip('run', sheet.animations["run"], { labels: { 3: 'footstep', 7: 'footstep' } });
+ * animatedSprite.addClip('jump', sheet.animations["jump"], { loop: false });
+ * animatedSprite.on('footstep', () => playSound('footstep'));
+ *
+ * animatedSprite.playClip('run', { speed: 0.5 });
+ * animatedSprite.queueClip('jump').queueClip('idle');
+ * ```
+ *
+ * 片段开始时触发 `clipstart` 事件，不循环的片段完成时触发 `clipcomplete` 事件，参数为片段名称。
+ *
  * @class
  * @extends PIXI.Sprite
  * @memberof PIXI
@@ -57,6 +72,38 @@ export class AnimatedSprite extends Sprite
          */
         this._durations = null;
 
+        /**
+         * 命名的片段。
+         *
+         * @type {Object<string, object>}
+         * @private
+         */
+        this._clips = {};
+
+        /**
+         * 正在播放的片段。
+         *
+         * @type {object}
+         * @private
+         */
+        this._clip = null;
+
+        /**
+         * 正在播放的片段中，每个播放帧对应的片段帧索引。
+         *
+         * @type {number[]}
+         * @private
+         */
+        this._clipFrames = null;
+
+        /**
+         * 排队等待播放的片段及其选项。
+         *
+         * @type {Array<{clip: object, options: object}>}
+         * @private
+         */
+        this._clipQueue = [];
+
         this.textures = textures;
 
         /**
@@ -217,6 +264,7 @@ export class AnimatedSprite extends Sprite
     {
         const elapsed = this.animationSpeed * deltaTime;
         const previousFrame = this.currentFrame;
+        const previousTime = Math.floor(this._currentTime);
 
         if (this._durations !== null)
         {
@@ -249,6 +297,7 @@ export class AnimatedSprite extends Sprite
 
         if (this._currentTime < 0 && !this.loop)
         {
+            this._emitPassedFrameLabels(previousTime, -1);
             this._currentTime = 0;
             this.stop();
 
@@ -256,9 +305,12 @@ export class AnimatedSprite extends Sprite
             {
                 this.onComplete();
             }
+
+            this._completeClip();
         }
         else if (this._currentTime >= this._textures.length && !this.loop)
         {
+            this._emitPassedFrameLabels(previousTime, this._textures.length);
             this._currentTime = this._textures.length - 1;
             this.stop();
 
@@ -266,22 +318,245 @@ export class AnimatedSprite extends Sprite
             {
                 this.onComplete();
             }
+
+            this._completeClip();
         }
-        else if (previousFrame !== this.currentFrame)
+        else
         {
-            if (this.loop && this.onLoop)
+            const length = this._textures.length;
+            const cycle = Math.floor(previousTime / length);
+            const currentTime = Math.floor(this._currentTime);
+
+            // a cycle can end without changing the frame, e.g. in clips with a single frame
+            const looped = this.loop && cycle !== Math.floor(currentTime / length);
+
+            if (looped && this.onLoop)
             {
-                if (this.animationSpeed > 0 && this.currentFrame < previousFrame)
-                {
-                    this.onLoop();
-                }
-                else if (this.animationSpeed < 0 && this.currentFrame > previousFrame)
-                {
-                    this.onLoop();
-                }
+                this.onLoop();
             }
 
-            this.updateTexture();
+            // queued clips start at the end of a cycle of looping clips
+            if (looped && this._clip && this._clipQueue.length > 0)
+            {
+                const { clip, options } = this._clipQueue.shift();
+
+                this._emitPassedFrameLabels(previousTime, currentTime > previousTime
+                    ? (cycle + 1) * length
+                    : (cycle * length) - 1);
+
+                this._startClip(clip, options);
+
+                return;
+            }
+
+            if (previousFrame !== this.currentFrame)
+            {
+                // the labels of the current frame are emitted when its texture is shown
+                this._emitPassedFrameLabels(previousTime, currentTime);
+                this.updateTexture();
+            }
+            else if (currentTime !== previousTime)
+            {
+                // whole cycles show the same texture again
+                this._emitPassedFrameLabels(previousTime, currentTime + Math.sign(currentTime - previousTime));
+            }
+        }
+    }
+
+    /**
+     * 添加命名的片段，使用 {@link PIXI.AnimatedSprite#playClip} 播放。
+     *
+     * @param {string} name - 片段的名称，替换同名的片段。
+     * @param {PIXI.Texture[]|PIXI.AnimatedSprite.FrameObject[]} textures - 片段的纹理或帧对象。
+     * @param {object} [options] - 片段的默认播放选项。
+     * @param {boolean} [options.loop=true] - 是否循环播放。
+     * @param {number} [options.speed=1] - 播放速度，参阅 {@link PIXI.AnimatedSprite#animationSpeed}。
+     * @param {string} [options.direction='forward'] - 播放方向，`'forward'`、`'reverse'` 或 `'pingpong'`（先正向再反向）。
+     * @param {Object<number, string|string[]>} [options.labels] - 帧的标签，以片段中的帧索引为键。
+     *  显示该帧时触发以标签命名的事件，参数为片段名称和帧索引。
+     * @return {PIXI.AnimatedSprite} 此动画精灵，用于链式调用。
+     */
+    addClip(name, textures, options)
+    {
+        this._clips[name] = Object.assign({
+            loop: true,
+            speed: 1,
+            direction: 'forward',
+            labels: {},
+        }, options, { name, textures });
+
+        return this;
+    }
+
+    /**
+     * 移除命名的片段。
+     *
+     * @param {string} name - 片段的名称。
+     * @return {PIXI.AnimatedSprite} 此动画精灵，用于链式调用。
+     */
+    removeClip(name)
+    {
+        delete this._clips[name];
+
+        return this;
+    }
+
+    /**
+     * 立即播放命名的片段，并清空片段队列。
+     *
+     * @param {string} name - 片段的名称。
+     * @param {object} [options] - 覆盖片段默认值的播放选项。
+     * @param {boolean} [options.loop] - 是否循环播放。
+     * @param {number} [options.speed] - 播放速度。
+     * @param {string} [options.direction] - 播放方向，`'forward'`、`'reverse'` 或 `'pingpong'`。
+     * @return {PIXI.AnimatedSprite} 此动画精灵，用于链式调用。
+     */
+    playClip(name, options)
+    {
+        const clip = this._getClip(name);
+
+        this._clipQueue.length = 0;
+        this._startClip(clip, options);
+
+        return this;
+    }
+
+    /**
+     * 在当前片段之后播放命名的片段：不循环的片段完成时，或循环的片段播放完一个周期时。
+     * 没有正在播放的片段时立即播放。
+     *
+     * @param {string} name - 片段的名称。
+     * @param {object} [options] - 覆盖片段默认值的播放选项，参阅 {@link PIXI.AnimatedSprite#playClip}。
+     * @return {PIXI.AnimatedSprite} 此动画精灵，用于链式调用。
+     */
+    queueClip(name, options)
+    {
+        const clip = this._getClip(name);
+
+        if (this._clip && this.playing)
+        {
+            this._clipQueue.push({ clip, options });
+        }
+        else
+        {
+            this._startClip(clip, options);
+        }
+
+        return this;
+    }
+
+    /**
+     * 正在播放的片段的名称，没有时为 `null`。
+     *
+     * @member {string}
+     * @readonly
+     */
+    get currentClip()
+    {
+        return this._clip ? this._clip.name : null;
+    }
+
+    /**
+     * 获取命名的片段。
+     *
+     * @private
+     * @param {string} name - 片段的名称。
+     * @return {object} 片段。
+     */
+    _getClip(name)
+    {
+        const clip = this._clips[name];
+
+        if (!clip)
+        {
+            throw new Error(`AnimatedSprite has no clip named "${name}"`);
+        }
+
+        return clip;
+    }
+
+    /**
+     * 开始播放片段。
+     *
+     * @private
+     * @param {object} clip - 片段。
+     * @param {object} [options] - 覆盖片段默认值的播放选项。
+     */
+    _startClip(clip, options)
+    {
+        const { loop, speed, direction } = Object.assign({}, clip, options);
+        let frames = clip.textures.map((texture, i) => i);
+
+        if (direction === 'reverse')
+        {
+            frames.reverse();
+        }
+        else if (direction === 'pingpong')
+        {
+            // returns without repeating the first and last frames
+            frames = frames.concat(frames.slice(1, -1).reverse());
+        }
+
+        this.stop();
+        this.textures = frames.map((i) => clip.textures[i]);
+        this.loop = loop;
+        this.animationSpeed = speed;
+        this._clip = clip;
+        this._clipFrames = frames;
+
+        this.emit('clipstart', clip.name);
+        this._emitFrameLabels(this.currentFrame);
+        this.play();
+    }
+
+    /**
+     * 处理不循环的片段的完成，开始下一个排队的片段。
+     *
+     * @private
+     */
+    _completeClip()
+    {
+        if (!this._clip)
+        {
+            return;
+        }
+
+        this.emit('clipcomplete', this._clip.name);
+
+        const next = this._clipQueue.shift();
+
+        if (next)
+        {
+            this._startClip(next.clip, next.options);
+        }
+    }
+
+    /**
+     * 触发帧的标签事件。
+     *
+     * @private
+     * @param {number} index - 帧在纹理数组中的索引。
+     */
+    _emitFrameLabels(index)
+    {
+        const frame = this._clipFrames[index];
+        const labels = this._clip.labels[frame];
+
+        if (!labels)
+        {
+            return;
+        }
+
+        if (typeof labels === 'string')
+        {
+            this.emit(labels, this._clip.name, frame);
+
+            return;
+        }
+
+        for (let i = 0; i < labels.length; i++)
+        {
+            this.emit(labels[i], this._clip.name, frame);
         }
     }
 
@@ -307,6 +582,36 @@ export class AnimatedSprite extends Sprite
         {
             this.onFrameChange(this.currentFrame);
         }
+
+        if (this._clip)
+        {
+            this._emitFrameLabels(this.currentFrame);
+        }
+    }
+
+    /**
+     * 触发一次更新中跳过的帧的标签事件，按播放方向，循环时回到开头。
+     *
+     * @private
+     * @param {number} from - 更新前的时间，不包含在内。
+     * @param {number} to - 停止的时间，不包含在内。
+     */
+    _emitPassedFrameLabels(from, to)
+    {
+        if (!this._clip || from === to)
+        {
+            return;
+        }
+
+        const clip = this._clip;
+        const length = this._textures.length;
+        const step = to > from ? 1 : -1;
+
+        // listeners may start another clip
+        for (let time = from + step; time !== to && this._clip === clip; time += step)
+        {
+            this._emitFrameLabels(((time % length) + length) % length);
+        }
     }
 
     /**
@@ -325,6 +630,10 @@ export class AnimatedSprite extends Sprite
         this.onComplete = null;
         this.onFrameChange = null;
         this.onLoop = null;
+        this._clips = null;
+        this._clip = null;
+        this._clipFrames = null;
+        this._clipQueue = null;
     }
 
     /**
@@ -389,6 +698,10 @@ export class AnimatedSprite extends Sprite
 
     set textures(value) // eslint-disable-line require-jsdoc
     {
+        // textures set directly are not part of a clip
+        this._clip = null;
+        this._clipFrames = null;
+
         if (value[0] instanceof Texture)
         {
             this._textures = value;
@@ -305,4 +305,161 @@ describe('PIXI.AnimatedSprite', function ()
             expect(this.sprite.playing).to.be.true;
         });
     });
+
+    describe('clips', function ()
+    {
+        beforeEach(function ()
+        {
+            this.textures = [Texture.WHITE.clone(), Texture.WHITE.clone(), Texture.WHITE.clone(), Texture.WHITE.clone()];
+            this.sprite = new AnimatedSprite([Texture.EMPTY], false);
+        });
+
+        afterEach(function ()
+        {
+            this.sprite.destroy();
+            this.sprite = null;
+        });
+
+        it('should play clips in the given direction', function ()
+        {
+            const [a, b, c] = this.textures;
+
+            this.sprite.addClip('walk', [a, b, c], { speed: 0.5 });
+            this.sprite.playClip('walk', { direction: 'pingpong' });
+
+            expect(this.sprite.currentClip).to.equal('walk');
+            expect(this.sprite.playing).to.be.true;
+            expect(this.sprite.animationSpeed).to.equal(0.5);
+            expect(this.sprite.textures).to.have.lengthOf(4);
+            expect(this.sprite.textures[1]).to.equal(b);
+            expect(this.sprite.textures[3]).to.equal(b);
+
+            this.sprite.playClip('walk', { direction: 'reverse' });
+
+            expect(this.sprite.texture).to.equal(c);
+            expect(this.sprite.textures[2]).to.equal(a);
+        });
+
+        it('should emit frame labels', function ()
+        {
+            const spy = sinon.spy();
+
+            this.sprite.addClip('run', this.textures, { labels: { 0: 'start', 2: ['footstep', 'dust'] } });
+            this.sprite.on('start', spy);
+            this.sprite.on('footstep', spy);
+            this.sprite.playClip('run');
+
+            expect(spy).to.have.been.calledOnceWith('run', 0);
+
+            this.sprite.update(1);
+            this.sprite.update(1);
+
+            expect(spy).to.have.been.calledTwice;
+            expect(spy.secondCall).to.have.been.calledWith('run', 2);
+        });
+
+        it('should emit the labels of frames passed in one update', function ()
+        {
+            const frames = [];
+
+            this.sprite.addClip('run', this.textures, { speed: 3, labels: { 1: 'footstep', 3: 'footstep' } });
+            this.sprite.on('footstep', (clip, frame) => frames.push(frame));
+            this.sprite.playClip('run');
+
+            this.sprite.update(1);
+
+            expect(this.sprite.currentFrame).to.equal(3);
+            expect(frames).to.deep.equal([1, 3]);
+
+            this.sprite.update(1);
+
+            expect(this.sprite.currentFrame).to.equal(2);
+            expect(frames).to.deep.equal([1, 3, 1]);
+
+            this.sprite.playClip('run', { direction: 'reverse', loop: false });
+            frames.length = 0;
+            this.sprite.update(2);
+
+            expect(this.sprite.playing).to.be.false;
+            expect(frames).to.deep.equal([1]);
+        });
+
+        it('should play queued clips when a clip completes', function ()
+        {
+            const spy = sinon.spy();
+
+            this.sprite.addClip('jump', this.textures.slice(0, 2), { loop: false });
+            this.sprite.addClip('idle', this.textures.slice(2));
+            this.sprite.on('clipcomplete', spy);
+            this.sprite.playClip('jump').queueClip('idle');
+
+            this.sprite.update(1);
+            expect(this.sprite.currentClip).to.equal('jump');
+
+            this.sprite.update(1);
+            expect(spy).to.have.been.calledOnceWith('jump');
+            expect(this.sprite.currentClip).to.equal('idle');
+            expect(this.sprite.loop).to.be.true;
+            expect(this.sprite.playing).to.be.true;
+            expect(this.sprite.texture).to.equal(this.textures[2]);
+        });
+
+        it('should play queued clips at the end of a loop', function ()
+        {
+            this.sprite.addClip('run', this.textures.slice(0, 2));
+            this.sprite.addClip('idle', this.textures.slice(2));
+            this.sprite.playClip('run').queueClip('idle');
+
+            this.sprite.update(1);
+            expect(this.sprite.currentClip).to.equal('run');
+
+            this.sprite.update(1);
+            expect(this.sprite.currentClip).to.equal('idle');
+        });
+
+        it('should play queued clips after a single frame clip', function ()
+        {
+            this.sprite.addClip('idle', this.textures.slice(0, 1));
+            this.sprite.addClip('run', this.textures.slice(1));
+            this.sprite.playClip('idle').queueClip('run');
+
+            this.sprite.update(0.5);
+            expect(this.sprite.currentClip).to.equal('idle');
+
+            this.sprite.update(0.5);
+            expect(this.sprite.currentClip).to.equal('run');
+        });
+
+        it('should play queued clips when an update advances a whole cycle', function ()
+        {
+            const frames = [];
+
+            this.sprite.addClip('run', this.textures.slice(0, 2), { labels: { 1: 'footstep' } });
+            this.sprite.addClip('idle', this.textures.slice(2));
+            this.sprite.on('footstep', (clip, frame) => frames.push(frame));
+            this.sprite.playClip('run');
+
+            this.sprite.update(2);
+            expect(this.sprite.currentFrame).to.equal(0);
+            expect(frames).to.deep.equal([1]);
+
+            this.sprite.queueClip('idle');
+            this.sprite.update(2);
+            expect(this.sprite.currentClip).to.equal('idle');
+            expect(frames).to.deep.equal([1, 1]);
+        });
+
+        it('should forget the clip when textures are set', function ()
+        {
+            this.sprite.addClip('run', this.textures).playClip('run');
+            this.sprite.textures = [Texture.EMPTY];
+
+            expect(this.sprite.currentClip).to.be.null;
+        });
+
+        it('should throw for unknown clips', function ()
+        {
+            expect(() => this.sprite.playClip('fly')).to.throw('AnimatedSprite has no clip named "fly"');
+        });
+    });
 });
@@ -0,0 +1,165 @@
+/**
+ * 按BaseTexture的uid缓存的命中遮罩。
+ *
+ * @ignore
+ * @private
+ */
+const masks = {};
+
+/**
+ * 基础纹理每个像素的alpha值，用于 {@link PIXI.Sprite#alphaHitThreshold} 的像素级命中测试。
+ *
+ * 遮罩从纹理的源图像生成，并按基础纹理缓存，基础纹理更新或销毁时失效。
+ * 无法读取像素时（例如没有源图像，或跨域图像污染了画布）没有遮罩。
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class HitMask
+{
+    /**
+     * @param {number} width - 宽度，像素
+     * @param {number} height - 高度，像素
+     * @param {Uint8Array|Uint8ClampedArray} alpha - 每个像素的alpha值，从0到255，逐行排列
+     */
+    constructor(width, height, alpha)
+    {
+        /**
+         * 宽度，像素
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.width = width;
+
+        /**
+         * 高度，像素
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.height = height;
+
+        /**
+         * 每个像素的alpha值，从0到255，逐行排列
+         *
+         * @member {Uint8Array|Uint8ClampedArray}
+         * @readonly
+         */
+        this.alpha = alpha;
+    }
+
+    /**
+     * 获取像素的alpha值。
+     *
+     * @param {number} x - 像素的x坐标
+     * @param {number} y - 像素的y坐标
+     * @return {number} alpha值，从0到1，遮罩以外为0
+     */
+    alphaAt(x, y)
+    {
+        x = Math.floor(x);
+        y = Math.floor(y);
+
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height)
+        {
+            return 0;
+        }
+
+        return this.alpha[(y * this.width) + x] / 255;
+    }
+
+    /**
+     * 获取基础纹理的命中遮罩，必要时生成。
+     *
+     * @static
+     * @param {PIXI.BaseTexture} baseTexture - 基础纹理
+     * @return {PIXI.HitMask} 遮罩，无法读取像素时为 `null`
+     */
+    static from(baseTexture)
+    {
+        const cached = masks[baseTexture.uid];
+
+        if (cached !== undefined)
+        {
+            return cached;
+        }
+
+        const mask = HitMask.generate(baseTexture);
+
+        // pixels change with the resource
+        const invalidate = () =>
+        {
+            delete masks[baseTexture.uid];
+            baseTexture.off('update', invalidate);
+            baseTexture.off('dispose', invalidate);
+        };
+
+        masks[baseTexture.uid] = mask;
+        baseTexture.once('update', invalidate);
+        baseTexture.once('dispose', invalidate);
+
+        return mask;
+    }
+
+    /**
+     * 读取基础纹理的像素生成命中遮罩，不使用缓存。
+     *
+     * @static
+     * @param {PIXI.BaseTexture} baseTexture - 基础纹理
+     * @return {PIXI.HitMask} 遮罩，无法读取像素时为 `null`
+     */
+    static generate(baseTexture)
+    {
+        const { resource, realWidth, realHeight } = baseTexture;
+
+        if (!baseTexture.valid || !resource)
+        {
+            return null;
+        }
+
+        const size = realWidth * realHeight;
+        const alpha = new Uint8Array(size);
+
+        // RGBA buffers
+        if (resource.data instanceof Uint8Array && resource.data.length >= size * 4)
+        {
+            for (let i = 0; i < size; i++)
+            {
+                alpha[i] = resource.data[(i * 4) + 3];
+            }
+
+            return new HitMask(realWidth, realHeight, alpha);
+        }
+
+        if (!resource.source)
+        {
+            return null;
+        }
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        let pixels;
+
+        canvas.width = realWidth;
+        canvas.height = realHeight;
+
+        try
+        {
+            context.drawImage(resource.source, 0, 0, realWidth, realHeight);
+            pixels = context.getImageData(0, 0, realWidth, realHeight).data;
+        }
+        catch (e)
+        {
+            // cross-origin images can't be read
+            return null;
+        }
+
+        for (let i = 0; i < size; i++)
+        {
+            alpha[i] = pixels[(i * 4) + 3];
+        }
+
+        return new HitMask(realWidth, realHeight, alpha);
+    }
+}
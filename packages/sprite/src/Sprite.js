@@ -1,9 +1,10 @@
-import { Point, ObservablePoint, Rectangle } from '@pixi/math';
+import { Point, ObservablePoint, Rectangle, groupD8 } from '@pixi/math';
 import { sign } from '@pixi/utils';
 import { Texture } from '@pixi/core';
 import { BLEND_MODES } from '@pixi/constants';
 import { Container } from '@pixi/display';
 import { settings } from '@pixi/settings';
+import { HitMask } from './HitMask';
 
 const tempPoint = new Point();
 const indices = new Uint16Array([0, 1, 2, 0, 2, 3]);
@@ -115,6 +116,23 @@ export class Sprite extends Container
          */
         this.shader = null;
 
+        /**
+         * 像素级命中测试的alpha阈值，从0到1。设置后，{@link PIXI.Sprite#containsPoint} 只在纹理的
+         * alpha值大于阈值的像素上返回 `true`，交互事件因此忽略透明的区域。
+         * 为 `null` 时只测试纹理的矩形。
+         *
+         * 像素从纹理的源图像读取（参阅 {@link PIXI.HitMask}），无法读取时（例如跨域图像）测试矩形。
+         *
+         * ```js
+         * button.interactive = true;
+         * button.alphaHitThreshold = 0;
+         * ```
+         *
+         * @member {number}
+         * @default null
+         */
+        this.alphaHitThreshold = null;
+
         /**
          * 缓存的色调值，以便我们可以知道何时更改了色调。
          * 该值用于2d CanvasRenderer。
@@ -457,13 +475,83 @@ export class Sprite extends Container
 
             if (tempPoint.y >= y1 && tempPoint.y < y1 + height)
             {
-                return true;
+                return this.alphaHitThreshold === null
+                    || this._alphaAt(tempPoint.x - x1, tempPoint.y - y1) > this.alphaHitThreshold;
             }
         }
 
         return false;
     }
 
+    /**
+     * 获取纹理在原始（未裁剪）纹理坐标处的alpha值。
+     *
+     * @private
+     * @param {number} x - 相对于纹理左上角的x坐标
+     * @param {number} y - 相对于纹理左上角的y坐标
+     * @return {number} alpha值，从0到1，无法读取像素时为1
+     */
+    _alphaAt(x, y)
+    {
+        const { baseTexture, frame, trim, orig } = this._texture;
+        const mask = HitMask.from(baseTexture);
+
+        if (!mask)
+        {
+            return 1;
+        }
+
+        let width = orig.width;
+        let height = orig.height;
+
+        // trimmed areas are transparent
+        if (trim)
+        {
+            x -= trim.x;
+            y -= trim.y;
+            width = trim.width;
+            height = trim.height;
+
+            if (x < 0 || y < 0 || x >= width || y >= height)
+            {
+                return 0;
+            }
+        }
+
+        const u = x / width;
+        const v = y / height;
+        const resolution = baseTexture.resolution;
+        let rotate = this._texture.rotate;
+
+        if (!rotate)
+        {
+            return mask.alphaAt((frame.x + (u * frame.width)) * resolution, (frame.y + (v * frame.height)) * resolution);
+        }
+
+        // the corners of the texture in the frame, as in PIXI.TextureUvs
+        const w2 = frame.width / 2;
+        const h2 = frame.height / 2;
+        const cX = frame.x + w2;
+        const cY = frame.y + h2;
+
+        rotate = groupD8.add(rotate, groupD8.NW);
+        const x0 = cX + (w2 * groupD8.uX(rotate));
+        const y0 = cY + (h2 * groupD8.uY(rotate));
+
+        rotate = groupD8.add(rotate, 2);
+        const x1 = cX + (w2 * groupD8.uX(rotate));
+        const y1 = cY + (h2 * groupD8.uY(rotate));
+
+        rotate = groupD8.add(rotate, 4);
+        const x3 = cX + (w2 * groupD8.uX(rotate));
+        const y3 = cY + (h2 * groupD8.uY(rotate));
+
+        return mask.alphaAt(
+            (x0 + (u * (x1 - x0)) + (v * (x3 - x0))) * resolution,
+            (y0 + (u * (y1 - y0)) + (v * (y3 - y0))) * resolution,
+        );
+    }
+
     /**
      * 销毁该精灵，并销毁其纹理和子元素
      *
@@ -1 +1,2 @@
 export * from './Sprite';
+export * from './HitMask';
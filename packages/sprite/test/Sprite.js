@@ -1,7 +1,7 @@
-const { Sprite } = require('../');
+const { Sprite, HitMask } = require('../');
 const { Texture, BaseTexture, RenderTexture } = require('@pixi/core');
 const { Container } = require('@pixi/display');
-const { Point } = require('@pixi/math');
+const { Point, Rectangle, groupD8 } = require('@pixi/math');
 
 const path = require('path');
 
@@ -128,6 +128,106 @@ describe('PIXI.Sprite', function ()
         });
     });
 
+    describe('alphaHitThreshold', function ()
+    {
+        // 2x1 pixels, left one opaque, right one transparent
+        const pixels = new Uint8Array([255, 255, 255, 255, 255, 255, 255, 0]);
+
+        it('should only hit opaque pixels', function ()
+        {
+            const sprite = new Sprite(new Texture(BaseTexture.fromBuffer(pixels, 2, 1)));
+
+            expect(sprite.containsPoint(new Point(1.5, 0.5))).to.be.true;
+
+            sprite.alphaHitThreshold = 0;
+
+            expect(sprite.containsPoint(new Point(0.5, 0.5))).to.be.true;
+            expect(sprite.containsPoint(new Point(1.5, 0.5))).to.be.false;
+
+            sprite.destroy(true);
+        });
+
+        it('should respect the anchor and trim', function ()
+        {
+            const baseTexture = BaseTexture.fromBuffer(pixels, 2, 1);
+            const texture = new Texture(
+                baseTexture,
+                new Rectangle(0, 0, 2, 1),
+                new Rectangle(0, 0, 4, 1),
+                new Rectangle(1, 0, 2, 1),
+            );
+            const sprite = new Sprite(texture);
+
+            sprite.anchor.set(0.5);
+            sprite.alphaHitThreshold = 0;
+
+            expect(sprite.containsPoint(new Point(-1.5, 0))).to.be.false;
+            expect(sprite.containsPoint(new Point(-0.5, 0))).to.be.true;
+            expect(sprite.containsPoint(new Point(0.5, 0))).to.be.false;
+            expect(sprite.containsPoint(new Point(1.5, 0))).to.be.false;
+
+            sprite.destroy(true);
+        });
+
+        it('should respect the rotation of the texture', function ()
+        {
+            const baseTexture = BaseTexture.fromBuffer(pixels, 2, 1);
+            const texture = new Texture(
+                baseTexture,
+                new Rectangle(0, 0, 2, 1),
+                new Rectangle(0, 0, 1, 2),
+                null,
+                groupD8.S,
+            );
+            const sprite = new Sprite(texture);
+
+            sprite.alphaHitThreshold = 0;
+
+            expect(sprite.containsPoint(new Point(0.5, 0.5))).to.be.false;
+            expect(sprite.containsPoint(new Point(0.5, 1.5))).to.be.true;
+
+            sprite.destroy(true);
+        });
+    });
+
+    describe('HitMask', function ()
+    {
+        it('should read the alpha of buffers', function ()
+        {
+            const pixels = new Uint8Array([0, 0, 0, 255, 0, 0, 0, 51]);
+            const baseTexture = BaseTexture.fromBuffer(pixels, 2, 1);
+            const mask = HitMask.from(baseTexture);
+
+            expect(mask.width).to.equal(2);
+            expect(mask.height).to.equal(1);
+            expect(mask.alphaAt(0, 0)).to.equal(1);
+            expect(mask.alphaAt(1.5, 0.5)).to.equal(0.2);
+            expect(mask.alphaAt(2, 0)).to.equal(0);
+            expect(HitMask.from(baseTexture)).to.equal(mask);
+
+            baseTexture.update();
+
+            expect(HitMask.from(baseTexture)).to.not.equal(mask);
+
+            baseTexture.destroy();
+        });
+
+        it('should read the alpha of canvases', function ()
+        {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+
+            canvas.width = 2;
+            canvas.height = 2;
+            context.fillRect(0, 0, 1, 2);
+
+            const mask = HitMask.generate(BaseTexture.from(canvas));
+
+            expect(mask.alphaAt(0, 1)).to.equal(1);
+            expect(mask.alphaAt(1, 1)).to.equal(0);
+        });
+    });
+
     describe('texture', function ()
     {
         it('should unsubscribe from old texture', function ()
@@ -1,4 +1,4 @@
-import { Rectangle } from '@pixi/math';
+import { Point, Rectangle } from '@pixi/math';
 import { Texture } from '@pixi/core';
 import { getResolutionOfUrl } from '@pixi/utils';
 
@@ -19,7 +19,12 @@ import { getResolutionOfUrl } from '@pixi/utils';
  *
  * 可以使用 {@link https://codeandweb.com/texturepacker|TexturePacker},
  * {@link https://renderhjs.net/shoebox/|Shoebox} 或 {@link https://github.com/krzysztof-o/spritesheet.js|Spritesheet.js}。
- * 当前仅由TexturePacker支持默认锚点（请参阅 {@link PIXI.Texture#defaultAnchor}）和动画精灵的分组。
+ * 当前仅由TexturePacker支持默认锚点（`anchor` 或 `pivot`，请参阅 {@link PIXI.Texture#defaultAnchor}）、
+ * 多边形打包的帧（请参阅 {@link PIXI.Spritesheet#polygons}）和动画精灵的分组。
+ *
+ * 也支持 {@link https://www.aseprite.org/|Aseprite} 导出的JSON（哈希或数组格式）：`meta.frameTags` 中的标签
+ * 按照其方向（`forward`、`reverse` 或 `pingpong`）成为动画，帧的 `duration` 保存在
+ * {@link PIXI.Spritesheet#animationFrames}，`meta.slices` 保存在 {@link PIXI.Spritesheet#slices}。
  *
  * @class
  * @memberof PIXI
@@ -70,6 +75,43 @@ export class Spritesheet
          */
         this.animations = {};
 
+        /**
+         * 多边形打包的帧的网格数据，以帧名称为键，包含 `vertices`、`uvs` 和 `indices`。
+         * 顶点已根据纹理的 {@link PIXI.Texture#defaultAnchor} 偏移，与使用该纹理的Sprite对齐。
+         * 与Sprite相比，网格只绘制不透明的区域，减少了透明区域的过度绘制:
+         * ```js
+         * const { vertices, uvs, indices } = sheet.polygons["image.png"];
+         * new PIXI.SimpleMesh(sheet.textures["image.png"], vertices, uvs, indices);
+         * ```
+         * @member {Object<string, {vertices: Float32Array, uvs: Float32Array, indices: Uint16Array}>}
+         */
+        this.polygons = {};
+
+        /**
+         * 帧具有持续时间（`duration`，例如Aseprite导出的帧）的动画，以 {@link PIXI.AnimatedSprite.FrameObject} 数组表示，
+         * 可以用来创建按照每帧的持续时间播放的 {@link PIXI.AnimatedSprite|AnimatedSprite}:
+         * ```js
+         * new PIXI.AnimatedSprite(sheet.animationFrames["anim_name"])
+         * ```
+         * @member {Object<string, PIXI.AnimatedSprite.FrameObject[]>}
+         */
+        this.animationFrames = {};
+
+        /**
+         * Aseprite的切片（slice），以切片名称为键。每个关键帧的 `frame` 是帧的索引，
+         * `bounds` 和 `center`（九宫格切片的中心区域）是矩形，`pivot` 是点，均已按分辨率缩放，
+         * 没有 `center` 或 `pivot` 时为 `null`。
+         * @member {Object<string, object>}
+         */
+        this.slices = {};
+
+        /**
+         * 同一多包（multipack）中其他页面的精灵表，由 {@link PIXI.SpritesheetLoader} 根据
+         * `meta.related_multi_packs` 加载。此时 `animations` 包含所有页面的动画。
+         * @member {PIXI.Spritesheet[]}
+         */
+        this.linkedSheets = [];
+
         /**
          * 原始JSON数据的引用。
          * @type {Object}
@@ -92,6 +134,17 @@ export class Spritesheet
          */
         this._frames = this.data.frames;
 
+        // the array format lists the frames with their names
+        if (Array.isArray(this._frames))
+        {
+            this._frames = {};
+
+            for (let i = 0; i < this.data.frames.length; i++)
+            {
+                this._frames[this.data.frames[i].filename] = this.data.frames[i];
+            }
+        }
+
         /**
          * 帧名称的集合。
          * @type {string[]}
@@ -233,9 +286,14 @@ export class Spritesheet
                     orig,
                     trim,
                     data.rotated ? 2 : 0,
-                    data.anchor,
+                    data.anchor || data.pivot,
                 );
 
+                if (data.vertices && data.triangles)
+                {
+                    this.polygons[i] = this._processPolygon(data, this.textures[i]);
+                }
+
                 // lets also add the frame to pixi's global cache for 'from' and 'fromLoader' functions
                 Texture.addToCache(this.textures[i], i);
             }
@@ -244,6 +302,46 @@ export class Spritesheet
         }
     }
 
+    /**
+     * 将TexturePacker多边形帧的 `vertices` 和 `triangles` 转换为网格数据。
+     * 顶点位于原始（未裁剪）图像的坐标系中，uvs相对于纹理的帧，旋转由纹理处理。
+     *
+     * @private
+     * @param {Object} data - 帧的数据。
+     * @param {PIXI.Texture} texture - 帧的纹理。
+     * @return {{vertices: Float32Array, uvs: Float32Array, indices: Uint16Array}} 网格数据。
+     */
+    _processPolygon(data, texture)
+    {
+        const { orig, trim, defaultAnchor } = texture;
+        const frame = trim || orig;
+        const offsetX = defaultAnchor.x * orig.width;
+        const offsetY = defaultAnchor.y * orig.height;
+        const vertices = new Float32Array(data.vertices.length * 2);
+        const uvs = new Float32Array(data.vertices.length * 2);
+        const indices = new Uint16Array(data.triangles.length * 3);
+
+        for (let i = 0; i < data.vertices.length; i++)
+        {
+            const x = data.vertices[i][0] / this.resolution;
+            const y = data.vertices[i][1] / this.resolution;
+
+            vertices[i * 2] = x - offsetX;
+            vertices[(i * 2) + 1] = y - offsetY;
+            uvs[i * 2] = (x - frame.x) / frame.width;
+            uvs[(i * 2) + 1] = (y - frame.y) / frame.height;
+        }
+
+        for (let i = 0; i < data.triangles.length; i++)
+        {
+            indices[i * 3] = data.triangles[i][0];
+            indices[(i * 3) + 1] = data.triangles[i][1];
+            indices[(i * 3) + 2] = data.triangles[i][2];
+        }
+
+        return { vertices, uvs, indices };
+    }
+
     /**
      * 解析动画配置
      *
@@ -252,16 +350,95 @@ export class Spritesheet
     _processAnimations()
     {
         const animations = this.data.animations || {};
+        const frameTags = this.data.meta.frameTags || [];
 
         for (const animName in animations)
         {
-            this.animations[animName] = [];
-            for (let i = 0; i < animations[animName].length; i++)
+            this._addAnimation(animName, animations[animName]);
+        }
+
+        // Aseprite tags are ranges of frames played in a direction
+        for (let i = 0; i < frameTags.length; i++)
+        {
+            const { name, from, to, direction } = frameTags[i];
+            let frameNames = this._frameKeys.slice(from, to + 1);
+
+            if (direction === 'reverse' || direction === 'pingpong_reverse')
             {
-                const frameName = animations[animName][i];
+                frameNames.reverse();
+            }
 
-                this.animations[animName].push(this.textures[frameName]);
+            // loops back without repeating the first and last frames
+            if (direction === 'pingpong' || direction === 'pingpong_reverse')
+            {
+                frameNames = frameNames.concat(frameNames.slice(1, -1).reverse());
             }
+
+            this._addAnimation(name, frameNames);
+        }
+
+        this._processSlices();
+    }
+
+    /**
+     * 添加动画，帧都具有持续时间时也添加到 `animationFrames`。
+     *
+     * @private
+     * @param {string} animName - 动画的名称。
+     * @param {string[]} frameNames - 帧的名称。
+     */
+    _addAnimation(animName, frameNames)
+    {
+        this.animations[animName] = [];
+        for (let i = 0; i < frameNames.length; i++)
+        {
+            const frameName = frameNames[i];
+
+            this.animations[animName].push(this.textures[frameName]);
+        }
+
+        const timed = frameNames.length > 0 && frameNames.every((frameName) =>
+            this._frames[frameName] && this._frames[frameName].duration !== undefined);
+
+        if (timed)
+        {
+            this.animationFrames[animName] = frameNames.map((frameName) => ({
+                texture: this.textures[frameName],
+                time: this._frames[frameName].duration,
+            }));
+        }
+    }
+
+    /**
+     * 解析Aseprite的切片。
+     *
+     * @private
+     */
+    _processSlices()
+    {
+        const slices = this.data.meta.slices || [];
+        const rectangle = (bounds) => bounds && new Rectangle(
+            bounds.x / this.resolution,
+            bounds.y / this.resolution,
+            bounds.w / this.resolution,
+            bounds.h / this.resolution,
+        );
+
+        for (let i = 0; i < slices.length; i++)
+        {
+            const { name, color, data, keys } = slices[i];
+
+            this.slices[name] = {
+                name,
+                color,
+                data,
+                keys: keys.map((key) => ({
+                    frame: key.frame,
+                    bounds: rectangle(key.bounds),
+                    center: rectangle(key.center) || null,
+                    pivot: key.pivot ? new Point(key.pivot.x / this.resolution, key.pivot.y / this.resolution) : null,
+                })),
+            };
         }
     }
 
@@ -317,6 +494,10 @@ export class Spritesheet
         this._frameKeys = null;
         this.data = null;
         this.textures = null;
+        this.polygons = null;
+        this.animationFrames = null;
+        this.slices = null;
+        this.linkedSheets = null;
         if (destroyBase)
         {
             this.baseTexture.destroy();
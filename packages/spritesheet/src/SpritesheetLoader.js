@@ -1,5 +1,6 @@
 import { url } from '@pixi/utils';
 import { LoaderResource } from '@pixi/loaders';
+import { settings } from '@pixi/settings';
 import { Spritesheet } from './Spritesheet';
 
 /**
@@ -7,12 +8,43 @@ import { Spritesheet } from './Spritesheet';
  *
  * 该中间件自动生成纹理资源。
  *
+ * TexturePacker的多包（multipack）输出通过 `meta.related_multi_packs` 引用其他页面，这些页面会被一并加载，
+ * 所有页面的纹理合并到 `resource.textures`，动画合并到 `resource.spritesheet.animations`，
+ * 其他页面的精灵表保存在 {@link PIXI.Spritesheet#linkedSheets}。
+ *
+ * 提供了不同分辨率的变体（如 `sheet@0.5x.json`、`sheet@1x.json`、`sheet@2x.json`）时，
+ * 可以在 `resolutions` 元数据中列出可用的分辨率，加载器会选择与 {@link PIXI.settings.RESOLUTION} 匹配的变体：
+ *
+ * ```js
+ * loader.add('sheet', 'sheet.json', { metadata: { resolutions: [0.5, 1, 2] } });
+ * ```
+ *
  * @class
  * @memberof PIXI
  * @implements PIXI.ILoaderPlugin
  */
 export class SpritesheetLoader
 {
+    /**
+     * 加载资源前调用，选择与 {@link PIXI.settings.RESOLUTION} 匹配的分辨率变体。
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static pre(resource, next)
+    {
+        const resolutions = resource.metadata && resource.metadata.resolutions;
+
+        if (resolutions && resolutions.length)
+        {
+            const resolution = SpritesheetLoader.getVariantResolution(resolutions, settings.RESOLUTION);
+
+            resource.url = SpritesheetLoader.getVariantUrl(resource.url, resolution);
+        }
+
+        next();
+    }
+
     /**
      * 加载资源后调用。
      * @see PIXI.Loader.loaderMiddleware
@@ -41,6 +73,7 @@ export class SpritesheetLoader
             parentResource: resource,
         };
 
+        const loader = this;
         const resourcePath = SpritesheetLoader.getResourcePath(resource, this.baseUrl);
 
         // load the image for this sheet
@@ -63,11 +96,161 @@ export class SpritesheetLoader
             {
                 resource.spritesheet = spritesheet;
                 resource.textures = spritesheet.textures;
-                next();
+
+                SpritesheetLoader.loadMultiPacks(loader, resource, next);
             });
         });
     }
 
+    /**
+     * 加载多包中的其他页面，完成后合并所有页面的纹理和动画。
+     *
+     * @private
+     * @param {PIXI.Loader} loader - 加载器
+     * @param {PIXI.LoaderResource} resource - 已解析的精灵表资源
+     * @param {function} next - 完成时的回调
+     */
+    static loadMultiPacks(loader, resource, next)
+    {
+        const packs = resource.data.meta.related_multi_packs;
+
+        // linked pages list each other, only the first page loads the others
+        if (!Array.isArray(packs) || !packs.length || resource.metadata.ignoreMultiPack)
+        {
+            next();
+
+            return;
+        }
+
+        const spritesheet = resource.spritesheet;
+        const loadOptions = {
+            crossOrigin: resource.crossOrigin,
+            metadata: {
+                ignoreMultiPack: true,
+                imageMetadata: resource.metadata.imageMetadata,
+            },
+            parentResource: resource,
+        };
+        let pending = packs.length;
+        let failed = false;
+
+        packs.forEach((pack, index) =>
+        {
+            const packPath = url.resolve(resource.url.replace(loader.baseUrl, ''), pack);
+
+            loader.add(`${resource.name}_pack_${index}`, packPath, loadOptions, (res) =>
+            {
+                if (failed)
+                {
+                    return;
+                }
+
+                if (res.error)
+                {
+                    failed = true;
+                    next(res.error);
+
+                    return;
+                }
+
+                spritesheet.linkedSheets[index] = res.spritesheet;
+
+                if (--pending === 0)
+                {
+                    SpritesheetLoader.linkSheets(resource);
+                    next();
+                }
+            });
+        });
+    }
+
+    /**
+     * 合并精灵表及其关联页面的纹理和动画。动画的帧可以位于任意页面。
+     *
+     * @private
+     * @param {PIXI.LoaderResource} resource - 精灵表资源
+     */
+    static linkSheets(resource)
+    {
+        const spritesheet = resource.spritesheet;
+
+        // pages which are not spritesheets are ignored
+        spritesheet.linkedSheets = spritesheet.linkedSheets.filter((sheet) => !!sheet);
+
+        const sheets = [spritesheet].concat(spritesheet.linkedSheets);
+        const textures = {};
+        const frameNames = {};
+
+        for (let i = 0; i < sheets.length; i++)
+        {
+            const animations = sheets[i].data.animations || {};
+
+            for (const name in sheets[i].textures)
+            {
+                if (!textures[name])
+                {
+                    textures[name] = sheets[i].textures[name];
+                }
+            }
+
+            for (const name in animations)
+            {
+                const names = frameNames[name] || (frameNames[name] = []);
+
+                for (let j = 0; j < animations[name].length; j++)
+                {
+                    if (names.indexOf(animations[name][j]) === -1)
+                    {
+                        names.push(animations[name][j]);
+                    }
+                }
+            }
+        }
+
+        for (const name in frameNames)
+        {
+            spritesheet.animations[name] = frameNames[name].map((frameName) => textures[frameName]);
+        }
+
+        resource.textures = textures;
+    }
+
+    /**
+     * 选择分辨率变体：不低于目标分辨率的最小分辨率，没有时选择最大的分辨率。
+     *
+     * @param {number[]} resolutions - 可用的分辨率
+     * @param {number} resolution - 目标分辨率
+     * @return {number} 选择的分辨率
+     */
+    static getVariantResolution(resolutions, resolution)
+    {
+        const sorted = resolutions.slice().sort((a, b) => a - b);
+
+        for (let i = 0; i < sorted.length; i++)
+        {
+            if (sorted[i] >= resolution)
+            {
+                return sorted[i];
+            }
+        }
+
+        return sorted[sorted.length - 1];
+    }
+
+    /**
+     * 获取分辨率变体的路径，替换文件名中的 `@2x` 等分辨率后缀，没有时将其添加到扩展名之前。
+     *
+     * @param {string} path - 资源的路径，例如 `sheet.json` 或 `sheet@1x.json`
+     * @param {number} resolution - 变体的分辨率
+     * @return {string} 变体的路径，例如 `sheet@2x.json`
+     */
+    static getVariantUrl(path, resolution)
+    {
+        const match = (/^(.*?)(@[0-9.]+x)?(\.\w+)?([?#].*)?$/).exec(path);
+
+        return `${match[1]}@${resolution}x${match[3] || ''}${match[4] || ''}`;
+    }
+
     /**
      * 获取精灵表根路径
      * @param {PIXI.LoaderResource} resource - 检查路径的资源
@@ -1,5 +1,6 @@
 const { Spritesheet } = require('../');
 const { BaseTexture, Texture } = require('@pixi/core');
+const { Rectangle } = require('@pixi/math');
 const path = require('path');
 
 describe('PIXI.Spritesheet', function ()
@@ -56,7 +57,7 @@ describe('PIXI.Spritesheet', function ()
 
                 expect(frame).to.be.instanceof(Texture);
 
-                callback(frame);
+                callback(frame, sheet);
 
                 sheet.destroy(true);
             });
@@ -218,4 +219,131 @@ describe('PIXI.Spritesheet', function ()
             done();
         });
     });
+
+    it('should use pivot as the default anchor', function (done)
+    {
+        const data = {
+            frame: { x: 0, y: 0, w: 14, h: 16 },
+            pivot: { x: 0.25, y: 0.75 },
+        };
+
+        this.parseFrame(data, (texture) =>
+        {
+            expect(texture.defaultAnchor.x).to.equal(0.25);
+            expect(texture.defaultAnchor.y).to.equal(0.75);
+            done();
+        });
+    });
+
+    it('should parse polygon frames into mesh data', function (done)
+    {
+        const data = {
+            frame: { x: 10, y: 10, w: 20, h: 10 },
+            rotated: true,
+            trimmed: true,
+            spriteSourceSize: { x: 10, y: 20, w: 20, h: 10 },
+            sourceSize: { w: 40, h: 40 },
+            pivot: { x: 0.5, y: 0.5 },
+            vertices: [[10, 20], [30, 20], [30, 30]],
+            verticesUV: [[20, 10], [20, 30], [10, 30]],
+            triangles: [[0, 1, 2]],
+        };
+
+        this.parseFrame(data, (texture, sheet) =>
+        {
+            const { vertices, uvs, indices } = sheet.polygons.frame;
+
+            expect(vertices).to.be.instanceof(Float32Array);
+            expect(Array.from(vertices)).to.deep.equal([-10, 0, 10, 0, 10, 10]);
+            expect(Array.from(uvs)).to.deep.equal([0, 0, 1, 0, 1, 1]);
+            expect(indices).to.be.instanceof(Uint16Array);
+            expect(Array.from(indices)).to.deep.equal([0, 1, 2]);
+            done();
+        });
+    });
+
+    it('should not create mesh data for frames without polygons', function (done)
+    {
+        const data = { frame: { x: 0, y: 0, w: 14, h: 14 } };
+
+        this.parseFrame(data, (texture, sheet) =>
+        {
+            expect(sheet.polygons).to.be.empty;
+            done();
+        });
+    });
+
+    it('should parse Aseprite frame tags, durations and slices', function (done)
+    {
+        const frame = (x, duration) => ({
+            filename: `hero ${x / 10}.aseprite`,
+            frame: { x, y: 0, w: 10, h: 10 },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: 10, h: 10 },
+            sourceSize: { w: 10, h: 10 },
+            duration,
+        });
+        const data = {
+            frames: [frame(0, 100), frame(10, 200), frame(20, 300)],
+            meta: {
+                app: 'http://www.aseprite.org/',
+                scale: '1',
+                frameTags: [
+                    { name: 'forward', from: 0, to: 2, direction: 'forward' },
+                    { name: 'reverse', from: 0, to: 1, direction: 'reverse' },
+                    { name: 'pingpong', from: 0, to: 2, direction: 'pingpong' },
+                ],
+                slices: [
+                    {
+                        name: 'hitbox',
+                        color: '#0000ffff',
+                        keys: [{ frame: 1, bounds: { x: 1, y: 2, w: 3, h: 4 }, pivot: { x: 2, y: 3 } }],
+                    },
+                ],
+            },
+        };
+        const sheet = new Spritesheet(BaseTexture.from(document.createElement('canvas')), data);
+
+        sheet.parse(() =>
+        {
+            const { textures, animations, animationFrames } = sheet;
+
+            expect(textures).to.have.keys(['hero 0.aseprite', 'hero 1.aseprite', 'hero 2.aseprite']);
+            expect(animations.forward).to.have.lengthOf(3);
+            expect(animations.reverse[0]).to.equal(textures['hero 1.aseprite']);
+            expect(animations.reverse[1]).to.equal(textures['hero 0.aseprite']);
+            expect(animationFrames.pingpong.map((f) => f.time)).to.deep.equal([100, 200, 300, 200]);
+            expect(animationFrames.pingpong[3].texture).to.equal(textures['hero 1.aseprite']);
+
+            const { keys } = sheet.slices.hitbox;
+
+            expect(keys[0].frame).to.equal(1);
+            expect(keys[0].bounds).to.be.instanceof(Rectangle);
+            expect(keys[0].bounds.width).to.equal(3);
+            expect(keys[0].center).to.be.null;
+            expect(keys[0].pivot.y).to.equal(3);
+
+            sheet.destroy(true);
+            done();
+        });
+    });
+
+    it('should not time animations without durations', function (done)
+    {
+        const data = {
+            frames: { a: { frame: { x: 0, y: 0, w: 10, h: 10 } } },
+            animations: { anim: ['a'] },
+            meta: { scale: 1 },
+        };
+        const sheet = new Spritesheet(BaseTexture.from(document.createElement('canvas')), data);
+
+        sheet.parse(() =>
+        {
+            expect(sheet.animations.anim).to.have.lengthOf(1);
+            expect(sheet.animationFrames).to.be.empty;
+            sheet.destroy(true);
+            done();
+        });
+    });
 });
@@ -1,6 +1,7 @@
 const path = require('path');
 const { Loader, LoaderResource } = require('@pixi/loaders');
 const { Texture, BaseTexture } = require('@pixi/core');
+const { settings } = require('@pixi/settings');
 const { SpritesheetLoader, Spritesheet } = require('../');
 
 describe('PIXI.SpritesheetLoader', function ()
@@ -172,6 +173,56 @@ describe('PIXI.SpritesheetLoader', function ()
         expect(result).to.be.equals('/some/img.png');
     });
 
+    it('should load related multi packs and merge their frames', function (done)
+    {
+        const loader = new Loader();
+
+        loader.add('multipack', path.join(__dirname, 'resources', 'multipack-0.json'));
+        loader.load((loader, resources) =>
+        {
+            const { spritesheet, textures } = resources.multipack;
+
+            expect(textures).to.have.keys(['multipack_0.png', 'multipack_1.png']);
+            expect(spritesheet.linkedSheets).to.have.lengthOf(1);
+            expect(spritesheet.linkedSheets[0]).to.equal(resources.multipack_pack_0.spritesheet);
+            expect(textures['multipack_1.png']).to.equal(spritesheet.linkedSheets[0].textures['multipack_1.png']);
+            expect(spritesheet.animations.multipack).to.have.lengthOf(2);
+            expect(spritesheet.animations.multipack[0]).to.equal(textures['multipack_0.png']);
+            expect(spritesheet.animations.multipack[1]).to.equal(textures['multipack_1.png']);
+            expect(resources.multipack_pack_0.spritesheet.linkedSheets).to.be.empty;
+            loader.reset();
+            done();
+        });
+    });
+
+    it('should pick the resolution variant', function ()
+    {
+        expect(SpritesheetLoader.getVariantResolution([0.5, 1, 2], 1)).to.equal(1);
+        expect(SpritesheetLoader.getVariantResolution([2, 0.5, 1], 1.5)).to.equal(2);
+        expect(SpritesheetLoader.getVariantResolution([0.5, 1, 2], 3)).to.equal(2);
+
+        expect(SpritesheetLoader.getVariantUrl('sheet.json', 2)).to.equal('sheet@2x.json');
+        expect(SpritesheetLoader.getVariantUrl('/a.b/sheet@1x.json?v=1', 0.5)).to.equal('/a.b/sheet@0.5x.json?v=1');
+    });
+
+    it('should load the variant matching the resolution setting', function ()
+    {
+        const spy = sinon.spy();
+        const res = createMockResource(LoaderResource.TYPE.JSON, null);
+        const resolution = settings.RESOLUTION;
+
+        res.url = 'http://localhost/sheet@1x.json';
+        res.metadata.resolutions = [0.5, 1, 2];
+        settings.RESOLUTION = 2;
+
+        SpritesheetLoader.pre(res, spy);
+
+        settings.RESOLUTION = resolution;
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.url).to.equal('http://localhost/sheet@2x.json');
+    });
+
     // TODO: Test that rectangles are created correctly.
     // TODO: Test that bathc processing works correctly.
     // TODO: Test that resolution processing works correctly.
@@ -0,0 +1,206 @@
+import { BaseTexture, Texture } from '@pixi/core';
+import { settings } from '@pixi/settings';
+import { TextStyle, TextMetrics } from '@pixi/text';
+import { BitmapFontData } from './BitmapFontData';
+import { BitmapText } from './BitmapText';
+import { drawGlyph, resolveCharacters } from './utils';
+
+/**
+ * Generates bitmap fonts at runtime from a {@link PIXI.TextStyle}, so that
+ * {@link PIXI.BitmapText} can be used without baking font atlases in an external tool.
+ *
+ * Glyphs are rasterized with the same canvas path as {@link PIXI.Text}, so fills, gradients,
+ * strokes and drop shadows are all supported, then packed into one or more pages.
+ *
+ * ```js
+ * PIXI.BitmapFont.from('TitleFont', {
+ *     fontFamily: 'Arial',
+ *     fontSize: 12,
+ *     strokeThickness: 2,
+ *     fill: 'purple',
+ * }, { chars: PIXI.BitmapFont.ALPHANUMERIC });
+ *
+ * const title = new PIXI.BitmapText('This is the title', { font: '12px TitleFont' });
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class BitmapFont
+{
+    /**
+     * Generates a bitmap font and registers it in {@link PIXI.BitmapText.fonts}.
+     *
+     * @static
+     * @param {string} name - The name of the custom font to use with BitmapText.
+     * @param {object|PIXI.TextStyle} [style] - Style options to render with BitmapFont.
+     * @param {object} [options] - Setup options for font or name of the font.
+     * @param {string|string[]|string[][]} [options.chars=PIXI.BitmapFont.ALPHANUMERIC] - characters included
+     *      in the font set. You can also use ranges. For example, `[['a', 'z'], ['A', 'Z'], "!@#$%^&*()~{}[] "]`.
+     *      Don't forget to include spaces ' ' in your character set!
+     * @param {number} [options.resolution=PIXI.settings.RESOLUTION] - Render resolution for glyphs.
+     * @param {number} [options.textureWidth=512] - Optional width of atlas, smaller values to reduce memory.
+     * @param {number} [options.textureHeight=512] - Optional height of atlas, smaller values to reduce memory.
+     * @param {number} [options.padding=4] - Padding between glyphs on texture atlas.
+     * @return {Object} Result font object with font, size, lineHeight and char fields.
+     */
+    static from(name, style, options)
+    {
+        if (!name)
+        {
+            throw new Error('[BitmapFont] Property `name` is required.');
+        }
+
+        const {
+            chars,
+            padding,
+            textureWidth,
+            textureHeight } = Object.assign({}, BitmapFont.defaultOptions, options);
+        const resolution = (options && options.resolution) || settings.RESOLUTION;
+
+        const charsList = resolveCharacters(chars);
+        const textStyle = style instanceof TextStyle ? style : new TextStyle(style);
+        const pageWidth = Math.ceil(textureWidth * resolution);
+        const pageHeight = Math.ceil(textureHeight * resolution);
+        const fontData = new BitmapFontData();
+        const textures = [];
+
+        let canvas = null;
+        let context = null;
+        let positionX = 0;
+        let positionY = 0;
+        let maxCharHeight = 0;
+
+        for (let i = 0; i < charsList.length; i++)
+        {
+            const metrics = TextMetrics.measureText(charsList[i], textStyle, false);
+            const width = Math.ceil(metrics.width * resolution);
+            const height = Math.ceil(metrics.height * resolution);
+
+            // This is a line break
+            if (canvas && positionX + width + padding > pageWidth)
+            {
+                positionY += maxCharHeight + padding;
+                positionX = padding;
+                maxCharHeight = 0;
+            }
+
+            // This is a new page
+            if (!canvas || positionY + height + padding > pageHeight)
+            {
+                canvas = document.createElement('canvas');
+                canvas.width = pageWidth;
+                canvas.height = pageHeight;
+                context = canvas.getContext('2d');
+
+                textures.push(new Texture(new BaseTexture(canvas, { resolution })));
+
+                // The resolution of the pages is taken from the file name, the
+                // same way it is done for loaded fonts (e.g. "font@2x.png")
+                fontData.page.push({
+                    id: textures.length - 1,
+                    file: `${name}_${textures.length - 1}@${resolution}x.png`,
+                });
+
+                positionX = padding;
+                positionY = padding;
+                maxCharHeight = 0;
+            }
+
+            drawGlyph(context, metrics, positionX, positionY, resolution, textStyle);
+
+            fontData.char.push({
+                id: charsList[i].charCodeAt(0),
+                page: textures.length - 1,
+                x: positionX,
+                y: positionY,
+                width,
+                height,
+                xoffset: 0,
+                yoffset: 0,
+                xadvance: Math.ceil((metrics.width
+                    - (textStyle.dropShadow ? textStyle.dropShadowDistance : 0)
+                    - (textStyle.stroke ? textStyle.strokeThickness : 0)) * resolution),
+            });
+
+            maxCharHeight = Math.max(maxCharHeight, height);
+            positionX += width + padding;
+
+            // the size and line height are the same for every glyph of the style
+            if (i === 0)
+            {
+                fontData.info.push({
+                    face: name,
+                    size: typeof textStyle.fontSize === 'number' ? textStyle.fontSize : parseInt(textStyle.fontSize, 10),
+                });
+                fontData.common.push({ lineHeight: metrics.lineHeight * resolution });
+            }
+        }
+
+        // The pages are final, upload them as they are now
+        for (let i = 0; i < textures.length; i++)
+        {
+            textures[i].baseTexture.update();
+        }
+
+        return BitmapText.registerFont(fontData, textures);
+    }
+}
+
+/**
+ * This character set includes all the letters in the alphabet (both lower- and upper- case).
+ *
+ * @readonly
+ * @static
+ * @member {string[][]}
+ * @example
+ * BitmapFont.from("ExampleFont", style, { chars: BitmapFont.ALPHA })
+ */
+BitmapFont.ALPHA = [['a', 'z'], ['A', 'Z'], ' '];
+
+/**
+ * This character set includes all decimal digits (from 0 to 9).
+ *
+ * @readonly
+ * @static
+ * @member {string[][]}
+ * @example
+ * BitmapFont.from("ExampleFont", style, { chars: BitmapFont.NUMERIC })
+ */
+BitmapFont.NUMERIC = [['0', '9']];
+
+/**
+ * This character set is the union of `BitmapFont.ALPHA` and `BitmapFont.NUMERIC`.
+ *
+ * @readonly
+ * @static
+ * @member {string[][]}
+ */
+BitmapFont.ALPHANUMERIC = [['a', 'z'], ['A', 'Z'], ['0', '9'], ' '];
+
+/**
+ * This character set consists of all the ASCII table.
+ *
+ * @readonly
+ * @static
+ * @member {string[][]}
+ * @see http://www.asciitable.com/
+ */
+BitmapFont.ASCII = [[' ', '~']];
+
+/**
+ * Collection of default options when using `BitmapFont.from`.
+ *
+ * @static
+ * @member {object}
+ * @property {number} textureWidth=512
+ * @property {number} textureHeight=512
+ * @property {number} padding=4
+ * @property {string|string[]|string[][]} chars=PIXI.BitmapFont.ALPHANUMERIC
+ */
+BitmapFont.defaultOptions = {
+    textureWidth: 512,
+    textureHeight: 512,
+    padding: 4,
+    chars: BitmapFont.ALPHANUMERIC,
+};
@@ -0,0 +1,64 @@
+/**
+ * Normalized parsed data from bitmap font files (.fnt, .xml, .json), independent
+ * of the format the font was authored in. This is the data model consumed by
+ * {@link PIXI.BitmapText.registerFont}, each entry mirrors a tag of the
+ * [AngelCode BMFont](http://www.angelcode.com/products/bmfont/doc/file_format.html) format.
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class BitmapFontData
+{
+    constructor()
+    {
+        /**
+         * Font information, uses `face` and `size`.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.info = [];
+
+        /**
+         * Common information, uses `lineHeight`.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.common = [];
+
+        /**
+         * Page images, uses `id` and `file`.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.page = [];
+
+        /**
+         * Glyph descriptors, uses `id`, `page`, `x`, `y`, `width`, `height`,
+         * `xoffset`, `yoffset` and `xadvance`.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.char = [];
+
+        /**
+         * Kerning pairs, uses `first`, `second` and `amount`.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.kerning = [];
+
+        /**
+         * Distance field information, uses `fieldType` (`'sdf'` or `'msdf'`)
+         * and `distanceRange`. Empty for regular bitmap fonts.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.distanceField = [];
+    }
+}
@@ -1,5 +1,6 @@
 import { LoaderResource } from '@pixi/loaders';
 import { BitmapText } from './BitmapText';
+import { autoDetectFormat } from './formats';
 
 /**
  * {@link PIXI.Loader Loader} middleware for loading
@@ -14,11 +15,12 @@ export class BitmapFontLoader
      * Register a BitmapText font from loader resource.
      *
      * @param {PIXI.LoaderResource} resource - Loader resource.
-     * @param {PIXI.Texture} texture - Reference to texture.
+     * @param {PIXI.Texture|Object.<string, PIXI.Texture>} texture - Reference to texture.
+     * @param {PIXI.BitmapFontData} [data=resource.data] - Already parsed font data.
      */
-    static parse(resource, texture)
+    static parse(resource, texture, data = resource.data)
     {
-        resource.bitmapFont = BitmapText.registerFont(resource.data, texture);
+        resource.bitmapFont = BitmapText.registerFont(data, texture);
     }
 
     /**
@@ -28,7 +30,7 @@ export class BitmapFontLoader
      */
     static add()
     {
-        LoaderResource.setExtensionXhrType('fnt', LoaderResource.XHR_RESPONSE_TYPE.DOCUMENT);
+        LoaderResource.setExtensionXhrType('fnt', LoaderResource.XHR_RESPONSE_TYPE.TEXT);
     }
 
     /**
@@ -65,54 +67,47 @@ export class BitmapFontLoader
      */
     static use(resource, next)
     {
-        // skip if no data or not xml data
-        if (!resource.data || resource.type !== LoaderResource.TYPE.XML)
-        {
-            next();
-
-            return;
-        }
+        const format = autoDetectFormat(resource.data);
 
-        // skip if not bitmap font data, using some silly duck-typing
-        if (resource.data.getElementsByTagName('page').length === 0
-            || resource.data.getElementsByTagName('info').length === 0
-            || resource.data.getElementsByTagName('info')[0].getAttribute('face') === null
-        )
+        // skip if no data or not bitmap font data
+        if (!format)
         {
             next();
 
             return;
         }
 
-        let xmlUrl = !resource.isDataUrl ? BitmapFontLoader.dirname(resource.url) : '';
+        const data = format.parse(resource.data);
+
+        let fontUrl = !resource.isDataUrl ? BitmapFontLoader.dirname(resource.url) : '';
 
         if (resource.isDataUrl)
         {
-            if (xmlUrl === '.')
+            if (fontUrl === '.')
             {
-                xmlUrl = '';
+                fontUrl = '';
             }
 
-            if (this.baseUrl && xmlUrl)
+            if (this.baseUrl && fontUrl)
             {
-                // if baseurl has a trailing slash then add one to xmlUrl so the replace works below
+                // if baseurl has a trailing slash then add one to fontUrl so the replace works below
                 if (this.baseUrl.charAt(this.baseUrl.length - 1) === '/')
                 {
-                    xmlUrl += '/';
+                    fontUrl += '/';
                 }
             }
         }
 
-        // remove baseUrl from xmlUrl
-        xmlUrl = xmlUrl.replace(this.baseUrl, '');
+        // remove baseUrl from fontUrl
+        fontUrl = fontUrl.replace(this.baseUrl, '');
 
-        // if there is an xmlUrl now, it needs a trailing slash. Ensure that it does if the string isn't empty.
-        if (xmlUrl && xmlUrl.charAt(xmlUrl.length - 1) !== '/')
+        // if there is a fontUrl now, it needs a trailing slash. Ensure that it does if the string isn't empty.
+        if (fontUrl && fontUrl.charAt(fontUrl.length - 1) !== '/')
         {
-            xmlUrl += '/';
+            fontUrl += '/';
         }
 
-        const pages = resource.data.getElementsByTagName('page');
+        const pages = data.page;
         const textures = {};
 
         // Handle completed, when the number of textures
@@ -123,15 +118,15 @@ export class BitmapFontLoader
 
             if (Object.keys(textures).length === pages.length)
             {
-                BitmapFontLoader.parse(resource, textures);
+                BitmapFontLoader.parse(resource, textures, data);
                 next();
             }
         };
 
         for (let i = 0; i < pages.length; ++i)
         {
-            const pageFile = pages[i].getAttribute('file');
-            const url = xmlUrl + pageFile;
+            const pageFile = pages[i].file;
+            const url = fontUrl + pageFile;
             let exists = false;
 
             // incase the image is loaded outside
@@ -3,7 +3,10 @@ import { Container } from '@pixi/display';
 import { ObservablePoint, Point, Rectangle } from '@pixi/math';
 import { settings } from '@pixi/settings';
 import { Sprite } from '@pixi/sprite';
-import { removeItems, getResolutionOfUrl } from '@pixi/utils';
+import { TextMetrics } from '@pixi/text';
+import { getResolutionOfUrl } from '@pixi/utils';
+import { BitmapFontData } from './BitmapFontData';
+import { autoDetectFormat } from './formats';
 
 /**
  * A BitmapText object will create a line or multiple lines of text using bitmap font.
@@ -20,6 +23,17 @@ import { removeItems, getResolutionOfUrl } from '@pixi/utils';
  * http://www.angelcode.com/products/bmfont/ for Windows or
  * http://www.bmglyph.com/ for Mac.
  *
+ * Textures can be embedded inline with `<img=name>` placeholders, where `name` is a key of
+ * {@link PIXI.BitmapText#images}. Images are as tall as the line height of the font times
+ * {@link PIXI.BitmapText#imageScale}, are not tinted, and wrap along with the word they are part of.
+ *
+ * Fonts in the XML, plain text and JSON variants of the BMFont format are supported,
+ * see {@link PIXI.bitmapFontFormats}.
+ *
+ * Fonts declaring a signed distance field (`sdf` or `msdf` field type in their `distanceField` data)
+ * are rendered with {@link PIXI.DistanceFieldRenderer}, which keeps the edges crisp at any scale
+ * and supports an outline. Distance field fonts are not supported by the canvas renderer.
+ *
  * A BitmapText can only be created when the font is loaded.
  *
  * ```js
@@ -40,9 +54,17 @@ export class BitmapText extends Container
      *      "24px FontName" or "FontName" or as an object with explicit name/size properties.
      * @param {string} [style.font.name] - The bitmap font id.
      * @param {number} [style.font.size] - The size of the font in pixels, e.g. 24
-     * @param {string} [style.align='left'] - Alignment for multiline text ('left', 'center' or 'right'), does not affect
-     *      single line text.
+     * @param {string} [style.align='left'] - Alignment for multiline text ('left', 'center', 'right' or 'justify'),
+     *      does not affect single line text.
+     * @param {string} [style.whiteSpace='pre'] - How white space and new lines are handled when wrapping,
+     *      'normal', 'pre' or 'pre-line', see {@link PIXI.TextStyle#whiteSpace}.
+     * @param {boolean} [style.breakWords=false] - Whether words longer than `maxWidth` are split between lines.
      * @param {number} [style.tint=0xFFFFFF] - The tint color.
+     * @param {Object.<string, PIXI.Texture>} [style.images] - Textures embedded with `<img=name>` placeholders.
+     * @param {number} [style.imageScale=1] - The height of the inline images relative to the line height.
+     * @param {number} [style.outlineColor=0x000000] - The outline color, distance field fonts only.
+     * @param {number} [style.outlineThickness=0] - The outline thickness, from 0 to 1, distance field fonts only.
+     * @param {number} [style.softness=0] - Additional edge softness in pixels, distance field fonts only.
      */
     constructor(text, style = {})
     {
@@ -127,6 +149,47 @@ export class BitmapText extends Container
          */
         this._letterSpacing = 0;
 
+        /**
+         * How white space and new lines are handled when wrapping.
+         *
+         * @member {string}
+         * @private
+         */
+        this._whiteSpace = style.whiteSpace || 'pre';
+
+        /**
+         * Whether words longer than the max width are split between lines.
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._breakWords = !!style.breakWords;
+
+        /**
+         * Private tracker for the inline images.
+         *
+         * @member {Object.<string, PIXI.Texture>}
+         * @private
+         */
+        this._images = {};
+        this.images = style.images;
+
+        /**
+         * Private tracker for the scale of the inline images.
+         *
+         * @member {number}
+         * @private
+         */
+        this._imageScale = style.imageScale || 1;
+
+        /**
+         * Glyph data of the inline images of the current text, by the character standing for them.
+         *
+         * @member {object}
+         * @private
+         */
+        this._imageChars = {};
+
         /**
          * Text anchor. read-only
          *
@@ -135,6 +198,32 @@ export class BitmapText extends Container
          */
         this._anchor = new ObservablePoint(() => { this.dirty = true; }, this, 0, 0);
 
+        /**
+         * The color of the outline of distance field fonts.
+         *
+         * @member {number}
+         * @default 0x000000
+         */
+        this.outlineColor = style.outlineColor || 0x000000;
+
+        /**
+         * The thickness of the outline of distance field fonts, from 0 to 1 where
+         * 1 uses all the distance available around the glyphs in the font atlas.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.outlineThickness = style.outlineThickness || 0;
+
+        /**
+         * Additional softness of the edges of distance field fonts, in pixels.
+         * Useful for glows and blurred text.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.softness = style.softness || 0;
+
         /**
          * The dirty state of this object.
          *
@@ -168,101 +257,86 @@ export class BitmapText extends Container
         const pos = new Point();
         const chars = [];
         const lineWidths = [];
-        const text = this._text.replace(/(?:\r\n|\r)/g, '\n') || ' ';
-        const textLength = text.length;
+        const lineSpaces = [];
+        const lineGlyphs = [];
+        const text = this.replaceImages(this._text.replace(/(?:\r\n|\r)/g, '\n') || ' ', data);
         const maxWidth = this._maxWidth * data.size / this._font.size;
+        const lines = maxWidth > 0
+            ? this.wordWrap(text, data, maxWidth)
+            : text.split('\n').map((line) => ({ text: line, wrapped: false }));
 
-        let prevCharCode = null;
-        let lastLineWidth = 0;
         let maxLineWidth = 0;
-        let line = 0;
-        let lastBreakPos = -1;
-        let lastBreakWidth = 0;
-        let spacesRemoved = 0;
         let maxLineHeight = 0;
 
-        for (let i = 0; i < textLength; i++)
+        for (let line = 0; line < lines.length; line++)
         {
-            const charCode = text.charCodeAt(i);
-            const char = text.charAt(i);
-
-            if ((/(?:\s)/).test(char))
-            {
-                lastBreakPos = i;
-                lastBreakWidth = lastLineWidth;
-            }
+            const lineText = lines[line].text;
+            let prevCharCode = null;
+            let lineWidth = 0;
+            let spaces = 0;
+            let glyphs = 0;
 
-            if (char === '\r' || char === '\n')
-            {
-                lineWidths.push(lastLineWidth);
-                maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
-                ++line;
-                ++spacesRemoved;
-
-                pos.x = 0;
-                pos.y += data.lineHeight;
-                prevCharCode = null;
-                continue;
-            }
+            pos.x = 0;
 
-            const charData = data.chars[charCode];
-
-            if (!charData)
+            for (let i = 0; i < lineText.length; i++)
             {
-                continue;
+                const char = lineText.charAt(i);
+                const charCode = lineText.charCodeAt(i);
+                const charData = this._imageChars[charCode] || data.chars[charCode];
+
+                if (!charData)
+                {
+                    continue;
+                }
+
+                if (prevCharCode && charData.kerning[prevCharCode])
+                {
+                    pos.x += charData.kerning[prevCharCode];
+                }
+
+                chars.push({
+                    texture: charData.texture,
+                    line,
+                    charCode,
+                    position: new Point(pos.x + charData.xOffset + (this._letterSpacing / 2), pos.y + charData.yOffset),
+                    spaces,
+                    glyph: glyphs,
+                    image: !!charData.image,
+                    scale: charData.scale || 1,
+                });
+                const charHeight = charData.texture.height * (charData.scale || 1);
+
+                pos.x += charData.xAdvance + this._letterSpacing;
+                maxLineHeight = Math.max(maxLineHeight, charData.yOffset + charHeight);
+                prevCharCode = charCode;
+                glyphs++;
+
+                if (TextMetrics.isBreakingSpace(char))
+                {
+                    spaces++;
+                }
+                else
+                {
+                    // trailing spaces don't count towards the width of the line
+                    lineWidth = pos.x;
+                    lineSpaces[line] = spaces;
+                    lineGlyphs[line] = glyphs;
+                }
             }
 
-            if (prevCharCode && charData.kerning[prevCharCode])
-            {
-                pos.x += charData.kerning[prevCharCode];
-            }
-
-            chars.push({
-                texture: charData.texture,
-                line,
-                charCode,
-                position: new Point(pos.x + charData.xOffset + (this._letterSpacing / 2), pos.y + charData.yOffset),
-            });
-            pos.x += charData.xAdvance + this._letterSpacing;
-            lastLineWidth = pos.x;
-            maxLineHeight = Math.max(maxLineHeight, (charData.yOffset + charData.texture.height));
-            prevCharCode = charCode;
-
-            if (lastBreakPos !== -1 && maxWidth > 0 && pos.x > maxWidth)
-            {
-                ++spacesRemoved;
-                removeItems(chars, 1 + lastBreakPos - spacesRemoved, 1 + i - lastBreakPos);
-                i = lastBreakPos;
-                lastBreakPos = -1;
-
-                lineWidths.push(lastBreakWidth);
-                maxLineWidth = Math.max(maxLineWidth, lastBreakWidth);
-                line++;
-
-                pos.x = 0;
-                pos.y += data.lineHeight;
-                prevCharCode = null;
-            }
-        }
-
-        const lastChar = text.charAt(text.length - 1);
-
-        if (lastChar !== '\r' && lastChar !== '\n')
-        {
-            if ((/(?:\s)/).test(lastChar))
-            {
-                lastLineWidth = lastBreakWidth;
-            }
-
-            lineWidths.push(lastLineWidth);
-            maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
+            lineWidths.push(lineWidth);
+            maxLineWidth = Math.max(maxLineWidth, lineWidth);
+            pos.y += data.lineHeight;
         }
 
+        const justifyWidth = maxWidth > 0 ? maxWidth : maxLineWidth;
         const lineAlignOffsets = [];
+        const lineJustifySpacing = [];
 
-        for (let i = 0; i <= line; i++)
+        for (let i = 0; i < lines.length; i++)
         {
             let alignOffset = 0;
+            let justifySpacing = 0;
 
             if (this._font.align === 'right')
             {
@@ -272,8 +346,21 @@ export class BitmapText extends Container
             {
                 alignOffset = (maxLineWidth - lineWidths[i]) / 2;
             }
+            else if (this._font.align === 'justify' && lines[i].wrapped)
+            {
+                // spread over the spaces, or between the glyphs for lines without spaces (e.g. CJK)
+                const gaps = lineSpaces[i] || (lineGlyphs[i] - 1);
+
+                // lines of a word longer than the max width run out of the bounds instead
+                if (gaps > 0 && justifyWidth > lineWidths[i])
+                {
+                    justifySpacing = (justifyWidth - lineWidths[i]) / gaps;
+                    maxLineWidth = Math.max(maxLineWidth, justifyWidth);
+                }
+            }
 
             lineAlignOffsets.push(alignOffset);
+            lineJustifySpacing.push(justifySpacing);
         }
 
         const lenChars = chars.length;
@@ -294,10 +381,15 @@ export class BitmapText extends Container
                 this._glyphs.push(c);
             }
 
-            c.position.x = (chars[i].position.x + lineAlignOffsets[chars[i].line]) * scale;
+            const line = chars[i].line;
+            const justifyOffset = lineJustifySpacing[line]
+                * (lineSpaces[line] ? chars[i].spaces : chars[i].glyph);
+
+            c.position.x = (chars[i].position.x + lineAlignOffsets[line] + justifyOffset) * scale;
             c.position.y = chars[i].position.y * scale;
-            c.scale.x = c.scale.y = scale;
-            c.tint = tint;
+            c.scale.x = c.scale.y = scale * chars[i].scale;
+            c.tint = chars[i].image ? 0xFFFFFF : tint;
+            c.pluginName = (chars[i].image || data.distanceFieldType === 'none') ? 'batch' : 'distanceField';
 
             if (!c.parent)
             {
@@ -312,7 +404,7 @@ export class BitmapText extends Container
         }
 
         this._textWidth = maxLineWidth * scale;
-        this._textHeight = (pos.y + data.lineHeight) * scale;
+        this._textHeight = pos.y * scale;
 
         // apply anchor
         if (this.anchor.x !== 0 || this.anchor.y !== 0)
@@ -326,6 +418,229 @@ export class BitmapText extends Container
         this._maxLineHeight = maxLineHeight * scale;
     }
 
+    /**
+     * Breaks the text into lines fitting in the max width, following the same
+     * rules as {@link PIXI.TextMetrics} for {@link PIXI.Text}: `whiteSpace` decides
+     * how spaces and new lines are collapsed, `breakWords` allows words longer
+     * than a line to be split, and CJK characters can be broken anywhere.
+     *
+     * @private
+     * @param {string} text - Text to wrap, with normalized new lines.
+     * @param {object} data - Registered font data.
+     * @param {number} maxWidth - Max width of a line, in font units.
+     * @return {Array<{text: string, wrapped: boolean}>} Lines, `wrapped` is `true` when the line
+     *  was broken because of its width rather than by a new line.
+     */
+    wordWrap(text, data, maxWidth)
+    {
+        const lines = [];
+        const whiteSpace = this._whiteSpace;
+        const collapseSpaces = TextMetrics.collapseSpaces(whiteSpace);
+        const collapseNewlines = TextMetrics.collapseNewlines(whiteSpace);
+        const tokens = BitmapText.tokenize(text);
+
+        let line = '';
+        let width = 0;
+
+        // whether or not spaces may be added to the beginning of lines
+        let canPrependSpaces = !collapseSpaces;
+
+        const addLine = (wrapped) =>
+        {
+            lines.push({ text: TextMetrics.trimRight(line), wrapped });
+            line = '';
+            width = 0;
+        };
+
+        for (let i = 0; i < tokens.length; i++)
+        {
+            let token = tokens[i];
+
+            if (TextMetrics.isNewline(token))
+            {
+                if (!collapseNewlines)
+                {
+                    addLine(false);
+                    canPrependSpaces = !collapseSpaces;
+                    continue;
+                }
+
+                token = ' ';
+            }
+
+            if (collapseSpaces
+                && TextMetrics.isBreakingSpace(token)
+                && TextMetrics.isBreakingSpace(line[line.length - 1]))
+            {
+                continue;
+            }
+
+            const tokenWidth = this.measureToken(token, data);
+
+            // token is longer than a whole line
+            if (tokenWidth > maxWidth)
+            {
+                if (line !== '')
+                {
+                    addLine(true);
+                }
+
+                if (TextMetrics.canBreakWords(token, this._breakWords))
+                {
+                    const characters = TextMetrics.wordWrapSplit(token);
+
+                    for (let j = 0; j < characters.length; j++)
+                    {
+                        let char = characters[j];
+                        let k = 1;
+
+                        // combine the characters that should not be split
+                        while (characters[j + k])
+                        {
+                            const nextChar = characters[j + k];
+
+                            if (TextMetrics.canBreakChars(char[char.length - 1], nextChar, token, j, this._breakWords))
+                            {
+                                break;
+                            }
+
+                            char += nextChar;
+                            k++;
+                        }
+
+                        j += char.length - 1;
+
+                        const charWidth = this.measureToken(char, data);
+
+                        if (line !== '' && charWidth + width > maxWidth)
+                        {
+                            addLine(true);
+                        }
+
+                        line += char;
+                        width += charWidth;
+                    }
+                }
+                else
+                {
+                    // give it its own line, running out of the bounds
+                    line = token;
+                    addLine(i < tokens.length - 1);
+                }
+
+                canPrependSpaces = false;
+            }
+            else
+            {
+                // token won't fit because of the existing tokens
+                if (tokenWidth + width > maxWidth)
+                {
+                    canPrependSpaces = false;
+                    addLine(true);
+                }
+
+                // don't add spaces to the beginning of lines
+                if (line.length > 0 || !TextMetrics.isBreakingSpace(token) || canPrependSpaces)
+                {
+                    line += token;
+                    width += tokenWidth;
+                }
+            }
+        }
+
+        addLine(false);
+
+        return lines;
+    }
+
+    /**
+     * Replaces the `<img=name>` placeholders of known images with characters of the
+     * Unicode private use area which are not in the font, and generates their glyph data.
+     *
+     * @private
+     * @param {string} text - The text with placeholders.
+     * @param {object} data - Registered font data.
+     * @return {string} The text with the images as single characters.
+     */
+    replaceImages(text, data)
+    {
+        const codes = {};
+        let charCode = 0xE000;
+
+        this._imageChars = {};
+
+        return text.replace(/<img=([\w-]+)>/g, (placeholder, name) =>
+        {
+            const texture = this._images[name];
+
+            if (!texture)
+            {
+                return placeholder;
+            }
+
+            if (!codes[name])
+            {
+                while (data.chars[charCode])
+                {
+                    charCode++;
+                }
+
+                // in font units, centered on the line
+                const height = texture.height ? data.lineHeight * this._imageScale : 0;
+
+                codes[name] = charCode;
+                this._imageChars[charCode] = {
+                    texture,
+                    xOffset: 0,
+                    yOffset: (data.lineHeight - height) / 2,
+                    xAdvance: texture.height ? height * texture.width / texture.height : 0,
+                    kerning: {},
+                    scale: texture.height ? height / texture.height : 1,
+                    image: true,
+                };
+                charCode++;
+            }
+
+            return String.fromCharCode(codes[name]);
+        });
+    }
+
+    /**
+     * Measures the width of a token with the glyphs of the font, in font units,
+     * including kerning and letter spacing.
+     *
+     * @private
+     * @param {string} token - The token to measure.
+     * @param {object} data - Registered font data.
+     * @return {number} The width.
+     */
+    measureToken(token, data)
+    {
+        let width = 0;
+        let prevCharCode = null;
+
+        for (let i = 0; i < token.length; i++)
+        {
+            const charCode = token.charCodeAt(i);
+            const charData = this._imageChars[charCode] || data.chars[charCode];
+
+            if (!charData)
+            {
+                continue;
+            }
+
+            if (prevCharCode && charData.kerning[prevCharCode])
+            {
+                width += charData.kerning[prevCharCode];
+            }
+
+            width += charData.xAdvance + this._letterSpacing;
+            prevCharCode = charCode;
+        }
+
+        return width;
+    }
+
     /**
      * Updates the transform of this object
      *
@@ -381,7 +696,9 @@ export class BitmapText extends Container
     }
 
     /**
-     * The alignment of the BitmapText object.
+     * The alignment of the BitmapText object, 'left', 'center', 'right' or 'justify'.
+     * Justified lines are stretched to `maxWidth`, or to the widest line when there is none,
+     * except for the last line of each paragraph.
      *
      * @member {string}
      * @default 'left'
@@ -550,6 +867,132 @@ export class BitmapText extends Container
         }
     }
 
+    /**
+     * How white space and new lines are handled when wrapping with `maxWidth`,
+     * see {@link PIXI.TextStyle#whiteSpace}.
+     *
+     * @member {string}
+     * @default 'pre'
+     */
+    get whiteSpace()
+    {
+        return this._whiteSpace;
+    }
+
+    set whiteSpace(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._whiteSpace !== value)
+        {
+            this._whiteSpace = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Whether words longer than `maxWidth` are split between lines.
+     * CJK characters can always be broken between.
+     *
+     * @member {boolean}
+     * @default false
+     */
+    get breakWords()
+    {
+        return this._breakWords;
+    }
+
+    set breakWords(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._breakWords !== value)
+        {
+            this._breakWords = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Map of names to the textures embedded with `<img=name>` placeholders.
+     * Textures which are not loaded yet are laid out as soon as they are.
+     *
+     * @member {Object.<string, PIXI.Texture>}
+     */
+    get images()
+    {
+        return this._images;
+    }
+
+    set images(images) // eslint-disable-line require-jsdoc
+    {
+        this._removeImageListeners();
+        this._images = images || {};
+        this.dirty = true;
+
+        for (const name in this._images)
+        {
+            const texture = this._images[name];
+
+            if (!texture.valid)
+            {
+                texture.once('update', this._onImageUpdate, this);
+            }
+        }
+    }
+
+    /**
+     * The height of the inline images relative to the line height of the font.
+     *
+     * @member {number}
+     * @default 1
+     */
+    get imageScale()
+    {
+        return this._imageScale;
+    }
+
+    set imageScale(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._imageScale !== value)
+        {
+            this._imageScale = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Called when an inline image which was not loaded yet is updated.
+     *
+     * @private
+     */
+    _onImageUpdate()
+    {
+        this.dirty = true;
+    }
+
+    /**
+     * Stops listening to the inline images which are not loaded yet.
+     *
+     * @private
+     */
+    _removeImageListeners()
+    {
+        for (const name in this._images)
+        {
+            this._images[name].off('update', this._onImageUpdate, this);
+        }
+    }
+
+    /**
+     * Destroys this bitmap text, see {@link PIXI.Container#destroy}.
+     *
+     * @param {object|boolean} [options] - Options parameter, see {@link PIXI.Container#destroy}.
+     */
+    destroy(options)
+    {
+        this._removeImageListeners();
+        this._images = null;
+
+        super.destroy(options);
+    }
+
     /**
      * The height of the overall text, different from fontSize,
      * which is defined in the style object.
@@ -564,28 +1007,115 @@ export class BitmapText extends Container
         return this._textHeight;
     }
 
+    /**
+     * The range of the distance field of the font, in texture pixels.
+     * `0` when the font is not a distance field font.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get distanceFieldRange()
+    {
+        return BitmapText.fonts[this._font.name].distanceFieldRange;
+    }
+
+    /**
+     * Splits a string into words, breaking-spaces and newLine characters, like
+     * {@link PIXI.TextMetrics}, with each CJK character as its own token so lines
+     * can be broken between them.
+     *
+     * @static
+     * @param {string} text - The text
+     * @return {string[]} A tokenized array
+     */
+    static tokenize(text)
+    {
+        const tokens = TextMetrics.tokenize(text);
+        const result = [];
+
+        for (let i = 0; i < tokens.length; i++)
+        {
+            const token = tokens[i];
+            let word = '';
+
+            for (let j = 0; j < token.length; j++)
+            {
+                const char = token.charAt(j);
+
+                if (BitmapText.isCJK(char))
+                {
+                    if (word)
+                    {
+                        result.push(word);
+                        word = '';
+                    }
+                    result.push(char);
+                }
+                else
+                {
+                    word += char;
+                }
+            }
+
+            if (word)
+            {
+                result.push(word);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Overridable check for characters that lines can be broken before and after,
+     * by default the Chinese, Japanese and Korean scripts and their punctuation.
+     *
+     * @static
+     * @param {string} char - The character.
+     * @return {boolean} `true` if the character is a break opportunity.
+     */
+    static isCJK(char)
+    {
+        return BitmapText.CJK_REGEX.test(char);
+    }
+
     /**
      * Register a bitmap font with data and a texture.
      *
      * @static
-     * @param {XMLDocument} xml - The XML document data.
+     * @param {XMLDocument|string|object|PIXI.BitmapFontData} data - The font data, either an XML document,
+     *  the text or XML contents of a FNT file, a JSON object, or already parsed {@link PIXI.BitmapFontData}.
      * @param {Object.<string, PIXI.Texture>|PIXI.Texture|PIXI.Texture[]} textures - List of textures for each page.
      *  If providing an object, the key is the `<page>` element's `file` attribute in the FNT file.
-     * @return {Object} Result font object with font, size, lineHeight and char fields.
+     * @return {Object} Result font object with font, size, lineHeight, char and distance field fields.
      */
-    static registerFont(xml, textures)
+    static registerFont(data, textures)
     {
-        const data = {};
-        const info = xml.getElementsByTagName('info')[0];
-        const common = xml.getElementsByTagName('common')[0];
-        const pages = xml.getElementsByTagName('page');
-        const res = getResolutionOfUrl(pages[0].getAttribute('file'), settings.RESOLUTION);
+        if (!(data instanceof BitmapFontData))
+        {
+            const format = autoDetectFormat(data);
+
+            if (!format)
+            {
+                throw new Error('Unrecognized data format for font.');
+            }
+
+            data = format.parse(data);
+        }
+
+        const font = {};
+        const info = data.info[0];
+        const common = data.common[0];
+        const pages = data.page;
+        const res = getResolutionOfUrl(pages[0].file, settings.RESOLUTION);
         const pagesTextures = {};
 
-        data.font = info.getAttribute('face');
-        data.size = parseInt(info.getAttribute('size'), 10);
-        data.lineHeight = parseInt(common.getAttribute('lineHeight'), 10) / res;
-        data.chars = {};
+        font.font = info.face;
+        font.size = info.size;
+        font.lineHeight = common.lineHeight / res;
+        font.chars = {};
+        font.distanceFieldType = data.distanceField.length ? data.distanceField[0].fieldType : 'none';
+        font.distanceFieldRange = data.distanceField.length ? data.distanceField[0].distanceRange / res : 0;
 
         // Single texture, convert to list
         if (textures instanceof Texture)
@@ -597,59 +1127,59 @@ export class BitmapText extends Container
         // into a page Texture lookup by "id"
         for (let i = 0; i < pages.length; i++)
         {
-            const id = pages[i].getAttribute('id');
-            const file = pages[i].getAttribute('file');
+            const { id, file } = pages[i];
 
             pagesTextures[id] = textures instanceof Array ? textures[i] : textures[file];
         }
 
         // parse letters
-        const letters = xml.getElementsByTagName('char');
-
-        for (let i = 0; i < letters.length; i++)
+        for (let i = 0; i < data.char.length; i++)
         {
-            const letter = letters[i];
-            const charCode = parseInt(letter.getAttribute('id'), 10);
-            const page = letter.getAttribute('page') || 0;
+            const letter = data.char[i];
+            const page = letter.page;
             const textureRect = new Rectangle(
-                (parseInt(letter.getAttribute('x'), 10) / res) + (pagesTextures[page].frame.x / res),
-                (parseInt(letter.getAttribute('y'), 10) / res) + (pagesTextures[page].frame.y / res),
-                parseInt(letter.getAttribute('width'), 10) / res,
-                parseInt(letter.getAttribute('height'), 10) / res,
+                (letter.x / res) + (pagesTextures[page].frame.x / res),
+                (letter.y / res) + (pagesTextures[page].frame.y / res),
+                letter.width / res,
+                letter.height / res,
             );
 
-            data.chars[charCode] = {
-                xOffset: parseInt(letter.getAttribute('xoffset'), 10) / res,
-                yOffset: parseInt(letter.getAttribute('yoffset'), 10) / res,
-                xAdvance: parseInt(letter.getAttribute('xadvance'), 10) / res,
+            font.chars[letter.id] = {
+                xOffset: letter.xoffset / res,
+                yOffset: letter.yoffset / res,
+                xAdvance: letter.xadvance / res,
                 kerning: {},
                 texture: new Texture(pagesTextures[page].baseTexture, textureRect),
-                page,
+                page: String(page),
             };
         }
 
         // parse kernings
-        const kernings = xml.getElementsByTagName('kerning');
-
-        for (let i = 0; i < kernings.length; i++)
+        for (let i = 0; i < data.kerning.length; i++)
         {
-            const kerning = kernings[i];
-            const first = parseInt(kerning.getAttribute('first'), 10) / res;
-            const second = parseInt(kerning.getAttribute('second'), 10) / res;
-            const amount = parseInt(kerning.getAttribute('amount'), 10) / res;
+            const { first, second, amount } = data.kerning[i];
 
-            if (data.chars[second])
+            if (font.chars[second])
             {
-                data.chars[second].kerning[first] = amount;
+                font.chars[second].kerning[first] = amount / res;
             }
         }
 
         // I'm leaving this as a temporary fix so we can test the bitmap fonts in v3
         // but it's very likely to change
-        BitmapText.fonts[data.font] = data;
+        BitmapText.fonts[font.font] = font;
 
-        return data;
+        return font;
     }
 }
 
 BitmapText.fonts = {};
+
+/**
+ * Matches the characters of the CJK scripts, used by {@link PIXI.BitmapText.isCJK}.
+ *
+ * @static
+ * @member {RegExp}
+ */
+BitmapText.CJK_REGEX = new RegExp('[\\u1100-\\u11ff\\u2e80-\\u2fdf\\u3000-\\u31ff\\u3200-\\u32ff\\u3400-\\u4dbf'
+    + '\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff\\uff00-\\uffef]');
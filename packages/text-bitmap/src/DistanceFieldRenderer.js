@@ -0,0 +1,116 @@
+import { BatchGeometry, BatchPluginFactory } from '@pixi/core';
+import { TYPES } from '@pixi/constants';
+import { premultiplyTint } from '@pixi/utils';
+
+import vertex from './distanceField.vert';
+import fragment from './distanceField.frag';
+
+/**
+ * Geometry used to batch distance field glyphs, it adds the distance field
+ * parameters and the outline color on top of {@link PIXI.BatchGeometry}.
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.BatchGeometry
+ */
+export class DistanceFieldGeometry extends BatchGeometry
+{
+    /**
+     * @param {boolean} [_static=false] Optimization flag, where `false`
+     *        is updated every frame, `true` doesn't change frame-to-frame.
+     */
+    constructor(_static = false)
+    {
+        super(_static);
+
+        this.addAttribute('aDistanceField', this._buffer, 3, false, TYPES.FLOAT)
+            .addAttribute('aOutlineColor', this._buffer, 4, true, TYPES.UNSIGNED_BYTE);
+    }
+}
+
+/**
+ * Batch renderer for the glyphs of {@link PIXI.BitmapText} using a signed distance
+ * field (SDF) or multi-channel signed distance field (MSDF) font. Edges are
+ * reconstructed from the distance field in the shader, so they stay crisp at any scale.
+ *
+ * The glyphs read their `outlineColor`, `outlineThickness` and `softness` from their
+ * parent BitmapText. It is installed by default in the `pixi.js` bundle, when using
+ * the packages on their own it needs to be registered:
+ *
+ * ```js
+ * PIXI.Renderer.registerPlugin('distanceField', PIXI.DistanceFieldRenderer);
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.AbstractBatchRenderer
+ */
+export class DistanceFieldRenderer extends BatchPluginFactory.create({
+    vertex,
+    fragment,
+    geometryClass: DistanceFieldGeometry,
+    vertexSize: 10,
+})
+{
+    /**
+     * Takes one glyph sprite and packs it into the buffers, along with the
+     * distance field parameters of its parent text.
+     *
+     * @param {PIXI.Sprite} element - Glyph of a BitmapText.
+     * @param {PIXI.ViewableBuffer} attributeBuffer - Buffer for vertex attributes.
+     * @param {Uint16Array} indexBuffer - Buffer for indices.
+     * @param {number} aIndex - Number of floats already in the attribute buffer.
+     * @param {number} iIndex - Number of indices already in `indexBuffer`.
+     */
+    packInterleavedGeometry(element, attributeBuffer, indexBuffer, aIndex, iIndex)
+    {
+        const {
+            uint32View,
+            float32View,
+        } = attributeBuffer;
+
+        const text = element.parent;
+        const packedVertices = aIndex / this.vertexSize;
+        const uvs = element.uvs;
+        const indicies = element.indices;
+        const vertexData = element.vertexData;
+        const textureId = element._texture.baseTexture._batchLocation;
+        const alpha = Math.min(element.worldAlpha, 1.0);
+
+        // glyphs always output premultiplied colors
+        const argb = premultiplyTint(element._tintRGB, alpha);
+        const outlineRGB = text.outlineColor;
+        const outlineArgb = premultiplyTint(
+            (outlineRGB >> 16) + (outlineRGB & 0xff00) + ((outlineRGB & 0xff) << 16),
+            alpha,
+        );
+
+        // the range of the field in screen pixels, so the edges are one pixel wide
+        const { a, b, c, d } = element.worldTransform;
+        const worldScale = Math.sqrt(Math.abs((a * d) - (b * c)));
+        const screenRange = Math.max(1, text.distanceFieldRange * worldScale * this.renderer.resolution);
+
+        // thickness is a fraction of the distance available outside of the glyph
+        const outline = Math.min(Math.max(text.outlineThickness, 0), 1) * 0.5;
+        const softness = Math.max(text.softness, 0);
+
+        for (let i = 0; i < vertexData.length; i += 2)
+        {
+            float32View[aIndex++] = vertexData[i];
+            float32View[aIndex++] = vertexData[i + 1];
+            float32View[aIndex++] = uvs[i];
+            float32View[aIndex++] = uvs[i + 1];
+            uint32View[aIndex++] = argb;
+            float32View[aIndex++] = textureId;
+            float32View[aIndex++] = screenRange;
+            float32View[aIndex++] = outline;
+            float32View[aIndex++] = softness;
+            uint32View[aIndex++] = outlineArgb;
+        }
+
+        for (let i = 0; i < indicies.length; i++)
+        {
+            indexBuffer[iIndex++] = packedVertices + indicies[i];
+        }
+    }
+}
@@ -0,0 +1,27 @@
+varying vec2 vTextureCoord;
+varying vec4 vColor;
+varying float vTextureId;
+varying vec3 vDistanceField;
+varying vec4 vOutlineColor;
+uniform sampler2D uSamplers[%count%];
+
+float median(float r, float g, float b) {
+    return max(min(r, g), min(max(r, g), b));
+}
+
+void main(void){
+    vec4 color;
+    %forloop%
+
+    // vDistanceField.x: distance range in screen pixels
+    // vDistanceField.y: outline thickness, in signed distance units
+    // vDistanceField.z: edge softness, in screen pixels
+    // For single channel fields r = g = b, so the median is the distance itself
+    float distance = median(color.r, color.g, color.b) - 0.5;
+    float edge = 1.0 + vDistanceField.z;
+
+    float fillAlpha = clamp((distance * vDistanceField.x / edge) + 0.5, 0.0, 1.0);
+    float outlineAlpha = clamp(((distance + vDistanceField.y) * vDistanceField.x / edge) + 0.5, 0.0, 1.0);
+
+    gl_FragColor = (vColor * fillAlpha) + (vOutlineColor * (outlineAlpha - fillAlpha));
+}
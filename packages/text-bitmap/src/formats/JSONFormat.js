@@ -0,0 +1,97 @@
+import { BitmapFontData } from '../BitmapFontData';
+
+/**
+ * BitmapFont format that's JSON-based, as emitted by
+ * [msdf-bmfont](https://github.com/soimy/msdf-bmfont-xml) and other
+ * BMFont-compatible tools with the JSON output option.
+ *
+ * @class
+ * @memberof PIXI.bitmapFontFormats
+ */
+export class JSONFormat
+{
+    /**
+     * Check if resource refers to json font data.
+     *
+     * @static
+     * @param {any} data
+     * @return {boolean} True if resource could be treated as font data, false otherwise.
+     */
+    static test(data)
+    {
+        return !!data
+            && typeof data === 'object'
+            && Array.isArray(data.pages)
+            && Array.isArray(data.chars)
+            && !!data.info
+            && !!data.common;
+    }
+
+    /**
+     * Convert the JSON object into BitmapFontData that we can use.
+     *
+     * @static
+     * @param {object} json
+     * @return {PIXI.BitmapFontData} Data to use for BitmapFont
+     */
+    static parse(json)
+    {
+        const data = new BitmapFontData();
+
+        data.info.push({
+            face: json.info.face,
+            size: json.info.size,
+        });
+
+        data.common.push({
+            lineHeight: json.common.lineHeight,
+        });
+
+        // Pages are listed as an array of file names, the index is the id
+        for (let i = 0; i < json.pages.length; i++)
+        {
+            data.page.push({
+                id: i,
+                file: json.pages[i],
+            });
+        }
+
+        for (let i = 0; i < json.chars.length; i++)
+        {
+            const letter = json.chars[i];
+
+            data.char.push({
+                id: letter.id,
+                page: letter.page || 0,
+                x: letter.x,
+                y: letter.y,
+                width: letter.width,
+                height: letter.height,
+                xoffset: letter.xoffset,
+                yoffset: letter.yoffset,
+                xadvance: letter.xadvance,
+            });
+        }
+
+        const kernings = json.kernings || [];
+
+        for (let i = 0; i < kernings.length; i++)
+        {
+            data.kerning.push({
+                first: kernings[i].first,
+                second: kernings[i].second,
+                amount: kernings[i].amount,
+            });
+        }
+
+        if (json.distanceField)
+        {
+            data.distanceField.push({
+                fieldType: json.distanceField.fieldType,
+                distanceRange: json.distanceField.distanceRange,
+            });
+        }
+
+        return data;
+    }
+}
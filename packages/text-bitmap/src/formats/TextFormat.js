@@ -0,0 +1,116 @@
+import { BitmapFontData } from '../BitmapFontData';
+
+/**
+ * Convert a single line of the text format into key/value attributes.
+ *
+ * @private
+ * @param {string} line - Line, without the leading tag name.
+ * @return {object} Attributes, quoted values are unquoted.
+ */
+function parseAttributes(line)
+{
+    const attributes = {};
+    const pattern = /(\w+)=("[^"]*"|\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null)
+    {
+        const value = match[2];
+
+        attributes[match[1]] = value.charAt(0) === '"' ? value.slice(1, -1) : value;
+    }
+
+    return attributes;
+}
+
+/**
+ * BitmapFont format that's the plain text version of the
+ * [AngelCode BMFont](http://www.angelcode.com/products/bmfont/doc/file_format.html) file,
+ * as emitted by BMFont, Hiero and msdf-bmfont with the text output option.
+ *
+ * @class
+ * @memberof PIXI.bitmapFontFormats
+ */
+export class TextFormat
+{
+    /**
+     * Check if resource refers to txt font data.
+     *
+     * @static
+     * @param {any} data
+     * @return {boolean} True if resource could be treated as font data, false otherwise.
+     */
+    static test(data)
+    {
+        return typeof data === 'string' && data.indexOf('info face=') === 0;
+    }
+
+    /**
+     * Convert text font data to a javascript object.
+     *
+     * @static
+     * @param {string} txt - Raw string data to be converted
+     * @return {PIXI.BitmapFontData} Parsed font data
+     */
+    static parse(txt)
+    {
+        const data = new BitmapFontData();
+        const lines = txt.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const line = lines[i].trim();
+            const tag = line.split(/\s/, 1)[0];
+            const attr = parseAttributes(line.substring(tag.length));
+
+            switch (tag)
+            {
+                case 'info':
+                    data.info.push({
+                        face: attr.face,
+                        size: parseInt(attr.size, 10),
+                    });
+                    break;
+                case 'common':
+                    data.common.push({
+                        lineHeight: parseInt(attr.lineHeight, 10),
+                    });
+                    break;
+                case 'page':
+                    data.page.push({
+                        id: parseInt(attr.id, 10),
+                        file: attr.file,
+                    });
+                    break;
+                case 'char':
+                    data.char.push({
+                        id: parseInt(attr.id, 10),
+                        page: parseInt(attr.page, 10) || 0,
+                        x: parseInt(attr.x, 10),
+                        y: parseInt(attr.y, 10),
+                        width: parseInt(attr.width, 10),
+                        height: parseInt(attr.height, 10),
+                        xoffset: parseInt(attr.xoffset, 10),
+                        yoffset: parseInt(attr.yoffset, 10),
+                        xadvance: parseInt(attr.xadvance, 10),
+                    });
+                    break;
+                case 'kerning':
+                    data.kerning.push({
+                        first: parseInt(attr.first, 10),
+                        second: parseInt(attr.second, 10),
+                        amount: parseInt(attr.amount, 10),
+                    });
+                    break;
+                case 'distanceField':
+                    data.distanceField.push({
+                        fieldType: attr.fieldType,
+                        distanceRange: parseInt(attr.distanceRange, 10),
+                    });
+                    break;
+            }
+        }
+
+        return data;
+    }
+}
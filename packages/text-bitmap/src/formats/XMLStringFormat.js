@@ -0,0 +1,53 @@
+import { XMLFormat } from './XMLFormat';
+
+/**
+ * BitmapFont format that's XML-based, for the raw string contents of an
+ * XML `.fnt` file (the default when loading with {@link PIXI.Loader}).
+ *
+ * @class
+ * @memberof PIXI.bitmapFontFormats
+ */
+export class XMLStringFormat
+{
+    /**
+     * Check if resource refers to text xml font data.
+     *
+     * @static
+     * @param {any} data
+     * @return {boolean} True if resource could be treated as font data, false otherwise.
+     */
+    static test(data)
+    {
+        if (typeof data === 'string' && data.indexOf('<font>') > -1)
+        {
+            return XMLFormat.test(XMLStringFormat.toXML(data));
+        }
+
+        return false;
+    }
+
+    /**
+     * Convert the text XML into BitmapFontData that we can use.
+     *
+     * @static
+     * @param {string} xmlTxt
+     * @return {PIXI.BitmapFontData} Data to use for BitmapFont
+     */
+    static parse(xmlTxt)
+    {
+        return XMLFormat.parse(XMLStringFormat.toXML(xmlTxt));
+    }
+
+    /**
+     * Parse the XML string into a document.
+     *
+     * @private
+     * @static
+     * @param {string} xmlTxt
+     * @return {XMLDocument} Parsed document
+     */
+    static toXML(xmlTxt)
+    {
+        return new window.DOMParser().parseFromString(xmlTxt, 'text/xml');
+    }
+}
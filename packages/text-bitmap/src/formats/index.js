@@ -0,0 +1,69 @@
+import { TextFormat } from './TextFormat';
+import { XMLFormat } from './XMLFormat';
+import { XMLStringFormat } from './XMLStringFormat';
+import { JSONFormat } from './JSONFormat';
+
+/**
+ * Parsers for the different bitmap font file formats. Each format
+ * converts its raw data into a {@link PIXI.BitmapFontData}.
+ *
+ * @namespace PIXI.bitmapFontFormats
+ */
+
+/**
+ * Collection of installed font formats. A format is a class with a static `test`
+ * method for detecting the data it can handle and a static `parse` method
+ * returning {@link PIXI.BitmapFontData}.
+ * @example
+ * class CustomFormat {
+ *   static test(data) {
+ *     return typeof data === 'string' && data.indexOf('custom') === 0;
+ *   }
+ *   static parse(data) {
+ *     const fontData = new PIXI.BitmapFontData();
+ *     // populate info, common, page, char and kerning
+ *     return fontData;
+ *   }
+ * }
+ * // Install the new format
+ * PIXI.bitmapFontFormats.INSTALLED.push(CustomFormat);
+ *
+ * @name PIXI.bitmapFontFormats.INSTALLED
+ * @type {Array<*>}
+ * @static
+ * @readonly
+ */
+export const INSTALLED = [
+    TextFormat,
+    XMLFormat,
+    XMLStringFormat,
+    JSONFormat,
+];
+
+/**
+ * Auto-detect the format of the font data.
+ *
+ * @static
+ * @function PIXI.bitmapFontFormats.autoDetectFormat
+ * @param {any} data - Data to detect, this can be an XMLDocument, string or object.
+ * @return {*} Format class or null if the data is not recognized.
+ */
+export function autoDetectFormat(data)
+{
+    for (let i = 0; i < INSTALLED.length; i++)
+    {
+        if (INSTALLED[i].test(data))
+        {
+            return INSTALLED[i];
+        }
+    }
+
+    return null;
+}
+
+export {
+    TextFormat,
+    XMLFormat,
+    XMLStringFormat,
+    JSONFormat,
+};
@@ -1,2 +1,8 @@
+export * from './BitmapFont';
+export * from './BitmapFontData';
 export * from './BitmapText';
 export * from './BitmapFontLoader';
+export * from './DistanceFieldRenderer';
+
+import * as bitmapFontFormats from './formats';
+export { bitmapFontFormats };
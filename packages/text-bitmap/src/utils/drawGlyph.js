@@ -0,0 +1,84 @@
+import { hex2rgb, string2hex } from '@pixi/utils';
+import { generateFillStyle } from './generateFillStyle';
+
+/**
+ * Draws a single glyph into its cell of the font page, the glyph is clipped to the cell
+ * so it never bleeds into its neighbours. Drop shadows and strokes are drawn the same
+ * way {@link PIXI.Text} draws them.
+ *
+ * @ignore
+ * @private
+ * @param {CanvasRenderingContext2D} context - Context of the page canvas.
+ * @param {PIXI.TextMetrics} metrics - Measured glyph.
+ * @param {number} x - Left of the cell, in pixels.
+ * @param {number} y - Top of the cell, in pixels.
+ * @param {number} resolution - Resolution of the page.
+ * @param {PIXI.TextStyle} style - The style to draw with.
+ */
+export function drawGlyph(context, metrics, x, y, resolution, style)
+{
+    const char = metrics.text;
+    const { width, height, fontProperties } = metrics;
+
+    context.save();
+    context.setTransform(resolution, 0, 0, resolution, x, y);
+    context.beginPath();
+    context.rect(0, 0, width, height);
+    context.clip();
+
+    context.font = style.toFontString();
+    context.lineWidth = style.strokeThickness;
+    context.textBaseline = style.textBaseline;
+    context.lineJoin = style.lineJoin;
+    context.miterLimit = style.miterLimit;
+
+    const linePositionX = style.strokeThickness / 2;
+    const linePositionY = (style.strokeThickness / 2) + fontProperties.ascent;
+
+    // require 2 passes if a shadow; the first to draw the drop shadow, the second to draw the text
+    const passesCount = style.dropShadow ? 2 : 1;
+
+    for (let i = 0; i < passesCount; ++i)
+    {
+        const isShadowPass = style.dropShadow && i === 0;
+        // we only want the drop shadow, so put the text outside of the clipped cell
+        const dsOffsetText = isShadowPass ? height * 2 : 0;
+
+        if (isShadowPass)
+        {
+            context.fillStyle = 'black';
+            context.strokeStyle = 'black';
+
+            const dropShadowColor = style.dropShadowColor;
+            const rgb = hex2rgb(typeof dropShadowColor === 'number' ? dropShadowColor : string2hex(dropShadowColor));
+
+            context.shadowColor = `rgba(${rgb[0] * 255},${rgb[1] * 255},${rgb[2] * 255},${style.dropShadowAlpha})`;
+            context.shadowBlur = style.dropShadowBlur * resolution;
+            context.shadowOffsetX = Math.cos(style.dropShadowAngle) * style.dropShadowDistance * resolution;
+            context.shadowOffsetY = ((Math.sin(style.dropShadowAngle) * style.dropShadowDistance) + dsOffsetText)
+                * resolution;
+        }
+        else
+        {
+            context.fillStyle = generateFillStyle(context, style, width, height);
+            context.strokeStyle = style.stroke;
+
+            context.shadowColor = 0;
+            context.shadowBlur = 0;
+            context.shadowOffsetX = 0;
+            context.shadowOffsetY = 0;
+        }
+
+        if (style.stroke && style.strokeThickness)
+        {
+            context.strokeText(char, linePositionX, linePositionY - dsOffsetText);
+        }
+
+        if (style.fill)
+        {
+            context.fillText(char, linePositionX, linePositionY - dsOffsetText);
+        }
+    }
+
+    context.restore();
+}
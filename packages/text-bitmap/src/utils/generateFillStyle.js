@@ -0,0 +1,66 @@
+import { TEXT_GRADIENT } from '@pixi/text';
+
+/**
+ * Generates the fill style for a single glyph cell. Can automatically generate a gradient
+ * based on the fill style being an array, following the same rules as {@link PIXI.Text}.
+ *
+ * @ignore
+ * @private
+ * @param {CanvasRenderingContext2D} context - Context the gradient is created on.
+ * @param {PIXI.TextStyle} style - The style.
+ * @param {number} width - Width of the glyph cell, in points.
+ * @param {number} height - Height of the glyph cell, in points.
+ * @return {string|number|CanvasGradient} The fill style
+ */
+export function generateFillStyle(context, style, width, height)
+{
+    const fillStyle = style.fill;
+
+    if (!Array.isArray(fillStyle))
+    {
+        return fillStyle;
+    }
+    else if (fillStyle.length === 1)
+    {
+        return fillStyle[0];
+    }
+
+    // a dropshadow will enlarge the cell and result in the gradient being
+    // generated with the incorrect dimensions
+    const dropShadowCorrection = style.dropShadow ? style.dropShadowDistance : 0;
+    const gradientWidth = width - dropShadowCorrection;
+    const gradientHeight = height - dropShadowCorrection;
+
+    // make a copy of the style settings, so we can manipulate them later
+    const fill = fillStyle.slice();
+    const fillGradientStops = style.fillGradientStops.slice();
+
+    // wanting to evenly distribute the fills. So an array of 4 colours should give fills of 0.25, 0.5 and 0.75
+    if (!fillGradientStops.length)
+    {
+        const lengthPlus1 = fill.length + 1;
+
+        for (let i = 1; i < lengthPlus1; ++i)
+        {
+            fillGradientStops.push(i / lengthPlus1);
+        }
+    }
+
+    // hard define the first and last gradient colours at points 0 and 1
+    fill.unshift(fillStyle[0]);
+    fillGradientStops.unshift(0);
+
+    fill.push(fillStyle[fillStyle.length - 1]);
+    fillGradientStops.push(1);
+
+    const gradient = style.fillGradientType === TEXT_GRADIENT.LINEAR_VERTICAL
+        ? context.createLinearGradient(gradientWidth / 2, 0, gradientWidth / 2, gradientHeight)
+        : context.createLinearGradient(0, gradientHeight / 2, gradientWidth, gradientHeight / 2);
+
+    for (let i = 0; i < fill.length; i++)
+    {
+        gradient.addColorStop(fillGradientStops[i], fill[i]);
+    }
+
+    return gradient;
+}
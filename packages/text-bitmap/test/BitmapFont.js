@@ -0,0 +1,89 @@
+const { BitmapFont, BitmapText } = require('../');
+const { TextStyle } = require('@pixi/text');
+
+describe('PIXI.BitmapFont', function ()
+{
+    afterEach(function ()
+    {
+        for (const name in BitmapText.fonts)
+        {
+            const font = BitmapText.fonts[name];
+
+            for (const id in font.chars)
+            {
+                font.chars[id].texture.destroy(true);
+            }
+            delete BitmapText.fonts[name];
+        }
+    });
+
+    it('should throw when no name is given', function ()
+    {
+        expect(() => BitmapFont.from()).to.throw();
+    });
+
+    it('should generate and register a font', function ()
+    {
+        const font = BitmapFont.from('foo', { fontSize: 20 }, { chars: 'ab ' });
+
+        expect(BitmapText.fonts.foo).to.equal(font);
+        expect(font.size).to.equal(20);
+        expect(Object.keys(font.chars).length).to.equal(3);
+        expect(font.chars['a'.charCodeAt(0)].texture.baseTexture)
+            .to.equal(font.chars['b'.charCodeAt(0)].texture.baseTexture);
+        expect(font.chars['a'.charCodeAt(0)].xAdvance).to.be.above(0);
+        expect(font.lineHeight).to.be.above(0);
+    });
+
+    it('should resolve character ranges', function ()
+    {
+        const font = BitmapFont.from('foo', {}, { chars: [['a', 'c'], ['0', '1']] });
+
+        expect(Object.keys(font.chars).map((id) => String.fromCharCode(id)).sort().join(''))
+            .to.equal('01abc');
+    });
+
+    it('should throw on invalid character ranges', function ()
+    {
+        expect(() => BitmapFont.from('foo', {}, { chars: [['z', 'a']] })).to.throw();
+        expect(() => BitmapFont.from('foo', {}, { chars: [['a']] })).to.throw();
+        expect(() => BitmapFont.from('foo', {}, { chars: [] })).to.throw();
+    });
+
+    it('should split glyphs into multiple pages', function ()
+    {
+        const font = BitmapFont.from('foo', { fontSize: 24 }, {
+            chars: BitmapFont.ALPHA,
+            textureWidth: 64,
+            textureHeight: 64,
+        });
+        const baseTextures = new Set();
+
+        for (const id in font.chars)
+        {
+            baseTextures.add(font.chars[id].texture.baseTexture);
+        }
+
+        expect(baseTextures.size).to.be.above(1);
+    });
+
+    it('should match resolution of the glyph textures', function ()
+    {
+        const font = BitmapFont.from('foo', new TextStyle({ fontSize: 20 }), { chars: 'a', resolution: 2 });
+        const { texture } = font.chars['a'.charCodeAt(0)];
+
+        expect(texture.baseTexture.resolution).to.equal(2);
+        expect(texture.baseTexture.width).to.equal(512);
+        expect(font.size).to.equal(20);
+    });
+
+    it('should be usable with BitmapText', function ()
+    {
+        BitmapFont.from('foo', { fontSize: 20, fill: ['red', 'blue'], dropShadow: true }, { chars: 'ab' });
+
+        const text = new BitmapText('abc', { font: 'foo' });
+
+        expect(text.children.length).to.equal(2);
+        expect(text.font.size).to.equal(20);
+    });
+});
@@ -439,6 +439,43 @@ describe('PIXI.BitmapFontLoader', function ()
         });
     });
 
+    it('should register bitmap font from text format', function (done)
+    {
+        const loader = new Loader();
+
+        loader.use(BitmapFontLoader.use);
+        loader.add(path.join(this.resources, 'font-text.fnt'));
+        loader.load(() =>
+        {
+            const font = BitmapText.fonts['font-text'];
+
+            expect(font).to.be.an('object');
+            expect(font.lineHeight).to.equal(27);
+            expect(font.chars['A'.charCodeAt(0)].texture.frame.width).to.equal(19);
+            expect(font.chars['A'.charCodeAt(0)].texture.baseTexture.resource.source).to.be.instanceof(Image);
+
+            done();
+        });
+    });
+
+    it('should register bitmap font from json format', function (done)
+    {
+        const loader = new Loader();
+
+        loader.use(BitmapFontLoader.use);
+        loader.add(path.join(this.resources, 'font-json.json'));
+        loader.load(() =>
+        {
+            const font = BitmapText.fonts['font-json'];
+
+            expect(font).to.be.an('object');
+            expect(font.chars['D'.charCodeAt(0)].texture.frame.x).to.equal(19);
+            expect(font.chars['A'.charCodeAt(0)].kerning[32]).to.equal(-1);
+
+            done();
+        });
+    });
+
     it('should parse exist', function ()
     {
         expect(BitmapFontLoader.parse).to.be.a('function');
@@ -1,7 +1,8 @@
 const path = require('path');
 const fs = require('fs');
 const { BitmapText } = require('../');
-const { Texture } = require('@pixi/core');
+const { BaseTexture, Texture } = require('@pixi/core');
+const { Rectangle } = require('@pixi/math');
 
 describe('PIXI.BitmapText', function ()
 {
@@ -121,4 +122,177 @@ describe('PIXI.BitmapText', function ()
             }
         }
     });
+    describe('layout', function ()
+    {
+        before(function ()
+        {
+            // every glyph is 10 units wide, so widths are easy to check
+            const glyph = (id) => `char id=${id} x=2 y=2 width=10 height=20 xoffset=0 yoffset=0 xadvance=10 page=0`;
+            const ids = [32, 65, 66, 0x4e2d, 0x6587, 0x5b57];
+
+            this.layoutFont = BitmapText.registerFont([
+                'info face="layout" size=10',
+                'common lineHeight=20',
+                'page id=0 file="font.png"',
+                ...ids.map(glyph),
+                'kerning first=65 second=66 amount=-2',
+            ].join('\n'), this.texture);
+        });
+
+        it('should apply kerning together with letterSpacing', function ()
+        {
+            const text = new BitmapText('AB', { font: 'layout' });
+
+            expect(text.children[1].x).to.equal(8);
+            expect(text.textWidth).to.equal(18);
+
+            text.letterSpacing = 4;
+            text.updateText();
+
+            expect(text.children[0].x).to.equal(2);
+            expect(text.children[1].x).to.equal(14);
+            expect(text.textWidth).to.equal(26);
+        });
+
+        it('should break lines between CJK characters', function ()
+        {
+            const text = new BitmapText('\u4e2d\u6587\u5b57\u4e2d\u6587', { font: 'layout' });
+
+            text.maxWidth = 30;
+            text.updateText();
+
+            expect(text.children.length).to.equal(5);
+            expect(text.textWidth).to.equal(30);
+            expect(text.textHeight).to.equal(40);
+            expect(text.children[3].x).to.equal(0);
+            expect(text.children[3].y).to.equal(20);
+        });
+
+        it('should only break long words with breakWords', function ()
+        {
+            const text = new BitmapText('AAAAA B', { font: 'layout' });
+
+            text.maxWidth = 30;
+            text.updateText();
+
+            expect(text.textWidth).to.equal(50);
+            expect(text.textHeight).to.equal(40);
+
+            text.breakWords = true;
+            text.updateText();
+
+            expect(text.textWidth).to.equal(30);
+            expect(text.textHeight).to.equal(60);
+        });
+
+        it('should collapse white space depending on whiteSpace', function ()
+        {
+            const text = new BitmapText('A   B\nA', { font: 'layout', whiteSpace: 'normal' });
+
+            text.maxWidth = 100;
+            text.updateText();
+
+            expect(text.textWidth).to.equal(50);
+            expect(text.textHeight).to.equal(20);
+
+            text.whiteSpace = 'pre';
+            text.updateText();
+
+            expect(text.textWidth).to.equal(50);
+            expect(text.textHeight).to.equal(40);
+        });
+
+        it('should justify wrapped lines but not the last line', function ()
+        {
+            const text = new BitmapText('A A A A', { font: 'layout', align: 'justify' });
+
+            text.maxWidth = 60;
+            text.updateText();
+
+            const lastOnFirstLine = text.children[4];
+            const firstOnLastLine = text.children[5];
+
+            expect(text.textWidth).to.equal(60);
+            expect(lastOnFirstLine.x + lastOnFirstLine.texture.width).to.equal(60);
+            expect(firstOnLastLine.x).to.equal(0);
+            expect(text.children[6]).to.be.undefined;
+        });
+
+        it('should not justify words longer than the max width', function ()
+        {
+            const text = new BitmapText('AAAAA B', { font: 'layout', align: 'justify' });
+
+            text.maxWidth = 30;
+            text.updateText();
+
+            expect(text.children.map((glyph) => glyph.x).slice(0, 5)).to.deep.equal([0, 10, 20, 30, 40]);
+            expect(text.textWidth).to.equal(50);
+        });
+
+        it('should lay out inline images', function ()
+        {
+            const icon = new Texture(this.texture.baseTexture, new Rectangle(0, 0, 20, 10));
+            const text = new BitmapText('A<img=icon>B<img=none>', { font: 'layout', tint: 0xFF0000, images: { icon } });
+
+            expect(text.children.length).to.equal(3);
+            expect(text.children[1].texture).to.equal(icon);
+            expect(text.children[1].x).to.equal(10);
+            expect(text.children[1].scale.x).to.equal(2);
+            expect(text.children[1].tint).to.equal(0xFFFFFF);
+            expect(text.children[2].x).to.equal(50);
+            expect(text.children[2].tint).to.equal(0xFF0000);
+            expect(text.textWidth).to.equal(60);
+        });
+
+        it('should wrap inline images with their word', function ()
+        {
+            const icon = new Texture(this.texture.baseTexture, new Rectangle(0, 0, 20, 10));
+            const text = new BitmapText('A<img=icon> B', { font: 'layout', images: { icon }, imageScale: 0.5 });
+
+            text.maxWidth = 30;
+            text.updateText();
+
+            expect(text.children[1].y).to.equal(5);
+            expect(text.children[2].x).to.equal(0);
+            expect(text.textHeight).to.equal(40);
+        });
+
+        it('should lay out again when inline images passed to the constructor load', function ()
+        {
+            const loading = new Texture(new BaseTexture());
+            const text = new BitmapText('A<img=icon>', { font: 'layout', images: { icon: loading } });
+
+            expect(text.dirty).to.be.false;
+
+            loading.emit('update', loading);
+
+            expect(text.dirty).to.be.true;
+
+            text.destroy();
+            loading.destroy(true);
+        });
+
+        it('should stop listening to loading images when they are replaced or destroyed', function ()
+        {
+            const loading = new Texture(new BaseTexture());
+            const text = new BitmapText('A<img=icon>', { font: 'layout', images: { icon: loading } });
+
+            expect(loading.listenerCount('update')).to.equal(1);
+
+            text.images = { icon: loading };
+
+            expect(loading.listenerCount('update')).to.equal(1);
+
+            text.images = {};
+
+            expect(loading.listenerCount('update')).to.equal(0);
+
+            text.images = { icon: loading };
+            text.destroy();
+
+            expect(loading.listenerCount('update')).to.equal(0);
+
+            loading.destroy(true);
+        });
+    });
 });
@@ -0,0 +1,60 @@
+const { Renderer, Texture, ViewableBuffer } = require('@pixi/core');
+const { Matrix } = require('@pixi/math');
+const { skipHello } = require('@pixi/utils');
+const { DistanceFieldRenderer, DistanceFieldGeometry } = require('../');
+
+skipHello();
+
+describe('PIXI.DistanceFieldRenderer', function ()
+{
+    it('should add the distance field attributes to the geometry', function ()
+    {
+        const geometry = new DistanceFieldGeometry();
+
+        expect(geometry.attributes.aDistanceField).to.exist;
+        expect(geometry.attributes.aDistanceField.size).to.equal(3);
+        expect(geometry.attributes.aOutlineColor).to.exist;
+        expect(geometry.attributes.aOutlineColor.normalized).to.be.true;
+    });
+
+    it('should pack the distance field parameters of the parent text', function ()
+    {
+        const renderer = new Renderer(1, 1);
+        const plugin = new DistanceFieldRenderer(renderer);
+        const buffer = new ViewableBuffer(4 * plugin.vertexSize * 4);
+        const indexBuffer = new Uint16Array(6);
+        const element = {
+            uvs: [0, 0, 1, 0, 1, 1, 0, 1],
+            vertexData: [0, 0, 1, 0, 1, 1, 0, 1],
+            indices: [0, 1, 2, 0, 2, 3],
+            _tintRGB: 0xffffff,
+            worldAlpha: 1,
+            _texture: Texture.WHITE,
+            worldTransform: new Matrix().scale(2, 2),
+            parent: {
+                distanceFieldRange: 4,
+                outlineThickness: 0.5,
+                outlineColor: 0xff0000,
+                softness: 1,
+            },
+        };
+
+        try
+        {
+            expect(plugin.vertexSize).to.equal(10);
+
+            plugin.packInterleavedGeometry(element, buffer, indexBuffer, 0, 0);
+
+            expect(buffer.float32View[6]).to.equal(8 * renderer.resolution);
+            expect(buffer.float32View[7]).to.equal(0.25);
+            expect(buffer.float32View[8]).to.equal(1);
+            expect(buffer.uint32View[9]).to.equal(0xff0000ff);
+            expect(Array.from(indexBuffer)).to.eql(element.indices);
+        }
+        finally
+        {
+            plugin.destroy();
+            renderer.destroy();
+        }
+    });
+});
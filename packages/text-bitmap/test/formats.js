@@ -0,0 +1,129 @@
+const path = require('path');
+const fs = require('fs');
+const { BitmapText, BitmapFontData, bitmapFontFormats } = require('../');
+const { Texture } = require('@pixi/core');
+
+describe('PIXI.bitmapFontFormats', function ()
+{
+    const { autoDetectFormat, TextFormat, XMLFormat, XMLStringFormat, JSONFormat } = bitmapFontFormats;
+
+    before(function ()
+    {
+        const resolveURL = (url) => path.join(__dirname, 'resources', url);
+
+        this.fontText = fs.readFileSync(resolveURL('font-text.fnt'), 'utf8');
+        this.fontXMLText = fs.readFileSync(resolveURL('font.fnt'), 'utf8');
+        this.fontXML = (new window.DOMParser()).parseFromString(this.fontXMLText, 'text/xml');
+        this.fontJSON = JSON.parse(fs.readFileSync(resolveURL('font-json.json'), 'utf8'));
+    });
+
+    afterEach(function ()
+    {
+        for (const font in BitmapText.fonts)
+        {
+            delete BitmapText.fonts[font];
+        }
+    });
+
+    it('should detect each format', function ()
+    {
+        expect(autoDetectFormat(this.fontText)).to.equal(TextFormat);
+        expect(autoDetectFormat(this.fontXML)).to.equal(XMLFormat);
+        expect(autoDetectFormat(this.fontXMLText)).to.equal(XMLStringFormat);
+        expect(autoDetectFormat(this.fontJSON)).to.equal(JSONFormat);
+    });
+
+    it('should not detect unrelated data', function ()
+    {
+        expect(autoDetectFormat(null)).to.be.null;
+        expect(autoDetectFormat('hello world')).to.be.null;
+        expect(autoDetectFormat({ frames: {} })).to.be.null;
+        expect(autoDetectFormat(document.createDocumentFragment())).to.be.null;
+    });
+
+    it('should parse every format into the same data', function ()
+    {
+        const fromText = TextFormat.parse(this.fontText);
+        const fromXML = XMLFormat.parse(this.fontXML);
+        const fromJSON = JSONFormat.parse(this.fontJSON);
+
+        for (const data of [fromText, fromXML, fromJSON])
+        {
+            expect(data).to.be.instanceof(BitmapFontData);
+            expect(data.info[0].size).to.equal(24);
+            expect(data.common[0].lineHeight).to.equal(27);
+            expect(data.page).to.deep.equal([{ id: 0, file: 'font.png' }]);
+            expect(data.char).to.deep.equal(fromXML.char);
+            expect(data.kerning).to.deep.equal(fromXML.kerning);
+        }
+    });
+
+    it('should keep quoted attributes with spaces in text format', function ()
+    {
+        const data = TextFormat.parse('info face="Open Sans" size=12\npage id=0 file="my font.png"');
+
+        expect(data.info[0].face).to.equal('Open Sans');
+        expect(data.page[0].file).to.equal('my font.png');
+    });
+
+    it('should parse distance field information', function ()
+    {
+        const fromText = TextFormat.parse(`${this.fontText}\ndistanceField fieldType=msdf distanceRange=4`);
+        const fromJSON = JSONFormat.parse(Object.assign({}, this.fontJSON, {
+            distanceField: { fieldType: 'sdf', distanceRange: 8 },
+        }));
+        const xml = (new window.DOMParser()).parseFromString(
+            this.fontXMLText.replace('</font>', '<distanceField fieldType="msdf" distanceRange="2"/></font>'),
+            'text/xml');
+        const fromXML = XMLFormat.parse(xml);
+
+        expect(TextFormat.parse(this.fontText).distanceField).to.be.empty;
+        expect(fromText.distanceField).to.deep.equal([{ fieldType: 'msdf', distanceRange: 4 }]);
+        expect(fromJSON.distanceField).to.deep.equal([{ fieldType: 'sdf', distanceRange: 8 }]);
+        expect(fromXML.distanceField).to.deep.equal([{ fieldType: 'msdf', distanceRange: 2 }]);
+    });
+
+    it('should render distance field fonts with the distance field renderer', function ()
+    {
+        const texture = Texture.from(path.join(__dirname, 'resources', 'font.png'));
+        const regular = BitmapText.registerFont(this.fontJSON, texture);
+        const msdf = BitmapText.registerFont(`${this.fontText}\ndistanceField fieldType=msdf distanceRange=4`, texture);
+
+        expect(regular.distanceFieldType).to.equal('none');
+        expect(regular.distanceFieldRange).to.equal(0);
+        expect(msdf.distanceFieldType).to.equal('msdf');
+        expect(msdf.distanceFieldRange).to.equal(4);
+
+        const regularText = new BitmapText('AB', { font: 'font-json' });
+        const msdfText = new BitmapText('AB', { font: 'font-text', outlineThickness: 0.5 });
+
+        expect(regularText.children[0].pluginName).to.equal('batch');
+        expect(msdfText.children[0].pluginName).to.equal('distanceField');
+        expect(msdfText.distanceFieldRange).to.equal(4);
+        expect(msdfText.outlineThickness).to.equal(0.5);
+
+        texture.destroy(true);
+    });
+
+    it('should register fonts from any format', function ()
+    {
+        const texture = Texture.from(path.join(__dirname, 'resources', 'font.png'));
+        const textFont = BitmapText.registerFont(this.fontText, texture);
+        const jsonFont = BitmapText.registerFont(this.fontJSON, texture);
+        const dataFont = BitmapText.registerFont(TextFormat.parse(this.fontText), texture);
+
+        expect(BitmapText.fonts['font-text']).to.equal(dataFont);
+        expect(BitmapText.fonts['font-json']).to.equal(jsonFont);
+        expect(textFont.lineHeight).to.equal(27);
+        expect(jsonFont.chars[65].texture.frame.width).to.equal(19);
+        expect(jsonFont.chars[65].kerning[32]).to.equal(-1);
+        expect(textFont.chars[66].xOffset).to.equal(2);
+
+        texture.destroy(true);
+    });
+
+    it('should throw on unrecognized font data', function ()
+    {
+        expect(() => BitmapText.registerFont('not a font', Texture.EMPTY)).to.throw();
+    });
+});
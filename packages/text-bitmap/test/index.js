@@ -1,2 +1,5 @@
+require('./BitmapFont');
 require('./BitmapText');
 require('./BitmapFontLoader');
+require('./DistanceFieldRenderer');
+require('./formats');
@@ -0,0 +1,444 @@
+import { hex2rgb, string2hex } from '@pixi/utils';
+import { Text } from './Text';
+import { TextStyle } from './TextStyle';
+import { TextMetrics } from './TextMetrics';
+
+/**
+ * A RichText object renders text with inline style tags, each tag applying a partial
+ * {@link PIXI.TextStyle} on top of the base style for the text it encloses.
+ *
+ * Tags can be nested, the innermost tag wins. Lines are wrapped across the styled runs
+ * and every run of a line shares the same baseline, see {@link PIXI.TextMetrics.measureRuns}.
+ * Layout properties (`align`, `wordWrap`, `wordWrapWidth`, `breakWords`, `whiteSpace`,
+ * `lineHeight`, `leading`, `padding`, `dropShadow` and `trim`) are always taken from the base style.
+ *
+ * Tags that are not in `tagStyles` are rendered as plain text.
+ *
+ * Textures can be embedded inline with `<img=name>` placeholders, where `name` is a key of
+ * {@link PIXI.RichText#images}. Images are as tall as the font of the text around them times
+ * {@link PIXI.RichText#imageScale}, centered on that font, and wrap along with the word they are part of.
+ *
+ * ```js
+ * let text = new PIXI.RichText('Hello <b>world</b> <red>!</red>', { fontSize: 24 }, {
+ *     b: { fontWeight: 'bold' },
+ *     red: { fill: 'red', stroke: 'white', strokeThickness: 2 },
+ * });
+ *
+ * text.images = { coin: PIXI.Texture.from('coin.png') };
+ * text.text = 'Price: <img=coin>x3';
+ * ```
+ *
+ * @class
+ * @extends PIXI.Text
+ * @memberof PIXI
+ */
+export class RichText extends Text
+{
+    /**
+     * @param {string} text - The string that you would like the text to display, with tags
+     * @param {object|PIXI.TextStyle} [style] - The base style parameters
+     * @param {Object.<string, object>} [tagStyles] - Map of tag names to partial style parameters
+     * @param {HTMLCanvasElement} [canvas] - The canvas element for drawing text
+     */
+    constructor(text, style, tagStyles, canvas)
+    {
+        super(text, style, canvas);
+
+        /**
+         * Private tracker for the tag styles.
+         *
+         * @member {Object.<string, object>}
+         * @private
+         */
+        this._tagStyles = tagStyles || {};
+
+        /**
+         * Private tracker for the inline images.
+         *
+         * @member {Object.<string, PIXI.Texture>}
+         * @private
+         */
+        this._images = {};
+
+        /**
+         * Private tracker for the scale of the inline images.
+         *
+         * @member {number}
+         * @private
+         */
+        this._imageScale = 1;
+    }
+
+    /**
+     * Renders text and updates it when needed.
+     *
+     * @private
+     * @param {boolean} respectDirty - Whether to abort updating the text if the Text isn't dirty and the function is called.
+     */
+    updateText(respectDirty)
+    {
+        const style = this._style;
+
+        // check if style has changed..
+        if (this.localStyleID !== style.styleID)
+        {
+            this.dirty = true;
+            this.localStyleID = style.styleID;
+        }
+
+        if (!this.dirty && respectDirty)
+        {
+            return;
+        }
+
+        this._font = style.toFontString();
+
+        const context = this.context;
+        const runs = RichText.parseTags(this._text || ' ', style, this._tagStyles, this._images, this._imageScale);
+        const measured = TextMetrics.measureRuns(runs, style, style.wordWrap, this.canvas);
+        const { width, height, lines, lineRuns, lineWidths, maxLineWidth } = measured;
+
+        this.canvas.width = Math.ceil((Math.max(1, width) + (style.padding * 2)) * this._resolution);
+        this.canvas.height = Math.ceil((Math.max(1, height) + (style.padding * 2)) * this._resolution);
+
+        context.scale(this._resolution, this._resolution);
+
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        context.textBaseline = 'alphabetic';
+        context.lineJoin = style.lineJoin;
+        context.miterLimit = style.miterLimit;
+
+        // require 2 passes if a shadow; the first to draw the drop shadow, the second to draw the text
+        const passesCount = style.dropShadow ? 2 : 1;
+
+        // same strategy as Text, the shadow pass draws the text off screen and only its shadow on screen
+        for (let i = 0; i < passesCount; ++i)
+        {
+            const isShadowPass = style.dropShadow && i === 0;
+            const dsOffsetText = isShadowPass ? height * 2 : 0;
+            const dsOffsetShadow = dsOffsetText * this.resolution;
+
+            if (isShadowPass)
+            {
+                const dropShadowColor = style.dropShadowColor;
+                const rgb = hex2rgb(typeof dropShadowColor === 'number' ? dropShadowColor : string2hex(dropShadowColor));
+
+                context.shadowColor = `rgba(${rgb[0] * 255},${rgb[1] * 255},${rgb[2] * 255},${style.dropShadowAlpha})`;
+                context.shadowBlur = style.dropShadowBlur;
+                context.shadowOffsetX = Math.cos(style.dropShadowAngle) * style.dropShadowDistance;
+                context.shadowOffsetY = (Math.sin(style.dropShadowAngle) * style.dropShadowDistance) + dsOffsetShadow;
+            }
+            else
+            {
+                context.shadowColor = 0;
+                context.shadowBlur = 0;
+                context.shadowOffsetX = 0;
+                context.shadowOffsetY = 0;
+            }
+
+            for (let j = 0; j < lineRuns.length; j++)
+            {
+                const { segments, y, ascent, strokeThickness } = lineRuns[j];
+                let linePositionX = strokeThickness / 2;
+                const linePositionY = y + (strokeThickness / 2) + ascent;
+
+                if (style.align === 'right')
+                {
+                    linePositionX += maxLineWidth - lineWidths[j];
+                }
+                else if (style.align === 'center')
+                {
+                    linePositionX += (maxLineWidth - lineWidths[j]) / 2;
+                }
+
+                for (let k = 0; k < segments.length; k++)
+                {
+                    const segment = segments[k];
+                    const segmentStyle = segment.style;
+                    const x = linePositionX + segment.x + style.padding;
+                    const baseline = linePositionY + style.padding - dsOffsetText;
+
+                    if (segment.image)
+                    {
+                        this.drawImage(segment, x, baseline + segment.imageY);
+                        continue;
+                    }
+
+                    context.font = segmentStyle.toFontString();
+                    context.lineWidth = segmentStyle.strokeThickness;
+
+                    if (isShadowPass)
+                    {
+                        // On Safari, text with gradient and drop shadows together do not position correctly
+                        context.fillStyle = 'black';
+                        context.strokeStyle = 'black';
+                    }
+                    else
+                    {
+                        context.fillStyle = this._generateFillStyle(segmentStyle, lines);
+                        context.strokeStyle = segmentStyle.stroke;
+                    }
+
+                    if (segmentStyle.stroke && segmentStyle.strokeThickness)
+                    {
+                        this.drawLetterSpacing(segment.text, x, baseline, true, segmentStyle.letterSpacing);
+                    }
+
+                    if (segmentStyle.fill)
+                    {
+                        this.drawLetterSpacing(segment.text, x, baseline, false, segmentStyle.letterSpacing);
+                    }
+                }
+            }
+        }
+
+        this.updateTexture();
+    }
+
+    /**
+     * Draws an inline image on the canvas.
+     *
+     * @private
+     * @param {object} segment - The measured image segment.
+     * @param {number} x - The left of the image.
+     * @param {number} y - The top of the image.
+     */
+    drawImage(segment, x, y)
+    {
+        const texture = segment.image;
+        const baseTexture = texture.baseTexture;
+        const source = baseTexture.resource && baseTexture.resource.source;
+
+        if (!texture.valid || !source)
+        {
+            return;
+        }
+
+        const frame = texture.frame;
+        const resolution = baseTexture.resolution;
+
+        this.context.drawImage(
+            source,
+            frame.x * resolution,
+            frame.y * resolution,
+            frame.width * resolution,
+            frame.height * resolution,
+            x,
+            y,
+            segment.width - segment.style.letterSpacing,
+            segment.height,
+        );
+    }
+
+    /**
+     * Map of tag names to partial style parameters, e.g. `{ b: { fontWeight: 'bold' } }`.
+     *
+     * @member {Object.<string, object>}
+     */
+    get tagStyles()
+    {
+        return this._tagStyles;
+    }
+
+    set tagStyles(tagStyles) // eslint-disable-line require-jsdoc
+    {
+        this._tagStyles = tagStyles || {};
+        this.dirty = true;
+    }
+
+    /**
+     * Map of names to the textures embedded with `<img=name>` placeholders.
+     * Textures which are not loaded yet are drawn as soon as they are.
+     *
+     * @member {Object.<string, PIXI.Texture>}
+     */
+    get images()
+    {
+        return this._images;
+    }
+
+    set images(images) // eslint-disable-line require-jsdoc
+    {
+        this._removeImageListeners();
+        this._images = images || {};
+        this.dirty = true;
+
+        for (const name in this._images)
+        {
+            const texture = this._images[name];
+
+            if (!texture.valid)
+            {
+                texture.once('update', this._onImageUpdate, this);
+            }
+        }
+    }
+
+    /**
+     * The height of the inline images relative to the height of the font around them.
+     *
+     * @member {number}
+     * @default 1
+     */
+    get imageScale()
+    {
+        return this._imageScale;
+    }
+
+    set imageScale(value) // eslint-disable-line require-jsdoc
+    {
+        this._imageScale = value;
+        this.dirty = true;
+    }
+
+    /**
+     * Called when an inline image which was not loaded yet is updated.
+     *
+     * @private
+     */
+    _onImageUpdate()
+    {
+        this.dirty = true;
+    }
+
+    /**
+     * Stops listening to the inline images which are not loaded yet.
+     *
+     * @private
+     */
+    _removeImageListeners()
+    {
+        for (const name in this._images)
+        {
+            this._images[name].off('update', this._onImageUpdate, this);
+        }
+    }
+
+    /**
+     * Destroys this text object, see {@link PIXI.Text#destroy}.
+     *
+     * @param {object|boolean} [options] - Options parameter, see {@link PIXI.Text#destroy}.
+     */
+    destroy(options)
+    {
+        this._removeImageListeners();
+        this._images = null;
+
+        super.destroy(options);
+    }
+
+    /**
+     * Splits tagged text into runs of text sharing the same style. Each run's style is
+     * the base style with the styles of all the enclosing tags applied in order.
+     *
+     * @static
+     * @param {string} text - The tagged text.
+     * @param {PIXI.TextStyle} style - The base style.
+     * @param {Object.<string, object>} tagStyles - Map of tag names to partial style parameters.
+     * @param {Object.<string, PIXI.Texture>} [images] - Map of names to the textures of `<img=name>` placeholders.
+     * @param {number} [imageScale=1] - The height of the images relative to the height of their font.
+     * @return {PIXI.TextMetrics.Run[]} The runs, empty runs are omitted.
+     */
+    static parseTags(text, style, tagStyles, images = {}, imageScale = 1)
+    {
+        const runs = [];
+        const stack = [];
+        const styles = {};
+        const pattern = /<(\/?)([a-zA-Z][\w-]*)>|<img=([\w-]+)>/g;
+        let lastIndex = 0;
+        let match;
+
+        const styleFor = (tags) =>
+        {
+            const key = tags.join('>');
+
+            if (!styles[key])
+            {
+                const runStyle = tags.length ? style.clone() : style;
+
+                for (let i = 0; i < tags.length; i++)
+                {
+                    Object.assign(runStyle, tagStyles[tags[i]]);
+                }
+
+                styles[key] = runStyle;
+            }
+
+            return styles[key];
+        };
+
+        const addRun = (runText) =>
+        {
+            if (!runText)
+            {
+                return;
+            }
+
+            const last = runs[runs.length - 1];
+            const runStyle = styleFor(stack);
+
+            if (last && !last.image && last.style === runStyle)
+            {
+                last.text += runText;
+            }
+            else
+            {
+                runs.push({ text: runText, style: runStyle });
+            }
+        };
+
+        while ((match = pattern.exec(text)) !== null)
+        {
+            const image = match[3];
+
+            if (image !== undefined)
+            {
+                // unknown images are plain text
+                if (images[image])
+                {
+                    addRun(text.substring(lastIndex, match.index));
+                    lastIndex = pattern.lastIndex;
+                    runs.push({
+                        text: TextMetrics.IMAGE_CHARACTER,
+                        style: styleFor(stack),
+                        image: images[image],
+                        imageScale,
+                    });
+                }
+
+                continue;
+            }
+
+            const isClosing = match[1] === '/';
+            const name = match[2];
+
+            // unknown tags and unmatched closing tags are plain text
+            if (!tagStyles[name] || (isClosing && stack.lastIndexOf(name) < 0))
+            {
+                continue;
+            }
+
+            addRun(text.substring(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            if (isClosing)
+            {
+                stack.splice(stack.lastIndexOf(name), 1);
+            }
+            else
+            {
+                stack.push(name);
+            }
+        }
+
+        addRun(text.substring(lastIndex));
+
+        if (!runs.length)
+        {
+            runs.push({ text: '', style: style instanceof TextStyle ? style : new TextStyle(style) });
+        }
+
+        return runs;
+    }
+}
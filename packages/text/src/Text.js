@@ -260,14 +260,12 @@ export class Text extends Sprite
      * @param {number} y - Vertical position to draw the text
      * @param {boolean} [isStroke=false] - Is this drawing for the outside stroke of the
      *  text? If not, it's for the inside fill
+     * @param {number} [letterSpacing=this.style.letterSpacing] - The letter spacing to draw with
      * @private
      */
-    drawLetterSpacing(text, x, y, isStroke = false)
+    drawLetterSpacing(text, x, y, isStroke = false, letterSpacing = this._style.letterSpacing)
     {
-        const style = this._style;
-
         // letterSpacing of 0 means normal
-        const letterSpacing = style.letterSpacing;
 
         if (letterSpacing === 0)
         {
@@ -21,8 +21,10 @@ export class TextMetrics
      * @param {number} lineHeight - the measured line height for this style
      * @param {number} maxLineWidth - the maximum line width for all measured lines
      * @param {Object} fontProperties - the font properties object from TextMetrics.measureFont
+     * @param {PIXI.TextMetrics.LineRuns[]} [lineRuns] - the styled segments of each line, when measured
+     *  with {@link PIXI.TextMetrics.measureRuns}
      */
-    constructor(text, style, width, height, lines, lineWidths, lineHeight, maxLineWidth, fontProperties)
+    constructor(text, style, width, height, lines, lineWidths, lineHeight, maxLineWidth, fontProperties, lineRuns)
     {
         /**
          * The text that was measured
@@ -86,6 +88,14 @@ export class TextMetrics
          * @member {PIXI.IFontMetrics}
          */
         this.fontProperties = fontProperties;
+
+        /**
+         * The styled segments and vertical metrics of each line, only
+         * available when measured with {@link PIXI.TextMetrics.measureRuns}.
+         *
+         * @member {PIXI.TextMetrics.LineRuns[]}
+         */
+        this.lineRuns = lineRuns || null;
     }
 
     /**
@@ -156,6 +166,338 @@ export class TextMetrics
         );
     }
 
+    /**
+     * Measures runs of text having each their own style, as used by {@link PIXI.RichText}.
+     * Lines are wrapped across the runs, and each line is as high as its tallest run
+     * so that all the runs of a line share the same baseline.
+     *
+     * The layout rules (`wordWrap`, `wordWrapWidth`, `breakWords`, `whiteSpace`, `lineHeight`,
+     * `leading`, `dropShadow`) are taken from the base style.
+     *
+     * @param {PIXI.TextMetrics.Run[]} runs - the runs of text to measure.
+     * @param {PIXI.TextStyle} style - the base style of the text.
+     * @param {boolean} [wordWrap] - optional override for if word-wrap should be applied to the text.
+     * @param {HTMLCanvasElement} [canvas] - optional specification of the canvas to use for measuring.
+     * @return {PIXI.TextMetrics} measured size of the text, with the segments of each line in `lineRuns`.
+     */
+    static measureRuns(runs, style, wordWrap, canvas = TextMetrics._canvas)
+    {
+        wordWrap = (wordWrap === undefined || wordWrap === null) ? style.wordWrap : wordWrap;
+
+        const context = canvas.getContext('2d');
+        const cache = {};
+        const collapseSpaces = wordWrap && TextMetrics.collapseSpaces(style.whiteSpace);
+        const collapseNewlines = wordWrap && TextMetrics.collapseNewlines(style.whiteSpace);
+        const maxWidth = wordWrap ? style.wordWrapWidth : Infinity;
+
+        // split the runs into words (possibly spanning several runs), spaces and new lines
+        const pieces = [];
+        let word = null;
+
+        for (let i = 0; i < runs.length; i++)
+        {
+            const run = runs[i];
+
+            // images are unbreakable and stick to the text around them
+            if (run.image)
+            {
+                if (!word)
+                {
+                    word = { segments: [], newline: false, space: false };
+                    pieces.push(word);
+                }
+
+                word.segments.push(TextMetrics.imageSegment(run));
+                continue;
+            }
+
+            const tokens = TextMetrics.tokenize(run.text);
+
+            for (let j = 0; j < tokens.length; j++)
+            {
+                const token = tokens[j];
+                const segment = { text: token, style: run.style, width: 0 };
+
+                if (TextMetrics.isNewline(token))
+                {
+                    word = null;
+                    pieces.push({ segments: [segment], newline: true, space: false });
+                }
+                else if (TextMetrics.isBreakingSpace(token))
+                {
+                    word = null;
+                    pieces.push({ segments: [segment], newline: false, space: true });
+                }
+                else
+                {
+                    if (!word)
+                    {
+                        word = { segments: [], newline: false, space: false };
+                        pieces.push(word);
+                    }
+
+                    word.segments.push(segment);
+                }
+            }
+        }
+
+        const measure = (segment) =>
+        {
+            const font = segment.style.toFontString();
+
+            if (segment.image)
+            {
+                // sized relative to the height of the font, keeping the aspect ratio
+                const { ascent, descent } = TextMetrics.measureFont(font);
+                const { width, height } = segment.image;
+                const size = ascent + descent;
+
+                segment.height = height ? size * segment.imageScale : 0;
+                segment.width = height ? (segment.height * width / height) + segment.style.letterSpacing : 0;
+                segment.imageY = -ascent - ((segment.height - size) / 2);
+
+                return segment.width;
+            }
+
+            if (!cache[font])
+            {
+                cache[font] = {};
+            }
+
+            context.font = font;
+            segment.width = TextMetrics.getFromCache(segment.text, segment.style.letterSpacing, cache[font], context);
+
+            return segment.width;
+        };
+
+        const lines = [];
+        let line = [];
+        let lineWidth = 0;
+
+        // whether or not spaces may be added to the beginning of lines
+        let canPrependSpaces = !collapseSpaces;
+
+        const addLine = () =>
+        {
+            // don't keep breaking spaces at the end of lines
+            while (line.length && TextMetrics.isBreakingSpace(line[line.length - 1].text))
+            {
+                lineWidth -= line.pop().width;
+            }
+
+            lines.push({ segments: line, width: lineWidth });
+            line = [];
+            lineWidth = 0;
+        };
+
+        const addSegment = (segment) =>
+        {
+            segment.x = lineWidth;
+            line.push(segment);
+            lineWidth += segment.width;
+        };
+
+        for (let i = 0; i < pieces.length; i++)
+        {
+            const piece = pieces[i];
+
+            if (piece.newline)
+            {
+                if (!collapseNewlines)
+                {
+                    addLine();
+                    canPrependSpaces = !collapseSpaces;
+                    continue;
+                }
+
+                // collapsed new lines become spaces
+                piece.segments[0].text = ' ';
+                piece.space = true;
+            }
+
+            if (piece.space)
+            {
+                const lastSegment = line[line.length - 1];
+
+                if (collapseSpaces && lastSegment && TextMetrics.isBreakingSpace(lastSegment.text))
+                {
+                    continue;
+                }
+
+                const width = measure(piece.segments[0]);
+
+                if (lineWidth + width > maxWidth)
+                {
+                    addLine();
+                    canPrependSpaces = false;
+                    continue;
+                }
+
+                if (line.length > 0 || canPrependSpaces)
+                {
+                    addSegment(piece.segments[0]);
+                }
+
+                continue;
+            }
+
+            let width = 0;
+
+            for (let j = 0; j < piece.segments.length; j++)
+            {
+                width += measure(piece.segments[j]);
+            }
+
+            if (lineWidth + width > maxWidth && line.length > 0)
+            {
+                addLine();
+                canPrependSpaces = false;
+            }
+
+            // word is longer than a whole line, break it in characters across the runs
+            if (width > maxWidth && TextMetrics.canBreakWords(piece.segments.map((s) => s.text).join(''), style.breakWords))
+            {
+                for (let j = 0; j < piece.segments.length; j++)
+                {
+                    const segment = piece.segments[j];
+
+                    if (segment.image)
+                    {
+                        if (lineWidth + segment.width > maxWidth && line.length > 0)
+                        {
+                            addLine();
+                        }
+
+                        addSegment(segment);
+                        continue;
+                    }
+
+                    const characters = TextMetrics.wordWrapSplit(segment.text);
+                    let current = null;
+
+                    for (let k = 0; k < characters.length; k++)
+                    {
+                        const char = { text: characters[k], style: segment.style, width: 0 };
+                        const charWidth = measure(char);
+
+                        if (lineWidth + charWidth > maxWidth && line.length > 0)
+                        {
+                            addLine();
+                            current = null;
+                        }
+
+                        // merge the characters back into one segment per line
+                        if (current)
+                        {
+                            current.text += char.text;
+                            current.width += charWidth;
+                            lineWidth += charWidth;
+                        }
+                        else
+                        {
+                            current = char;
+                            addSegment(current);
+                        }
+                    }
+                }
+            }
+            else
+            {
+                for (let j = 0; j < piece.segments.length; j++)
+                {
+                    addSegment(piece.segments[j]);
+                }
+            }
+        }
+
+        addLine();
+
+        // vertical metrics, each line fits its tallest run
+        const lineRuns = [];
+        const lineWidths = [];
+        const lineTexts = [];
+        const baseProperties = TextMetrics.measureFont(style.toFontString());
+        let maxLineWidth = 0;
+        let maxStrokeThickness = style.strokeThickness;
+        let height = 0;
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const { segments, width } = lines[i];
+            let ascent = segments.length ? 0 : baseProperties.ascent;
+            let descent = segments.length ? 0 : baseProperties.descent;
+            let strokeThickness = segments.length ? 0 : style.strokeThickness;
+
+            for (let j = 0; j < segments.length; j++)
+            {
+                const segment = segments[j];
+                const fontProperties = TextMetrics.measureFont(segment.style.toFontString());
+
+                ascent = Math.max(ascent, fontProperties.ascent);
+                descent = Math.max(descent, fontProperties.descent);
+
+                if (segment.image)
+                {
+                    ascent = Math.max(ascent, -segment.imageY);
+                    descent = Math.max(descent, segment.height + segment.imageY);
+                }
+
+                strokeThickness = Math.max(strokeThickness, segment.style.strokeThickness);
+            }
+
+            const lineHeight = style.lineHeight || ascent + descent + strokeThickness;
+
+            lineRuns.push({ segments, y: height, ascent, descent, lineHeight, strokeThickness });
+            lineWidths.push(width);
+            lineTexts.push(segments.map((s) => s.text).join(''));
+
+            maxLineWidth = Math.max(maxLineWidth, width);
+            maxStrokeThickness = Math.max(maxStrokeThickness, strokeThickness);
+            height += lineHeight + (i < lines.length - 1 ? style.leading : 0);
+        }
+
+        let width = maxLineWidth + maxStrokeThickness;
+
+        if (style.dropShadow)
+        {
+            width += style.dropShadowDistance;
+            height += style.dropShadowDistance;
+        }
+
+        return new TextMetrics(
+            lineTexts.join('\n'),
+            style,
+            width,
+            height,
+            lineTexts,
+            lineWidths,
+            lineRuns[0].lineHeight + style.leading,
+            maxLineWidth,
+            baseProperties,
+            lineRuns,
+        );
+    }
+
+    /**
+     * Creates the segment of an image run, measured later along with the text.
+     *
+     * @private
+     * @param {PIXI.TextMetrics.Run} run - The image run.
+     * @return {object} The segment.
+     */
+    static imageSegment(run)
+    {
+        return {
+            text: TextMetrics.IMAGE_CHARACTER,
+            style: run.style,
+            image: run.image,
+            imageScale: run.imageScale || 1,
+            width: 0,
+            height: 0,
+            imageY: 0,
+        };
+    }
+
     /**
      * Applies newlines to a string to have it optimally fit into the horizontal
      * bounds set by the Text object's wordWrapWidth property.
@@ -718,6 +1060,33 @@ export class TextMetrics
  * @private
  */
 
+/**
+ * A run of text sharing the same style, the input of
+ * {@link PIXI.TextMetrics.measureRuns `TextMetrics.measureRuns`}.
+ *
+ * @typedef {object} Run
+ * @property {string} text - The text of the run, ignored for images
+ * @property {PIXI.TextStyle} style - The style of the run
+ * @property {PIXI.Texture} [image] - An inline image, laid out as an unbreakable part of the word around it
+ * @property {number} [imageScale=1] - The height of the image relative to the height of the font of the run
+ * @memberof PIXI.TextMetrics
+ */
+
+/**
+ * A measured line of styled runs, from {@link PIXI.TextMetrics.measureRuns `TextMetrics.measureRuns`}.
+ *
+ * @typedef {object} LineRuns
+ * @property {Array<{text: string, style: PIXI.TextStyle, x: number, width: number}>} segments - The
+ *  segments of the line with their horizontal position, image segments also have `image`, `height`
+ *  and `imageY`, the top of the image relative to the baseline
+ * @property {number} y - The top of the line
+ * @property {number} ascent - The largest ascent of the segments, all the segments share this baseline
+ * @property {number} descent - The largest descent of the segments
+ * @property {number} lineHeight - The height of the line
+ * @property {number} strokeThickness - The largest stroke thickness of the segments
+ * @memberof PIXI.TextMetrics
+ */
+
 const canvas = (() =>
 {
     try
@@ -802,6 +1171,17 @@ TextMetrics.BASELINE_SYMBOL = 'M';
  */
 TextMetrics.BASELINE_MULTIPLIER = 1.4;
 
+/**
+ * Character standing for inline images in the measured lines of text.
+ *
+ * @static
+ * @memberof PIXI.TextMetrics
+ * @name IMAGE_CHARACTER
+ * @type {string}
+ * @default \uFFFC
+ */
+TextMetrics.IMAGE_CHARACTER = '\uFFFC';
+
 /**
  * Cache of new line chars.
  *
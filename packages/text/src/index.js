@@ -1,4 +1,5 @@
 export * from './Text';
+export * from './RichText';
 export * from './TextStyle';
 export * from './TextMetrics';
 
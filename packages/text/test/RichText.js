@@ -0,0 +1,117 @@
+const { RichText, TextStyle, TextMetrics } = require('../');
+const { BaseTexture, Texture } = require('@pixi/core');
+
+describe('PIXI.RichText', function ()
+{
+    describe('parseTags', function ()
+    {
+        it('should split text into styled runs', function ()
+        {
+            const style = new TextStyle({ fontSize: 20 });
+            const runs = RichText.parseTags('foo <b>bar</b> baz', style, { b: { fontWeight: 'bold' } });
+
+            expect(runs.map((r) => r.text)).to.deep.equal(['foo ', 'bar', ' baz']);
+            expect(runs[0].style).to.equal(style);
+            expect(runs[1].style.fontWeight).to.equal('bold');
+            expect(runs[1].style.fontSize).to.equal(20);
+            expect(runs[2].style).to.equal(style);
+        });
+
+        it('should apply nested tags in order', function ()
+        {
+            const runs = RichText.parseTags('<a>x<b>y</b></a>', new TextStyle(), {
+                a: { fill: 'red', fontSize: 10 },
+                b: { fill: 'blue' },
+            });
+
+            expect(runs[1].style.fill).to.equal('blue');
+            expect(runs[1].style.fontSize).to.equal(10);
+        });
+
+        it('should keep unknown and unmatched tags as text', function ()
+        {
+            const runs = RichText.parseTags('<i>x</i></b>', new TextStyle(), { b: {} });
+
+            expect(runs).to.have.lengthOf(1);
+            expect(runs[0].text).to.equal('<i>x</i></b>');
+        });
+
+        it('should reuse styles of identical tag stacks', function ()
+        {
+            const runs = RichText.parseTags('<b>x</b> <b>y</b>', new TextStyle(), { b: { fontWeight: 'bold' } });
+
+            expect(runs[0].style).to.equal(runs[2].style);
+        });
+
+        it('should parse inline images', function ()
+        {
+            const runs = RichText.parseTags('a<img=icon>b<img=none>', new TextStyle(), {}, { icon: Texture.WHITE }, 2);
+
+            expect(runs).to.have.lengthOf(3);
+            expect(runs[1].image).to.equal(Texture.WHITE);
+            expect(runs[1].imageScale).to.equal(2);
+            expect(runs[2].text).to.equal('b<img=none>');
+        });
+
+        it('should size inline images with the font', function ()
+        {
+            const style = new TextStyle({ fontSize: 20 });
+            const runs = RichText.parseTags('a<img=icon>', style, {}, { icon: Texture.WHITE });
+            const metrics = TextMetrics.measureRuns(runs, style);
+            const { ascent, descent } = TextMetrics.measureFont(style.toFontString());
+            const image = metrics.lineRuns[0].segments[1];
+
+            expect(metrics.lines[0]).to.equal(`a${TextMetrics.IMAGE_CHARACTER}`);
+            expect(image.height).to.equal(ascent + descent);
+            expect(image.width).to.equal(image.height);
+            expect(image.imageY).to.equal(-ascent);
+        });
+    });
+
+    describe('updateText', function ()
+    {
+        it('should be wider with bigger tagged text', function ()
+        {
+            const plain = new RichText('foo <big>bar</big>', { fontSize: 20 });
+            const rich = new RichText('foo <big>bar</big>', { fontSize: 20 }, { big: { fontSize: 40 } });
+
+            expect(rich.width).to.be.above(plain.width);
+            expect(rich.height).to.be.above(plain.height);
+        });
+
+        it('should update when tagStyles change', function ()
+        {
+            const text = new RichText('<big>bar</big>', { fontSize: 20 }, { big: { fontSize: 20 } });
+            const width = text.width;
+
+            text.tagStyles = { big: { fontSize: 40 } };
+
+            expect(text.width).to.be.above(width);
+        });
+
+        it('should stop listening to loading images when they are replaced or destroyed', function ()
+        {
+            const text = new RichText('a<img=icon>');
+            const loading = new Texture(new BaseTexture());
+
+            text.images = { icon: loading };
+
+            expect(loading.listenerCount('update')).to.equal(1);
+
+            text.images = { icon: loading };
+
+            expect(loading.listenerCount('update')).to.equal(1);
+
+            text.images = { icon: Texture.WHITE };
+
+            expect(loading.listenerCount('update')).to.equal(0);
+
+            text.images = { icon: loading };
+            text.destroy();
+
+            expect(loading.listenerCount('update')).to.equal(0);
+
+            loading.destroy(true);
+        });
+    });
+});
@@ -679,4 +679,47 @@ describe('PIXI.TextMetrics', function ()
             expect(metrics.lines[1]).to.equal('9999------');
         });
     });
+
+    describe('measureRuns', function ()
+    {
+        it('should keep runs of one line on the same line', function ()
+        {
+            const style = new TextStyle({ fontSize: 20 });
+            const bigStyle = new TextStyle({ fontSize: 40 });
+            const metrics = TextMetrics.measureRuns([
+                { text: 'foo ', style },
+                { text: 'bar', style: bigStyle },
+            ], style);
+
+            expect(metrics.lines).to.deep.equal(['foo bar']);
+            expect(metrics.lineRuns).to.have.lengthOf(1);
+            expect(metrics.lineRuns[0].segments.map((s) => s.text)).to.deep.equal(['foo', ' ', 'bar']);
+            expect(metrics.lineRuns[0].ascent).to.equal(TextMetrics.measureFont(bigStyle.toFontString()).ascent);
+        });
+
+        it('should wrap words spanning several runs as a whole', function ()
+        {
+            const style = new TextStyle({ fontSize: 20, wordWrap: true, wordWrapWidth: 100 });
+            const boldStyle = style.clone();
+
+            boldStyle.fontWeight = 'bold';
+
+            const metrics = TextMetrics.measureRuns([
+                { text: 'aaaa aaa', style },
+                { text: 'bbb', style: boldStyle },
+            ], style);
+
+            expect(metrics.lines).to.deep.equal(['aaaa', 'aaabbb']);
+            expect(metrics.lineRuns[1].segments[1].x).to.equal(metrics.lineRuns[1].segments[0].width);
+            expect(metrics.lineRuns[1].y).to.equal(metrics.lineRuns[0].lineHeight);
+        });
+
+        it('should break new lines', function ()
+        {
+            const style = new TextStyle();
+            const metrics = TextMetrics.measureRuns([{ text: 'foo\nbar', style }], style);
+
+            expect(metrics.lines).to.deep.equal(['foo', 'bar']);
+        });
+    });
 });
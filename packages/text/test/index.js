@@ -1,3 +1,4 @@
 require('./Text');
 require('./TextStyle');
 require('./TextMetrics');
+require('./RichText');
@@ -0,0 +1,88 @@
+export type EasingFunction = (t: number) => number;
+
+/**
+ * Overshoot of the back easing curves.
+ *
+ * @ignore
+ * @private
+ */
+const BACK = 1.70158;
+
+/**
+ * The bounce curve, bouncing at the end.
+ *
+ * @ignore
+ * @private
+ * @param {number} t - Progress, from 0 to 1
+ * @return {number} The eased progress
+ */
+function bounceOut(t: number): number
+{
+    if (t < 1 / 2.75)
+    {
+        return 7.5625 * t * t;
+    }
+    if (t < 2 / 2.75)
+    {
+        t -= 1.5 / 2.75;
+
+        return (7.5625 * t * t) + 0.75;
+    }
+    if (t < 2.5 / 2.75)
+    {
+        t -= 2.25 / 2.75;
+
+        return (7.5625 * t * t) + 0.9375;
+    }
+
+    t -= 2.625 / 2.75;
+
+    return (7.5625 * t * t) + 0.984375;
+}
+
+/**
+ * The "in" variant of each family of easing curves, the "out" and "in-out" variants are derived from them.
+ *
+ * @ignore
+ * @private
+ */
+const curves: { [name: string]: EasingFunction } = {
+    quad: (t) => t * t,
+    cubic: (t) => t * t * t,
+    quart: (t) => t * t * t * t,
+    quint: (t) => t * t * t * t * t,
+    sine: (t) => 1 - Math.cos(t * Math.PI / 2),
+    expo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1))),
+    circ: (t) => 1 - Math.sqrt(1 - (t * t)),
+    back: (t) => t * t * (((BACK + 1) * t) - BACK),
+    elastic: (t) => (t === 0 || t === 1 ? t : -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI)),
+    bounce: (t) => 1 - bounceOut(1 - t),
+};
+
+/**
+ * Standard easing curves for {@link PIXI.Tween}, mapping the progress of an animation,
+ * from 0 to 1, to the progress of the animated values.
+ *
+ * Besides `linear`, each of the `quad`, `cubic`, `quart`, `quint`, `sine`, `expo`, `circ`,
+ * `back`, `elastic` and `bounce` families has an `In`, `Out` and `InOut` variant,
+ * e.g. `quadIn`, `quadOut` and `quadInOut`.
+ *
+ * ```js
+ * app.tweens.to(sprite, { x: 100 }, { duration: 500, ease: 'bounceOut' });
+ * app.tweens.to(sprite, { y: 100 }, { duration: 500, ease: PIXI.Easing.backInOut });
+ * ```
+ *
+ * @namespace PIXI.Easing
+ */
+export const Easing: { [name: string]: EasingFunction } = {
+    linear: (t) => t,
+};
+
+for (const name in curves)
+{
+    const easeIn = curves[name];
+
+    Easing[`${name}In`] = easeIn;
+    Easing[`${name}Out`] = (t): number => 1 - easeIn(1 - t);
+    Easing[`${name}InOut`] = (t): number => (t < 0.5 ? easeIn(t * 2) / 2 : 1 - (easeIn(2 - (t * 2)) / 2));
+}
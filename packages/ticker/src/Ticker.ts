@@ -25,8 +25,14 @@ export class Ticker
     public lastTime: number;
     public speed: number;
     public started: boolean;
+    public fixedDeltaMS: number;
+    public maxFixedSteps: number;
+    public alpha: number;
+    public clock: () => number;
 
     private _head: TickerListener;
+    private _fixedHead: TickerListener;
+    private _accumulator: number;
     private _requestId: number;
     private _maxElapsedMS: number;
     private _minElapsedMS: number;
@@ -43,6 +49,20 @@ export class Ticker
          */
         this._head = new TickerListener(null, null, Infinity);
 
+        /**
+         * The head of the fixed-step listeners, see {@link PIXI.Ticker#addFixed}.
+         * @private
+         * @type {TickerListener}
+         */
+        this._fixedHead = new TickerListener(null, null, Infinity);
+
+        /**
+         * Elapsed time not simulated yet by fixed-step listeners, in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this._accumulator = 0;
+
         /**
          * 内部当前帧请求ID
          * @type {?number}
@@ -151,6 +171,53 @@ export class Ticker
          */
         this.started = false;
 
+        /**
+         * Duration of the steps of fixed-step listeners, in milliseconds, see {@link PIXI.Ticker#addFixed}.
+         * Scaled by {@link PIXI.Ticker#speed} like other listeners: slower speeds run fewer steps.
+         *
+         * @member {number}
+         * @default 16.66
+         */
+        this.fixedDeltaMS = 1 / settings.TARGET_FPMS;
+
+        /**
+         * Maximum number of fixed steps run by one update. The time left over is dropped,
+         * so that slow steps can't make each update slower than the previous one.
+         *
+         * @member {number}
+         * @default 10
+         */
+        this.maxFixedSteps = 10;
+
+        /**
+         * How far the fixed-step simulation is into the next step, from 0 to 1, to interpolate
+         * rendering between the last two steps. Always 0 without fixed-step listeners.
+         *
+         * @member {number}
+         * @default 0
+         * @readonly
+         */
+        this.alpha = 0;
+
+        /**
+         * Source of the current time in milliseconds, `performance.now()` when `null`.
+         * A manual clock makes updates deterministic, e.g. in tests or lockstep games:
+         *
+         * ```js
+         * let time = 0;
+         *
+         * ticker.clock = () => time;
+         * time += 100;
+         * ticker.update();
+         * ```
+         *
+         * See also {@link PIXI.Ticker#advance}.
+         *
+         * @member {Function}
+         * @default null
+         */
+        this.clock = null;
+
         /**
          * If enabled, deleting is disabled.
          * @member {boolean}
@@ -185,10 +252,10 @@ export class Ticker
 
             if (this.started)
             {
-                // Invoke listeners now
-                this.update(time);
+                // Invoke listeners now, a manual clock replaces the frame time
+                this.update(this.clock ? this.clock() : time);
                 // Listener side effects may have modified ticker state.
-                if (this.started && this._requestId === null && this._head.next)
+                if (this.started && this._requestId === null && this._hasListeners())
                 {
                     this._requestId = requestAnimationFrame(this._tick);
                 }
@@ -205,15 +272,37 @@ export class Ticker
      */
     private _requestIfNeeded(): void
     {
-        if (this._requestId === null && this._head.next)
+        if (this._requestId === null && this._hasListeners())
         {
             // ensure callbacks get correct delta
-            this.lastTime = performance.now();
+            this.lastTime = this._now();
             this._lastFrame = this.lastTime;
             this._requestId = requestAnimationFrame(this._tick);
         }
     }
 
+    /**
+     * The current time, from the {@link PIXI.Ticker#clock}.
+     *
+     * @private
+     * @returns {number} The time in milliseconds
+     */
+    private _now(): number
+    {
+        return this.clock ? this.clock() : performance.now();
+    }
+
+    /**
+     * Whether there are listeners to update, including fixed-step listeners.
+     *
+     * @private
+     * @returns {boolean} Whether there are listeners
+     */
+    private _hasListeners(): boolean
+    {
+        return !!(this._head.next || this._fixedHead.next);
+    }
+
     /**
      * Conditionally cancels a pending animation frame.
      *
@@ -277,6 +366,29 @@ export class Ticker
         return this._addListener(new TickerListener(fn, context, priority, true));
     }
 
+    /**
+     * Register a handler for fixed steps, for physics or lockstep simulations. On each update,
+     * the elapsed time is accumulated and the handler is called once per {@link PIXI.Ticker#fixedDeltaMS}
+     * accumulated, with the constant deltaTime of a step, before the other handlers.
+     * The time left over is exposed by {@link PIXI.Ticker#alpha} for interpolation.
+     *
+     * ```js
+     * ticker.addFixed((deltaTime) => world.step(deltaTime));
+     * ticker.add(() => sprite.x = lerp(body.previousX, body.x, ticker.alpha));
+     * ```
+     *
+     * Fixed-step handlers are removed with {@link PIXI.Ticker#remove}.
+     *
+     * @param {Function} fn - The listener function to be added for fixed steps
+     * @param {*} [context] - The listener context
+     * @param {number} [priority=PIXI.UPDATE_PRIORITY.NORMAL] - The priority for emitting
+     * @returns {PIXI.Ticker} This instance of a ticker
+     */
+    addFixed<T = any>(fn: TickerCallback<T>, context: T, priority = UPDATE_PRIORITY.NORMAL): this
+    {
+        return this._addListener(new TickerListener(fn, context, priority), this._fixedHead);
+    }
+
     /**
      * Internally adds the event handler so that it can be sorted by priority.
      * Priority allows certain handler (user, AnimatedSprite, Interaction) to be run
@@ -284,13 +396,14 @@ export class Ticker
      *
      * @private
      * @param {TickerListener} listener - Current listener being added.
+     * @param {TickerListener} [head] - The head of the list to add to.
      * @returns {PIXI.Ticker} This instance of a ticker
      */
-    private _addListener(listener: TickerListener): this
+    private _addListener(listener: TickerListener, head = this._head): this
     {
         // For attaching to head
-        let current = this._head.next;
-        let previous = this._head;
+        let current = head.next;
+        let previous = head;
 
         // Add the first item
         if (!current)
@@ -324,7 +437,7 @@ export class Ticker
     }
 
     /**
-     * Removes any handlers matching the function and context parameters.
+     * Removes any handlers matching the function and context parameters, fixed-step handlers included.
      * If no handlers are left after removing, then it cancels the animation frame.
      *
      * @param {Function} fn - The listener function to be removed
@@ -333,24 +446,29 @@ export class Ticker
      */
     remove<T = any>(fn: TickerCallback<T>, context: T): this
     {
-        let listener = this._head.next;
+        const heads = [this._head, this._fixedHead];
 
-        while (listener)
+        for (let i = 0; i < heads.length; i++)
         {
-            // We found a match, lets remove it
-            // no break to delete all possible matches
-            // incase a listener was added 2+ times
-            if (listener.match(fn, context))
-            {
-                listener = listener.destroy();
-            }
-            else
+            let listener = heads[i].next;
+
+            while (listener)
             {
-                listener = listener.next;
+                // We found a match, lets remove it
+                // no break to delete all possible matches
+                // incase a listener was added 2+ times
+                if (listener.match(fn, context))
+                {
+                    listener = listener.destroy();
+                }
+                else
+                {
+                    listener = listener.next;
+                }
             }
         }
 
-        if (!this._head.next)
+        if (!this._hasListeners())
         {
             this._cancelIfNeeded();
         }
@@ -359,7 +477,7 @@ export class Ticker
     }
 
     /**
-     * Counts the number of listeners on this ticker.
+     * Counts the number of listeners on this ticker, fixed-step listeners included.
      *
      * @returns {number} The number of listeners on this ticker
      */
@@ -371,11 +489,16 @@ export class Ticker
         }
 
         let count = 0;
-        let current = this._head;
+        const heads = [this._head, this._fixedHead];
 
-        while ((current = current.next))
+        for (let i = 0; i < heads.length; i++)
         {
-            count++;
+            let current = heads[i];
+
+            while ((current = current.next))
+            {
+                count++;
+            }
         }
 
         return count;
@@ -417,16 +540,79 @@ export class Ticker
         {
             this.stop();
 
-            let listener = this._head.next;
+            const heads = [this._head, this._fixedHead];
 
-            while (listener)
+            for (let i = 0; i < heads.length; i++)
             {
-                listener = listener.destroy(true);
+                let listener = heads[i].next;
+
+                while (listener)
+                {
+                    listener = listener.destroy(true);
+                }
+
+                heads[i].destroy();
             }
 
-            this._head.destroy();
             this._head = null;
+            this._fixedHead = null;
+        }
+    }
+
+    /**
+     * Runs the fixed steps of the elapsed time.
+     *
+     * @private
+     * @param {number} elapsedMS - The elapsed time, capped and scaled
+     */
+    private _updateFixed(elapsedMS: number): void
+    {
+        const head = this._fixedHead;
+        const deltaTime = this.fixedDeltaMS * settings.TARGET_FPMS;
+        let steps = 0;
+
+        this._accumulator += elapsedMS;
+
+        while (this._accumulator >= this.fixedDeltaMS && steps < this.maxFixedSteps)
+        {
+            let listener = head.next;
+
+            while (listener)
+            {
+                listener = listener.emit(deltaTime);
+            }
+
+            this._accumulator -= this.fixedDeltaMS;
+            steps++;
+        }
+
+        // drop the time the steps can't catch up with
+        if (this._accumulator >= this.fixedDeltaMS)
+        {
+            this._accumulator %= this.fixedDeltaMS;
+        }
+
+        this.alpha = this._accumulator / this.fixedDeltaMS;
+    }
+
+    /**
+     * Updates the ticker as if time advanced, without reading the clock,
+     * for deterministic updates, e.g. in tests. The elapsed time is capped by {@link PIXI.Ticker#minFPS}.
+     *
+     * ```js
+     * ticker.advance(1000 / 60);
+     * ```
+     *
+     * @param {number} elapsedMS - The time to advance, in milliseconds
+     */
+    advance(elapsedMS: number): void
+    {
+        if (this.lastTime < 0)
+        {
+            this.lastTime = this._lastFrame = 0;
         }
+
+        this.update(this.lastTime + elapsedMS);
     }
 
     /**
@@ -440,9 +626,10 @@ export class Ticker
      * frame callbacks if the ticker instance has been started
      * and listeners are added.
      *
-     * @param {number} [currentTime=performance.now()] - the current time of execution
+     * @param {number} [currentTime=performance.now()] - the current time of execution,
+     *  from the {@link PIXI.Ticker#clock} by default
      */
-    update(currentTime = performance.now()): void
+    update(currentTime = this._now()): void
     {
         let elapsedMS;
 
@@ -495,6 +682,17 @@ export class Ticker
             // Cache a local reference, in-case ticker is destroyed
             // during the emit, we can still check for head.next
             const head = this._head;
+            const fixedHead = this._fixedHead;
+
+            if (fixedHead.next)
+            {
+                this._updateFixed(elapsedMS);
+            }
+            else
+            {
+                this._accumulator = 0;
+                this.alpha = 0;
+            }
 
             // Invoke listeners added to internal emitter
             let listener = head.next;
@@ -504,7 +702,7 @@ export class Ticker
                 listener = listener.emit(this.deltaTime);
             }
 
-            if (!head.next)
+            if (!head.next && !fixedHead.next)
             {
                 this._cancelIfNeeded();
             }
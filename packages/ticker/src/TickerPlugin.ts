@@ -1,5 +1,6 @@
 import { Ticker } from './Ticker';
 import { UPDATE_PRIORITY } from './const';
+import { TweenManager } from './TweenManager';
 
 /**
  * Middleware for for Application Ticker.
@@ -18,6 +19,7 @@ export class TickerPlugin
     static stop: () => void;
     static _ticker: Ticker;
     static ticker: Ticker;
+    static tweens: TweenManager;
 
     /**
      * Initialize the plugin with scope of application instance
@@ -44,6 +46,7 @@ export class TickerPlugin
                         this._ticker.remove(this.render, this);
                     }
                     this._ticker = ticker;
+                    this.tweens.ticker = ticker;
                     if (ticker)
                     {
                         ticker.add(this.render, this, UPDATE_PRIORITY.LOW);
@@ -85,6 +88,18 @@ export class TickerPlugin
          */
         this._ticker = null;
 
+        /**
+         * Tweens updated by the ticker, paused when the application is stopped.
+         *
+         * @example
+         * app.tweens.to(sprite, { x: 100 }, { duration: 500, ease: 'quadOut' });
+         *
+         * @type {PIXI.TweenManager}
+         * @name tweens
+         * @memberof PIXI.Application#
+         */
+        this.tweens = new TweenManager();
+
         /**
          * Ticker for doing render updates.
          *
@@ -117,5 +132,8 @@ export class TickerPlugin
             this.ticker = null;
             oldTicker.destroy();
         }
+
+        this.tweens.destroy();
+        this.tweens = null;
     }
 }
@@ -0,0 +1,109 @@
+import { Tween, ITweenOptions } from './Tween';
+
+interface ITimelineChild {
+    tween: Tween;
+    position: number;
+    reached: boolean;
+}
+
+/**
+ * Plays tweens at set times, in sequence or overlapping. A timeline is a {@link PIXI.Tween}
+ * itself: it can be delayed, repeated, played as a yoyo, awaited, and nested in other timelines.
+ * Its duration is the end of its last tween.
+ *
+ * ```js
+ * app.tweens.timeline()
+ *     .to(sprite, { x: 100 }, { duration: 500 })
+ *     .to(sprite, { y: 100 }, { duration: 500 })
+ *     .add(new PIXI.Tween(sprite, { alpha: 0 }, { duration: 250 }), 750);
+ * ```
+ *
+ * @class
+ * @extends PIXI.Tween
+ * @memberof PIXI
+ */
+export class Timeline extends Tween
+{
+    private _children: ITimelineChild[];
+
+    /**
+     * @param {object} [options] - Timing of the timeline, see {@link PIXI.Tween}. The duration and easing are ignored.
+     */
+    constructor(options?: ITweenOptions)
+    {
+        super(null, {}, options);
+
+        this.duration = 0;
+
+        /**
+         * The tweens and their start time.
+         *
+         * @member {object[]}
+         * @private
+         */
+        this._children = [];
+    }
+
+    /**
+     * Adds a tween to play at a time of the timeline.
+     *
+     * @param {PIXI.Tween} tween - The tween, which must not be added to a manager.
+     * @param {number} [position] - Start time of the tween, in milliseconds. The end of the timeline by default.
+     * @return {PIXI.Timeline} This timeline, for chaining.
+     */
+    add(tween: Tween, position = this.duration): this
+    {
+        this._children.push({ tween, position, reached: false });
+        this.duration = Math.max(this.duration, position + tween.totalDuration);
+
+        return this;
+    }
+
+    /**
+     * Adds a tween to play at the end of the timeline.
+     *
+     * @param {object} target - The object to animate.
+     * @param {object} props - The end values, by property name.
+     * @param {object} [options] - Timing of the tween, see {@link PIXI.Tween}.
+     * @return {PIXI.Timeline} This timeline, for chaining.
+     */
+    to(target: any, props: { [name: string]: any }, options?: ITweenOptions): this
+    {
+        return this.add(new Tween(target, props, options));
+    }
+
+    /**
+     * Timelines have no values of their own.
+     *
+     * @protected
+     */
+    protected _start(): void
+    {
+        // nothing to read
+    }
+
+    /**
+     * Seeks the tweens reached at a time.
+     *
+     * @protected
+     * @param {number} time - Time since the start of the play, in milliseconds.
+     */
+    protected _render(time: number): void
+    {
+        for (let i = 0; i < this._children.length; i++)
+        {
+            const child = this._children[i];
+
+            // tweens read their start values when reached, not before
+            if (time >= child.position)
+            {
+                child.reached = true;
+            }
+
+            if (child.reached)
+            {
+                child.tween.seek(Math.max(time - child.position, 0));
+            }
+        }
+    }
+}
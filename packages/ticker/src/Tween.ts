@@ -0,0 +1,550 @@
+import { Easing, EasingFunction } from './Easing';
+import { TweenManager } from './TweenManager';
+
+export interface ITweenOptions {
+    duration?: number;
+    delay?: number;
+    ease?: string | EasingFunction;
+    repeat?: number;
+    yoyo?: boolean;
+    onStart?: () => void;
+    onUpdate?: () => void;
+    onComplete?: () => void;
+}
+
+/**
+ * Kinds of animated values.
+ *
+ * @ignore
+ * @private
+ */
+enum VALUE_TYPES {
+    NUMBER,
+    POINT,
+    COLOR,
+}
+
+interface ITweenValue {
+    name: string;
+    type: VALUE_TYPES;
+    from: number[];
+    to: number[];
+}
+
+/**
+ * Animates properties of an object over time: numbers, points such as `position`, `scale`
+ * or `pivot`, and colors such as `tint`, see {@link PIXI.Tween.COLOR_PROPERTIES}.
+ * Points can be animated to a point-like object, or to a number for both coordinates.
+ *
+ * Tweens are usually created and updated by a {@link PIXI.TweenManager}, e.g. `app.tweens`:
+ *
+ * ```js
+ * const tween = app.tweens.to(sprite, { x: 100, scale: 2, tint: 0xff0000 }, {
+ *     duration: 500,
+ *     ease: 'quadOut',
+ *     repeat: 1,
+ *     yoyo: true,
+ * });
+ *
+ * await tween.promise;
+ * ```
+ *
+ * The start values are read from the target when the tween starts, after its delay.
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class Tween
+{
+    public target: any;
+    public duration: number;
+    public delay: number;
+    public ease: EasingFunction;
+    public repeat: number;
+    public yoyo: boolean;
+    public time: number;
+    public paused: boolean;
+    public manager: TweenManager;
+    public onStart: () => void;
+    public onUpdate: () => void;
+    public onComplete: () => void;
+
+    protected _started: boolean;
+    protected _completed: boolean;
+
+    private _props: { [name: string]: any };
+    private _values: ITweenValue[];
+    private _chained: Tween[];
+    private _promise: Promise<void>;
+    private _resolve: () => void;
+
+    /**
+     * The properties animated as colors, channel by channel.
+     *
+     * @static
+     * @member {string[]}
+     * @default ['tint']
+     */
+    static COLOR_PROPERTIES: string[] = ['tint'];
+
+    /**
+     * @param {object} target - The object to animate.
+     * @param {object} props - The end values, by property name.
+     * @param {object} [options] - Timing of the tween.
+     * @param {number} [options.duration=1000] - Duration of one play, in milliseconds.
+     * @param {number} [options.delay=0] - Time before starting, in milliseconds.
+     * @param {string|Function} [options.ease='linear'] - Easing curve, a function or the name of one
+     *  of {@link PIXI.Easing}.
+     * @param {number} [options.repeat=0] - Number of times to play again, `-1` to repeat forever.
+     * @param {boolean} [options.yoyo=false] - Whether repeats play backward every other time.
+     * @param {Function} [options.onStart] - Called when the tween starts, after its delay.
+     * @param {Function} [options.onUpdate] - Called after the values are updated.
+     * @param {Function} [options.onComplete] - Called when the tween completes.
+     */
+    constructor(target: any, props: { [name: string]: any }, options?: ITweenOptions)
+    {
+        options = Object.assign({
+            duration: 1000,
+            delay: 0,
+            ease: 'linear',
+            repeat: 0,
+            yoyo: false,
+        }, options);
+
+        /**
+         * The animated object.
+         *
+         * @member {object}
+         * @readonly
+         */
+        this.target = target;
+
+        /**
+         * Duration of one play, in milliseconds.
+         *
+         * @member {number}
+         */
+        this.duration = options.duration;
+
+        /**
+         * Time before starting, in milliseconds.
+         *
+         * @member {number}
+         */
+        this.delay = options.delay;
+
+        /**
+         * The easing curve.
+         *
+         * @member {Function}
+         */
+        this.ease = typeof options.ease === 'string' ? Easing[options.ease] : options.ease;
+
+        /**
+         * Number of times to play again, `-1` to repeat forever.
+         *
+         * @member {number}
+         */
+        this.repeat = options.repeat;
+
+        /**
+         * Whether repeats play backward every other time.
+         *
+         * @member {boolean}
+         */
+        this.yoyo = options.yoyo;
+
+        /**
+         * Time elapsed since the tween was added, in milliseconds.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.time = 0;
+
+        /**
+         * Whether updates are ignored, see {@link PIXI.Tween#pause}.
+         *
+         * @member {boolean}
+         * @readonly
+         */
+        this.paused = false;
+
+        /**
+         * The manager updating the tween.
+         *
+         * @member {PIXI.TweenManager}
+         * @readonly
+         */
+        this.manager = null;
+
+        /**
+         * Called when the tween starts, after its delay.
+         *
+         * @member {Function}
+         */
+        this.onStart = options.onStart || null;
+
+        /**
+         * Called after the values are updated.
+         *
+         * @member {Function}
+         */
+        this.onUpdate = options.onUpdate || null;
+
+        /**
+         * Called when the tween completes.
+         *
+         * @member {Function}
+         */
+        this.onComplete = options.onComplete || null;
+
+        /**
+         * Whether the tween started.
+         *
+         * @member {boolean}
+         * @protected
+         */
+        this._started = false;
+
+        /**
+         * Whether the tween completed.
+         *
+         * @member {boolean}
+         * @protected
+         */
+        this._completed = false;
+
+        /**
+         * The end values, by property name.
+         *
+         * @member {object}
+         * @private
+         */
+        this._props = props;
+
+        /**
+         * The start and end values, read when the tween starts.
+         *
+         * @member {object[]}
+         * @private
+         */
+        this._values = null;
+
+        /**
+         * The tweens to add to the manager on completion.
+         *
+         * @member {PIXI.Tween[]}
+         * @private
+         */
+        this._chained = [];
+
+        /**
+         * The completion promise, created on demand.
+         *
+         * @member {Promise<void>}
+         * @private
+         */
+        this._promise = null;
+
+        /**
+         * Resolves the completion promise.
+         *
+         * @member {Function}
+         * @private
+         */
+        this._resolve = null;
+    }
+
+    /**
+     * Total time of the tween, including the delay and repeats, `Infinity` when repeating forever.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get totalDuration(): number
+    {
+        return this.repeat < 0 ? Infinity : this.delay + (this.duration * (this.repeat + 1));
+    }
+
+    /**
+     * Whether the tween completed.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get completed(): boolean
+    {
+        return this._completed;
+    }
+
+    /**
+     * Resolved when the tween completes.
+     *
+     * @member {Promise<void>}
+     * @readonly
+     */
+    get promise(): Promise<void>
+    {
+        if (!this._promise)
+        {
+            this._promise = new Promise((resolve): void =>
+            {
+                this._resolve = resolve;
+            });
+
+            if (this._completed)
+            {
+                this._resolve();
+            }
+        }
+
+        return this._promise;
+    }
+
+    /**
+     * Advances the tween, unless paused.
+     *
+     * @param {number} deltaMS - Elapsed time, in milliseconds.
+     * @return {boolean} Whether the tween is complete.
+     */
+    update(deltaMS: number): boolean
+    {
+        if (this.paused)
+        {
+            return this._completed;
+        }
+
+        return this.seek(this.time + deltaMS);
+    }
+
+    /**
+     * Sets the values of the tween at a time.
+     *
+     * @param {number} time - Time since the tween was added, delay included, in milliseconds.
+     * @return {boolean} Whether the tween is complete.
+     */
+    seek(time: number): boolean
+    {
+        this.time = time;
+
+        if (time < this.delay)
+        {
+            return false;
+        }
+
+        if (!this._started)
+        {
+            this._started = true;
+            this._start();
+
+            if (this.onStart)
+            {
+                this.onStart();
+            }
+        }
+
+        const iterations = this.repeat < 0 ? Infinity : this.repeat + 1;
+        const active = time - this.delay;
+        let iteration = this.duration > 0 ? Math.floor(active / this.duration) : iterations;
+        let local = this.duration > 0 ? active % this.duration : 0;
+        const done = iteration >= iterations;
+
+        if (done)
+        {
+            iteration = iterations - 1;
+            local = this.duration;
+        }
+
+        if (this.yoyo && iteration % 2 === 1)
+        {
+            local = this.duration - local;
+        }
+
+        this._render(local);
+
+        if (this.onUpdate)
+        {
+            this.onUpdate();
+        }
+
+        if (done && !this._completed)
+        {
+            this._complete();
+        }
+
+        // seeking back plays again
+        this._completed = done;
+
+        return done;
+    }
+
+    /**
+     * Stops updating the tween, see {@link PIXI.Tween#resume}.
+     *
+     * @return {PIXI.Tween} This tween, for chaining.
+     */
+    pause(): this
+    {
+        this.paused = true;
+
+        return this;
+    }
+
+    /**
+     * Resumes updating the tween.
+     *
+     * @return {PIXI.Tween} This tween, for chaining.
+     */
+    resume(): this
+    {
+        this.paused = false;
+
+        return this;
+    }
+
+    /**
+     * Removes the tween from its manager.
+     *
+     * @param {boolean} [complete=false] - Whether to jump to the end and complete the tween first.
+     *  Tweens repeating forever can't be completed. The promise of tweens stopped before
+     *  completion is never resolved.
+     * @return {PIXI.Tween} This tween, for chaining.
+     */
+    stop(complete = false): this
+    {
+        if (complete && !this._completed && this.totalDuration < Infinity)
+        {
+            this.seek(this.totalDuration);
+        }
+
+        if (this.manager)
+        {
+            this.manager.remove(this);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds tweens to the manager of this tween when this tween completes.
+     *
+     * ```js
+     * app.tweens.to(sprite, { x: 100 }).chain(new PIXI.Tween(sprite, { y: 100 }));
+     * ```
+     *
+     * @param {...PIXI.Tween} tweens - The tweens to play next.
+     * @return {PIXI.Tween} This tween, for chaining.
+     */
+    chain(...tweens: Tween[]): this
+    {
+        this._chained.push(...tweens);
+
+        return this;
+    }
+
+    /**
+     * Reads the start values from the target.
+     *
+     * @protected
+     */
+    protected _start(): void
+    {
+        this._values = [];
+
+        for (const name in this._props)
+        {
+            const end = this._props[name];
+            const current = this.target[name];
+
+            if (current !== null && typeof current === 'object')
+            {
+                this._values.push({
+                    name,
+                    type: VALUE_TYPES.POINT,
+                    from: [current.x, current.y],
+                    to: typeof end === 'number' ? [end, end] : [end.x, end.y],
+                });
+            }
+            else if (Tween.COLOR_PROPERTIES.indexOf(name) !== -1)
+            {
+                this._values.push({
+                    name,
+                    type: VALUE_TYPES.COLOR,
+                    from: [(current >> 16) & 0xFF, (current >> 8) & 0xFF, current & 0xFF],
+                    to: [(end >> 16) & 0xFF, (end >> 8) & 0xFF, end & 0xFF],
+                });
+            }
+            else
+            {
+                this._values.push({ name, type: VALUE_TYPES.NUMBER, from: [current], to: [end] });
+            }
+        }
+    }
+
+    /**
+     * Sets the values at a time of a play.
+     *
+     * @protected
+     * @param {number} time - Time since the start of the play, in milliseconds.
+     */
+    protected _render(time: number): void
+    {
+        const progress = this.ease(this.duration > 0 ? time / this.duration : 1);
+
+        for (let i = 0; i < this._values.length; i++)
+        {
+            const { name, type, from, to } = this._values[i];
+            const values = [];
+
+            for (let j = 0; j < from.length; j++)
+            {
+                values.push(from[j] + ((to[j] - from[j]) * progress));
+            }
+
+            if (type === VALUE_TYPES.POINT)
+            {
+                this.target[name].set(values[0], values[1]);
+            }
+            else if (type === VALUE_TYPES.COLOR)
+            {
+                // overshooting curves go out of the range of the channels
+                const [r, g, b] = values.map((value) => Math.min(Math.max(Math.round(value), 0), 0xFF));
+
+                this.target[name] = (r << 16) + (g << 8) + b;
+            }
+            else
+            {
+                this.target[name] = values[0];
+            }
+        }
+    }
+
+    /**
+     * Completes the tween, resolving its promise and adding the chained tweens to the manager.
+     *
+     * @protected
+     */
+    protected _complete(): void
+    {
+        this._completed = true;
+
+        if (this.onComplete)
+        {
+            this.onComplete();
+        }
+
+        if (this._resolve)
+        {
+            this._resolve();
+        }
+
+        if (this.manager)
+        {
+            for (let i = 0; i < this._chained.length; i++)
+            {
+                this.manager.add(this._chained[i]);
+            }
+        }
+    }
+}
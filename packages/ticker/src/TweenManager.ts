@@ -0,0 +1,294 @@
+import { Ticker } from './Ticker';
+import { UPDATE_PRIORITY } from './const';
+import { Tween, ITweenOptions } from './Tween';
+import { Timeline } from './Timeline';
+
+/**
+ * Updates {@link PIXI.Tween tweens} and {@link PIXI.Timeline timelines} with a {@link PIXI.Ticker},
+ * so they pause and resume with the ticker. The manager only listens to the ticker while it has tweens.
+ *
+ * Applications have a manager using their ticker, see {@link PIXI.Application#tweens}.
+ *
+ * ```js
+ * const tweens = new PIXI.TweenManager(PIXI.Ticker.shared);
+ *
+ * tweens.to(sprite, { alpha: 0 }, { duration: 250, delay: 1000 });
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class TweenManager
+{
+    static _shared: TweenManager;
+
+    public tweens: Tween[];
+    public paused: boolean;
+
+    private _ticker: Ticker;
+    private _listening: boolean;
+
+    /**
+     * @param {PIXI.Ticker} [ticker=null] - The ticker updating the tweens.
+     */
+    constructor(ticker: Ticker = null)
+    {
+        /**
+         * The tweens and timelines being updated.
+         *
+         * @member {PIXI.Tween[]}
+         * @readonly
+         */
+        this.tweens = [];
+
+        /**
+         * Whether updates from the ticker are ignored, see {@link PIXI.TweenManager#pause}.
+         *
+         * @member {boolean}
+         * @readonly
+         */
+        this.paused = false;
+
+        /**
+         * The ticker updating the tweens.
+         *
+         * @member {PIXI.Ticker}
+         * @private
+         */
+        this._ticker = null;
+
+        /**
+         * Whether the manager listens to the ticker.
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._listening = false;
+
+        this.ticker = ticker;
+    }
+
+    /**
+     * The ticker updating the tweens.
+     *
+     * @member {PIXI.Ticker}
+     */
+    get ticker(): Ticker
+    {
+        return this._ticker;
+    }
+
+    set ticker(ticker: Ticker) // eslint-disable-line require-jsdoc
+    {
+        this._listen(false);
+        this._ticker = ticker;
+        this._updateListening();
+    }
+
+    /**
+     * Creates and adds a tween.
+     *
+     * @param {object} target - The object to animate.
+     * @param {object} props - The end values, by property name.
+     * @param {object} [options] - Timing of the tween, see {@link PIXI.Tween}.
+     * @return {PIXI.Tween} The tween.
+     */
+    to(target: any, props: { [name: string]: any }, options?: ITweenOptions): Tween
+    {
+        return this.add(new Tween(target, props, options));
+    }
+
+    /**
+     * Creates and adds a timeline.
+     *
+     * @param {object} [options] - Timing of the timeline, see {@link PIXI.Timeline}.
+     * @return {PIXI.Timeline} The timeline.
+     */
+    timeline(options?: ITweenOptions): Timeline
+    {
+        return this.add(new Timeline(options));
+    }
+
+    /**
+     * Adds a tween or timeline, which starts on the next update.
+     *
+     * @param {PIXI.Tween} tween - The tween.
+     * @return {PIXI.Tween} The tween.
+     */
+    add<T extends Tween>(tween: T): T
+    {
+        if (tween.manager && tween.manager !== this)
+        {
+            tween.manager.remove(tween);
+        }
+
+        if (this.tweens.indexOf(tween) === -1)
+        {
+            tween.manager = this;
+            this.tweens.push(tween);
+            this._updateListening();
+        }
+
+        return tween;
+    }
+
+    /**
+     * Removes a tween or timeline, leaving the values as they are.
+     *
+     * @param {PIXI.Tween} tween - The tween.
+     * @return {PIXI.TweenManager} This manager, for chaining.
+     */
+    remove(tween: Tween): this
+    {
+        const index = this.tweens.indexOf(tween);
+
+        if (index !== -1)
+        {
+            tween.manager = null;
+            this.tweens.splice(index, 1);
+            this._updateListening();
+        }
+
+        return this;
+    }
+
+    /**
+     * Removes the tweens animating an object.
+     *
+     * @param {object} target - The animated object.
+     * @return {PIXI.TweenManager} This manager, for chaining.
+     */
+    removeTweensOf(target: any): this
+    {
+        const tweens = this.tweens.filter((tween) => tween.target === target);
+
+        for (let i = 0; i < tweens.length; i++)
+        {
+            this.remove(tweens[i]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Advances the tweens, removing the completed ones. Called by the ticker,
+     * can be called manually when the manager has no ticker.
+     *
+     * @param {number} deltaMS - Elapsed time, in milliseconds.
+     */
+    update(deltaMS: number): void
+    {
+        // tweens can be added or removed by callbacks
+        const tweens = this.tweens.slice();
+
+        for (let i = 0; i < tweens.length; i++)
+        {
+            if (tweens[i].manager === this && tweens[i].update(deltaMS) && tweens[i].manager === this)
+            {
+                this.remove(tweens[i]);
+            }
+        }
+    }
+
+    /**
+     * Stops updating the tweens from the ticker, see {@link PIXI.TweenManager#resume}.
+     *
+     * @return {PIXI.TweenManager} This manager, for chaining.
+     */
+    pause(): this
+    {
+        this.paused = true;
+        this._updateListening();
+
+        return this;
+    }
+
+    /**
+     * Resumes updating the tweens from the ticker.
+     *
+     * @return {PIXI.TweenManager} This manager, for chaining.
+     */
+    resume(): this
+    {
+        this.paused = false;
+        this._updateListening();
+
+        return this;
+    }
+
+    /**
+     * Removes the tweens and stops listening to the ticker.
+     */
+    destroy(): void
+    {
+        this.ticker = null;
+
+        for (let i = 0; i < this.tweens.length; i++)
+        {
+            this.tweens[i].manager = null;
+        }
+
+        this.tweens = null;
+    }
+
+    /**
+     * Updates the tweens with the elapsed time of the ticker.
+     *
+     * @private
+     */
+    private _tick(): void
+    {
+        this.update(this._ticker.deltaMS);
+    }
+
+    /**
+     * Listens to the ticker only when there is something to update.
+     *
+     * @private
+     */
+    private _updateListening(): void
+    {
+        this._listen(!!this._ticker && !this.paused && this.tweens.length > 0);
+    }
+
+    /**
+     * Starts or stops listening to the ticker.
+     *
+     * @private
+     * @param {boolean} listen - Whether to listen.
+     */
+    private _listen(listen: boolean): void
+    {
+        if (listen === this._listening)
+        {
+            return;
+        }
+
+        this._listening = listen;
+
+        if (listen)
+        {
+            this._ticker.add(this._tick, this, UPDATE_PRIORITY.HIGH);
+        }
+        else
+        {
+            this._ticker.remove(this._tick, this);
+        }
+    }
+
+    /**
+     * The manager updated by {@link PIXI.Ticker.shared}.
+     *
+     * @member {PIXI.TweenManager}
+     * @static
+     */
+    static get shared(): TweenManager
+    {
+        if (!TweenManager._shared)
+        {
+            TweenManager._shared = new TweenManager(Ticker.shared);
+        }
+
+        return TweenManager._shared;
+    }
+}
@@ -3,3 +3,7 @@ import './settings';
 export * from './Ticker';
 export * from './TickerPlugin';
 export * from './const';
+export * from './Easing';
+export * from './Tween';
+export * from './Timeline';
+export * from './TweenManager';
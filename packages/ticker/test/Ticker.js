@@ -440,4 +440,73 @@ describe('PIXI.Ticker', function ()
 
         ticker.start();
     });
+
+    it('should call fixed-step listeners at an exact step', function ()
+    {
+        const ticker = new Ticker();
+        const fixed = sinon.spy();
+        const alphas = [];
+        const listener = sinon.spy(() =>
+        {
+            alphas.push(ticker.alpha);
+        });
+
+        ticker.fixedDeltaMS = 10;
+        ticker.addFixed(fixed);
+        ticker.add(listener);
+        ticker.advance(15);
+
+        expect(fixed).to.have.been.calledOnce;
+        expect(fixed.args[0][0]).to.equal(10 * 0.06);
+        expect(listener).to.have.been.calledOnce;
+        expect(listener).to.have.been.calledAfter(fixed);
+
+        ticker.advance(25);
+
+        expect(fixed.callCount).to.equal(4);
+        expect(alphas).to.deep.equal([0.5, 0]);
+        expect(ticker.count).to.equal(2);
+
+        ticker.remove(fixed);
+
+        expect(ticker.count).to.equal(1);
+
+        ticker.destroy();
+    });
+
+    it('should limit the fixed steps of an update', function ()
+    {
+        const ticker = new Ticker();
+        const fixed = sinon.spy();
+
+        ticker.fixedDeltaMS = 10;
+        ticker.maxFixedSteps = 3;
+        ticker.addFixed(fixed);
+        ticker.advance(55);
+
+        expect(fixed.callCount).to.equal(3);
+        expect(ticker.alpha).to.equal(0.5);
+
+        ticker.destroy();
+    });
+
+    it('should read the time from a manual clock', function ()
+    {
+        const ticker = new Ticker();
+        const listener = sinon.spy();
+        let time = 1000;
+
+        ticker.clock = () => time;
+        ticker.add(listener);
+        ticker.update();
+
+        time += 20;
+        ticker.update();
+
+        expect(listener).to.have.been.calledTwice;
+        expect(ticker.lastTime).to.equal(1020);
+        expect(ticker.deltaMS).to.equal(20);
+
+        ticker.destroy();
+    });
 });
@@ -1,4 +1,4 @@
-const { TickerPlugin, UPDATE_PRIORITY, Ticker } = require('../');
+const { TickerPlugin, UPDATE_PRIORITY, Ticker, TweenManager } = require('../');
 
 describe('PIXI.TickerPlugin', function ()
 {
@@ -20,6 +20,23 @@ describe('PIXI.TickerPlugin', function ()
         });
     });
 
+    it('should create tweens updated by the ticker', function ()
+    {
+        const app = {};
+
+        TickerPlugin.init.call(app, { autoStart: false });
+
+        expect(app.tweens).to.be.instanceof(TweenManager);
+        expect(app.tweens.ticker).to.equal(app.ticker);
+
+        const tweens = app.tweens;
+
+        TickerPlugin.destroy.call(app);
+
+        expect(app.tweens).to.be.null;
+        expect(tweens.ticker).to.be.null;
+    });
+
     describe('set ticker', function ()
     {
         before(function ()
@@ -0,0 +1,122 @@
+const { Tween, Timeline, Easing } = require('../');
+
+describe('PIXI.Tween', function ()
+{
+    it('should animate numbers with delay, repeat and yoyo', function ()
+    {
+        const target = { alpha: 0 };
+        const tween = new Tween(target, { alpha: 1 }, { duration: 100, delay: 50, repeat: 1, yoyo: true });
+
+        expect(tween.totalDuration).to.equal(250);
+        expect(tween.update(50)).to.be.false;
+        expect(target.alpha).to.equal(0);
+
+        tween.update(50);
+        expect(target.alpha).to.equal(0.5);
+
+        tween.update(100);
+        expect(target.alpha).to.equal(0.5);
+
+        expect(tween.update(100)).to.be.true;
+        expect(target.alpha).to.equal(0);
+        expect(tween.completed).to.be.true;
+    });
+
+    it('should animate points and colors', function ()
+    {
+        const target = {
+            tint: 0xFF0000,
+            scale: { x: 1, y: 1, set(x, y) { this.x = x; this.y = y; } },
+            position: { x: 0, y: 0, set(x, y) { this.x = x; this.y = y; } },
+        };
+        const tween = new Tween(target, { tint: 0x0000FF, scale: 3, position: { x: 10, y: 20 } }, { duration: 100 });
+
+        tween.update(50);
+
+        expect(target.tint).to.equal(0x800080);
+        expect(target.scale.x).to.equal(2);
+        expect(target.scale.y).to.equal(2);
+        expect(target.position.x).to.equal(5);
+        expect(target.position.y).to.equal(10);
+    });
+
+    it('should use easing curves by name', function ()
+    {
+        const target = { x: 0 };
+        const tween = new Tween(target, { x: 1 }, { duration: 100, ease: 'quadIn' });
+
+        expect(tween.ease).to.equal(Easing.quadIn);
+
+        tween.update(50);
+        expect(target.x).to.equal(0.25);
+
+        for (const name in Easing)
+        {
+            expect(Easing[name](0)).to.be.closeTo(0, 1e-6, name);
+            expect(Easing[name](1)).to.be.closeTo(1, 1e-6, name);
+        }
+    });
+
+    it('should resolve the promise on completion', function ()
+    {
+        const onComplete = sinon.spy();
+        const tween = new Tween({ x: 0 }, { x: 1 }, { duration: 100, onComplete });
+        const promise = tween.promise.then(() =>
+        {
+            expect(onComplete).to.have.been.calledOnce;
+        });
+
+        tween.update(100);
+
+        return promise;
+    });
+
+    it('should not update when paused', function ()
+    {
+        const target = { x: 0 };
+        const tween = new Tween(target, { x: 1 }, { duration: 100 }).pause();
+
+        tween.update(50);
+        expect(target.x).to.equal(0);
+
+        tween.resume().update(50);
+        expect(target.x).to.equal(0.5);
+    });
+});
+
+describe('PIXI.Timeline', function ()
+{
+    it('should play tweens in sequence', function ()
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = new Timeline()
+            .to(target, { x: 10 }, { duration: 100 })
+            .to(target, { x: 0 }, { duration: 100 })
+            .add(new Tween(target, { y: 10 }, { duration: 100 }), 50);
+
+        expect(timeline.duration).to.equal(200);
+
+        timeline.update(50);
+        expect(target.x).to.equal(5);
+        expect(target.y).to.equal(0);
+
+        timeline.update(100);
+        expect(target.x).to.equal(5);
+        expect(target.y).to.equal(10);
+
+        expect(timeline.update(50)).to.be.true;
+        expect(target.x).to.equal(0);
+    });
+
+    it('should read start values when tweens are reached', function ()
+    {
+        const target = { x: 0 };
+        const timeline = new Timeline()
+            .to(target, { x: 10 }, { duration: 100 })
+            .to(target, { x: 20 }, { duration: 100 });
+
+        timeline.update(150);
+
+        expect(target.x).to.equal(15);
+    });
+});
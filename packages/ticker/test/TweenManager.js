@@ -0,0 +1,93 @@
+const { TweenManager, Tween, Timeline, Ticker } = require('../');
+
+describe('PIXI.TweenManager', function ()
+{
+    it('should listen to the ticker only when it has tweens', function ()
+    {
+        const ticker = new Ticker();
+        const manager = new TweenManager(ticker);
+
+        expect(ticker.count).to.equal(0);
+
+        const tween = manager.to({ x: 0 }, { x: 1 });
+
+        expect(tween).to.be.instanceof(Tween);
+        expect(tween.manager).to.equal(manager);
+        expect(ticker.count).to.equal(1);
+
+        manager.pause();
+        expect(ticker.count).to.equal(0);
+
+        manager.resume();
+        expect(ticker.count).to.equal(1);
+
+        tween.stop();
+        expect(manager.tweens).to.be.empty;
+        expect(ticker.count).to.equal(0);
+
+        manager.destroy();
+        ticker.destroy();
+    });
+
+    it('should update tweens and remove completed ones', function ()
+    {
+        const manager = new TweenManager();
+        const target = { x: 0 };
+        const next = new Tween(target, { x: 0 }, { duration: 100 });
+
+        manager.to(target, { x: 10 }, { duration: 100 }).chain(next);
+
+        manager.update(50);
+        expect(target.x).to.equal(5);
+
+        manager.update(50);
+        expect(target.x).to.equal(10);
+        expect(manager.tweens).to.deep.equal([next]);
+        expect(next.manager).to.equal(manager);
+
+        manager.update(50);
+        expect(target.x).to.equal(5);
+
+        manager.destroy();
+    });
+
+    it('should update tweens with the ticker', function ()
+    {
+        const ticker = new Ticker();
+        const manager = new TweenManager(ticker);
+        const target = { x: 0 };
+
+        manager.to(target, { x: 1 }, { duration: 1000 });
+        ticker.update(ticker.lastTime + 10);
+
+        expect(target.x).to.be.above(0);
+
+        manager.destroy();
+        ticker.destroy();
+    });
+
+    it('should create timelines', function ()
+    {
+        const manager = new TweenManager();
+        const timeline = manager.timeline({ delay: 100 });
+
+        expect(timeline).to.be.instanceof(Timeline);
+        expect(manager.tweens).to.deep.equal([timeline]);
+
+        manager.destroy();
+    });
+
+    it('should remove the tweens of a target', function ()
+    {
+        const manager = new TweenManager();
+        const target = { x: 0 };
+
+        manager.to(target, { x: 1 });
+        manager.to({ x: 0 }, { x: 1 });
+        manager.removeTweensOf(target);
+
+        expect(manager.tweens).to.have.lengthOf(1);
+
+        manager.destroy();
+    });
+});
@@ -1,2 +1,4 @@
 require('./Ticker');
 require('./TickerPlugin');
+require('./Tween');
+require('./TweenManager');
@@ -0,0 +1,743 @@
+import { Container } from '@pixi/display';
+import { Point, Rectangle } from '@pixi/math';
+import { UPDATE_PRIORITY } from '@pixi/ticker';
+
+const tempPoint = new Point();
+const tempRect = new Rectangle();
+
+/**
+ * 包含所有点的命中区域，使视口在没有内容的地方也能接收交互事件。
+ *
+ * @ignore
+ * @private
+ */
+const everywhere = { contains: () => true };
+
+/**
+ * 视口是一个相机容器: 它的子元素处于世界坐标中，视口把世界的一部分显示在屏幕上，
+ * 可以平移、缩放和旋转，可以跟随目标，也可以限制在世界的边界以内。
+ *
+ * 屏幕坐标是视口父元素的坐标，通常视口直接添加到舞台（stage）中，屏幕坐标即画布上的像素。
+ * 相机的状态保存在视口的变换中: `pivot` 是屏幕中心处的世界坐标，`position` 是屏幕中心，
+ * `scale` 是缩放比例，`rotation` 是旋转。
+ *
+ * ```js
+ * const viewport = new PIXI.Viewport({
+ *     screenWidth: app.screen.width,
+ *     screenHeight: app.screen.height,
+ *     worldWidth: 4000,
+ *     worldHeight: 4000,
+ *     ticker: app.ticker,
+ *     drag: true,
+ *     pinch: true,
+ *     wheel: true,
+ *     clamp: true,
+ * });
+ *
+ * app.stage.addChild(viewport);
+ * viewport.addChild(map, player);
+ * viewport.follow(player, { deadzone: { width: 200, height: 100 }, lerp: 0.1 });
+ * ```
+ *
+ * 启用拖动、捏合或滚轮控制时，视口是交互的，需要 {@link PIXI.interaction.InteractionManager}。
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export class Viewport extends Container
+{
+    /**
+     * @param {object} [options] - 视口的选项
+     * @param {number} [options.screenWidth=800] - 屏幕宽度，像素
+     * @param {number} [options.screenHeight=600] - 屏幕高度，像素
+     * @param {number} [options.worldWidth] - 世界宽度，默认为屏幕宽度
+     * @param {number} [options.worldHeight] - 世界高度，默认为屏幕高度
+     * @param {number} [options.minZoom=0] - 最小缩放比例
+     * @param {number} [options.maxZoom=Infinity] - 最大缩放比例
+     * @param {boolean} [options.clamp=false] - 是否把可见区域限制在世界以内
+     * @param {boolean} [options.drag=false] - 是否可以拖动平移
+     * @param {boolean} [options.pinch=false] - 是否可以用两个手指捏合缩放
+     * @param {boolean} [options.wheel=false] - 是否可以用滚轮缩放
+     * @param {number} [options.wheelSpeed=0.002] - 滚轮缩放的速度，每滚动一个像素缩放的2的幂
+     * @param {PIXI.Ticker} [options.ticker=null] - 更新跟随的ticker
+     */
+    constructor(options)
+    {
+        super();
+
+        options = Object.assign({
+            screenWidth: 800,
+            screenHeight: 600,
+            minZoom: 0,
+            maxZoom: Infinity,
+            clamp: false,
+            drag: false,
+            pinch: false,
+            wheel: false,
+            wheelSpeed: 0.002,
+            ticker: null,
+        }, options);
+
+        /**
+         * 屏幕宽度，像素，参见 {@link PIXI.Viewport#resize}
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.screenWidth = options.screenWidth;
+
+        /**
+         * 屏幕高度，像素，参见 {@link PIXI.Viewport#resize}
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.screenHeight = options.screenHeight;
+
+        /**
+         * 世界宽度，用于限制可见区域
+         *
+         * @member {number}
+         */
+        this.worldWidth = options.worldWidth !== undefined ? options.worldWidth : options.screenWidth;
+
+        /**
+         * 世界高度，用于限制可见区域
+         *
+         * @member {number}
+         */
+        this.worldHeight = options.worldHeight !== undefined ? options.worldHeight : options.screenHeight;
+
+        /**
+         * 最小缩放比例
+         *
+         * @member {number}
+         */
+        this.minZoom = options.minZoom;
+
+        /**
+         * 最大缩放比例
+         *
+         * @member {number}
+         */
+        this.maxZoom = options.maxZoom;
+
+        /**
+         * 是否把可见区域限制在世界以内。可见区域大于世界时，世界居中显示。
+         *
+         * @member {boolean}
+         */
+        this.clamp = options.clamp;
+
+        /**
+         * 是否可以拖动平移
+         *
+         * @member {boolean}
+         */
+        this.dragEnabled = options.drag;
+
+        /**
+         * 是否可以用两个手指捏合缩放和平移
+         *
+         * @member {boolean}
+         */
+        this.pinchEnabled = options.pinch;
+
+        /**
+         * 是否可以用滚轮缩放
+         *
+         * @member {boolean}
+         */
+        this.wheelEnabled = options.wheel;
+
+        /**
+         * 滚轮缩放的速度，每滚动一个像素缩放的2的幂
+         *
+         * @member {number}
+         */
+        this.wheelSpeed = options.wheelSpeed;
+
+        /**
+         * 按指针标识符保存的按下的指针的位置
+         *
+         * @member {object}
+         * @private
+         */
+        this._pointers = {};
+
+        /**
+         * 按下的指针是否正在拖动
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._dragging = false;
+
+        /**
+         * 跟随的目标和选项
+         *
+         * @member {object}
+         * @private
+         */
+        this._follow = null;
+
+        /**
+         * 更新跟随的ticker
+         *
+         * @member {PIXI.Ticker}
+         * @private
+         */
+        this._ticker = null;
+
+        this.position.set(this.screenWidth / 2, this.screenHeight / 2);
+        this.pivot.set(this.screenWidth / 2, this.screenHeight / 2);
+
+        if (this.dragEnabled || this.pinchEnabled || this.wheelEnabled)
+        {
+            this.interactive = true;
+            this.hitArea = everywhere;
+        }
+
+        this.on('pointerdown', this._onPointerDown, this);
+        this.on('pointermove', this._onPointerMove, this);
+        this.on('pointerup', this._onPointerUp, this);
+        this.on('pointerupoutside', this._onPointerUp, this);
+        this.on('pointercancel', this._onPointerUp, this);
+        this.on('dragstart', this._onDragStart, this);
+        this.on('wheel', this._onWheel, this);
+
+        this.ticker = options.ticker;
+    }
+
+    /**
+     * 更新跟随的ticker，在应用程序渲染之前更新。没有ticker时需要手动调用 {@link PIXI.Viewport#update}。
+     *
+     * @member {PIXI.Ticker}
+     */
+    get ticker()
+    {
+        return this._ticker;
+    }
+
+    set ticker(ticker) // eslint-disable-line require-jsdoc
+    {
+        if (this._ticker)
+        {
+            this._ticker.remove(this._tick, this);
+        }
+
+        this._ticker = ticker;
+
+        if (ticker)
+        {
+            this._ticker.add(this._tick, this, UPDATE_PRIORITY.LOW + 1);
+        }
+    }
+
+    /**
+     * 屏幕中心处的世界坐标
+     *
+     * @member {PIXI.Point}
+     * @readonly
+     */
+    get center()
+    {
+        return new Point(this.pivot.x, this.pivot.y);
+    }
+
+    /**
+     * 缩放比例，以屏幕中心为锚点缩放
+     *
+     * @member {number}
+     */
+    get zoom()
+    {
+        return this.scale.x;
+    }
+
+    set zoom(value) // eslint-disable-line require-jsdoc
+    {
+        this.setZoom(value);
+    }
+
+    /**
+     * 跟随的目标
+     *
+     * @member {PIXI.DisplayObject}
+     * @readonly
+     */
+    get following()
+    {
+        return this._follow ? this._follow.target : null;
+    }
+
+    /**
+     * 把世界坐标移动到屏幕中心。
+     *
+     * @param {number} x - 世界x坐标
+     * @param {number} y - 世界y坐标
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    moveCenter(x, y)
+    {
+        this.pivot.set(x, y);
+        this._constrain();
+
+        return this;
+    }
+
+    /**
+     * 把世界坐标移动到屏幕左上角，忽略旋转。
+     *
+     * @param {number} x - 世界x坐标
+     * @param {number} y - 世界y坐标
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    moveCorner(x, y)
+    {
+        const zoom = this.scale.x;
+
+        return this.moveCenter(x + (this.screenWidth / 2 / zoom), y + (this.screenHeight / 2 / zoom));
+    }
+
+    /**
+     * 在屏幕上移动世界，例如拖动时的指针位移。
+     *
+     * @param {number} dx - 屏幕上的水平位移，像素
+     * @param {number} dy - 屏幕上的垂直位移，像素
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    pan(dx, dy)
+    {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const zoom = this.scale.x;
+
+        this.pivot.set(
+            this.pivot.x - (((dx * cos) + (dy * sin)) / zoom),
+            this.pivot.y - (((dy * cos) - (dx * sin)) / zoom),
+        );
+        this._constrain();
+
+        return this;
+    }
+
+    /**
+     * 设置缩放比例，锚点处的世界坐标保持不动。
+     *
+     * @param {number} zoom - 缩放比例，限制在最小和最大缩放比例之间
+     * @param {PIXI.IPoint} [anchor] - 锚点，屏幕坐标，默认为屏幕中心
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    setZoom(zoom, anchor = this.position)
+    {
+        const world = this.toWorld(anchor, tempPoint);
+
+        this.scale.set(Math.min(Math.max(zoom, this.minZoom), this.maxZoom));
+        this._place(world.x, world.y, anchor.x, anchor.y);
+        this._constrain();
+
+        return this;
+    }
+
+    /**
+     * 按比例缩放，锚点处的世界坐标保持不动。
+     *
+     * @param {number} factor - 缩放比例的倍数，大于1时放大
+     * @param {PIXI.IPoint} [anchor] - 锚点，屏幕坐标，默认为屏幕中心
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    zoomBy(factor, anchor)
+    {
+        return this.setZoom(this.scale.x * factor, anchor);
+    }
+
+    /**
+     * 设置旋转，锚点处的世界坐标保持不动。
+     *
+     * @param {number} rotation - 旋转，弧度
+     * @param {PIXI.IPoint} [anchor] - 锚点，屏幕坐标，默认为屏幕中心
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    setRotation(rotation, anchor = this.position)
+    {
+        const world = this.toWorld(anchor, tempPoint);
+
+        this.rotation = rotation;
+        this._place(world.x, world.y, anchor.x, anchor.y);
+        this._constrain();
+
+        return this;
+    }
+
+    /**
+     * 把屏幕坐标转换为世界坐标。不需要更新变换，移动相机后立即可用。
+     *
+     * @param {PIXI.IPoint} point - 屏幕坐标
+     * @param {PIXI.Point} [out] - 保存结果的点，可以是 `point` 本身
+     * @return {PIXI.Point} 世界坐标
+     */
+    toWorld(point, out = new Point())
+    {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const zoom = this.scale.x;
+        const dx = point.x - this.position.x;
+        const dy = point.y - this.position.y;
+
+        out.set(
+            this.pivot.x + (((dx * cos) + (dy * sin)) / zoom),
+            this.pivot.y + (((dy * cos) - (dx * sin)) / zoom),
+        );
+
+        return out;
+    }
+
+    /**
+     * 把世界坐标转换为屏幕坐标。不需要更新变换，移动相机后立即可用。
+     *
+     * @param {PIXI.IPoint} point - 世界坐标
+     * @param {PIXI.Point} [out] - 保存结果的点，可以是 `point` 本身
+     * @return {PIXI.Point} 屏幕坐标
+     */
+    toScreen(point, out = new Point())
+    {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const zoom = this.scale.x;
+        const wx = (point.x - this.pivot.x) * zoom;
+        const wy = (point.y - this.pivot.y) * zoom;
+
+        out.set(
+            this.position.x + ((wx * cos) - (wy * sin)),
+            this.position.y + ((wx * sin) + (wy * cos)),
+        );
+
+        return out;
+    }
+
+    /**
+     * 获取屏幕上可见的世界区域，旋转时为包含可见区域的矩形。
+     *
+     * @param {PIXI.Rectangle} [rect] - 保存结果的矩形
+     * @return {PIXI.Rectangle} 可见区域，世界坐标
+     */
+    getVisibleBounds(rect = new Rectangle())
+    {
+        const cos = Math.abs(Math.cos(this.rotation));
+        const sin = Math.abs(Math.sin(this.rotation));
+        const zoom = this.scale.x;
+        const width = ((this.screenWidth * cos) + (this.screenHeight * sin)) / zoom;
+        const height = ((this.screenWidth * sin) + (this.screenHeight * cos)) / zoom;
+
+        rect.x = this.pivot.x - (width / 2);
+        rect.y = this.pivot.y - (height / 2);
+        rect.width = width;
+        rect.height = height;
+
+        return rect;
+    }
+
+    /**
+     * 改变屏幕或世界的大小，例如渲染器改变大小时。屏幕中心处的世界坐标保持不动。
+     *
+     * ```js
+     * app.renderer.on('resize', (width, height) => viewport.resize(width, height));
+     * ```
+     *
+     * @param {number} screenWidth - 屏幕宽度，像素
+     * @param {number} screenHeight - 屏幕高度，像素
+     * @param {number} [worldWidth] - 世界宽度，默认不变
+     * @param {number} [worldHeight] - 世界高度，默认不变
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    resize(screenWidth, screenHeight, worldWidth = this.worldWidth, worldHeight = this.worldHeight)
+    {
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.position.set(screenWidth / 2, screenHeight / 2);
+        this._constrain();
+
+        return this;
+    }
+
+    /**
+     * 跟随目标，每次更新时把目标移向屏幕中心。
+     *
+     * @param {PIXI.DisplayObject} target - 目标，通常是视口的后代
+     * @param {object} [options] - 跟随的选项
+     * @param {object} [options.deadzone] - 屏幕中心的死区，目标在死区内移动时相机不动，
+     *  由 `width` 和 `height` 指定，像素，忽略旋转
+     * @param {number} [options.lerp=1] - 每帧（按60帧每秒计算）相机移动剩余距离的比例，1为立即移动
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    follow(target, options)
+    {
+        options = Object.assign({ deadzone: null, lerp: 1 }, options);
+
+        this._follow = { target, deadzone: options.deadzone, lerp: options.lerp };
+
+        return this;
+    }
+
+    /**
+     * 停止跟随目标。
+     *
+     * @return {PIXI.Viewport} 视口，用于链式调用
+     */
+    stopFollow()
+    {
+        this._follow = null;
+
+        return this;
+    }
+
+    /**
+     * 把相机移向跟随的目标。由ticker调用，没有ticker时可以手动调用。
+     *
+     * @param {number} [deltaMS=16.66] - 经过的时间，毫秒
+     */
+    update(deltaMS = 1000 / 60)
+    {
+        if (!this._follow)
+        {
+            return;
+        }
+
+        const { target, deadzone, lerp } = this._follow;
+
+        if (target._destroyed)
+        {
+            this._follow = null;
+
+            return;
+        }
+
+        const position = this.toLocal(target.position, target.parent, tempPoint);
+        let x = position.x;
+        let y = position.y;
+
+        if (deadzone)
+        {
+            const zoom = this.scale.x;
+            const halfWidth = deadzone.width / 2 / zoom;
+            const halfHeight = deadzone.height / 2 / zoom;
+
+            x = Math.min(Math.max(this.pivot.x, x - halfWidth), x + halfWidth);
+            y = Math.min(Math.max(this.pivot.y, y - halfHeight), y + halfHeight);
+        }
+
+        // the same fraction of the distance per frame at any frame rate
+        const t = lerp >= 1 ? 1 : 1 - Math.pow(1 - lerp, deltaMS * 60 / 1000);
+
+        this.moveCenter(this.pivot.x + ((x - this.pivot.x) * t), this.pivot.y + ((y - this.pivot.y) * t));
+    }
+
+    /**
+     * 停止跟随和监听ticker，并销毁视口。
+     *
+     * @param {object|boolean} [options] - 销毁的选项，参见 {@link PIXI.Container#destroy}
+     */
+    destroy(options)
+    {
+        this.ticker = null;
+        this._follow = null;
+        this._pointers = null;
+
+        super.destroy(options);
+    }
+
+    /**
+     * 用ticker经过的时间更新。
+     *
+     * @private
+     */
+    _tick()
+    {
+        this.update(this._ticker.deltaMS);
+    }
+
+    /**
+     * 移动相机，使世界坐标显示在屏幕坐标处。
+     *
+     * @private
+     * @param {number} worldX - 世界x坐标
+     * @param {number} worldY - 世界y坐标
+     * @param {number} screenX - 屏幕x坐标
+     * @param {number} screenY - 屏幕y坐标
+     */
+    _place(worldX, worldY, screenX, screenY)
+    {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const zoom = this.scale.x;
+        const dx = screenX - this.position.x;
+        const dy = screenY - this.position.y;
+
+        this.pivot.set(
+            worldX - (((dx * cos) + (dy * sin)) / zoom),
+            worldY - (((dy * cos) - (dx * sin)) / zoom),
+        );
+    }
+
+    /**
+     * 限制缩放比例，启用限制时把可见区域限制在世界以内。
+     *
+     * @private
+     */
+    _constrain()
+    {
+        const zoom = Math.min(Math.max(this.scale.x, this.minZoom), this.maxZoom);
+
+        if (zoom !== this.scale.x)
+        {
+            this.scale.set(zoom);
+        }
+
+        if (!this.clamp)
+        {
+            return;
+        }
+
+        const bounds = this.getVisibleBounds(tempRect);
+        let x = this.pivot.x;
+        let y = this.pivot.y;
+
+        if (bounds.width >= this.worldWidth)
+        {
+            x = this.worldWidth / 2;
+        }
+        else
+        {
+            x = Math.min(Math.max(x, bounds.width / 2), this.worldWidth - (bounds.width / 2));
+        }
+
+        if (bounds.height >= this.worldHeight)
+        {
+            y = this.worldHeight / 2;
+        }
+        else
+        {
+            y = Math.min(Math.max(y, bounds.height / 2), this.worldHeight - (bounds.height / 2));
+        }
+
+        this.pivot.set(x, y);
+    }
+
+    /**
+     * 记录按下的指针。
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} event - 交互事件
+     */
+    _onPointerDown(event)
+    {
+        if (this.dragEnabled || this.pinchEnabled)
+        {
+            this._pointers[event.data.identifier] = event.data.global.clone();
+        }
+    }
+
+    /**
+     * 用一个指针拖动平移，或用两个指针捏合缩放和平移。
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} event - 交互事件
+     */
+    _onPointerMove(event)
+    {
+        const last = this._pointers[event.data.identifier];
+
+        if (!last)
+        {
+            return;
+        }
+
+        const { global } = event.data;
+        const ids = Object.keys(this._pointers);
+
+        if (ids.length > 1 && this.pinchEnabled)
+        {
+            // the first two pointers pinch, others are ignored
+            const first = this._pointers[ids[0]];
+            const second = this._pointers[ids[1]];
+
+            if (last === first || last === second)
+            {
+                const other = last === first ? second : first;
+                const before = Math.sqrt(Math.pow(last.x - other.x, 2) + Math.pow(last.y - other.y, 2));
+                const after = Math.sqrt(Math.pow(global.x - other.x, 2) + Math.pow(global.y - other.y, 2));
+                const world = this.toWorld(new Point((last.x + other.x) / 2, (last.y + other.y) / 2), tempPoint);
+
+                if (before > 0)
+                {
+                    const zoom = this.scale.x * after / before;
+
+                    this.scale.set(Math.min(Math.max(zoom, this.minZoom), this.maxZoom));
+                }
+
+                this._place(world.x, world.y, (global.x + other.x) / 2, (global.y + other.y) / 2);
+                this._constrain();
+            }
+        }
+        else if (ids.length === 1 && this.dragEnabled && this._dragging)
+        {
+            this.pan(global.x - last.x, global.y - last.y);
+        }
+
+        last.copyFrom(global);
+    }
+
+    /**
+     * 移除抬起或取消的指针。
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} event - 交互事件
+     */
+    _onPointerUp(event)
+    {
+        delete this._pointers[event.data.identifier];
+
+        if (Object.keys(this._pointers).length === 0)
+        {
+            this._dragging = false;
+        }
+    }
+
+    /**
+     * 指针移动超过拖动阈值后开始拖动平移。
+     *
+     * @private
+     */
+    _onDragStart()
+    {
+        this._dragging = true;
+    }
+
+    /**
+     * 以指针为锚点用滚轮缩放。
+     *
+     * @private
+     * @param {PIXI.interaction.InteractionEvent} event - 交互事件
+     */
+    _onWheel(event)
+    {
+        if (!this.wheelEnabled)
+        {
+            return;
+        }
+
+        const { originalEvent } = event.data;
+
+        this.zoomBy(Math.pow(2, -event.data.deltaY * this.wheelSpeed), event.data.global);
+
+        // the page must not scroll
+        if (originalEvent && originalEvent.cancelable)
+        {
+            originalEvent.preventDefault();
+        }
+    }
+}
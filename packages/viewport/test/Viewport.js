@@ -0,0 +1,301 @@
+const { Viewport } = require('../');
+const { Container } = require('@pixi/display');
+const { Point } = require('@pixi/math');
+const { Ticker } = require('@pixi/ticker');
+
+function pointerEvent(identifier, x, y)
+{
+    return { data: { identifier, global: new Point(x, y) } };
+}
+
+describe('PIXI.Viewport', function ()
+{
+    beforeEach(function ()
+    {
+        this.viewport = new Viewport({ screenWidth: 800, screenHeight: 600 });
+    });
+
+    afterEach(function ()
+    {
+        this.viewport.destroy();
+        this.viewport = null;
+    });
+
+    it('should show the world at screen coordinates by default', function ()
+    {
+        const world = this.viewport.toWorld(new Point(10, 20));
+
+        expect(world.x).to.equal(10);
+        expect(world.y).to.equal(20);
+        expect(this.viewport.center.x).to.equal(400);
+        expect(this.viewport.center.y).to.equal(300);
+        expect(this.viewport.interactive).to.be.false;
+    });
+
+    it('should zoom around the screen center', function ()
+    {
+        this.viewport.setZoom(2);
+
+        const world = this.viewport.toWorld(new Point(0, 0));
+        const screen = this.viewport.toScreen(world);
+
+        expect(this.viewport.zoom).to.equal(2);
+        expect(world.x).to.equal(200);
+        expect(world.y).to.equal(150);
+        expect(screen.x).to.equal(0);
+        expect(screen.y).to.equal(0);
+    });
+
+    it('should zoom around an anchor', function ()
+    {
+        this.viewport.zoomBy(2, new Point(0, 0));
+
+        const screen = this.viewport.toScreen(new Point(0, 0));
+
+        expect(screen.x).to.equal(0);
+        expect(screen.y).to.equal(0);
+        expect(this.viewport.center.x).to.equal(200);
+        expect(this.viewport.center.y).to.equal(150);
+    });
+
+    it('should limit the zoom', function ()
+    {
+        this.viewport.minZoom = 0.5;
+        this.viewport.maxZoom = 4;
+
+        expect(this.viewport.setZoom(10).zoom).to.equal(4);
+        expect(this.viewport.setZoom(0.1).zoom).to.equal(0.5);
+    });
+
+    it('should pan in screen pixels', function ()
+    {
+        this.viewport.setZoom(2).pan(10, -20);
+
+        expect(this.viewport.center.x).to.equal(395);
+        expect(this.viewport.center.y).to.equal(310);
+    });
+
+    it('should move the center and the corner', function ()
+    {
+        this.viewport.moveCenter(1000, 1000);
+
+        expect(this.viewport.toWorld(new Point(400, 300)).x).to.equal(1000);
+
+        this.viewport.setZoom(2).moveCorner(100, 100);
+
+        expect(this.viewport.center.x).to.equal(300);
+        expect(this.viewport.center.y).to.equal(250);
+    });
+
+    it('should convert coordinates when rotated', function ()
+    {
+        this.viewport.setZoom(2, new Point(100, 100)).setRotation(Math.PI / 2, new Point(100, 100));
+
+        const anchor = this.viewport.toScreen(new Point(100, 100));
+        const screen = this.viewport.toScreen(this.viewport.toWorld(new Point(30, 40)));
+        const bounds = this.viewport.getVisibleBounds();
+
+        expect(anchor.x).to.be.closeTo(100, 1e-6);
+        expect(anchor.y).to.be.closeTo(100, 1e-6);
+        expect(screen.x).to.be.closeTo(30, 1e-6);
+        expect(screen.y).to.be.closeTo(40, 1e-6);
+        expect(bounds.width).to.be.closeTo(300, 1e-6);
+        expect(bounds.height).to.be.closeTo(400, 1e-6);
+    });
+
+    it('should match the transform of the container', function ()
+    {
+        const child = new Container();
+
+        child.position.set(30, 40);
+        this.viewport.addChild(child);
+        this.viewport.setZoom(1.5, new Point(10, 10)).setRotation(0.3).pan(15, 25);
+
+        const expected = this.viewport.toGlobal(child.position);
+        const screen = this.viewport.toScreen(child.position);
+
+        expect(screen.x).to.be.closeTo(expected.x, 1e-6);
+        expect(screen.y).to.be.closeTo(expected.y, 1e-6);
+    });
+
+    it('should clamp to the world', function ()
+    {
+        this.viewport.resize(800, 600, 1000, 1000);
+        this.viewport.clamp = true;
+
+        this.viewport.moveCenter(0, 2000);
+
+        expect(this.viewport.center.x).to.equal(400);
+        expect(this.viewport.center.y).to.equal(700);
+
+        this.viewport.setZoom(0.5);
+
+        expect(this.viewport.center.x).to.equal(500);
+        expect(this.viewport.center.y).to.equal(500);
+    });
+
+    it('should keep the center when resized', function ()
+    {
+        this.viewport.moveCenter(100, 200).resize(400, 300);
+
+        expect(this.viewport.screenWidth).to.equal(400);
+        expect(this.viewport.toWorld(new Point(200, 150)).x).to.equal(100);
+        expect(this.viewport.toWorld(new Point(200, 150)).y).to.equal(200);
+    });
+
+    describe('follow', function ()
+    {
+        beforeEach(function ()
+        {
+            this.target = new Container();
+            this.viewport.addChild(this.target);
+        });
+
+        it('should center the target', function ()
+        {
+            this.target.position.set(1000, 500);
+            this.viewport.follow(this.target);
+            this.viewport.update();
+
+            expect(this.viewport.following).to.equal(this.target);
+            expect(this.viewport.center.x).to.equal(1000);
+            expect(this.viewport.center.y).to.equal(500);
+        });
+
+        it('should move to the target with lerp', function ()
+        {
+            this.target.position.set(1000, 500);
+            this.viewport.follow(this.target, { lerp: 0.5 });
+            this.viewport.update(1000 / 60);
+
+            expect(this.viewport.center.x).to.be.closeTo(700, 1e-6);
+            expect(this.viewport.center.y).to.be.closeTo(400, 1e-6);
+
+            this.viewport.update(2000 / 60);
+
+            expect(this.viewport.center.x).to.be.closeTo(925, 1e-6);
+        });
+
+        it('should not move while the target is in the deadzone', function ()
+        {
+            this.viewport.follow(this.target, { deadzone: { width: 200, height: 100 } });
+
+            this.target.position.set(450, 320);
+            this.viewport.update();
+
+            expect(this.viewport.center.x).to.equal(400);
+            expect(this.viewport.center.y).to.equal(300);
+
+            this.target.position.set(600, 200);
+            this.viewport.update();
+
+            expect(this.viewport.center.x).to.equal(500);
+            expect(this.viewport.center.y).to.equal(250);
+        });
+
+        it('should stop following', function ()
+        {
+            this.target.position.set(1000, 500);
+            this.viewport.follow(this.target).stopFollow();
+            this.viewport.update();
+
+            expect(this.viewport.following).to.be.null;
+            expect(this.viewport.center.x).to.equal(400);
+        });
+
+        it('should stop following destroyed targets', function ()
+        {
+            this.viewport.follow(this.target);
+            this.target.destroy();
+            this.viewport.update();
+
+            expect(this.viewport.following).to.be.null;
+        });
+    });
+
+    it('should listen to the ticker until destroyed', function ()
+    {
+        const ticker = new Ticker();
+        const viewport = new Viewport({ ticker });
+
+        expect(ticker.count).to.equal(1);
+
+        viewport.destroy();
+
+        expect(ticker.count).to.equal(0);
+
+        ticker.destroy();
+    });
+
+    describe('controls', function ()
+    {
+        beforeEach(function ()
+        {
+            this.viewport.destroy();
+            this.viewport = new Viewport({ drag: true, pinch: true, wheel: true });
+        });
+
+        it('should be interactive everywhere', function ()
+        {
+            expect(this.viewport.interactive).to.be.true;
+            expect(this.viewport.hitArea.contains(-1000, 1000)).to.be.true;
+        });
+
+        it('should pan when dragged', function ()
+        {
+            this.viewport.emit('pointerdown', pointerEvent(1, 100, 100));
+            this.viewport.emit('pointermove', pointerEvent(1, 110, 100));
+
+            expect(this.viewport.center.x).to.equal(400);
+
+            this.viewport.emit('dragstart', pointerEvent(1, 110, 100));
+            this.viewport.emit('pointermove', pointerEvent(1, 130, 90));
+
+            expect(this.viewport.center.x).to.equal(380);
+            expect(this.viewport.center.y).to.equal(310);
+
+            this.viewport.emit('pointerup', pointerEvent(1, 130, 90));
+            this.viewport.emit('pointermove', pointerEvent(1, 200, 200));
+
+            expect(this.viewport.center.x).to.equal(380);
+        });
+
+        it('should not pan when dragging is disabled', function ()
+        {
+            this.viewport.dragEnabled = false;
+            this.viewport.emit('pointerdown', pointerEvent(1, 100, 100));
+            this.viewport.emit('dragstart', pointerEvent(1, 100, 100));
+            this.viewport.emit('pointermove', pointerEvent(1, 130, 90));
+
+            expect(this.viewport.center.x).to.equal(400);
+        });
+
+        it('should zoom and pan when pinched', function ()
+        {
+            this.viewport.emit('pointerdown', pointerEvent(1, 300, 300));
+            this.viewport.emit('pointerdown', pointerEvent(2, 500, 300));
+            this.viewport.emit('pointermove', pointerEvent(2, 700, 300));
+
+            expect(this.viewport.zoom).to.equal(2);
+            expect(this.viewport.center.x).to.equal(350);
+            expect(this.viewport.center.y).to.equal(300);
+        });
+
+        it('should zoom around the pointer with the wheel', function ()
+        {
+            const event = pointerEvent(1, 0, 0);
+            const preventDefault = sinon.spy();
+
+            event.data.deltaY = -500;
+            event.data.originalEvent = { cancelable: true, preventDefault };
+            this.viewport.emit('wheel', event);
+
+            const screen = this.viewport.toScreen(new Point(0, 0));
+
+            expect(this.viewport.zoom).to.be.closeTo(2, 1e-6);
+            expect(screen.x).to.be.closeTo(0, 1e-6);
+            expect(screen.y).to.be.closeTo(0, 1e-6);
+            expect(preventDefault).to.have.been.calledOnce;
+        });
+    });
+});